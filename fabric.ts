@@ -14,11 +14,28 @@ export { StaticCanvas } from './src/canvas/StaticCanvas';
 export { Canvas } from './src/canvas/Canvas';
 export { CanvasDOMManager } from './src/canvas/DOMManagers/CanvasDOMManager';
 export { StaticCanvasDOMManager } from './src/canvas/DOMManagers/StaticCanvasDOMManager';
+export { HistoryManager, PropertyCommand } from './src/canvas/HistoryManager';
+export type { HistoryCommand } from './src/canvas/HistoryManager';
+export { SnappingManager } from './src/canvas/SnappingManager';
+export type { TSnapAction, TSnapGuide } from './src/canvas/SnappingManager';
+export { Grid } from './src/canvas/Grid';
+export type { TGridUnit } from './src/canvas/Grid';
+export { Layer } from './src/canvas/Layer';
+export type { SerializedLayerProps } from './src/canvas/Layer';
+export { CollaborationManager } from './src/canvas/collaboration/CollaborationManager';
+export { TextSequence } from './src/canvas/collaboration/TextSequence';
+export { InMemoryChannel } from './src/canvas/collaboration/InMemoryTransport';
+export type {
+  CollaborationTransport,
+  TOperation,
+  TOperationStamp,
+} from './src/canvas/collaboration/types';
 
 export type { XY } from './src/Point';
 export { Point } from './src/Point';
 export type { IntersectionType } from './src/Intersection';
 export { Intersection } from './src/Intersection';
+export { SpatialIndex } from './src/SpatialIndex';
 export { Color } from './src/color/Color';
 export * from './src/color/typedefs';
 
@@ -26,6 +43,8 @@ export * from './src/gradient';
 export * from './src/Pattern';
 export { Shadow } from './src/Shadow';
 export type { SerializedShadowOptions } from './src/Shadow';
+export * from './src/effects';
+export * from './src/markers';
 
 export { BaseBrush } from './src/brushes/BaseBrush';
 export * from './src/brushes/typedefs';
@@ -34,6 +53,25 @@ export { PencilBrush } from './src/brushes/PencilBrush';
 export { CircleBrush } from './src/brushes/CircleBrush';
 export { SprayBrush } from './src/brushes/SprayBrush';
 export { PatternBrush } from './src/brushes/PatternBrush';
+export { PenBrush } from './src/brushes/PenBrush';
+export { VariableWidthBrush } from './src/brushes/VariableWidthBrush';
+export { ShapeRecognizer } from './src/brushes/ShapeRecognizer';
+export { VectorEraserBrush } from './src/brushes/VectorEraserBrush';
+export type { TVectorEraserMode } from './src/brushes/VectorEraserBrush';
+export type {
+  TRecognizedShape,
+  TRecognizedShapeType,
+} from './src/brushes/ShapeRecognizer';
+
+export { BaseTool } from './src/tools/BaseTool';
+export { DragTool } from './src/tools/DragTool';
+export { BoxTool } from './src/tools/BoxTool';
+export { SegmentTool } from './src/tools/SegmentTool';
+export { RectTool } from './src/tools/RectTool';
+export { EllipseTool } from './src/tools/EllipseTool';
+export { LineTool } from './src/tools/LineTool';
+export { ArrowTool } from './src/tools/ArrowTool';
+export { PolygonTool } from './src/tools/PolygonTool';
 
 export { FabricObject as Object } from './src/shapes/Object/FabricObject';
 export type { TProps } from './src/shapes/Object/types';
@@ -43,9 +81,24 @@ export { Triangle } from './src/shapes/Triangle';
 export { Ellipse } from './src/shapes/Ellipse';
 export { Rect } from './src/shapes/Rect';
 export { Path } from './src/shapes/Path';
+export { Connector } from './src/shapes/Connector';
+export type {
+  TConnectorPort,
+  TConnectorRouting,
+  TConnectorMarker,
+} from './src/shapes/Connector';
 export { Polyline } from './src/shapes/Polyline';
 export { Polygon } from './src/shapes/Polygon';
 export { Text } from './src/shapes/Text/Text';
+export {
+  FontOutlineRegistry,
+  fontOutlineRegistry,
+} from './src/shapes/Text/FontOutlineRegistry';
+export type {
+  TFontOutlines,
+  TFontOutlineStyle,
+  TGlyphPathCommand,
+} from './src/shapes/Text/FontOutlineRegistry';
 export { IText } from './src/shapes/IText/IText';
 export { Textbox } from './src/shapes/Textbox';
 export type {
@@ -3,6 +3,8 @@ import type { BaseFabricObject } from './EventTypeDefs';
 import { removeFromArray } from './util/internals';
 import { Point } from './Point';
 import type { InteractiveFabricObject } from './shapes/Object/InteractiveObject';
+import type { TQueryObjectsOptions } from './util/misc/queryObjects';
+import { queryObjects } from './util/misc/queryObjects';
 
 export function createCollectionMixin<TBase extends Constructor>(Base: TBase) {
   class Collection extends Base {
@@ -27,6 +29,17 @@ export function createCollectionMixin<TBase extends Constructor>(Base: TBase) {
       // subclasses should override this method
     }
 
+    /**
+     * Returns the objects that may intersect a bounding box, ordered as the collection.
+     * Subclasses can override this method to narrow down the search
+     * @param {TBBox} bbox bounding box in the collection's coordinate plane
+     * @returns {BaseFabricObject[]}
+     */
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars
+    _searchObjectsInBounds(bbox: TBBox): BaseFabricObject[] {
+      return this._objects;
+    }
+
     /**
      * Adds objects to collection
      * Objects should be instances of (or inherit from) BaseFabricObject
@@ -319,11 +332,12 @@ export function createCollectionMixin<TBase extends Constructor>(Base: TBase) {
     ) {
       const objects: InteractiveFabricObject[] = [],
         tl = new Point(left, top),
-        br = tl.add(new Point(width, height));
+        br = tl.add(new Point(width, height)),
+        candidates = this._searchObjectsInBounds({ left, top, width, height });
 
       // we iterate reverse order to collect top first in case of click.
-      for (let i = this._objects.length - 1; i >= 0; i--) {
-        const object = this._objects[i] as unknown as InteractiveFabricObject;
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        const object = candidates[i] as unknown as InteractiveFabricObject;
         if (
           object.selectable &&
           object.visible &&
@@ -339,6 +353,25 @@ export function createCollectionMixin<TBase extends Constructor>(Base: TBase) {
 
       return objects;
     }
+    /**
+     * Returns the objects matching an area query, ordered from bottom to top stacking wise.
+     * Unlike {@link collectObjects} it is not bound to selection, it can traverse nested groups,
+     * it respects clip paths and it can test rendered pixels.
+     *
+     * @example
+     * // objects touching a lasso
+     * canvas.queryObjects({ polygon: lassoPoints });
+     * // objects lying entirely in a rect, including objects nested in groups
+     * canvas.queryObjects({ rect, mode: 'contain', deep: true });
+     * // visible objects under a point
+     * canvas.queryObjects({ point, perPixel: true });
+     *
+     * @param {TQueryObjectsOptions} options
+     * @returns {FabricObject[]}
+     */
+    queryObjects(options: TQueryObjectsOptions) {
+      return queryObjects(options, (bbox) => this._searchObjectsInBounds(bbox));
+    }
   }
 
   // https://github.com/microsoft/TypeScript/issues/32080
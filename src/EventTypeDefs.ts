@@ -3,12 +3,15 @@ import type { Point } from './Point';
 import type { FabricObject } from './shapes/Object/FabricObject';
 import type { FabricObject as StaticFabricObject } from './shapes/Object/Object';
 import type { FabricObjectSVGExportMixin } from './shapes/Object/FabricObjectSVGExportMixin';
+import type { HistoryCommand } from './canvas/HistoryManager';
+import type { TOperation } from './canvas/collaboration/types';
 import type { Group } from './shapes/Group';
 import type { TOriginX, TOriginY, TRadian } from './typedefs';
 import type { saveObjectTransform } from './util/misc/objectTransforms';
 import type { Canvas } from './canvas/Canvas';
 import type { IText } from './shapes/IText/IText';
 import type { StaticCanvas } from './canvas/StaticCanvas';
+import type { TRecognizedShape } from './brushes/ShapeRecognizer';
 
 // eslint-disable-next-line @typescript-eslint/no-empty-interface, @typescript-eslint/no-unused-vars
 export interface BaseFabricObject
@@ -252,6 +255,9 @@ export interface ObjectEvents
   added: { target: Group | Canvas | StaticCanvas };
   removed: { target: Group | Canvas | StaticCanvas };
 
+  // geometry
+  'coords:changed': { target: BaseFabricObject };
+
   // erasing
   'erasing:end': { path: FabricObject };
 }
@@ -275,8 +281,17 @@ export interface CanvasEvents
   // brushes
   'before:path:created': { path: FabricObject };
   'path:created': { path: FabricObject };
+  'shape:recognized': {
+    path: FabricObject;
+    target: FabricObject;
+    shape: TRecognizedShape;
+  };
+
+  // tools
+  'object:drawn': { target: FabricObject; e?: TPointerEvent };
 
   // erasing
+  'object:erased': { target: FabricObject; pieces: FabricObject[] };
   'erasing:start': never;
   'erasing:end':
     | never
@@ -295,4 +310,13 @@ export interface CanvasEvents
   'text:changed': { target: IText };
   'text:editing:entered': { target: IText };
   'text:editing:exited': { target: IText };
+
+  // history
+  'history:recorded': { command: HistoryCommand };
+  'history:undo': { command: HistoryCommand };
+  'history:redo': { command: HistoryCommand };
+  'history:cleared': never;
+  'collaboration:sent': { operation: TOperation };
+  'collaboration:received': { operation: TOperation };
+  'collaboration:error': { operation: TOperation; error: unknown };
 }
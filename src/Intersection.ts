@@ -299,4 +299,30 @@ export class Intersection {
       bottomLeft,
     ]);
   }
+
+  /**
+   * Checks if a point lies inside a polygon or on its boundary, using the even-odd rule
+   * @static
+   * @param {Point} point
+   * @param {Point[]} points polygon points
+   * @return {boolean}
+   */
+  static isPointInPolygon(point: Point, points: Point[]): boolean {
+    const length = points.length;
+    let inside = false;
+    for (let i = 0, j = length - 1; i < length; j = i++) {
+      const a = points[i],
+        b = points[j];
+      if (Intersection.isPointContained(point, a, b)) {
+        return true;
+      }
+      if (
+        a.y > point.y !== b.y > point.y &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
 }
@@ -1,11 +1,23 @@
 import { config } from '../config';
+import { iMatrix } from '../constants';
+import { StaticCanvas } from '../canvas/StaticCanvas';
+import { parseTransformAttribute } from '../parser/parseTransformAttribute';
+import type { FabricObject } from '../shapes/Object/FabricObject';
 import type { Abortable, TCrossOrigin, TMat2D, TSize } from '../typedefs';
 import { ifNaN } from '../util/internals';
 import { uid } from '../util/internals/uid';
+import { capValue } from '../util/misc/capValue';
+import { createCanvasElement } from '../util/misc/dom';
+import {
+  createScaleMatrix,
+  multiplyTransformMatrices,
+  qrDecompose,
+} from '../util/misc/matrix';
 import { loadImage } from '../util/misc/objectEnlive';
 import { pick } from '../util/misc/pick';
 import { toFixed } from '../util/misc/toFixed';
 import { classRegistry } from '../ClassRegistry';
+import { parsePatternContentTransform, parsePatternTile } from './parser';
 import type {
   PatternRepeat,
   PatternOptions,
@@ -179,8 +191,8 @@ export class Pattern {
           ? 1 + Math.abs(patternOffsetY || 0)
           : ifNaN((patternSource.height as number) / height, 0),
       patternTransformMatrix = Array.isArray(this.patternTransform)
-          ? this.patternTransform.join(' ')
-          : '1 0 0 1 0 0';
+        ? this.patternTransform.join(' ')
+        : '1 0 0 1 0 0';
 
     return [
       `<pattern id="SVGID_${id}" x="${patternOffsetX}" y="${patternOffsetY}" width="${patternWidth}" height="${patternHeight}" patternTransform="matrix(${patternTransformMatrix})">`,
@@ -193,6 +205,103 @@ export class Pattern {
   }
   /* _TO_SVG_END_ */
 
+  /* _FROM_SVG_START_ */
+  /**
+   * Returns {@link Pattern} instance from a SVG `<pattern>` element.
+   * The source of the pattern is its tile, rendered from the objects parsed from the content of the element
+   * at the resolution at which the tile is displayed, given the transform of the object and the `patternTransform`.
+   * @static
+   * @param {SVGPatternElement} el SVG pattern element, its `href` already resolved
+   * @param {FabricObject} instance the object painted with the pattern, parsed from SVG with its `transformMatrix`
+   * @param {FabricObject[]} objects the objects parsed from the content of the pattern element
+   * @param {Object} svgOptions
+   * @param {Number} svgOptions.width width of the SVG, the reference of percentages of `userSpaceOnUse` units
+   * @param {Number} svgOptions.height height of the SVG, the reference of percentages of `userSpaceOnUse` units
+   * @param {String} [svgOptions.opacity] A fill-opacity or stroke-opacity attribute applied to the tile
+   * @return {Pattern | undefined} undefined if the tile is empty, disabling the paint as in SVG
+   * @see https://www.w3.org/TR/SVG/pservers.html#PatternElement
+   */
+  static fromElement(
+    el: Element,
+    instance: FabricObject & { transformMatrix?: TMat2D },
+    objects: FabricObject[],
+    svgOptions: TSize & { opacity?: string | null }
+  ): Pattern | undefined {
+    const center = instance._findCenterFromElement(),
+      bbox = {
+        left: center.x - instance.width / 2,
+        top: center.y - instance.height / 2,
+        width: instance.width,
+        height: instance.height,
+      },
+      tile = parsePatternTile(el, bbox, svgOptions);
+    if (!(tile.width > 0 && tile.height > 0)) {
+      return;
+    }
+    const patternTransform = parseTransformAttribute(
+        el.getAttribute('patternTransform') || ''
+      ),
+      { scaleX, scaleY } = qrDecompose(
+        multiplyTransformMatrices(
+          instance.transformMatrix || iMatrix,
+          patternTransform
+        )
+      ),
+      // pixels in a unit of the tile
+      resolution =
+        Math.max(Math.abs(scaleX), Math.abs(scaleY)) *
+        Math.max(config.devicePixelRatio, 1),
+      source = createCanvasElement();
+    source.width = capValue(
+      1,
+      Math.ceil(tile.width * resolution),
+      config.maxCacheSideLimit
+    );
+    source.height = capValue(
+      1,
+      Math.ceil(tile.height * resolution),
+      config.maxCacheSideLimit
+    );
+    // the tile has a whole number of pixels to repeat seamlessly
+    const resolutionX = source.width / tile.width,
+      resolutionY = source.height / tile.height,
+      ctx = source.getContext('2d'),
+      canvas = new StaticCanvas(createCanvasElement(), {
+        enableRetinaScaling: false,
+        renderOnAddRemove: false,
+        skipOffscreen: false,
+        width: source.width,
+        height: source.height,
+      });
+    canvas.viewportTransform = multiplyTransformMatrices(
+      createScaleMatrix(resolutionX, resolutionY),
+      parsePatternContentTransform(el, bbox, tile)
+    );
+    if (ctx) {
+      canvas.add(...objects);
+      ctx.globalAlpha = ifNaN(parseFloat(svgOptions.opacity || ''), 1);
+      canvas.renderCanvas(ctx, objects);
+      canvas.remove(...objects);
+    }
+    canvas.dispose();
+    return new this({
+      source,
+      repeat: 'repeat',
+      // the origin of the user space, relative to the top left corner of the object
+      offsetX: instance.width / 2 - center.x,
+      offsetY: instance.height / 2 - center.y,
+      patternTransform: multiplyTransformMatrices(patternTransform, [
+        1 / resolutionX,
+        0,
+        0,
+        1 / resolutionY,
+        tile.left,
+        tile.top,
+      ]),
+    });
+  }
+  /* _FROM_SVG_END_ */
+
   static async fromObject(
     { source, ...serialized }: SerializedPatternOptions,
     options: Abortable
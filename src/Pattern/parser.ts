@@ -0,0 +1,108 @@
+import { iMatrix } from '../constants';
+import { isPercent } from '../parser/percent';
+import type { TMat2D, TSize } from '../typedefs';
+import { parseUnit } from '../util/misc/svgParsing';
+
+export type TPatternUnits = 'userSpaceOnUse' | 'objectBoundingBox';
+
+/**
+ * Bounding box of the object painted with a pattern, in its user space
+ */
+export type TPatternBBox = TSize & { left: number; top: number };
+
+/**
+ * Tile of a pattern, in the user space of the object painted with it
+ */
+export type TPatternTile = TPatternBBox;
+
+export const parsePatternUnits = (el: Element): TPatternUnits =>
+  el.getAttribute('patternUnits') === 'userSpaceOnUse'
+    ? 'userSpaceOnUse'
+    : 'objectBoundingBox';
+
+export const parsePatternContentUnits = (el: Element): TPatternUnits =>
+  el.getAttribute('patternContentUnits') === 'objectBoundingBox'
+    ? 'objectBoundingBox'
+    : 'userSpaceOnUse';
+
+/**
+ * @param {string | null} value
+ * @param {number} size size of the reference of percentages, in user space units
+ * @param {boolean} fraction numbers are fractions of `size`, as with `objectBoundingBox` units
+ */
+const parseLength = (value: string | null, size: number, fraction: boolean) => {
+  if (!value) {
+    return 0;
+  }
+  if (isPercent(value)) {
+    return (parseFloat(value) / 100) * size;
+  }
+  return fraction ? parseFloat(value) * size : parseUnit(value);
+};
+
+/**
+ * Parses the position and size of the tile of a `<pattern>` element according to its `patternUnits`
+ * @param {Element} el
+ * @param {TPatternBBox} bbox bounding box of the object painted with the pattern
+ * @param {TSize} viewport size of the SVG, the reference of percentages in user space
+ * @returns {TPatternTile}
+ */
+export const parsePatternTile = (
+  el: Element,
+  bbox: TPatternBBox,
+  viewport: TSize
+): TPatternTile => {
+  if (parsePatternUnits(el) === 'userSpaceOnUse') {
+    return {
+      left: parseLength(el.getAttribute('x'), viewport.width, false),
+      top: parseLength(el.getAttribute('y'), viewport.height, false),
+      width: parseLength(el.getAttribute('width'), viewport.width, false),
+      height: parseLength(el.getAttribute('height'), viewport.height, false),
+    };
+  }
+  return {
+    left: bbox.left + parseLength(el.getAttribute('x'), bbox.width, true),
+    top: bbox.top + parseLength(el.getAttribute('y'), bbox.height, true),
+    width: parseLength(el.getAttribute('width'), bbox.width, true),
+    height: parseLength(el.getAttribute('height'), bbox.height, true),
+  };
+};
+
+/**
+ * Parses the transform from the coordinates of the content of a `<pattern>` element to its tile,
+ * according to its `viewBox` or to its `patternContentUnits`.
+ * Values of `preserveAspectRatio` other than `none` are handled as the default `xMidYMid meet`.
+ * @param {Element} el
+ * @param {TPatternBBox} bbox bounding box of the object painted with the pattern
+ * @param {TPatternTile} tile
+ * @returns {TMat2D}
+ */
+export const parsePatternContentTransform = (
+  el: Element,
+  bbox: TPatternBBox,
+  tile: TPatternTile
+): TMat2D => {
+  const viewBox = (el.getAttribute('viewBox') || '')
+    .trim()
+    .split(/[\s,]+/)
+    .map(parseFloat);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    const [minX, minY, width, height] = viewBox;
+    let scaleX = tile.width / width,
+      scaleY = tile.height / height;
+    if (!/^\s*none/.test(el.getAttribute('preserveAspectRatio') || '')) {
+      scaleX = scaleY = Math.min(scaleX, scaleY);
+    }
+    return [
+      scaleX,
+      0,
+      0,
+      scaleY,
+      (tile.width - width * scaleX) / 2 - minX * scaleX,
+      (tile.height - height * scaleY) / 2 - minY * scaleY,
+    ];
+  }
+  return parsePatternContentUnits(el) === 'objectBoundingBox'
+    ? [bbox.width, 0, 0, bbox.height, 0, 0]
+    : iMatrix;
+};
@@ -0,0 +1,79 @@
+import type { TBBox } from './typedefs';
+import { SpatialIndex } from './SpatialIndex';
+
+const intersects = (a: TBBox, b: TBBox) =>
+  a.left <= b.left + b.width &&
+  a.top <= b.top + b.height &&
+  a.left + a.width >= b.left &&
+  a.top + a.height >= b.top;
+
+// deterministic pseudo random numbers
+const createRandom = (seed: number) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+describe('SpatialIndex', () => {
+  const random = createRandom(7);
+  const randomBBox = (): TBBox => ({
+    left: random() * 1000,
+    top: random() * 1000,
+    width: random() * 50,
+    height: random() * 50,
+  });
+
+  it('finds the same items as a linear scan', () => {
+    const index = new SpatialIndex<number>(),
+      boxes = new Map<number, TBBox>();
+    for (let i = 0; i < 500; i++) {
+      const bbox = randomBBox();
+      boxes.set(i, bbox);
+      index.insert(i, bbox);
+    }
+    // update and remove some items
+    for (let i = 0; i < 500; i += 3) {
+      const bbox = randomBBox();
+      boxes.set(i, bbox);
+      index.insert(i, bbox);
+    }
+    for (let i = 0; i < 500; i += 5) {
+      boxes.delete(i);
+      expect(index.remove(i)).toBe(true);
+    }
+    expect(index.remove(0)).toBe(false);
+    expect(index.size()).toBe(boxes.size);
+    for (let i = 0; i < 20; i++) {
+      const area = randomBBox();
+      const expected = [...boxes.keys()].filter((key) =>
+        intersects(boxes.get(key)!, area)
+      );
+      expect(index.search(area).sort((a, b) => a - b)).toEqual(expected);
+    }
+  });
+
+  it('searches a point', () => {
+    const index = new SpatialIndex<string>();
+    index.insert('a', { left: 0, top: 0, width: 10, height: 10 });
+    index.insert('b', { left: 5, top: 5, width: 10, height: 10 });
+    expect(index.searchPoint({ x: 2, y: 2 })).toEqual(['a']);
+    expect(index.searchPoint({ x: 7, y: 7 }).sort()).toEqual(['a', 'b']);
+    expect(index.searchPoint({ x: 17, y: 17 })).toEqual([]);
+    expect(index.searchPoint({ x: 17, y: 17 }, 2)).toEqual(['b']);
+  });
+
+  it('can be emptied', () => {
+    const index = new SpatialIndex<number>();
+    for (let i = 0; i < 50; i++) {
+      index.insert(i, randomBBox());
+    }
+    for (let i = 0; i < 50; i++) {
+      index.remove(i);
+    }
+    expect(index.size()).toBe(0);
+    index.insert(1, { left: 0, top: 0, width: 1, height: 1 });
+    expect(index.searchPoint({ x: 0, y: 0 })).toEqual([1]);
+    index.clear();
+    expect(index.has(1)).toBe(false);
+    expect(index.search({ left: 0, top: 0, width: 1, height: 1 })).toEqual([]);
+  });
+});
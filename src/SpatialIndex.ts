@@ -0,0 +1,237 @@
+import type { XY } from './Point';
+import type { TBBox } from './typedefs';
+
+type TBounds = {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+};
+
+type TEntry<T> = TBounds & { item: T };
+
+type TNode<T> = TBounds & {
+  leaf: boolean;
+  children: (TNode<T> | TEntry<T>)[];
+  parent?: TNode<T>;
+};
+
+const createNode = <T>(leaf: boolean): TNode<T> => ({
+  leaf,
+  children: [],
+  minX: Infinity,
+  minY: Infinity,
+  maxX: -Infinity,
+  maxY: -Infinity,
+});
+
+const toBounds = ({ left, top, width, height }: TBBox): TBounds => ({
+  minX: left,
+  minY: top,
+  maxX: left + width,
+  maxY: top + height,
+});
+
+const extend = (target: TBounds, bounds: TBounds) => {
+  target.minX = Math.min(target.minX, bounds.minX);
+  target.minY = Math.min(target.minY, bounds.minY);
+  target.maxX = Math.max(target.maxX, bounds.maxX);
+  target.maxY = Math.max(target.maxY, bounds.maxY);
+};
+
+const area = ({ minX, minY, maxX, maxY }: TBounds) =>
+  (maxX - minX) * (maxY - minY);
+
+const enlargedArea = (a: TBounds, b: TBounds) =>
+  (Math.max(a.maxX, b.maxX) - Math.min(a.minX, b.minX)) *
+  (Math.max(a.maxY, b.maxY) - Math.min(a.minY, b.minY));
+
+const intersects = (a: TBounds, b: TBounds) =>
+  b.minX <= a.maxX && b.minY <= a.maxY && b.maxX >= a.minX && b.maxY >= a.minY;
+
+const calcBounds = <T>(node: TNode<T>) => {
+  node.minX = node.minY = Infinity;
+  node.maxX = node.maxY = -Infinity;
+  node.children.forEach((child) => extend(node, child));
+};
+
+/**
+ * R-tree of items keyed by their bounding box.
+ * Used by {@link StaticCanvas#enableSpatialIndex} to avoid scanning every object
+ * when looking for targets or culling objects outside of the viewport.
+ *
+ * @example
+ * const index = new SpatialIndex<FabricObject>();
+ * index.insert(rect, rect.getBoundingRect(true));
+ * index.search({ left: 0, top: 0, width: 100, height: 100 }); // [rect]
+ */
+export class SpatialIndex<T> {
+  /**
+   * Max amount of children per node
+   * @type Number
+   */
+  declare readonly maxEntries: number;
+
+  private root = createNode<T>(true);
+  private leaves = new Map<T, TNode<T>>();
+
+  constructor(maxEntries = 9) {
+    this.maxEntries = Math.max(4, maxEntries);
+  }
+
+  size() {
+    return this.leaves.size;
+  }
+
+  has(item: T) {
+    return this.leaves.has(item);
+  }
+
+  /**
+   * Adds an item or updates its bounding box
+   * @param {T} item
+   * @param {TBBox} bbox
+   */
+  insert(item: T, bbox: TBBox) {
+    this.remove(item);
+    const entry: TEntry<T> = { item, ...toBounds(bbox) };
+    let node = this.root;
+    while (!node.leaf) {
+      extend(node, entry);
+      // choose the child that needs the least enlargement
+      let best: TNode<T> | undefined,
+        minEnlargement = Infinity,
+        minArea = Infinity;
+      (node.children as TNode<T>[]).forEach((child) => {
+        const childArea = area(child),
+          enlargement = enlargedArea(child, entry) - childArea;
+        if (
+          enlargement < minEnlargement ||
+          (enlargement === minEnlargement && childArea < minArea)
+        ) {
+          minEnlargement = enlargement;
+          minArea = childArea;
+          best = child;
+        }
+      });
+      node = best!;
+    }
+    node.children.push(entry);
+    extend(node, entry);
+    this.leaves.set(item, node);
+    while (node.children.length > this.maxEntries) {
+      node = this.split(node);
+    }
+  }
+
+  /**
+   * Splits an overflowing node in 2 halves along its widest axis
+   * @private
+   * @returns {TNode} parent of the split node
+   */
+  private split(node: TNode<T>) {
+    const { children } = node,
+      axis = node.maxX - node.minX >= node.maxY - node.minY ? 'X' : 'Y',
+      min = `min${axis}` as const,
+      max = `max${axis}` as const;
+    children.sort((a, b) => a[min] + a[max] - b[min] - b[max]);
+    const sibling = createNode<T>(node.leaf);
+    sibling.children = children.splice(Math.ceil(children.length / 2));
+    sibling.children.forEach((child) =>
+      node.leaf
+        ? this.leaves.set((child as TEntry<T>).item, sibling)
+        : ((child as TNode<T>).parent = sibling)
+    );
+    calcBounds(node);
+    calcBounds(sibling);
+    let parent = node.parent;
+    if (!parent) {
+      parent = createNode<T>(false);
+      parent.children.push(node);
+      node.parent = parent;
+      this.root = parent;
+    }
+    parent.children.push(sibling);
+    sibling.parent = parent;
+    calcBounds(parent);
+    return parent;
+  }
+
+  /**
+   * @param {T} item
+   * @returns {boolean} true if the item was removed
+   */
+  remove(item: T) {
+    const leaf = this.leaves.get(item);
+    if (!leaf) {
+      return false;
+    }
+    this.leaves.delete(item);
+    leaf.children.splice(
+      leaf.children.findIndex((entry) => (entry as TEntry<T>).item === item),
+      1
+    );
+    // condense the tree, empty nodes are dropped
+    let node: TNode<T> | undefined = leaf;
+    while (node) {
+      const parent: TNode<T> | undefined = node.parent;
+      if (parent && node.children.length === 0) {
+        parent.children.splice(parent.children.indexOf(node), 1);
+      } else {
+        calcBounds(node);
+      }
+      node = parent;
+    }
+    if (!this.root.leaf && this.root.children.length === 0) {
+      this.root = createNode(true);
+    } else if (!this.root.leaf && this.root.children.length === 1) {
+      this.root = this.root.children[0] as TNode<T>;
+      delete this.root.parent;
+    }
+    return true;
+  }
+
+  /**
+   * @param {TBBox} bbox
+   * @returns {T[]} items whose bounding box intersects `bbox`, in no particular order
+   */
+  search(bbox: TBBox): T[] {
+    const bounds = toBounds(bbox),
+      result: T[] = [],
+      stack: TNode<T>[] = [this.root];
+    while (stack.length) {
+      const node = stack.pop()!;
+      if (!intersects(node, bounds)) {
+        continue;
+      }
+      node.children.forEach((child) => {
+        if (!intersects(child, bounds)) {
+          return;
+        }
+        node.leaf
+          ? result.push((child as TEntry<T>).item)
+          : stack.push(child as TNode<T>);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * @param {XY} point
+   * @param {number} [tolerance]
+   * @returns {T[]} items whose bounding box contains `point`, in no particular order
+   */
+  searchPoint({ x, y }: XY, tolerance = 0) {
+    return this.search({
+      left: x - tolerance,
+      top: y - tolerance,
+      width: tolerance * 2,
+      height: tolerance * 2,
+    });
+  }
+
+  clear() {
+    this.root = createNode(true);
+    this.leaves.clear();
+  }
+}
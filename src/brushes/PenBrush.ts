@@ -0,0 +1,356 @@
+import type { TEvent } from '../EventTypeDefs';
+import type { Point } from '../Point';
+import { Shadow } from '../Shadow';
+import { Path } from '../shapes/Path';
+import type { Canvas } from '../canvas/Canvas';
+import { getDocumentFromElement } from '../util/dom_misc';
+import { BaseBrush } from './BaseBrush';
+import type { TSimplePathData } from '../util/path/typedefs';
+
+type TPenAnchor = {
+  point: Point;
+  /**
+   * control point of the segment leaving the anchor,
+   * the control point of the segment reaching it is its mirror around `point`
+   */
+  handle: Point;
+};
+
+/**
+ * Draws a path made of bezier curves, anchor by anchor:
+ * - clicking adds an anchor, dragging before releasing pulls its tangent handles
+ * - clicking the first anchor closes the path
+ * - clicking the last anchor or pressing `Enter` ends the path
+ * - pressing `Escape` cancels the path
+ *
+ * The path being drawn is previewed on the top context,
+ * the pointer stays captured by the brush until the path ends.
+ */
+export class PenBrush extends BaseBrush {
+  /**
+   * Distance in pixels from an anchor under which a click targets it, to close or end the path
+   * @type Number
+   * @default 8
+   */
+  anchorDistance = 8;
+
+  /**
+   * Size in pixels of the anchors and handles of the preview
+   * @type Number
+   * @default 6
+   */
+  anchorSize = 6;
+
+  /**
+   * Color of the anchors and handles of the preview
+   * @type String
+   * @default
+   */
+  anchorColor = 'rgb(178,204,255)';
+
+  private declare _anchors: TPenAnchor[];
+  /**
+   * anchor which handles are pulled while the pointer is down
+   */
+  private declare _dragging?: TPenAnchor;
+  private declare _pointer?: Point;
+  private declare _closing: boolean;
+
+  constructor(canvas: Canvas) {
+    super(canvas);
+    this._anchors = [];
+    this._closing = false;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} true if `pointer` targets the anchor at `index`
+   */
+  _isOnAnchor(pointer: Point, index: number) {
+    const anchor = this._anchors[index];
+    return (
+      !!anchor &&
+      anchor.point.distanceFrom(pointer) <=
+        this.anchorDistance / this.canvas.getZoom()
+    );
+  }
+
+  /**
+   * Invoked on mouse down
+   * @param {Point} pointer
+   */
+  onMouseDown(pointer: Point, { e }: TEvent) {
+    if (!this.canvas._isMainEvent(e)) {
+      return;
+    }
+    const anchors = this._anchors;
+    if (!anchors.length) {
+      this._reset();
+      getDocumentFromElement(this.canvas.upperCanvasEl).addEventListener(
+        'keydown',
+        this.onKeyDown
+      );
+    } else if (anchors.length > 1 && this._isOnAnchor(pointer, 0)) {
+      // the path is closed on mouse up, dragging pulls the handles of the first anchor
+      this._closing = true;
+      this._dragging = anchors[0];
+      return;
+    } else if (this._isOnAnchor(pointer, anchors.length - 1)) {
+      this._finalizeAndAddPath();
+      return;
+    }
+    this._dragging = { point: pointer, handle: pointer };
+    this._anchors.push(this._dragging);
+    this._pointer = pointer;
+    this._redraw();
+  }
+
+  /**
+   * Invoked on mouse move
+   * @param {Point} pointer
+   */
+  onMouseMove(pointer: Point, { e }: TEvent) {
+    if (!this.canvas._isMainEvent(e) || !this._anchors.length) {
+      return;
+    }
+    if (this.limitedToCanvasSize === true && this._isOutSideCanvas(pointer)) {
+      return;
+    }
+    const dragging = this._dragging;
+    if (dragging) {
+      // when closing the pointer pulls the handle of the segment reaching the first anchor
+      dragging.handle = this._closing
+        ? dragging.point.scalarMultiply(2).subtract(pointer)
+        : pointer;
+    }
+    this._pointer = pointer;
+    this._redraw();
+  }
+
+  /**
+   * Invoked on mouse up
+   * @returns {boolean} true while the path is being drawn
+   */
+  onMouseUp({ e }: TEvent) {
+    if (!this.canvas._isMainEvent(e)) {
+      return true;
+    }
+    this._dragging = undefined;
+    if (this._closing) {
+      this._finalizeAndAddPath();
+    }
+    return this._anchors.length > 0;
+  }
+
+  /**
+   * Ends the path on `Enter`, cancels it on `Escape`
+   * @param {KeyboardEvent} e
+   */
+  onKeyDown = (e: KeyboardEvent) => {
+    if (e.key === 'Enter') {
+      this._finalizeAndAddPath();
+    } else if (e.key === 'Escape') {
+      this.cancel();
+    }
+  };
+
+  /**
+   * Discards the path being drawn
+   */
+  cancel() {
+    this._clear();
+    this.canvas.clearContext(this.canvas.contextTop);
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * Clear anchors and set contextTop canvas style.
+   * @private
+   */
+  _reset() {
+    this._clear();
+    this._setBrushStyles(this.canvas.contextTop);
+  }
+
+  /**
+   * @private
+   */
+  _clear() {
+    this._anchors = [];
+    this._dragging = undefined;
+    this._pointer = undefined;
+    this._closing = false;
+    this._resetShadow();
+    getDocumentFromElement(this.canvas.upperCanvasEl).removeEventListener(
+      'keydown',
+      this.onKeyDown
+    );
+  }
+
+  /**
+   * @private
+   */
+  _redraw() {
+    this.canvas.clearContext(this.canvas.contextTop);
+    this._render();
+  }
+
+  /**
+   * Draws the path, the segment following the pointer and the handles of the anchors on the top context
+   * @private
+   * @param {CanvasRenderingContext2D} [ctx]
+   */
+  _render(ctx: CanvasRenderingContext2D = this.canvas.contextTop) {
+    const anchors = this._anchors,
+      pointer = this._pointer;
+    if (!anchors.length) {
+      return;
+    }
+    const pathData = this.convertAnchorsToSVGPath(anchors, this._closing);
+    if (pointer && !this._dragging) {
+      const { handle } = anchors[anchors.length - 1];
+      pathData.push([
+        'C',
+        handle.x,
+        handle.y,
+        pointer.x,
+        pointer.y,
+        pointer.x,
+        pointer.y,
+      ]);
+    }
+    this._saveAndTransform(ctx);
+    this._setBrushStyles(ctx);
+    this._setShadow();
+    ctx.beginPath();
+    pathData.forEach((command) => {
+      switch (command[0]) {
+        case 'M':
+          ctx.moveTo(command[1], command[2]);
+          break;
+        case 'L':
+          ctx.lineTo(command[1], command[2]);
+          break;
+        case 'C':
+          ctx.bezierCurveTo(
+            command[1],
+            command[2],
+            command[3],
+            command[4],
+            command[5],
+            command[6]
+          );
+          break;
+        case 'Z':
+          ctx.closePath();
+          break;
+      }
+    });
+    ctx.stroke();
+    this._resetShadow();
+    this._renderAnchors(ctx);
+    ctx.restore();
+  }
+
+  /**
+   * Draws the anchors and the handles of the anchor being dragged
+   * @private
+   * @param {CanvasRenderingContext2D} ctx transformed by the viewport
+   */
+  _renderAnchors(ctx: CanvasRenderingContext2D) {
+    const zoom = this.canvas.getZoom(),
+      size = this.anchorSize / zoom;
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1 / zoom;
+    ctx.strokeStyle = ctx.fillStyle = this.anchorColor;
+    const dragging = this._dragging;
+    if (dragging && !dragging.handle.eq(dragging.point)) {
+      const { point, handle } = dragging,
+        mirror = point.scalarMultiply(2).subtract(handle);
+      ctx.beginPath();
+      ctx.moveTo(mirror.x, mirror.y);
+      ctx.lineTo(handle.x, handle.y);
+      ctx.stroke();
+      [mirror, handle].forEach(({ x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x, y, size / 2, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    }
+    this._anchors.forEach(({ point: { x, y } }) =>
+      ctx.strokeRect(x - size / 2, y - size / 2, size, size)
+    );
+  }
+
+  /**
+   * Converts anchors to SVG path,
+   * segments between anchors with retracted handles are lines, others are cubic bezier curves
+   * @param {TPenAnchor[]} anchors
+   * @param {boolean} [closed]
+   * @return {TSimplePathData} SVG path commands
+   */
+  convertAnchorsToSVGPath(anchors: TPenAnchor[], closed = false) {
+    const { x, y } = anchors[0].point,
+      pathData: TSimplePathData = [['M', x, y]],
+      length = anchors.length;
+    for (let i = 1; i < length + (closed ? 1 : 0); i++) {
+      const from = anchors[i - 1],
+        to = anchors[i % length],
+        c1 = from.handle,
+        c2 = to.point.scalarMultiply(2).subtract(to.handle);
+      pathData.push(
+        c1.eq(from.point) && c2.eq(to.point)
+          ? ['L', to.point.x, to.point.y]
+          : ['C', c1.x, c1.y, c2.x, c2.y, to.point.x, to.point.y]
+      );
+    }
+    closed && pathData.push(['Z']);
+    return pathData;
+  }
+
+  /**
+   * Creates a Path object to add on canvas
+   * @param {TSimplePathData} pathData Path data
+   * @return {Path} Path to add on canvas
+   */
+  createPath(pathData: TSimplePathData): Path {
+    const path = new Path(pathData, {
+      fill: null,
+      stroke: this.color,
+      strokeWidth: this.width,
+      strokeLineCap: this.strokeLineCap,
+      strokeMiterLimit: this.strokeMiterLimit,
+      strokeLineJoin: this.strokeLineJoin,
+      strokeDashArray: this.strokeDashArray,
+    });
+    if (this.shadow) {
+      this.shadow.affectStroke = true;
+      path.shadow = new Shadow(this.shadow);
+    }
+    return path;
+  }
+
+  /**
+   * Ends the path being drawn, creating a new Path object added to the canvas.
+   * A path with less than 2 anchors is discarded.
+   */
+  _finalizeAndAddPath() {
+    const anchors = this._anchors,
+      closed = this._closing;
+    if (anchors.length < 2) {
+      this.cancel();
+      return;
+    }
+    const pathData = this.convertAnchorsToSVGPath(anchors, closed);
+    this._clear();
+    const path = this.createPath(pathData);
+    this.canvas.clearContext(this.canvas.contextTop);
+    this.canvas.fire('before:path:created', { path: path });
+    this.canvas.add(path);
+    this.canvas.requestRenderAll();
+    path.setCoords();
+
+    // fire event 'path' created
+    this.canvas.fire('path:created', { path: path });
+  }
+}
@@ -3,6 +3,7 @@ import type { Point } from '../Point';
 import { Shadow } from '../Shadow';
 import { Path } from '../shapes/Path';
 import { getSmoothPathFromPoints, joinPath } from '../util/path';
+import { fitCurve } from '../util/path/simplify';
 import type { Canvas } from '../canvas/Canvas';
 import { BaseBrush } from './BaseBrush';
 import type { TSimplePathData } from '../util/path/typedefs';
@@ -24,6 +25,15 @@ export class PencilBrush extends BaseBrush {
    */
   decimate = 0.4;
 
+  /**
+   * When greater than 0, the path is fitted with cubic bezier curves
+   * that are less than `simplifyTolerance` pixel distant from the drawn points,
+   * producing lighter and smoother paths, see {@link fitCurve}
+   * @type Number
+   * @default 0
+   */
+  simplifyTolerance = 0;
+
   /**
    * Draws a straight line between last recorded point to current pointer
    * Used for `shift` functionality
@@ -210,6 +220,16 @@ export class PencilBrush extends BaseBrush {
    * @return {TSimplePathData} SVG path commands
    */
   convertPointsToSVGPath(points: Point[]): TSimplePathData {
+    if (this.simplifyTolerance > 0) {
+      const pathData = fitCurve(
+        points,
+        this.simplifyTolerance / this.canvas.getZoom()
+      );
+      // a dot has no curve to fit
+      if (pathData.length > 1) {
+        return pathData;
+      }
+    }
     const correction = this.width / 1000;
     return getSmoothPathFromPoints(points, correction);
   }
@@ -0,0 +1,479 @@
+import type { Canvas } from '../canvas/Canvas';
+import type { XY } from '../Point';
+import { Point } from '../Point';
+import { Circle } from '../shapes/Circle';
+import { Line } from '../shapes/Line';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { TFabricObjectProps } from '../shapes/Object/types';
+import { Path } from '../shapes/Path';
+import { Polygon } from '../shapes/Polygon';
+import { Rect } from '../shapes/Rect';
+import { getArrowPathData } from '../tools/util';
+import type { TClassProperties } from '../typedefs';
+import { makeBoundingBoxFromPoints } from '../util/misc/boundingBoxFromPoints';
+import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
+import { getSegmentDistance } from '../util/misc/vectors';
+import { transformPath } from '../util/path';
+import { flattenSubpaths } from '../util/path/boolean';
+import { simplifyPoints } from '../util/path/simplify';
+import { CENTER } from '../constants';
+
+export type TRecognizedShape =
+  | { type: 'line'; confidence: number; start: Point; end: Point }
+  | {
+      type: 'arrow';
+      confidence: number;
+      start: Point;
+      end: Point;
+      headLength: number;
+    }
+  | { type: 'circle'; confidence: number; center: Point; radius: number }
+  | {
+      type: 'rect';
+      confidence: number;
+      left: number;
+      top: number;
+      width: number;
+      height: number;
+    }
+  | { type: 'polygon'; confidence: number; points: Point[] };
+
+export type TRecognizedShapeType = TRecognizedShape['type'];
+
+export const shapeRecognizerDefaultValues: Partial<
+  TClassProperties<ShapeRecognizer>
+> = {
+  threshold: 0.8,
+  shapes: ['line', 'arrow', 'circle', 'rect', 'polygon'],
+  closeDistance: 0.2,
+  maxVertices: 8,
+  headAngle: 30,
+};
+
+/**
+ * Number of points a stroke is resampled to, evenly spaced along it, to measure how a shape fits it
+ */
+const SAMPLES = 64;
+
+/**
+ * Mean distance of a stroke from a shape, relative to the size of the stroke, at which the confidence is 0
+ */
+const MAX_ERROR = 0.1;
+
+/**
+ * Confidence a shape must gain over a simpler one to be preferred, e.g. a polygon over a rectangle
+ */
+const PREFERENCE = 0.05;
+
+/**
+ * Tolerance of the simplification finding the vertices of a stroke, relative to the size of the stroke
+ */
+const VERTEX_TOLERANCE = 0.05;
+
+/**
+ * @returns {number} the distance of `point` from the polyline joining `vertices`
+ */
+const getPolylineDistance = (point: Point, vertices: Point[]) =>
+  vertices
+    .slice(1)
+    .reduce(
+      (min, vertex, i) =>
+        Math.min(min, getSegmentDistance(point, vertices[i], vertex)),
+      Infinity
+    );
+
+/**
+ * @returns {Point[]} `count` points evenly spaced along the polyline joining `points`
+ */
+const resample = (points: Point[], count: number) => {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + points[i].distanceFrom(points[i - 1]));
+  }
+  const total = lengths[lengths.length - 1],
+    samples: Point[] = [];
+  for (let i = 0, j = 1; i < count; i++) {
+    const distance = (total * i) / (count - 1);
+    while (j < points.length - 1 && lengths[j] < distance) {
+      j++;
+    }
+    const length = lengths[j] - lengths[j - 1];
+    samples.push(
+      points[j - 1].lerp(
+        points[j],
+        length ? (distance - lengths[j - 1]) / length : 0
+      )
+    );
+  }
+  return samples;
+};
+
+/**
+ * Recognizes rough shapes drawn freehand, e.g. with a {@link PencilBrush}, and replaces them with clean objects:
+ * a {@link Line}, an arrow {@link Path}, a {@link Circle}, a {@link Rect} or a {@link Polygon}.
+ *
+ * Each shape is fitted to the stroke and rated with a confidence from 0 to 1,
+ * the stroke is replaced by the best shape if its confidence reaches {@link threshold}.
+ *
+ * @example
+ * const recognizer = new ShapeRecognizer({ threshold: 0.9 });
+ * // recognize shapes on `path:created`
+ * const detach = recognizer.attach(canvas);
+ * canvas.on('shape:recognized', ({ path, target, shape }) => {});
+ */
+export class ShapeRecognizer {
+  /**
+   * Minimum confidence, from 0 to 1, of a shape for it to replace the stroke
+   * @type Number
+   * @default
+   */
+  declare threshold: number;
+
+  /**
+   * Shapes to recognize, simpler shapes first:
+   * a shape must be more confident than the shapes before it to be recognized
+   * @type Array
+   * @default
+   */
+  declare shapes: TRecognizedShapeType[];
+
+  /**
+   * Maximum distance between the ends of a closed shape, e.g. a circle, relative to the size of the stroke
+   * @type Number
+   * @default
+   */
+  declare closeDistance: number;
+
+  /**
+   * Maximum number of vertices of a recognized polygon
+   * @type Number
+   * @default
+   */
+  declare maxVertices: number;
+
+  /**
+   * Angle in degrees between the line and the sides of the head of a recognized arrow
+   * @type Number
+   * @default
+   */
+  declare headAngle: number;
+
+  static ownDefaults = shapeRecognizerDefaultValues;
+
+  constructor(options: Partial<TClassProperties<ShapeRecognizer>> = {}) {
+    Object.assign(
+      this,
+      (this.constructor as typeof ShapeRecognizer).ownDefaults,
+      options
+    );
+  }
+
+  /**
+   * @param {XY[]} points points of the stroke
+   * @returns {TRecognizedShape | undefined} the shape fitting the stroke best, whatever its confidence
+   */
+  recognize(points: XY[]): TRecognizedShape | undefined {
+    const input = points
+      .map((point) => new Point(point))
+      .filter((point, i, array) => i === 0 || !point.eq(array[i - 1]));
+    if (input.length < 2) {
+      return;
+    }
+    const { width, height } = makeBoundingBoxFromPoints(input),
+      size = Math.sqrt(width * width + height * height),
+      samples = resample(input, SAMPLES),
+      closed =
+        input[0].distanceFrom(input[input.length - 1]) <=
+        this.closeDistance * size;
+    let best: TRecognizedShape | undefined;
+    this.shapes.forEach((type) => {
+      const shape = this._fit(type, input, samples, size, closed);
+      if (shape && (!best || shape.confidence > best.confidence + PREFERENCE)) {
+        best = shape;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * @private
+   * @returns {number} the confidence of a shape which outline is at `getDistance` of the samples
+   */
+  _rate(samples: Point[], size: number, getDistance: (point: Point) => number) {
+    const error =
+      samples.reduce((sum, point) => sum + getDistance(point), 0) /
+      samples.length /
+      size;
+    return Math.max(0, 1 - error / MAX_ERROR);
+  }
+
+  /**
+   * @private
+   * @returns {Point[]} the vertices of the stroke
+   */
+  _findVertices(points: Point[], size: number, closed: boolean) {
+    const tolerance = VERTEX_TOLERANCE * size;
+    if (!closed) {
+      return simplifyPoints(points, tolerance);
+    }
+    const vertices = simplifyPoints([...points, points[0]], tolerance).slice(
+      0,
+      -1
+    );
+    // the start of the stroke is a vertex only if it is a corner
+    vertices.length > 3 &&
+      getSegmentDistance(
+        vertices[0],
+        vertices[vertices.length - 1],
+        vertices[1]
+      ) <= tolerance &&
+      vertices.shift();
+    return vertices;
+  }
+
+  /**
+   * @private
+   * @returns {TRecognizedShape | undefined} the shape of `type` fitting the stroke, if any
+   */
+  _fit(
+    type: TRecognizedShapeType,
+    points: Point[],
+    samples: Point[],
+    size: number,
+    closed: boolean
+  ): TRecognizedShape | undefined {
+    const start = points[0],
+      end = points[points.length - 1];
+    switch (type) {
+      case 'line':
+        return closed
+          ? undefined
+          : {
+              type,
+              confidence: this._rate(samples, size, (point) =>
+                getSegmentDistance(point, start, end)
+              ),
+              start,
+              end,
+            };
+      case 'arrow': {
+        if (closed) {
+          return;
+        }
+        // a shaft and a head drawn in a single stroke: tail, tip, barb, tip, barb
+        const vertices = this._findVertices(points, size, false);
+        if (vertices.length !== 5) {
+          return;
+        }
+        const [tail, tip, barb1, tip2, barb2] = vertices,
+          shaftLength = tail.distanceFrom(tip),
+          maxCos = Math.cos(degreesToRadians(75)),
+          isBarb = (barb: Point, from: Point) => {
+            const back = tail.subtract(tip),
+              side = barb.subtract(from),
+              length = side.distanceFrom(new Point());
+            return (
+              length < shaftLength * 0.6 &&
+              (back.x * side.x + back.y * side.y) / (shaftLength * length) >
+                maxCos
+            );
+          };
+        if (
+          tip.distanceFrom(tip2) > shaftLength * 0.15 ||
+          !isBarb(barb1, tip) ||
+          !isBarb(barb2, tip2)
+        ) {
+          return;
+        }
+        return {
+          type,
+          confidence: this._rate(samples, size, (point) =>
+            getPolylineDistance(point, vertices)
+          ),
+          start: tail,
+          end: tip.midPointFrom(tip2),
+          headLength: (barb1.distanceFrom(tip) + barb2.distanceFrom(tip2)) / 2,
+        };
+      }
+      case 'circle': {
+        if (!closed) {
+          return;
+        }
+        const center = samples
+            .reduce((sum, point) => sum.add(point), new Point())
+            .scalarDivide(samples.length),
+          radius =
+            samples.reduce(
+              (sum, point) => sum + point.distanceFrom(center),
+              0
+            ) / samples.length;
+        return {
+          type,
+          confidence: this._rate(samples, size, (point) =>
+            Math.abs(point.distanceFrom(center) - radius)
+          ),
+          center,
+          radius,
+        };
+      }
+      case 'rect': {
+        if (!closed) {
+          return;
+        }
+        const { left, top, width, height } = makeBoundingBoxFromPoints(points),
+          corners = [
+            new Point(left, top),
+            new Point(left + width, top),
+            new Point(left + width, top + height),
+            new Point(left, top + height),
+            new Point(left, top),
+          ];
+        return {
+          type,
+          confidence: this._rate(samples, size, (point) =>
+            getPolylineDistance(point, corners)
+          ),
+          left,
+          top,
+          width,
+          height,
+        };
+      }
+      case 'polygon': {
+        if (!closed) {
+          return;
+        }
+        const vertices = this._findVertices(points, size, true);
+        if (vertices.length < 3 || vertices.length > this.maxVertices) {
+          return;
+        }
+        const outline = [...vertices, vertices[0]];
+        return {
+          type,
+          confidence: this._rate(samples, size, (point) =>
+            getPolylineDistance(point, outline)
+          ),
+          points: vertices,
+        };
+      }
+    }
+  }
+
+  /**
+   * @param {Path} path a stroke
+   * @returns {Point[]} the points of the stroke in the canvas plane, empty if the path has many subpaths
+   */
+  getStrokePoints(path: Path) {
+    const subpaths = flattenSubpaths(
+      transformPath(path.path, path.calcTransformMatrix(), path.pathOffset),
+      0.5
+    );
+    return subpaths.length === 1 ? subpaths[0].points : [];
+  }
+
+  /**
+   * Creates the object replacing a stroke
+   * @param {TRecognizedShape} shape
+   * @param {TFabricObjectProps} [options] options of the object, e.g. the style of the stroke
+   * @returns {FabricObject}
+   */
+  createObject(
+    shape: TRecognizedShape,
+    options: TFabricObjectProps = {}
+  ): FabricObject {
+    switch (shape.type) {
+      case 'line':
+        return new Line(
+          [shape.start.x, shape.start.y, shape.end.x, shape.end.y],
+          options
+        );
+      case 'arrow':
+        return new Path(
+          getArrowPathData(
+            shape.start,
+            shape.end,
+            shape.headLength,
+            this.headAngle
+          ),
+          options
+        );
+      case 'circle': {
+        const circle = new Circle({ ...options, radius: shape.radius });
+        circle.setPositionByOrigin(shape.center, CENTER, CENTER);
+        return circle;
+      }
+      case 'rect': {
+        const { left, top, width, height } = shape,
+          rect = new Rect({ ...options, width, height });
+        rect.setPositionByOrigin(
+          new Point(left + width / 2, top + height / 2),
+          CENTER,
+          CENTER
+        );
+        return rect;
+      }
+      case 'polygon':
+        return new Polygon(shape.points, options);
+    }
+  }
+
+  /**
+   * Replaces a stroke on canvas with the shape it is recognized as, if it reaches {@link threshold}.
+   * The replacement is recorded as a single history step.
+   * @param {Canvas} canvas
+   * @param {Path} path a stroke added to `canvas`
+   * @returns {FabricObject | undefined} the object replacing the stroke
+   */
+  replace(canvas: Canvas, path: Path) {
+    const index = canvas.getObjects().indexOf(path),
+      shape = index > -1 && this.recognize(this.getStrokePoints(path));
+    if (!shape || shape.confidence < this.threshold) {
+      return;
+    }
+    const {
+        stroke,
+        strokeWidth,
+        strokeDashArray,
+        strokeLineCap,
+        strokeLineJoin,
+        strokeMiterLimit,
+        fill,
+        opacity,
+        shadow,
+        layer,
+      } = path,
+      target = this.createObject(shape, {
+        stroke,
+        strokeWidth,
+        strokeDashArray,
+        strokeLineCap,
+        strokeLineJoin,
+        strokeMiterLimit,
+        fill,
+        opacity,
+        shadow,
+        layer,
+      });
+    canvas.historyManager.transaction(() => {
+      canvas.remove(path);
+      canvas.insertAt(index, target);
+    });
+    target.setCoords();
+    canvas.requestRenderAll();
+    canvas.fire('shape:recognized', { path, target, shape });
+    return target;
+  }
+
+  /**
+   * Recognizes the strokes drawn on `canvas`, replacing them on `path:created`.
+   * The replacement is merged with the history step adding the stroke, drawing a shape is undone at once.
+   * @param {Canvas} canvas
+   * @returns {VoidFunction} a function stopping the recognition
+   */
+  attach(canvas: Canvas) {
+    return canvas.on('path:created', ({ path }) => {
+      path instanceof Path &&
+        canvas.historyManager.amend(() => this.replace(canvas, path));
+    });
+  }
+}
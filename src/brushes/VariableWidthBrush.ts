@@ -0,0 +1,369 @@
+import type { TEvent, TPointerEvent } from '../EventTypeDefs';
+import { Point } from '../Point';
+import { Shadow } from '../Shadow';
+import { Path } from '../shapes/Path';
+import type { Canvas } from '../canvas/Canvas';
+import { BaseBrush } from './BaseBrush';
+import type { TSimplePathData } from '../util/path/typedefs';
+
+/**
+ * Distance of the control points of a cubic bezier curve approximating a quarter of a circle of radius 1
+ */
+const KAPPA = 0.5522847498;
+
+/**
+ * Pressure reported by devices that don't support it, while a button is pressed
+ */
+const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * @returns {number} the pressure of the pointer, from 0 to 1
+ */
+const getPressure = (e: TPointerEvent) => {
+  if ('pressure' in e && e.pointerType !== 'mouse' && e.pressure > 0) {
+    return e.pressure;
+  }
+  const touch = 'touches' in e && e.touches[0];
+  return touch && touch.force > 0 ? touch.force : DEFAULT_PRESSURE;
+};
+
+/**
+ * Draws filled strokes which width varies with the pressure of the pointer and its velocity,
+ * as handwriting with a pen or a brush:
+ * pressing harder makes the stroke wider, moving faster makes it thinner.
+ *
+ * The stroke is drawn as the outline of the variable width line, the created {@link Path} is filled with {@link color}.
+ */
+export class VariableWidthBrush extends BaseBrush {
+  /**
+   * Discard points that are less than `decimate` pixel distant from each other
+   * @type Number
+   * @default 0.4
+   */
+  decimate = 0.4;
+
+  /**
+   * How much the pressure of the pointer affects the width, from 0 to 1.
+   * {@link width} is the width of the stroke at the pressure of a mouse (0.5),
+   * a pressure of 1 makes it `1 + pressureSensitivity` wider.
+   * @type Number
+   * @default
+   */
+  pressureSensitivity = 1;
+
+  /**
+   * How much the velocity of the pointer, in pixels per millisecond, thins the stroke.
+   * The width is divided by `1 + velocitySensitivity * velocity`
+   * @type Number
+   * @default
+   */
+  velocitySensitivity = 0.3;
+
+  /**
+   * Smoothing of the width along the stroke, from 0 to 1, higher values make the width change slower
+   * @type Number
+   * @default
+   */
+  smoothing = 0.6;
+
+  /**
+   * Minimum width of the stroke
+   * @type Number
+   * @default
+   */
+  minWidth = 0.5;
+
+  private declare _points: Point[];
+  private declare _widths: number[];
+  private declare _lastTime: number;
+  private declare _velocity: number;
+
+  constructor(canvas: Canvas) {
+    super(canvas);
+    this._points = [];
+    this._widths = [];
+  }
+
+  /**
+   * Invoked on mouse down
+   * @param {Point} pointer
+   */
+  onMouseDown(pointer: Point, { e }: TEvent) {
+    if (!this.canvas._isMainEvent(e)) {
+      return;
+    }
+    this._reset();
+    this._addPoint(pointer, e);
+    this._render();
+  }
+
+  /**
+   * Invoked on mouse move
+   * @param {Point} pointer
+   */
+  onMouseMove(pointer: Point, { e }: TEvent) {
+    if (!this.canvas._isMainEvent(e) || !this._points.length) {
+      return;
+    }
+    if (this.limitedToCanvasSize === true && this._isOutSideCanvas(pointer)) {
+      return;
+    }
+    if (this._addPoint(pointer, e)) {
+      this.canvas.clearContext(this.canvas.contextTop);
+      this._render();
+    }
+  }
+
+  /**
+   * Invoked on mouse up
+   */
+  onMouseUp({ e }: TEvent) {
+    if (!this.canvas._isMainEvent(e)) {
+      return true;
+    }
+    this._finalizeAndAddPath();
+    return false;
+  }
+
+  /**
+   * Records a point and the width of the stroke at it
+   * @private
+   * @param {Point} point
+   * @param {TPointerEvent} e
+   * @returns {boolean} false if the point is discarded
+   */
+  _addPoint(point: Point, e: TPointerEvent) {
+    const points = this._points,
+      last = points[points.length - 1],
+      time = e.timeStamp || Date.now();
+    if (last) {
+      const distance = last.distanceFrom(point);
+      if (distance < this.decimate / this.canvas.getZoom() || !distance) {
+        return false;
+      }
+      const velocity = distance / Math.max(time - this._lastTime, 1);
+      this._velocity =
+        this.smoothing * this._velocity + (1 - this.smoothing) * velocity;
+    }
+    const width = Math.max(
+        (this.width *
+          (1 + this.pressureSensitivity * (2 * getPressure(e) - 1))) /
+          (1 + this.velocitySensitivity * this._velocity),
+        this.minWidth
+      ),
+      widths = this._widths;
+    widths.push(
+      widths.length
+        ? this.smoothing * widths[widths.length - 1] +
+            (1 - this.smoothing) * width
+        : width
+    );
+    points.push(point);
+    this._lastTime = time;
+    return true;
+  }
+
+  /**
+   * Clear points array and set contextTop canvas style.
+   * @private
+   */
+  _reset() {
+    this._points = [];
+    this._widths = [];
+    this._velocity = 0;
+    this._setShadow();
+  }
+
+  /**
+   * Draw the outline of the stroke on the topCanvas
+   * @private
+   * @param {CanvasRenderingContext2D} [ctx]
+   */
+  _render(ctx: CanvasRenderingContext2D = this.canvas.contextTop) {
+    if (!this._points.length) {
+      return;
+    }
+    this._saveAndTransform(ctx);
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    this.convertPointsToSVGPath(this._points, this._widths).forEach(
+      (command) => {
+        switch (command[0]) {
+          case 'M':
+            ctx.moveTo(command[1], command[2]);
+            break;
+          case 'L':
+            ctx.lineTo(command[1], command[2]);
+            break;
+          case 'Q':
+            ctx.quadraticCurveTo(
+              command[1],
+              command[2],
+              command[3],
+              command[4]
+            );
+            break;
+          case 'C':
+            ctx.bezierCurveTo(
+              command[1],
+              command[2],
+              command[3],
+              command[4],
+              command[5],
+              command[6]
+            );
+            break;
+          case 'Z':
+            ctx.closePath();
+            break;
+        }
+      }
+    );
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Converts points and the width of the stroke at each of them to the outline of the stroke,
+   * sides are smoothed with quadratic curves and ends are rounded
+   * @param {Point[]} points
+   * @param {number[]} widths
+   * @return {TSimplePathData} SVG path commands
+   */
+  convertPointsToSVGPath(points: Point[], widths: number[]): TSimplePathData {
+    const length = points.length;
+    if (length === 1) {
+      return this._getDot(points[0], widths[0] / 2);
+    }
+    const left: Point[] = [],
+      right: Point[] = [],
+      tangents: Point[] = [];
+    points.forEach((point, i) => {
+      const direction = points[Math.min(i + 1, length - 1)].subtract(
+          points[Math.max(i - 1, 0)]
+        ),
+        norm = direction.distanceFrom(new Point());
+      // points meeting on a turn back have no tangent
+      const tangent = norm
+        ? direction.scalarDivide(norm)
+        : tangents[i - 1] || new Point(1, 0);
+      const normal = new Point(-tangent.y, tangent.x).scalarMultiply(
+        widths[i] / 2
+      );
+      tangents.push(tangent);
+      left.push(point.add(normal));
+      right.push(point.subtract(normal));
+    });
+    const pathData: TSimplePathData = [['M', left[0].x, left[0].y]];
+    this._addSide(pathData, left);
+    this._addCap(
+      pathData,
+      points[length - 1],
+      tangents[length - 1],
+      widths[length - 1] / 2,
+      1
+    );
+    this._addSide(pathData, right.reverse());
+    this._addCap(pathData, points[0], tangents[0], widths[0] / 2, -1);
+    pathData.push(['Z']);
+    return pathData;
+  }
+
+  /**
+   * Smooths a side of the outline with quadratic curves ending at the middle of consecutive points
+   * @private
+   */
+  _addSide(pathData: TSimplePathData, side: Point[]) {
+    for (let i = 1; i < side.length - 1; i++) {
+      const midPoint = side[i].midPointFrom(side[i + 1]);
+      pathData.push(['Q', side[i].x, side[i].y, midPoint.x, midPoint.y]);
+    }
+    const last = side[side.length - 1];
+    pathData.push(['L', last.x, last.y]);
+  }
+
+  /**
+   * Adds a half circle around `center` going from a side of the outline to the other
+   * @private
+   * @param {TSimplePathData} pathData
+   * @param {Point} center
+   * @param {Point} tangent direction of the stroke at `center`
+   * @param {number} radius
+   * @param {1 | -1} direction 1 for the end cap, -1 for the start cap
+   */
+  _addCap(
+    pathData: TSimplePathData,
+    center: Point,
+    tangent: Point,
+    radius: number,
+    direction: 1 | -1
+  ) {
+    const forward = tangent.scalarMultiply(direction * radius),
+      normal = new Point(-forward.y, forward.x),
+      from = center.add(normal),
+      tip = center.add(forward),
+      to = center.subtract(normal),
+      c1 = from.add(forward.scalarMultiply(KAPPA)),
+      c2 = tip.add(normal.scalarMultiply(KAPPA)),
+      c3 = tip.subtract(normal.scalarMultiply(KAPPA)),
+      c4 = to.add(forward.scalarMultiply(KAPPA));
+    pathData.push(
+      ['C', c1.x, c1.y, c2.x, c2.y, tip.x, tip.y],
+      ['C', c3.x, c3.y, c4.x, c4.y, to.x, to.y]
+    );
+  }
+
+  /**
+   * @private
+   * @returns {TSimplePathData} a circle drawn when the pointer doesn't move
+   */
+  _getDot(center: Point, radius: number): TSimplePathData {
+    const pathData: TSimplePathData = [['M', center.x, center.y + radius]];
+    this._addCap(pathData, center, new Point(1, 0), radius, 1);
+    this._addCap(pathData, center, new Point(1, 0), radius, -1);
+    pathData.push(['Z']);
+    return pathData;
+  }
+
+  /**
+   * Creates a Path object to add on canvas
+   * @param {TSimplePathData} pathData Path data
+   * @return {Path} Path to add on canvas
+   */
+  createPath(pathData: TSimplePathData): Path {
+    const path = new Path(pathData, {
+      fill: this.color,
+      stroke: null,
+      strokeWidth: 0,
+    });
+    if (this.shadow) {
+      path.shadow = new Shadow(this.shadow);
+    }
+    return path;
+  }
+
+  /**
+   * On mouseup after drawing the stroke on contextTop canvas
+   * we use the points captured to create an new Path object
+   * and add it to the canvas.
+   */
+  _finalizeAndAddPath() {
+    if (!this._points.length) {
+      return;
+    }
+    const path = this.createPath(
+      this.convertPointsToSVGPath(this._points, this._widths)
+    );
+    this._points = [];
+    this._widths = [];
+    this.canvas.clearContext(this.canvas.contextTop);
+    this.canvas.fire('before:path:created', { path: path });
+    this.canvas.add(path);
+    this.canvas.requestRenderAll();
+    path.setCoords();
+    this._resetShadow();
+
+    // fire event 'path' created
+    this.canvas.fire('path:created', { path: path });
+  }
+}
@@ -0,0 +1,298 @@
+import { CENTER } from '../constants';
+import type { TEvent } from '../EventTypeDefs';
+import { Point } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import { paintProperties } from '../shapes/Object/FabricObject';
+import { Shadow } from '../Shadow';
+import { Path } from '../shapes/Path';
+import { Polygon } from '../shapes/Polygon';
+import { Polyline } from '../shapes/Polyline';
+import { invertTransform, transformPoint } from '../util/misc/matrix';
+import { pick } from '../util/misc/pick';
+import { getSegmentDistance } from '../util/misc/vectors';
+import { erasePath } from '../util/path/erasePath';
+import type { TSimplePathData } from '../util/path/typedefs';
+import type { Canvas } from '../canvas/Canvas';
+import { BaseBrush } from './BaseBrush';
+
+/**
+ * - `split` cuts the strokes where the eraser passes
+ * - `whole` removes the strokes the eraser touches
+ */
+export type TVectorEraserMode = 'split' | 'whole';
+
+/**
+ * Erases strokes, {@link Path} and {@link Polyline} objects, by changing their geometry:
+ * strokes are cut in pieces where the eraser passes or removed entirely when touched, see {@link mode}.
+ *
+ * Unlike erasing with a mask, erased strokes stay as light as drawn and export as plain shapes to SVG.
+ * A stroke that is cut is replaced by its pieces, each one a new object with the style and the transform of the stroke.
+ * Erasing from mouse down to mouse up is recorded as a single history step,
+ * the step ends on the next mouse up of the canvas even if the brush was swapped or drawing mode was turned off meanwhile.
+ */
+export class VectorEraserBrush extends BaseBrush {
+  /**
+   * `split` to cut the strokes where the eraser passes, `whole` to remove the strokes the eraser touches
+   * @type {TVectorEraserMode}
+   * @default
+   */
+  mode: TVectorEraserMode = 'split';
+
+  /**
+   * Width of the eraser
+   * @type Number
+   * @default
+   */
+  width = 10;
+
+  /**
+   * Color of the trail of the eraser
+   * @type String
+   * @default
+   */
+  color = 'rgba(0, 0, 0, 0.2)';
+
+  private declare _points: Point[];
+
+  /**
+   * Disposes the listener ending the open stroke, defined while a stroke is open
+   */
+  private declare _disposeStroke?: VoidFunction;
+
+  constructor(canvas: Canvas) {
+    super(canvas);
+    this._points = [];
+  }
+
+  /**
+   * Override to exclude objects from erasing
+   * @param {FabricObject} object
+   * @returns {boolean} true if `object` can be erased
+   */
+  isErasable(object: FabricObject): object is Path | Polyline {
+    return (
+      (object instanceof Path || object instanceof Polyline) && object.visible
+    );
+  }
+
+  /**
+   * Invoked on mouse down
+   * @param {Point} pointer
+   */
+  onMouseDown(pointer: Point, { e }: TEvent) {
+    if (!this.canvas._isMainEvent(e)) {
+      return;
+    }
+    this._disposeStroke || this._startStroke();
+    this._points = [pointer];
+    this._eraseInStroke(pointer, pointer);
+    this._render();
+  }
+
+  /**
+   * Invoked on mouse move
+   * @param {Point} pointer
+   */
+  onMouseMove(pointer: Point, { e }: TEvent) {
+    const points = this._points,
+      last = points[points.length - 1];
+    if (!this.canvas._isMainEvent(e) || !last || last.eq(pointer)) {
+      return;
+    }
+    if (this.limitedToCanvasSize === true && this._isOutSideCanvas(pointer)) {
+      return;
+    }
+    points.push(pointer);
+    this._eraseInStroke(last, pointer);
+    this.canvas.clearContext(this.canvas.contextTop);
+    this._render();
+  }
+
+  /**
+   * Invoked on mouse up
+   */
+  onMouseUp({ e }: TEvent) {
+    this._endStroke();
+    if (!this.canvas._isMainEvent(e)) {
+      return true;
+    }
+    this.canvas.clearContext(this.canvas.contextTop);
+    this.canvas.requestRenderAll();
+    return false;
+  }
+
+  /**
+   * Opens the history transaction of a stroke,
+   * closed by the next mouse up of the canvas whether the brush handles it or not
+   * @private
+   */
+  _startStroke() {
+    const canvas = this.canvas;
+    canvas.historyManager.startTransaction();
+    this._disposeStroke = canvas.on('mouse:up', () => this._endStroke());
+  }
+
+  /**
+   * Closes the history transaction of the open stroke, if any
+   * @private
+   */
+  _endStroke() {
+    if (!this._disposeStroke) {
+      return;
+    }
+    this._disposeStroke();
+    delete this._disposeStroke;
+    this._points = [];
+    this.canvas.historyManager.endTransaction();
+  }
+
+  /**
+   * Erases as part of the open stroke, the stroke is ended if erasing fails
+   * @private
+   * @param {Point} from
+   * @param {Point} to
+   */
+  _eraseInStroke(from: Point, to: Point) {
+    try {
+      this._erase(from, to);
+    } catch (error) {
+      this._endStroke();
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {TSimplePathData} the commands of a stroke in its own plane
+   */
+  _getPathData(object: Path | Polyline): TSimplePathData {
+    if (object instanceof Path) {
+      return object.path;
+    }
+    const pathData: TSimplePathData = object.points.map(
+      ({ x, y }, i): TSimplePathData[number] => [i ? 'L' : 'M', x, y]
+    );
+    object instanceof Polygon && pathData.push(['Z']);
+    return pathData;
+  }
+
+  /**
+   * Creates a piece of an erased stroke, with the style and the transform of the stroke
+   * @param {Path | Polyline} object the erased stroke
+   * @param {TSimplePathData} pathData the commands of the piece in the plane of the stroke
+   * @returns {FabricObject}
+   */
+  createPiece(object: Path | Polyline, pathData: TSimplePathData) {
+    const options = {
+        ...pick(
+          object as FabricObject,
+          paintProperties as unknown as (keyof FabricObject)[]
+        ),
+        shadow: object.shadow ? new Shadow(object.shadow) : null,
+        clipPath: object.clipPath,
+        layer: object.layer,
+        scaleX: object.scaleX,
+        scaleY: object.scaleY,
+        angle: object.angle,
+        skewX: object.skewX,
+        skewY: object.skewY,
+        flipX: object.flipX,
+        flipY: object.flipY,
+        originX: object.originX,
+        originY: object.originY,
+      },
+      piece =
+        object instanceof Path
+          ? new Path(pathData, options)
+          : new Polyline(
+              pathData.map(
+                (command) =>
+                  new Point(command[1] as number, command[2] as number)
+              ),
+              options
+            );
+    // pieces are in the plane of the stroke while they are centered on their bounding box
+    piece.setPositionByOrigin(
+      transformPoint(
+        piece.pathOffset.subtract(object.pathOffset),
+        object.calcTransformMatrix()
+      ),
+      CENTER,
+      CENTER
+    );
+    return piece;
+  }
+
+  /**
+   * Erases the strokes the eraser touches moving from `from` to `to`
+   * @private
+   * @param {Point} from
+   * @param {Point} to
+   */
+  _erase(from: Point, to: Point) {
+    const canvas = this.canvas,
+      radius = this.width / 2;
+    (canvas.getObjects() as FabricObject[]).forEach((object) => {
+      if (!this.isErasable(object)) {
+        return;
+      }
+      const { left, top, width, height } = object.getBoundingRect(true, true);
+      if (
+        Math.max(from.x, to.x) + radius < left ||
+        Math.min(from.x, to.x) - radius > left + width ||
+        Math.max(from.y, to.y) + radius < top ||
+        Math.min(from.y, to.y) - radius > top + height
+      ) {
+        return;
+      }
+      // the eraser is moved to the plane of the stroke
+      const matrix = object.calcTransformMatrix(),
+        inverse = invertTransform(matrix),
+        scale = Math.sqrt(
+          Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])
+        ),
+        a = transformPoint(from, inverse).add(object.pathOffset),
+        b = transformPoint(to, inverse).add(object.pathOffset),
+        distance =
+          radius / scale + (this.mode === 'whole' ? object.strokeWidth / 2 : 0),
+        pieces = erasePath(
+          this._getPathData(object),
+          (point) => getSegmentDistance(point, a, b) <= distance,
+          distance / 2
+        );
+      if (!pieces) {
+        return;
+      }
+      const targets =
+          this.mode === 'split'
+            ? pieces.map((pathData) => this.createPiece(object, pathData))
+            : [],
+        index = canvas.getObjects().indexOf(object);
+      canvas.remove(object);
+      canvas.insertAt(index, ...targets);
+      targets.forEach((target) => target.setCoords());
+      canvas.fire('object:erased', { target: object, pieces: targets });
+    });
+  }
+
+  /**
+   * Draws the trail of the eraser on the top context
+   * @private
+   * @param {CanvasRenderingContext2D} [ctx]
+   */
+  _render(ctx: CanvasRenderingContext2D = this.canvas.contextTop) {
+    const points = this._points;
+    if (!points.length) {
+      return;
+    }
+    this._saveAndTransform(ctx);
+    this._setBrushStyles(ctx);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.forEach(({ x, y }) => ctx.lineTo(x, y));
+    // a single point is drawn as a dot
+    points.length === 1 && ctx.lineTo(points[0].x + 0.01, points[0].y);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -1,5 +1,6 @@
 import { LEFT_CLICK, MIDDLE_CLICK, NONE, RIGHT_CLICK } from '../constants';
 import type {
+  BaseFabricObject,
   CanvasEvents,
   DragEventData,
   ObjectEvents,
@@ -21,6 +22,9 @@ import {
 } from '../util/typeAssertions';
 import { SelectableCanvas } from './SelectableCanvas';
 import { TextEditingManager } from './TextEditingManager';
+import { HistoryManager } from './HistoryManager';
+import { CollaborationManager } from './collaboration/CollaborationManager';
+import { SnappingManager } from './SnappingManager';
 
 const addEventOptions = { passive: false } as EventListenerOptions;
 
@@ -117,6 +121,31 @@ export class Canvas extends SelectableCanvas {
 
   textEditingManager = new TextEditingManager(this);
 
+  /**
+   * When `true`, changes made to the canvas and its objects are recorded by {@link historyManager}
+   * and can be reverted with {@link undo} and {@link redo}
+   * @type Boolean
+   * @default
+   */
+  declare enableHistory: boolean;
+
+  historyManager = new HistoryManager(this);
+
+  /**
+   * Streams changes to the peers of a collaboration session once connected,
+   * see {@link CollaborationManager#connect}
+   */
+  collaborationManager = new CollaborationManager(this);
+
+  /**
+   * When `true`, objects transformed by the user snap to other objects, see {@link snappingManager}
+   * @type Boolean
+   * @default
+   */
+  declare enableSnapping: boolean;
+
+  snappingManager = new SnappingManager(this);
+
   constructor(el: string | HTMLCanvasElement, options = {}) {
     super(el, options);
     // bind event handlers
@@ -816,6 +845,11 @@ export class Canvas extends SelectableCanvas {
       return;
     }
 
+    if (this.activeTool && this._isCurrentlyDrawing) {
+      this._onMouseUpInToolMode(e);
+      return;
+    }
+
     if (!this._isMainEvent(e)) {
       return;
     }
@@ -985,6 +1019,9 @@ export class Canvas extends SelectableCanvas {
     }
 
     target.setCoords();
+    this.snappingManager.clearGuides();
+    this.historyManager.onTransformEnd(transform);
+    this.collaborationManager.onTransformEnd(transform);
 
     if (transform.actionPerformed) {
       this.fire('object:modified', options);
@@ -992,6 +1029,82 @@ export class Canvas extends SelectableCanvas {
     }
   }
 
+  /**
+   * Adding many objects at once is recorded as a single history step
+   */
+  add(...objects: BaseFabricObject[]) {
+    return this.historyManager.transaction(() => super.add(...objects));
+  }
+
+  /**
+   * Inserting many objects at once is recorded as a single history step
+   */
+  insertAt(index: number, ...objects: BaseFabricObject[]) {
+    return this.historyManager.transaction(() =>
+      super.insertAt(index, ...objects)
+    );
+  }
+
+  /**
+   * Removing many objects at once is recorded as a single history step
+   */
+  remove(...objects: BaseFabricObject[]) {
+    return this.historyManager.transaction(() => super.remove(...objects));
+  }
+
+  /**
+   * @private
+   * @param {FabricObject} obj Object that was added
+   */
+  _onObjectAdded(obj: FabricObject) {
+    super._onObjectAdded(obj);
+    this.historyManager.onObjectAdded(obj);
+    this.collaborationManager.onObjectAdded(obj);
+  }
+
+  /**
+   * @private
+   * @param {FabricObject} obj Object that was removed
+   */
+  _onObjectRemoved(obj: FabricObject) {
+    super._onObjectRemoved(obj);
+    this.historyManager.onObjectRemoved(obj);
+    this.collaborationManager.onObjectRemoved(obj);
+  }
+
+  /**
+   * @private
+   * @param {FabricObject} obj Object that was moved in the stack
+   */
+  _onStackOrderChanged(obj: FabricObject) {
+    super._onStackOrderChanged(obj);
+    this.historyManager.onStackOrderChanged(obj);
+    this.collaborationManager.onStackOrderChanged(obj);
+  }
+
+  /**
+   * Reverts the last recorded change, see {@link historyManager}
+   * @returns {boolean} true if a change was reverted
+   */
+  undo() {
+    return this.historyManager.undo();
+  }
+
+  /**
+   * Reapplies the last reverted change, see {@link historyManager}
+   * @returns {boolean} true if a change was reapplied
+   */
+  redo() {
+    return this.historyManager.redo();
+  }
+
+  /**
+   * @returns {Point} the pointer passed to {@link freeDrawingBrush}, snapped to the {@link grid}
+   */
+  protected getDrawingPointer(e: TPointerEvent) {
+    return this.snappingManager.snapPointToGrid(e, this.getPointer(e));
+  }
+
   /**
    * @private
    * @param {Event} e Event object fired on mousedown
@@ -1002,7 +1115,7 @@ export class Canvas extends SelectableCanvas {
       this.discardActiveObject(e);
       this.requestRenderAll();
     }
-    const pointer = this.getPointer(e);
+    const pointer = this.getDrawingPointer(e);
     this.freeDrawingBrush &&
       this.freeDrawingBrush.onMouseDown(pointer, { e, pointer });
     this._handleEvent(e, 'down');
@@ -1014,7 +1127,7 @@ export class Canvas extends SelectableCanvas {
    */
   _onMouseMoveInDrawingMode(e: TPointerEvent) {
     if (this._isCurrentlyDrawing) {
-      const pointer = this.getPointer(e);
+      const pointer = this.getDrawingPointer(e);
       this.freeDrawingBrush &&
         this.freeDrawingBrush.onMouseMove(pointer, {
           e,
@@ -1030,7 +1143,7 @@ export class Canvas extends SelectableCanvas {
    * @param {Event} e Event object fired on mouseup
    */
   _onMouseUpInDrawingMode(e: TPointerEvent) {
-    const pointer = this.getPointer(e);
+    const pointer = this.getDrawingPointer(e);
     if (this.freeDrawingBrush) {
       this._isCurrentlyDrawing = !!this.freeDrawingBrush.onMouseUp({
         e: e,
@@ -1042,6 +1155,45 @@ export class Canvas extends SelectableCanvas {
     this._handleEvent(e, 'up');
   }
 
+  /**
+   * @private
+   * @param {Event} e Event object fired on mousedown
+   */
+  _onMouseDownInToolMode(e: TPointerEvent) {
+    this._isCurrentlyDrawing = true;
+    if (this.getActiveObject()) {
+      this.discardActiveObject(e);
+      this.requestRenderAll();
+    }
+    const pointer = this.getDrawingPointer(e);
+    this.activeTool && this.activeTool.onMouseDown(pointer, { e, pointer });
+    this._handleEvent(e, 'down');
+  }
+
+  /**
+   * @private
+   * @param {Event} e Event object fired on mousemove
+   */
+  _onMouseMoveInToolMode(e: TPointerEvent) {
+    if (this._isCurrentlyDrawing) {
+      const pointer = this.getDrawingPointer(e);
+      this.activeTool && this.activeTool.onMouseMove(pointer, { e, pointer });
+    }
+    this.setCursor(this.toolCursor);
+    this._handleEvent(e, 'move');
+  }
+
+  /**
+   * @private
+   * @param {Event} e Event object fired on mouseup
+   */
+  _onMouseUpInToolMode(e: TPointerEvent) {
+    const pointer = this.getDrawingPointer(e);
+    this._isCurrentlyDrawing =
+      !!this.activeTool && !!this.activeTool.onMouseUp({ e, pointer });
+    this._handleEvent(e, 'up');
+  }
+
   /**
    * Method that defines the actions when mouse is clicked on canvas.
    * The method inits the currentTransform parameters and renders all the
@@ -1075,6 +1227,11 @@ export class Canvas extends SelectableCanvas {
       return;
     }
 
+    if (this.activeTool) {
+      this._onMouseDownInToolMode(e);
+      return;
+    }
+
     if (!this._isMainEvent(e)) {
       return;
     }
@@ -1086,12 +1243,15 @@ export class Canvas extends SelectableCanvas {
 
     let shouldRender = this._shouldRender(target);
     let grouped = false;
+    // a lasso changing the current selection keeps it until mouse up
+    const lassoOperation =
+      !target || !target.selectable ? this._getLassoOperation(e) : undefined;
     if (this.handleMultiSelection(e, target)) {
       // active object might have changed while grouping
       target = this._activeObject;
       grouped = true;
       shouldRender = true;
-    } else if (this._shouldClearSelection(e, target)) {
+    } else if (!lassoOperation && this._shouldClearSelection(e, target)) {
       this.discardActiveObject(e);
     }
     // we start a group selector rectangle if
@@ -1114,6 +1274,10 @@ export class Canvas extends SelectableCanvas {
         deltaY: 0,
         deltaX: 0,
       };
+      if (this.selectionMode === 'lasso') {
+        this._groupSelector.points = [p];
+        lassoOperation && (this._groupSelector.operation = lassoOperation);
+      }
     }
 
     if (target) {
@@ -1174,6 +1338,7 @@ export class Canvas extends SelectableCanvas {
    */
   _beforeTransform(e: TPointerEvent) {
     const t = this._currentTransform!;
+    this.historyManager.onTransformStart(t);
     this.fire('before:transform', {
       e,
       transform: t,
@@ -1199,6 +1364,11 @@ export class Canvas extends SelectableCanvas {
       return;
     }
 
+    if (this.activeTool) {
+      this._onMouseMoveInToolMode(e);
+      return;
+    }
+
     if (!this._isMainEvent(e)) {
       return;
     }
@@ -1211,6 +1381,7 @@ export class Canvas extends SelectableCanvas {
 
       groupSelector.deltaX = pointer.x - groupSelector.x;
       groupSelector.deltaY = pointer.y - groupSelector.y;
+      groupSelector.points && groupSelector.points.push(pointer);
 
       this.renderTop();
     } else if (!this._currentTransform) {
@@ -1392,6 +1563,8 @@ export class Canvas extends SelectableCanvas {
     let actionPerformed = false;
     // this object could be created from the function in the control handlers
 
+    // guides are collected again by the action handler
+    this.snappingManager.clearGuides();
     if (actionHandler) {
       actionPerformed = actionHandler(e, transform, x, y);
     }
@@ -1538,6 +1711,9 @@ export class Canvas extends SelectableCanvas {
     if (!this.selection || !this._groupSelector) {
       return false;
     }
+    if (this._groupSelector.points) {
+      return this.handleLassoSelection(e);
+    }
     const { x, y, deltaX, deltaY } = this._groupSelector,
       point1 = new Point(x, y),
       point2 = point1.add(new Point(deltaX, deltaY)),
@@ -1554,6 +1730,8 @@ export class Canvas extends SelectableCanvas {
         height: size.y,
       },
       { includeIntersecting: !this.selectionFullyContained }
+    ).filter((object) =>
+      this.isLayerInteractive(object as FabricObject)
     ) as FabricObject[];
 
     const objects = isClick
@@ -1580,19 +1758,101 @@ export class Canvas extends SelectableCanvas {
   }
 
   /**
-   * @override clear {@link textEditingManager}
+   * ## Handles lasso selection
+   * - selects objects that are contained in (and possibly intersecting) the lasso polygon,
+   * adds them to or removes them from the current selection depending on the lasso operation
+   * - sets the active object
+   * ---
+   * runs on mouse up, see {@link selectionMode}
+   */
+  protected handleLassoSelection(e: TPointerEvent) {
+    const { points = [], operation } = this._groupSelector!,
+      prevActiveObjects = this.getActiveObjects(),
+      collectedObjects =
+        points.length > 2
+          ? (this.queryObjects({
+              polygon: points,
+              mode: this.selectionFullyContained ? 'contain' : 'intersect',
+              filter: (object) =>
+                object.selectable && this.isLayerInteractive(object),
+            }) as FabricObject[])
+          : [],
+      objects =
+        operation === 'subtract'
+          ? prevActiveObjects.filter(
+              (object) => !collectedObjects.includes(object)
+            )
+          : [
+              ...(operation === 'add' ? prevActiveObjects : []),
+              ...collectedObjects.filter(
+                (object) =>
+                  !prevActiveObjects.includes(object) && !object.onSelect({ e })
+              ),
+            ],
+      activeSelection = this._activeSelection;
+
+    if (objects.length === 0) {
+      prevActiveObjects.length > 0 && this.discardActiveObject(e);
+    } else if (objects.length === 1) {
+      this.setActiveObject(objects[0], e);
+    } else if (this._activeObject === activeSelection) {
+      // update the active selection in place
+      activeSelection.remove(
+        ...prevActiveObjects.filter((object) => !objects.includes(object))
+      );
+      activeSelection.multiSelectAdd(
+        ...objects.filter((object) => !prevActiveObjects.includes(object))
+      );
+      this._fireSelectionEvents(prevActiveObjects, e);
+    } else {
+      // add to active selection and make it the active object
+      activeSelection.multiSelectAdd(...objects);
+      this.setActiveObject(activeSelection, e);
+    }
+
+    // cleanup
+    this._groupSelector = null;
+    return true;
+  }
+
+  /**
+   * @override render the guides of {@link snappingManager}
+   */
+  renderAll() {
+    super.renderAll();
+    // the top context is cleared by the render
+    this.snappingManager.hasGuides() && this.renderTop();
+  }
+
+  /**
+   * @override render the guides of {@link snappingManager}
+   */
+  renderTopLayer(ctx: CanvasRenderingContext2D): void {
+    super.renderTopLayer(ctx);
+    if (this.snappingManager.hasGuides()) {
+      this.snappingManager.render(ctx);
+      this.contextTopDirty = true;
+    }
+  }
+
+  /**
+   * @override clear {@link textEditingManager} and {@link historyManager}
    */
   clear() {
     this.textEditingManager.clear();
-    super.clear();
+    this.historyManager.pause(() => super.clear());
+    this.historyManager.clear();
   }
 
   /**
-   * @override clear {@link textEditingManager}
+   * @override dispose {@link textEditingManager}, {@link historyManager}, {@link collaborationManager} and {@link snappingManager}
    */
   destroy() {
     this.removeListeners();
     this.textEditingManager.dispose();
+    this.historyManager.dispose();
+    this.collaborationManager.dispose();
+    this.snappingManager.dispose();
     super.destroy();
   }
 }
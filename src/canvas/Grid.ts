@@ -0,0 +1,332 @@
+import type { XY } from '../Point';
+import { Point } from '../Point';
+import type { SupportedSVGUnit, TClassProperties } from '../typedefs';
+import { parseUnit } from '../util/misc/svgParsing';
+import { toFixed } from '../util/misc/toFixed';
+import type { StaticCanvas } from './StaticCanvas';
+
+export type TGridUnit = 'px' | Exclude<SupportedSVGUnit, 'em'>;
+
+type TGridLine = {
+  /**
+   * position in the canvas plane
+   */
+  value: number;
+  /**
+   * position in the screen plane
+   */
+  position: number;
+  major: boolean;
+};
+
+export const gridDefaultValues: Partial<TClassProperties<Grid>> = {
+  unit: 'px',
+  size: 10,
+  majorEvery: 10,
+  minSpacing: 8,
+  showLines: true,
+  minorColor: 'rgba(0, 0, 0, 0.08)',
+  majorColor: 'rgba(0, 0, 0, 0.2)',
+  lineWidth: 1,
+  showRulers: false,
+  rulerSize: 20,
+  rulerBackgroundColor: 'rgb(245, 245, 245)',
+  rulerColor: 'rgb(120, 120, 120)',
+  fontSize: 10,
+  fontFamily: 'sans-serif',
+  snapToGrid: false,
+  excludeFromExport: true,
+};
+
+/**
+ * Grid and rulers rendered by the canvas, see {@link StaticCanvas#grid}.
+ * Lines are rendered below objects, rulers above them, both respect the viewport transform.
+ * When lines get too dense because of zoom, the grid spacing is multiplied by {@link majorEvery}.
+ *
+ * Objects transformed by the user and points of free drawing and of polyline controls
+ * snap to the grid if {@link snapToGrid} is `true`, see {@link SnappingManager}.
+ *
+ * @example
+ * canvas.grid = new Grid({ unit: 'mm', size: 1, showRulers: true, snapToGrid: true });
+ * canvas.requestRenderAll();
+ */
+export class Grid {
+  /**
+   * Unit of {@link size} and of ruler labels, converted to pixels by {@link config.DPI}
+   * @type String
+   * @default
+   */
+  declare unit: TGridUnit;
+
+  /**
+   * Distance between minor lines, in {@link unit}
+   * @type Number
+   * @default
+   */
+  declare size: number;
+
+  /**
+   * Amount of minor spacings between major lines
+   * @type Number
+   * @default
+   */
+  declare majorEvery: number;
+
+  /**
+   * Min distance in screen pixels between minor lines
+   * @type Number
+   * @default
+   */
+  declare minSpacing: number;
+
+  /**
+   * @type Boolean
+   * @default
+   */
+  declare showLines: boolean;
+
+  /**
+   * @type String
+   * @default
+   */
+  declare minorColor: string;
+
+  /**
+   * @type String
+   * @default
+   */
+  declare majorColor: string;
+
+  /**
+   * Width of lines in screen pixels
+   * @type Number
+   * @default
+   */
+  declare lineWidth: number;
+
+  /**
+   * Render rulers along the top and left sides of the canvas
+   * @type Boolean
+   * @default
+   */
+  declare showRulers: boolean;
+
+  /**
+   * Thickness of rulers in screen pixels
+   * @type Number
+   * @default
+   */
+  declare rulerSize: number;
+
+  /**
+   * @type String
+   * @default
+   */
+  declare rulerBackgroundColor: string;
+
+  /**
+   * Color of ruler ticks and labels
+   * @type String
+   * @default
+   */
+  declare rulerColor: string;
+
+  /**
+   * @type Number
+   * @default
+   */
+  declare fontSize: number;
+
+  /**
+   * @type String
+   * @default
+   */
+  declare fontFamily: string;
+
+  /**
+   * Snap objects and points to the grid
+   * @type Boolean
+   * @default
+   */
+  declare snapToGrid: boolean;
+
+  /**
+   * When `true`, the grid is not rendered by {@link StaticCanvas#toCanvasElement} and methods relying on it
+   * @type Boolean
+   * @default
+   */
+  declare excludeFromExport: boolean;
+
+  static ownDefaults = gridDefaultValues;
+
+  constructor(options: Partial<TClassProperties<Grid>> = {}) {
+    Object.assign(this, (this.constructor as typeof Grid).ownDefaults, options);
+  }
+
+  /**
+   * @returns {number} size of {@link unit} in pixels
+   */
+  getUnitSize() {
+    return parseUnit(`1${this.unit}`);
+  }
+
+  /**
+   * @returns {number} distance between minor lines in pixels
+   */
+  getStep() {
+    return this.size * this.getUnitSize();
+  }
+
+  /**
+   * @param {number} zoom
+   * @returns {number} distance between rendered minor lines in pixels, not a positive number if the grid is empty
+   */
+  getSpacing(zoom: number) {
+    const factor = Math.max(2, this.majorEvery);
+    let step = this.getStep();
+    if (!(step > 0) || !(zoom > 0)) {
+      return step;
+    }
+    while (step * zoom < Math.max(this.minSpacing, 1)) {
+      step *= factor;
+    }
+    return step;
+  }
+
+  /**
+   * @param {number} value in the canvas plane
+   * @returns {number} the closest grid line
+   */
+  snapValue(value: number) {
+    const step = this.getStep();
+    return step > 0 ? Math.round(value / step) * step : value;
+  }
+
+  /**
+   * @param {XY} point in the canvas plane
+   * @returns {Point} the closest grid intersection
+   */
+  snapPoint({ x, y }: XY) {
+    return new Point(this.snapValue(x), this.snapValue(y));
+  }
+
+  /**
+   * @returns {TGridLine[]} lines visible on the canvas along `axis`
+   */
+  protected getLines(canvas: StaticCanvas, axis: 'x' | 'y'): TGridLine[] {
+    const vpt = canvas.viewportTransform,
+      { tl, br } = canvas.vptCoords,
+      scale = axis === 'x' ? vpt[0] : vpt[3],
+      translate = axis === 'x' ? vpt[4] : vpt[5],
+      spacing = this.getSpacing(canvas.getZoom()),
+      lines: TGridLine[] = [];
+    if (!(spacing > 0) || !isFinite(spacing)) {
+      return lines;
+    }
+    const majorEvery = Math.max(1, Math.round(this.majorEvery));
+    for (
+      let index = Math.ceil(tl[axis] / spacing);
+      index * spacing <= br[axis];
+      index++
+    ) {
+      const value = index * spacing;
+      lines.push({
+        value,
+        position: value * scale + translate,
+        major: index % majorEvery === 0,
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Renders the lines of the grid
+   * @param {CanvasRenderingContext2D} ctx context of the canvas, the viewport transform is not applied
+   * @param {StaticCanvas} canvas
+   */
+  render(ctx: CanvasRenderingContext2D, canvas: StaticCanvas) {
+    if (!this.showLines) {
+      return;
+    }
+    const { width, height } = canvas,
+      xLines = this.getLines(canvas, 'x'),
+      yLines = this.getLines(canvas, 'y');
+    ctx.save();
+    ctx.lineWidth = this.lineWidth;
+    [false, true].forEach((major) => {
+      ctx.beginPath();
+      // half pixel offset keeps thin lines crisp
+      xLines.forEach((line) => {
+        if (line.major === major) {
+          const x = Math.round(line.position) + 0.5;
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x, height);
+        }
+      });
+      yLines.forEach((line) => {
+        if (line.major === major) {
+          const y = Math.round(line.position) + 0.5;
+          ctx.moveTo(0, y);
+          ctx.lineTo(width, y);
+        }
+      });
+      ctx.strokeStyle = major ? this.majorColor : this.minorColor;
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Renders the rulers, major lines are labeled in {@link unit}
+   * @param {CanvasRenderingContext2D} ctx context of the canvas, the viewport transform is not applied
+   * @param {StaticCanvas} canvas
+   */
+  renderRulers(ctx: CanvasRenderingContext2D, canvas: StaticCanvas) {
+    if (!this.showRulers) {
+      return;
+    }
+    const { width, height } = canvas,
+      size = this.rulerSize,
+      unitSize = this.getUnitSize(),
+      label = (value: number) => String(toFixed(value / unitSize, 2));
+    ctx.save();
+    ctx.fillStyle = this.rulerBackgroundColor;
+    ctx.fillRect(0, 0, width, size);
+    ctx.fillRect(0, 0, size, height);
+    ctx.strokeStyle = ctx.fillStyle = this.rulerColor;
+    ctx.lineWidth = 1;
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    ctx.textBaseline = 'top';
+    ctx.beginPath();
+    ctx.moveTo(0, size + 0.5);
+    ctx.lineTo(width, size + 0.5);
+    ctx.moveTo(size + 0.5, 0);
+    ctx.lineTo(size + 0.5, height);
+    this.getLines(canvas, 'x').forEach(({ value, position, major }) => {
+      const x = Math.round(position) + 0.5;
+      if (x < size) {
+        return;
+      }
+      ctx.moveTo(x, size);
+      ctx.lineTo(x, major ? 0 : size * 0.75);
+      major && ctx.fillText(label(value), x + 2, 1);
+    });
+    this.getLines(canvas, 'y').forEach(({ value, position, major }) => {
+      const y = Math.round(position) + 0.5;
+      if (y < size) {
+        return;
+      }
+      ctx.moveTo(size, y);
+      ctx.lineTo(major ? 0 : size * 0.75, y);
+      if (major) {
+        ctx.save();
+        ctx.translate(1, y - 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(label(value), 0, 0);
+        ctx.restore();
+      }
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+}
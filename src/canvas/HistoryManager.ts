@@ -0,0 +1,552 @@
+import { LEFT, TOP } from '../constants';
+import type { Transform } from '../EventTypeDefs';
+import { Point } from '../Point';
+import type { XY } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { InteractiveFabricObject } from '../shapes/Object/InteractiveObject';
+import type { IText } from '../shapes/IText/IText';
+import type { TextStyle } from '../shapes/Text/StyledText';
+import type { TMat2D } from '../typedefs';
+import type { Path } from '../shapes/Path';
+import type { Polyline } from '../shapes/Polyline';
+import type { TSimplePathData } from '../util/path/typedefs';
+import { cloneDeep } from '../util/internals/cloneDeep';
+import { applyTransformToObject } from '../util/misc/objectTransforms';
+import { pick } from '../util/misc/pick';
+import { isActiveSelection } from '../util/typeAssertions';
+import type { Canvas } from './Canvas';
+
+/**
+ * An invertible operation stored by {@link HistoryManager}
+ */
+export interface HistoryCommand {
+  type: string;
+  undo(): void;
+  redo(): void;
+}
+
+/**
+ * State of an object captured before and after a transform.
+ * Objects that belong to an active selection are captured by their canvas plane matrix
+ * since the selection plane does not outlive the selection.
+ * The geometry of polylines and paths is captured as well since their controls edit it, see {@link createPolyControls}.
+ */
+type TTransformState = ({ props: Record<string, any> } | { matrix: TMat2D }) & {
+  geometry?: TGeometryState;
+};
+
+type TGeometryState = {
+  points?: XY[];
+  path?: TSimplePathData;
+  pathOffset: XY;
+};
+
+type TTextState = { text: string; styles: TextStyle };
+
+export const transformProperties = [
+  LEFT,
+  TOP,
+  'scaleX',
+  'scaleY',
+  'angle',
+  'skewX',
+  'skewY',
+  'flipX',
+  'flipY',
+  'originX',
+  'originY',
+  'width',
+  'height',
+] as (keyof FabricObject)[];
+
+/**
+ * @returns a copy of the points or the path of a polyline or a path, undefined for other objects
+ */
+const captureGeometry = (object: FabricObject): TGeometryState | undefined => {
+  const { points, path, pathOffset } = object as Partial<
+    Pick<Polyline, 'points' | 'pathOffset'> & Pick<Path, 'path'>
+  >;
+  if (!pathOffset || (!Array.isArray(points) && !Array.isArray(path))) {
+    return;
+  }
+  return cloneDeep({
+    ...(Array.isArray(points) ? { points } : null),
+    ...(Array.isArray(path) ? { path } : null),
+    pathOffset: { x: pathOffset.x, y: pathOffset.y },
+  });
+};
+
+const captureTransform = (object: FabricObject): TTransformState => {
+  const geometry = captureGeometry(object);
+  return {
+    ...(isActiveSelection(object.group)
+      ? { matrix: object.calcTransformMatrix() }
+      : { props: pick(object, transformProperties) }),
+    ...(geometry ? { geometry } : null),
+  };
+};
+
+const restoreTransform = (object: FabricObject, state: TTransformState) => {
+  if (state.geometry) {
+    // geometry first, it may update the dimensions of the object before they are restored
+    const { pathOffset, ...geometry } = cloneDeep(state.geometry);
+    object.set({ ...geometry, pathOffset: new Point(pathOffset) });
+  }
+  if ('matrix' in state) {
+    applyTransformToObject(object, state.matrix);
+  } else {
+    object.set(state.props);
+  }
+  object.setCoords();
+};
+
+const getTransformedObjects = (target: FabricObject) =>
+  isActiveSelection(target)
+    ? (target.getObjects() as FabricObject[])
+    : [target];
+
+/**
+ * A change of a single property of an object
+ */
+export class PropertyCommand implements HistoryCommand {
+  type = 'property';
+
+  constructor(
+    public target: InteractiveFabricObject,
+    public key: string,
+    public before: any,
+    public after: any
+  ) {}
+
+  undo() {
+    this.target.set(this.key, this.before);
+    this.target.setCoords();
+  }
+
+  redo() {
+    this.target.set(this.key, this.after);
+    this.target.setCoords();
+  }
+}
+
+/**
+ * In charge of recording the changes happening on a canvas as invertible commands
+ * so that they can be undone and redone.
+ *
+ * Recorded operations are:
+ * - objects added or removed from the canvas
+ * - stack order changes
+ * - property changes made with {@link FabricObject#set}
+ * - user transforms (drag, scale, rotate, skew...), recorded once when finalized
+ * - text editing sessions
+ *
+ * Recording happens only if {@link Canvas#enableHistory} is `true`.
+ *
+ * @example
+ * canvas.enableHistory = true;
+ * canvas.historyManager.transaction(() => {
+ *   rect.set({ fill: 'red' });
+ *   canvas.add(circle);
+ * });
+ * canvas.historyManager.undo(); // reverts both changes
+ */
+export class HistoryManager {
+  /**
+   * Max amount of undoable commands, `0` means no limit
+   * @type Number
+   * @default
+   */
+  limit = 100;
+
+  private undoStack: HistoryCommand[] = [];
+  private redoStack: HistoryCommand[] = [];
+  /**
+   * Commands collected by the open transaction
+   */
+  private declare pending?: HistoryCommand[];
+  private transactionDepth = 0;
+  private pauseDepth = 0;
+  /**
+   * Mirror of the canvas stack, used to know where removed/moved objects used to be
+   */
+  private stack: FabricObject[] = [];
+  private declare transformStart?: {
+    transform: Transform;
+    states: Map<FabricObject, TTransformState>;
+  };
+  private textStart = new Map<IText, TTextState>();
+  private __disposer: VoidFunction;
+
+  constructor(private canvas: Canvas) {
+    const disposers = [
+      canvas.on('text:editing:entered', ({ target }) => {
+        this.textStart.set(target, {
+          text: target.text,
+          styles: cloneDeep(target.styles),
+        });
+      }),
+      canvas.on('text:editing:exited', ({ target }) => {
+        const before = this.textStart.get(target);
+        this.textStart.delete(target);
+        if (before && before.text !== target.text) {
+          this.recordTextChange(target, before, {
+            text: target.text,
+            styles: cloneDeep(target.styles),
+          });
+        }
+      }),
+    ];
+    this.__disposer = () => disposers.forEach((d) => d());
+  }
+
+  /**
+   * `true` if changes are being recorded
+   */
+  isRecording() {
+    return !!this.canvas.enableHistory && this.pauseDepth === 0;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Records a command. Use this to store custom operations alongside the built in ones.
+   * If a transaction is open the command becomes part of it.
+   * @param {HistoryCommand} command
+   */
+  record(command: HistoryCommand) {
+    if (!this.isRecording()) {
+      return;
+    }
+    if (this.pending) {
+      this.pending.push(command);
+    } else {
+      this.push(command);
+    }
+  }
+
+  private push(command: HistoryCommand) {
+    this.undoStack.push(command);
+    this.limit > 0 &&
+      this.undoStack.length > this.limit &&
+      this.undoStack.splice(0, this.undoStack.length - this.limit);
+    this.redoStack = [];
+    this.canvas.fire('history:recorded', { command });
+  }
+
+  /**
+   * Opens a transaction, all commands recorded until the matching {@link endTransaction} call
+   * are undone and redone as a single step.
+   * Transactions can be nested, only the outermost one is recorded.
+   */
+  startTransaction() {
+    if (this.transactionDepth++ === 0) {
+      this.pending = [];
+    }
+  }
+
+  /**
+   * Closes a transaction opened by {@link startTransaction}
+   */
+  endTransaction() {
+    if (this.transactionDepth === 0 || --this.transactionDepth > 0) {
+      return;
+    }
+    const commands = this.pending!;
+    delete this.pending;
+    if (commands.length === 1) {
+      this.push(commands[0]);
+    } else if (commands.length > 1) {
+      this.push({
+        type: 'transaction',
+        undo() {
+          for (let i = commands.length - 1; i >= 0; i--) {
+            commands[i].undo();
+          }
+        },
+        redo() {
+          commands.forEach((command) => command.redo());
+        },
+      });
+    }
+  }
+
+  /**
+   * Runs `callback` inside a transaction
+   * @param {Function} callback
+   * @returns the return value of `callback`
+   */
+  transaction<T>(callback: () => T): T {
+    this.startTransaction();
+    try {
+      return callback();
+    } finally {
+      this.endTransaction();
+    }
+  }
+
+  /**
+   * Runs `callback` in a transaction merged with the last recorded step,
+   * e.g. to complete a change right after it was recorded, so that both are undone and redone as a single step
+   * @param {Function} callback
+   * @returns the return value of `callback`
+   */
+  amend<T>(callback: () => T): T {
+    const last =
+      this.transactionDepth === 0 && this.isRecording()
+        ? this.undoStack.pop()
+        : undefined;
+    this.startTransaction();
+    const pending = this.pending as HistoryCommand[];
+    last && pending.push(last);
+    try {
+      return callback();
+    } finally {
+      if (last && pending.length === 1) {
+        // nothing was recorded, the last step is kept as it was
+        this.transactionDepth--;
+        delete this.pending;
+        this.undoStack.push(last);
+      } else {
+        this.endTransaction();
+      }
+    }
+  }
+
+  /**
+   * Runs `callback` without recording any change
+   * @param {Function} callback
+   * @returns the return value of `callback`
+   */
+  pause<T>(callback: () => T): T {
+    this.pauseDepth++;
+    try {
+      return callback();
+    } finally {
+      this.pauseDepth--;
+    }
+  }
+
+  /**
+   * Reverts the last recorded command
+   * @returns {boolean} true if a command was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      return false;
+    }
+    this.pause(() => command.undo());
+    this.redoStack.push(command);
+    this.canvas.fire('history:undo', { command });
+    this.canvas.requestRenderAll();
+    return true;
+  }
+
+  /**
+   * Reapplies the last undone command
+   * @returns {boolean} true if a command was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      return false;
+    }
+    this.pause(() => command.redo());
+    this.undoStack.push(command);
+    this.canvas.fire('history:redo', { command });
+    this.canvas.requestRenderAll();
+    return true;
+  }
+
+  /**
+   * Restores the selection of `objects` after a command has been applied
+   * @private
+   */
+  private select(objects: FabricObject[]) {
+    const canvas = this.canvas;
+    canvas.discardActiveObject();
+    const selectable = objects.filter((object) => object.canvas === canvas);
+    if (selectable.length === 1) {
+      canvas.setActiveObject(selectable[0]);
+    } else if (selectable.length > 1) {
+      const activeSelection = canvas.getActiveSelection();
+      activeSelection.add(...selectable);
+      canvas.setActiveObject(activeSelection);
+    }
+  }
+
+  /**
+   * called by {@link Canvas#_onObjectAdded}
+   */
+  onObjectAdded(object: FabricObject) {
+    const canvas = this.canvas,
+      index = canvas._objects.indexOf(object);
+    this.stack.splice(index, 0, object);
+    this.record({
+      type: 'add',
+      undo: () => canvas.remove(object),
+      redo: () => canvas.insertAt(index, object),
+    });
+  }
+
+  /**
+   * called by {@link Canvas#_onObjectRemoved}
+   */
+  onObjectRemoved(object: FabricObject) {
+    const canvas = this.canvas,
+      index = this.stack.indexOf(object);
+    // the position of an object that isn't mirrored is unknown, it can't be restored
+    if (index === -1) {
+      return;
+    }
+    this.stack.splice(index, 1);
+    this.record({
+      type: 'remove',
+      undo: () => canvas.insertAt(index, object),
+      redo: () => canvas.remove(object),
+    });
+  }
+
+  /**
+   * called by {@link Canvas#_onStackOrderChanged}
+   */
+  onStackOrderChanged(object: FabricObject) {
+    const canvas = this.canvas,
+      from = this.stack.indexOf(object),
+      to = canvas._objects.indexOf(object);
+    this.stack = [...canvas._objects];
+    from > -1 &&
+      to > -1 &&
+      this.record({
+        type: 'stack',
+        undo: () => canvas.moveObjectTo(object, from),
+        redo: () => canvas.moveObjectTo(object, to),
+      });
+  }
+
+  /**
+   * called by {@link InteractiveFabricObject#_set}
+   * Changes of the same property in the same transaction are merged.
+   */
+  onPropertyChange(
+    target: InteractiveFabricObject,
+    key: string,
+    before: any,
+    after: any
+  ) {
+    const { stateProperties, cacheProperties } =
+      target.constructor as typeof FabricObject;
+    if (
+      !this.isRecording() ||
+      // transforms are recorded once they end
+      this.canvas._currentTransform ||
+      target === this.canvas.getActiveSelection() ||
+      (!stateProperties.includes(key) && !cacheProperties.includes(key))
+    ) {
+      return;
+    }
+    const existing = this.pending?.find(
+      (command) =>
+        command instanceof PropertyCommand &&
+        command.target === target &&
+        command.key === key
+    ) as PropertyCommand | undefined;
+    if (existing) {
+      existing.after = after;
+    } else {
+      this.record(new PropertyCommand(target, key, before, after));
+    }
+  }
+
+  /**
+   * called by {@link Canvas#_beforeTransform}
+   */
+  onTransformStart(transform: Transform) {
+    const states = new Map<FabricObject, TTransformState>();
+    getTransformedObjects(transform.target).forEach((object) =>
+      states.set(object, captureTransform(object))
+    );
+    this.transformStart = { transform, states };
+  }
+
+  /**
+   * called by {@link Canvas#_finalizeCurrentTransform}
+   */
+  onTransformEnd(transform: Transform) {
+    const start = this.transformStart;
+    delete this.transformStart;
+    if (!start || start.transform !== transform || !transform.actionPerformed) {
+      return;
+    }
+    const objects = getTransformedObjects(transform.target),
+      changes = objects
+        .filter((object) => start.states.has(object))
+        .map((object) => ({
+          object,
+          before: start.states.get(object)!,
+          after: captureTransform(object),
+        })),
+      apply = (key: 'before' | 'after') => {
+        this.canvas.discardActiveObject();
+        changes.forEach((change) =>
+          restoreTransform(change.object, change[key])
+        );
+        this.select(objects);
+      };
+    this.record({
+      type: 'transform',
+      undo: () => apply('before'),
+      redo: () => apply('after'),
+    });
+  }
+
+  /**
+   * Records the outcome of a text editing session
+   * @private
+   */
+  private recordTextChange(
+    target: IText,
+    before: TTextState,
+    after: TTextState
+  ) {
+    const apply = ({ text, styles }: TTextState) => {
+      target.isEditing && target.exitEditing();
+      target.set({ text, styles: cloneDeep(styles) });
+      target.initDimensions();
+      target.setCoords();
+    };
+    this.record({
+      type: 'text',
+      undo: () => apply(before),
+      redo: () => apply(after),
+    });
+  }
+
+  /**
+   * Empties the undo and redo stacks
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stack = [...this.canvas._objects];
+    this.textStart.clear();
+    delete this.transformStart;
+    this.canvas.fire('history:cleared');
+  }
+
+  dispose() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stack = [];
+    this.textStart.clear();
+    this.__disposer();
+    // @ts-expect-error disposing
+    delete this.__disposer;
+  }
+}
@@ -0,0 +1,96 @@
+import type { TClassProperties } from '../typedefs';
+
+export const layerDefaultValues: Partial<TClassProperties<Layer>> = {
+  visible: true,
+  locked: false,
+  opacity: 1,
+  globalCompositeOperation: 'source-over',
+};
+
+export type SerializedLayerProps = {
+  name: string;
+  visible: boolean;
+  locked: boolean;
+  opacity: number;
+  globalCompositeOperation: GlobalCompositeOperation;
+};
+
+/**
+ * Named layer of a canvas, see {@link StaticCanvas#layers}.
+ * Objects belong to the layer matching their {@link FabricObject#layer}.
+ * A layer is rendered as a whole: its opacity and blend mode apply to the composition of its objects.
+ *
+ * @example
+ * canvas.addLayer('background', { locked: true });
+ * canvas.addLayer('sketch', { opacity: 0.5, globalCompositeOperation: 'multiply' });
+ * canvas.add(new Rect({ layer: 'sketch' }));
+ */
+export class Layer {
+  /**
+   * Unique name of the layer in its canvas
+   * @type String
+   */
+  declare name: string;
+
+  /**
+   * When `false`, objects of the layer are not rendered nor interactive
+   * @type Boolean
+   * @default
+   */
+  declare visible: boolean;
+
+  /**
+   * When `true`, objects of the layer are rendered but can't be targeted nor selected by the user
+   * @type Boolean
+   * @default
+   */
+  declare locked: boolean;
+
+  /**
+   * @type Number
+   * @default
+   */
+  declare opacity: number;
+
+  /**
+   * Blend mode of the layer
+   * @type String
+   * @default
+   */
+  declare globalCompositeOperation: GlobalCompositeOperation;
+
+  static ownDefaults = layerDefaultValues;
+
+  constructor(
+    name: string,
+    options: Partial<Omit<SerializedLayerProps, 'name'>> = {}
+  ) {
+    Object.assign(
+      this,
+      (this.constructor as typeof Layer).ownDefaults,
+      options
+    );
+    this.name = name;
+  }
+
+  /**
+   * @returns {boolean} true if the objects of the layer need to be composed before being rendered
+   */
+  needsComposition() {
+    return this.opacity < 1 || this.globalCompositeOperation !== 'source-over';
+  }
+
+  toObject(): SerializedLayerProps {
+    return {
+      name: this.name,
+      visible: this.visible,
+      locked: this.locked,
+      opacity: this.opacity,
+      globalCompositeOperation: this.globalCompositeOperation,
+    };
+  }
+
+  static fromObject({ name, ...options }: SerializedLayerProps) {
+    return new this(name, options);
+  }
+}
@@ -24,6 +24,7 @@ import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
 import { getPointer, isTouchEvent } from '../util/dom_event';
 import type { IText } from '../shapes/IText/IText';
 import type { BaseBrush } from '../brushes/BaseBrush';
+import type { BaseTool } from '../tools/BaseTool';
 import { pick } from '../util/misc/pick';
 import type { TSVGReviver } from '../typedefs';
 import { sendPointToPlane } from '../util/misc/planeChange';
@@ -46,10 +47,13 @@ export const DefaultCanvasProperties = {
   selectionBorderColor: 'rgba(255, 255, 255, 0.3)',
   selectionLineWidth: 1,
   selectionFullyContained: false,
+  selectionMode: 'rect',
+  selectionSubtractKey: 'altKey',
   hoverCursor: 'move',
   moveCursor: 'move',
   defaultCursor: 'default',
   freeDrawingCursor: 'crosshair',
+  toolCursor: 'crosshair',
   notAllowedCursor: 'not-allowed',
   containerClass: 'canvas-container',
   perPixelTargetFind: false,
@@ -60,6 +64,8 @@ export const DefaultCanvasProperties = {
   fireRightClick: false,
   fireMiddleClick: false,
   enablePointerEvents: false,
+  enableHistory: false,
+  enableSnapping: false,
 };
 
 /**
@@ -81,6 +87,9 @@ export const DefaultCanvasProperties = {
  * @fires selection:created
  *
  * @fires path:created after a drawing operation ends and the path is added
+ * @fires shape:recognized after a {@link ShapeRecognizer} replaces a path with the shape it is recognized as
+ * @fires object:erased after a {@link VectorEraserBrush} erases an object, replacing it with its remaining pieces
+ * @fires object:drawn after {@link activeTool} ends drawing an object and the object is added
  * @fires mouse:down
  * @fires mouse:move
  * @fires mouse:up
@@ -298,6 +307,26 @@ export class SelectableCanvas<
    */
   declare selectionFullyContained: boolean;
 
+  /**
+   * Shape of the area dragged to select objects.
+   * `lasso` selects the objects touching the freehand polygon drawn by the user,
+   * or the objects lying entirely in it if {@link selectionFullyContained} is true
+   * @type 'rect' | 'lasso'
+   * @default
+   */
+  declare selectionMode: 'rect' | 'lasso';
+
+  /**
+   * Indicates which key makes a lasso selection deselect the objects it catches.
+   * Holding {@link selectionKey} instead adds them to the current selection.
+   * values: 'altKey', 'shiftKey', 'ctrlKey'.
+   * If `null` or 'none' or any other string that is not a modifier key
+   * feature is disabled.
+   * @type null|ModifierKey
+   * @default
+   */
+  declare selectionSubtractKey: TOptionalModifierKey;
+
   /**
    * Default cursor value used when hovering over an object on canvas
    * @type CSSStyleDeclaration['cursor']
@@ -326,6 +355,13 @@ export class SelectableCanvas<
    */
   declare freeDrawingCursor: CSSStyleDeclaration['cursor'];
 
+  /**
+   * Cursor value used while {@link activeTool} is set
+   * @type String
+   * @default crosshair
+   */
+  declare toolCursor: CSSStyleDeclaration['cursor'];
+
   /**
    * Cursor value used for disabled elements ( corners with disabled action )
    * @type String
@@ -456,6 +492,14 @@ export class SelectableCanvas<
     y: number;
     deltaX: number;
     deltaY: number;
+    /**
+     * lasso points, see {@link selectionMode}
+     */
+    points?: Point[];
+    /**
+     * whether the lasso adds objects to the current selection or removes them from it
+     */
+    operation?: 'add' | 'subtract';
   } | null = null;
 
   /**
@@ -513,6 +557,12 @@ export class SelectableCanvas<
 
   protected declare _isCurrentlyDrawing: boolean;
   declare freeDrawingBrush?: BaseBrush;
+  /**
+   * When set, the pointer draws objects with the tool instead of selecting and transforming objects,
+   * free drawing with {@link isDrawingMode} takes precedence
+   * @type BaseTool
+   */
+  declare activeTool?: BaseTool;
   declare _activeObject?: FabricObject;
   protected readonly _activeSelection: ActiveSelection;
 
@@ -603,6 +653,8 @@ export class SelectableCanvas<
     if (this.isDrawingMode && this._isCurrentlyDrawing) {
       this.freeDrawingBrush && this.freeDrawingBrush._render();
       this.contextTopDirty = true;
+    } else if (this.activeTool && this._isCurrentlyDrawing) {
+      this.activeTool._render(ctx);
     }
     // we render the top context - last object
     if (this.selection && this._groupSelector) {
@@ -684,6 +736,27 @@ export class SelectableCanvas<
     );
   }
 
+  /**
+   * Determines if a lasso selection started by `e` should change the current selection instead of replacing it
+   * @private
+   * @param {TPointerEvent} e Event object
+   */
+  _getLassoOperation(e: TPointerEvent): 'add' | 'subtract' | undefined {
+    if (
+      !this.selection ||
+      this.selectionMode !== 'lasso' ||
+      !this._activeObject
+    ) {
+      return;
+    }
+    const subtractKey = this.selectionSubtractKey;
+    if (subtractKey && e[subtractKey]) {
+      return 'subtract';
+    } else if (this._isSelectionKeyPressed(e)) {
+      return 'add';
+    }
+  }
+
   /**
    * takes an event and determines if selection key has been pressed
    * @private
@@ -883,6 +956,10 @@ export class SelectableCanvas<
    * @param {CanvasRenderingContext2D} ctx to draw the selection on
    */
   _drawSelection(ctx: CanvasRenderingContext2D): void {
+    if (this._groupSelector!.points) {
+      this._drawLasso(ctx, this._groupSelector!.points);
+      return;
+    }
     const { x, y, deltaX, deltaY } = this._groupSelector!,
       start = new Point(x, y).transform(this.viewportTransform),
       extent = new Point(x + deltaX, y + deltaY).transform(
@@ -919,6 +996,38 @@ export class SelectableCanvas<
     ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
   }
 
+  /**
+   * @private
+   * @param {CanvasRenderingContext2D} ctx to draw the lasso on
+   * @param {Point[]} points lasso points
+   */
+  _drawLasso(ctx: CanvasRenderingContext2D, points: Point[]): void {
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      const { x, y } = point.transform(this.viewportTransform);
+      index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+
+    if (this.selectionColor) {
+      ctx.fillStyle = this.selectionColor;
+      ctx.fill();
+    }
+
+    if (!this.selectionLineWidth || !this.selectionBorderColor) {
+      return;
+    }
+    ctx.lineWidth = this.selectionLineWidth;
+    ctx.strokeStyle = this.selectionBorderColor;
+    ctx.lineJoin = 'round';
+    FabricObject.prototype._setLineDash.call(
+      this,
+      ctx,
+      this.selectionDashArray
+    );
+    ctx.stroke();
+  }
+
   /**
    * Method that determines what object we are clicking on
    * 11/09/2018 TODO: would be cool if findTarget could discern between being a full target
@@ -976,6 +1085,15 @@ export class SelectableCanvas<
     return this.searchPossibleTargets(this._objects, pointer);
   }
 
+  /**
+   * @param {FabricObject} object
+   * @returns {boolean} false if the object belongs to a hidden or locked layer, see {@link layers}
+   */
+  isLayerInteractive(object: FabricObject) {
+    const layer = this.layers.length > 0 && this.getObjectLayer(object);
+    return !layer || (layer.visible && !layer.locked);
+  }
+
   /**
    * Checks point is inside the object.
    * @param {Object} [pointer] x,y object of point coordinates we want to check.
@@ -993,6 +1111,7 @@ export class SelectableCanvas<
       obj &&
       obj.visible &&
       obj.evented &&
+      this.isLayerInteractive(obj) &&
       // http://www.geog.ubc.ca/courses/klink/gis.notes/ncgia/u32.html
       // http://idav.ucdavis.edu/~okreylos/TAship/Spring2000/PointInPolygon.html
       obj.containsPoint(pointer)
@@ -1022,6 +1141,23 @@ export class SelectableCanvas<
     objects: FabricObject[],
     pointer: Point
   ): FabricObject | undefined {
+    if (objects === this._objects) {
+      // narrow down the search using the spatial index, if any
+      const { x, y } = this.restorePointerVpt(pointer);
+      objects = this._searchObjectsInBounds({
+        left: x,
+        top: y,
+        width: 0,
+        height: 0,
+      }) as FabricObject[];
+      if (this.layers.length > 0) {
+        // search in render order
+        objects = this._groupObjectsByLayer(objects).reduce<FabricObject[]>(
+          (all, [, layerObjects]) => all.concat(layerObjects as FabricObject[]),
+          []
+        );
+      }
+    }
     // Cache all targets where their bounding box contains point.
     let target,
       i = objects.length;
@@ -0,0 +1,640 @@
+import type {
+  TOptionalModifierKey,
+  TPointerEvent,
+  Transform,
+} from '../EventTypeDefs';
+import { scaleIsProportional } from '../controls/scale';
+import { isLocked } from '../controls/util';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { TBBox } from '../typedefs';
+import type { XY } from '../Point';
+import { Point } from '../Point';
+import type { Canvas } from './Canvas';
+import type { Grid } from './Grid';
+
+/**
+ * A guide line rendered while an object is snapped, in the canvas coordinate plane
+ */
+export type TSnapGuide = { x1: number; y1: number; x2: number; y2: number };
+
+export type TSnapAction = 'drag' | 'scale' | 'scaleX' | 'scaleY' | 'rotate';
+
+type TAxis = 'x' | 'y';
+
+type TSnapCandidate = { delta: number; guides: TSnapGuide[] };
+
+/**
+ * Edges of a bounding box along an axis, with the extent of the box along the other axis
+ */
+type TSpan = {
+  start: number;
+  end: number;
+  crossStart: number;
+  crossEnd: number;
+};
+
+/**
+ * Values below are considered aligned
+ */
+const EPSILON = 1e-6;
+
+const toSpan = ({ left, top, width, height }: TBBox, axis: TAxis): TSpan =>
+  axis === 'x'
+    ? {
+        start: left,
+        end: left + width,
+        crossStart: top,
+        crossEnd: top + height,
+      }
+    : {
+        start: top,
+        end: top + height,
+        crossStart: left,
+        crossEnd: left + width,
+      };
+
+const getLines = ({ start, end }: TSpan) => [start, (start + end) / 2, end];
+
+/**
+ * @returns a segment perpendicular to `axis` at `value`
+ */
+const createGuide = (
+  axis: TAxis,
+  value: number,
+  from: number,
+  to: number
+): TSnapGuide =>
+  axis === 'x'
+    ? { x1: value, y1: from, x2: value, y2: to }
+    : { x1: from, y1: value, x2: to, y2: value };
+
+/**
+ * @returns a segment along `axis` from `from` to `to` at `cross`
+ */
+const createGap = (
+  axis: TAxis,
+  from: number,
+  to: number,
+  cross: number
+): TSnapGuide => createGuide(axis === 'x' ? 'y' : 'x', cross, from, to);
+
+const getGuides = (candidates: TSnapCandidate[]) =>
+  candidates.reduce<TSnapGuide[]>(
+    (guides, candidate) => guides.concat(candidate.guides),
+    []
+  );
+
+const pickClosest = <T extends TSnapCandidate>(candidates: T[]) =>
+  candidates.reduce<T | undefined>(
+    (closest, candidate) =>
+      !closest || Math.abs(candidate.delta) < Math.abs(closest.delta)
+        ? candidate
+        : closest,
+    undefined
+  );
+
+/**
+ * Snaps the objects transformed by the user to the edges and centers of other objects,
+ * to the center of the canvas and to the spacing of their neighbors,
+ * and renders the matching guides on the top context.
+ * Rotation snaps to multiples of {@link angleStep}.
+ *
+ * Snapping happens only if {@link Canvas#enableSnapping} is `true`.
+ * Dragged and scaled objects, points of polyline controls and of free drawing also snap to
+ * the grid of the canvas if {@link Grid#snapToGrid} is `true`.
+ * It is performed by the drag, scale and rotate action handlers,
+ * custom action handlers can be wrapped with {@link wrapWithSnapping}.
+ *
+ * @example
+ * canvas.enableSnapping = true;
+ * canvas.snappingManager.tolerance = 10;
+ * canvas.snappingManager.angleStep = 45;
+ */
+export class SnappingManager {
+  /**
+   * Max distance in screen pixels from which an object snaps
+   * @type Number
+   * @default
+   */
+  tolerance = 6;
+
+  /**
+   * Snap to the edges and centers of other objects
+   * @type Boolean
+   * @default
+   */
+  snapToObjects = true;
+
+  /**
+   * Snap to the center of the canvas
+   * @type Boolean
+   * @default
+   */
+  snapToCanvasCenter = true;
+
+  /**
+   * Snap to positions that space an object equally from its neighbors
+   * or as its neighbors are spaced, while dragging
+   * @type Boolean
+   * @default
+   */
+  snapToEqualSpacing = true;
+
+  /**
+   * Rotation snaps to multiples of this angle, `0` disables angle snapping.
+   * Objects defining {@link FabricObject#snapAngle} use their own setting.
+   * @type Number
+   * @default
+   */
+  angleStep = 15;
+
+  /**
+   * Max distance in degrees from which rotation snaps
+   * @type Number
+   * @default
+   */
+  angleTolerance = 3;
+
+  /**
+   * Key disabling snapping while pressed
+   * values: 'altKey', 'shiftKey', 'ctrlKey'.
+   * @type null|ModifierKey
+   * @default
+   */
+  bypassKey: TOptionalModifierKey = 'ctrlKey';
+
+  /**
+   * @type String
+   * @default
+   */
+  guideColor = 'rgb(255, 0, 180)';
+
+  /**
+   * Width of the guides in screen pixels
+   * @type Number
+   * @default
+   */
+  guideWidth = 1;
+
+  private guides: TSnapGuide[] = [];
+
+  constructor(private readonly canvas: Canvas) {}
+
+  /**
+   * @returns {TSnapGuide[]} guides of the current snap
+   */
+  getGuides() {
+    return [...this.guides];
+  }
+
+  hasGuides() {
+    return this.guides.length > 0;
+  }
+
+  clearGuides() {
+    this.guides = [];
+  }
+
+  /**
+   * Called by action handlers once they transformed the target
+   * @param {TSnapAction} action
+   * @param {TPointerEvent} e
+   * @param {Transform} transform
+   * @returns {boolean} true if the target snapped
+   */
+  snap(action: TSnapAction, e: TPointerEvent, transform: Transform) {
+    const { target } = transform,
+      grid = this.getSnappingGrid(e);
+    this.clearGuides();
+    if (
+      (!this.canvas.enableSnapping && !grid) ||
+      this.isBypassed(e) ||
+      // objects transformed inside a group are not supported
+      target.group
+    ) {
+      return false;
+    }
+    if (action === 'drag') {
+      return this.snapPosition(target, grid);
+    } else if (action === 'rotate') {
+      return this.snapRotation(transform);
+    }
+    return this.snapScale(
+      transform,
+      grid,
+      action === 'scaleX'
+        ? 'x'
+        : action === 'scaleY'
+        ? 'y'
+        : scaleIsProportional(e, target)
+        ? 'equally'
+        : undefined
+    );
+  }
+
+  /**
+   * Snaps a point to the grid of the canvas, used for points that are not part of a transform
+   * @param {TPointerEvent} e
+   * @param {XY} point in the canvas plane
+   * @returns {Point} the snapped point
+   */
+  snapPointToGrid(e: TPointerEvent, point: XY) {
+    const grid = this.getSnappingGrid(e);
+    return grid ? grid.snapPoint(point) : new Point(point);
+  }
+
+  private isBypassed(e: TPointerEvent) {
+    const bypassKey = this.bypassKey;
+    return !!bypassKey && !!e[bypassKey];
+  }
+
+  /**
+   * @returns {Grid | undefined} the grid to snap to
+   */
+  private getSnappingGrid(e: TPointerEvent) {
+    const grid = this.canvas.grid;
+    return grid && grid.snapToGrid && !this.isBypassed(e) ? grid : undefined;
+  }
+
+  /**
+   * @returns {TBBox[]} bounding boxes of the objects the target can snap to
+   */
+  private getReferences(target: FabricObject) {
+    return this.canvas.enableSnapping && this.snapToObjects
+      ? (this.canvas.getObjects() as FabricObject[])
+          .filter(
+            (object) =>
+              object !== target &&
+              object.visible &&
+              !object.isDescendantOf(target) &&
+              (this.canvas.getObjectLayer(object)?.visible ?? true)
+          )
+          .map((object) => object.getBoundingRect(true, true))
+      : [];
+  }
+
+  private getTolerance() {
+    return this.tolerance / this.canvas.getZoom();
+  }
+
+  /**
+   * Collects the snaps of edges and centers
+   * @param {TAxis} axis
+   * @param {TSpan} span span of the target
+   * @param {number[]} values lines of the target that can snap
+   * @param {TBBox[]} references
+   * @param {number} tolerance
+   */
+  private collectLineSnaps(
+    axis: TAxis,
+    span: TSpan,
+    values: number[],
+    references: TBBox[],
+    tolerance: number
+  ) {
+    const candidates: TSnapCandidate[] = [],
+      // the visible area of the canvas, in the canvas plane
+      { tl, br } = this.canvas.calcViewportBoundaries(),
+      center = tl.midPointFrom(br)[axis],
+      crossAxis = axis === 'x' ? 'y' : 'x';
+    values.forEach((value) => {
+      references.forEach((reference) => {
+        const referenceSpan = toSpan(reference, axis);
+        getLines(referenceSpan).forEach((line) => {
+          const delta = line - value;
+          Math.abs(delta) <= tolerance &&
+            candidates.push({
+              delta,
+              guides: [
+                createGuide(
+                  axis,
+                  line,
+                  Math.min(span.crossStart, referenceSpan.crossStart),
+                  Math.max(span.crossEnd, referenceSpan.crossEnd)
+                ),
+              ],
+            });
+        });
+      });
+      if (this.canvas.enableSnapping && this.snapToCanvasCenter) {
+        const delta = center - value;
+        Math.abs(delta) <= tolerance &&
+          candidates.push({
+            delta,
+            guides: [
+              createGuide(
+                axis,
+                center,
+                Math.min(span.crossStart, tl[crossAxis]),
+                Math.max(span.crossEnd, br[crossAxis])
+              ),
+            ],
+          });
+      }
+    });
+    return candidates;
+  }
+
+  /**
+   * Collects the snaps spacing the target equally from its neighbors on the same row (or column),
+   * or as far from its neighbor as the neighbor is from the next one
+   */
+  private collectSpacingSnaps(
+    axis: TAxis,
+    span: TSpan,
+    references: TBBox[],
+    tolerance: number
+  ) {
+    const candidates: TSnapCandidate[] = [],
+      size = span.end - span.start,
+      cross = (span.crossStart + span.crossEnd) / 2,
+      row = references
+        .map((reference) => toSpan(reference, axis))
+        .filter(
+          ({ crossStart, crossEnd }) =>
+            crossStart <= span.crossEnd && crossEnd >= span.crossStart
+        ),
+      before = row
+        .filter(({ end }) => end <= span.start + tolerance)
+        .sort((a, b) => b.end - a.end),
+      after = row
+        .filter(({ start }) => start >= span.end - tolerance)
+        .sort((a, b) => a.start - b.start),
+      [prev, prev2] = [
+        before[0],
+        before[0] && before.find(({ end }) => end <= before[0].start),
+      ],
+      [next, next2] = [
+        after[0],
+        after[0] && after.find(({ start }) => start >= after[0].end),
+      ];
+    const push = (start: number, gapGuides: TSnapGuide[]) => {
+      const delta = start - span.start;
+      Math.abs(delta) <= tolerance &&
+        candidates.push({
+          delta,
+          guides: [
+            ...(prev ? [createGap(axis, prev.end, start, cross)] : []),
+            ...(next ? [createGap(axis, start + size, next.start, cross)] : []),
+            ...gapGuides,
+          ],
+        });
+    };
+    if (prev && next && next.start - prev.end >= size) {
+      push((prev.end + next.start - size) / 2, []);
+    }
+    if (prev && prev2) {
+      push(prev.end + prev.start - prev2.end, [
+        createGap(
+          axis,
+          prev2.end,
+          prev.start,
+          (prev.crossStart + prev.crossEnd) / 2
+        ),
+      ]);
+    }
+    if (next && next2) {
+      push(next.start - (next2.start - next.end) - size, [
+        createGap(
+          axis,
+          next.end,
+          next2.start,
+          (next.crossStart + next.crossEnd) / 2
+        ),
+      ]);
+    }
+    return candidates;
+  }
+
+  /**
+   * Collects the snaps of edges to the closest grid lines, regardless of tolerance
+   */
+  private collectGridSnaps(values: number[], grid?: Grid): TSnapCandidate[] {
+    return grid
+      ? values.map((value) => ({
+          delta: grid.snapValue(value) - value,
+          guides: [],
+        }))
+      : [];
+  }
+
+  private collectPositionSnaps(
+    axis: TAxis,
+    bbox: TBBox,
+    references: TBBox[],
+    tolerance: number,
+    grid?: Grid
+  ) {
+    const span = toSpan(bbox, axis);
+    return [
+      ...this.collectLineSnaps(
+        axis,
+        span,
+        getLines(span),
+        references,
+        tolerance
+      ),
+      ...(this.canvas.enableSnapping && this.snapToEqualSpacing
+        ? this.collectSpacingSnaps(axis, span, references, tolerance)
+        : []),
+      ...this.collectGridSnaps([span.start, span.end], grid),
+    ];
+  }
+
+  private snapPosition(target: FabricObject, grid?: Grid) {
+    const references = this.getReferences(target),
+      tolerance = this.getTolerance(),
+      bbox = target.getBoundingRect(true, true),
+      snapX =
+        !isLocked(target, 'lockMovementX') &&
+        pickClosest(
+          this.collectPositionSnaps('x', bbox, references, tolerance, grid)
+        ),
+      snapY =
+        !isLocked(target, 'lockMovementY') &&
+        pickClosest(
+          this.collectPositionSnaps('y', bbox, references, tolerance, grid)
+        );
+    snapX && target.set('left', target.left + snapX.delta);
+    snapY && target.set('top', target.top + snapY.delta);
+    // collect the guides of all aligned lines
+    const snapped = target.getBoundingRect(true, true);
+    this.guides = [
+      ...getGuides(
+        this.collectPositionSnaps('x', snapped, references, EPSILON)
+      ),
+      ...getGuides(
+        this.collectPositionSnaps('y', snapped, references, EPSILON)
+      ),
+    ];
+    return !!(snapX || snapY);
+  }
+
+  /**
+   * Snaps the edges moved by a scale action, the anchor of the transform stays in place.
+   * Only objects aligned to the canvas axes can snap.
+   */
+  private snapScale(
+    transform: Transform,
+    grid?: Grid,
+    by?: 'x' | 'y' | 'equally'
+  ) {
+    const { target, originX, originY } = transform,
+      angle = target.angle % 90;
+    if (Math.abs(angle) > EPSILON || target.skewX || target.skewY) {
+      return false;
+    }
+    // the object axis that runs along the canvas x axis
+    const swapped = Math.abs(Math.sin((target.angle * Math.PI) / 180)) > 0.5,
+      objectAxis = (axis: TAxis): TAxis =>
+        swapped ? (axis === 'x' ? 'y' : 'x') : axis,
+      anchor = target.translateToOriginPoint(
+        target.getRelativeCenterPoint(),
+        originX,
+        originY
+      ),
+      references = this.getReferences(target),
+      tolerance = this.getTolerance(),
+      bbox = target.getBoundingRect(true, true);
+
+    const collect = (axis: TAxis, bbox: TBBox, tolerance: number) => {
+      const span = toSpan(bbox, axis),
+        size = span.end - span.start,
+        fixed = anchor[axis],
+        fixedStart = Math.abs(fixed - span.start) < EPSILON,
+        fixedEnd = Math.abs(fixed - span.end) < EPSILON,
+        centered = !fixedStart && !fixedEnd;
+      if (size <= 0) {
+        return [];
+      }
+      return [
+        ...(!fixedStart
+          ? [
+              ...this.collectLineSnaps(
+                axis,
+                span,
+                [span.start],
+                references,
+                tolerance
+              ),
+              ...this.collectGridSnaps([span.start], grid),
+            ].map(({ delta, guides }) => ({
+              delta,
+              guides,
+              factor: (size - delta * (centered ? 2 : 1)) / size,
+            }))
+          : []),
+        ...(!fixedEnd
+          ? [
+              ...this.collectLineSnaps(
+                axis,
+                span,
+                [span.end],
+                references,
+                tolerance
+              ),
+              ...this.collectGridSnaps([span.end], grid),
+            ].map(({ delta, guides }) => ({
+              delta,
+              guides,
+              factor: (size + delta * (centered ? 2 : 1)) / size,
+            }))
+          : []),
+      ].filter(({ factor }) => factor > 0);
+    };
+
+    const canScale = (axis: TAxis) =>
+      !isLocked(
+        target,
+        objectAxis(axis) === 'x' ? 'lockScalingX' : 'lockScalingY'
+      ) &&
+      (!by || by === 'equally' || objectAxis(axis) === by);
+    const snapX = canScale('x')
+        ? pickClosest(collect('x', bbox, tolerance))
+        : undefined,
+      snapY = canScale('y')
+        ? pickClosest(collect('y', bbox, tolerance))
+        : undefined;
+    if (!snapX && !snapY) {
+      return false;
+    }
+    const scale = (axis: TAxis, factor: number) => {
+      const key = objectAxis(axis) === 'x' ? 'scaleX' : 'scaleY';
+      target.set(key, target[key] * factor);
+    };
+    if (by === 'equally') {
+      const { factor } =
+        snapX && snapY ? pickClosest([snapX, snapY])! : snapX || snapY!;
+      scale('x', factor);
+      scale('y', factor);
+    } else {
+      snapX && scale('x', snapX.factor);
+      snapY && scale('y', snapY.factor);
+    }
+    target.setPositionByOrigin(anchor, originX, originY);
+    const snapped = target.getBoundingRect(true, true);
+    this.guides = [
+      ...getGuides(collect('x', snapped, EPSILON)),
+      ...getGuides(collect('y', snapped, EPSILON)),
+    ];
+    return true;
+  }
+
+  /**
+   * Snaps rotation to multiples of {@link angleStep} around the anchor of the transform
+   */
+  private snapRotation({ target, originX, originY }: Transform) {
+    const step = this.angleStep;
+    if (
+      !this.canvas.enableSnapping ||
+      !step ||
+      target.snapAngle ||
+      isLocked(target, 'lockRotation')
+    ) {
+      return false;
+    }
+    const angle = Math.round(target.angle / step) * step;
+    if (
+      Math.abs(angle - target.angle) > this.angleTolerance ||
+      angle === target.angle
+    ) {
+      return false;
+    }
+    const anchor = target.translateToOriginPoint(
+      target.getRelativeCenterPoint(),
+      originX,
+      originY
+    );
+    target.set('angle', angle % 360);
+    target.setPositionByOrigin(anchor, originX, originY);
+    target.setCoords();
+    return true;
+  }
+
+  /**
+   * Renders the guides
+   * @param {CanvasRenderingContext2D} ctx top context
+   */
+  render(ctx: CanvasRenderingContext2D) {
+    if (!this.hasGuides()) {
+      return;
+    }
+    const vpt = this.canvas.viewportTransform;
+    ctx.save();
+    ctx.lineWidth = this.guideWidth;
+    ctx.strokeStyle = this.guideColor;
+    ctx.beginPath();
+    this.guides.forEach(({ x1, y1, x2, y2 }) => {
+      const from = new Point(x1, y1).transform(vpt),
+        to = new Point(x2, y2).transform(vpt);
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  dispose() {
+    this.clearGuides();
+  }
+}
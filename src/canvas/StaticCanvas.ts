@@ -1,11 +1,16 @@
 import { config } from '../config';
 import { CENTER, iMatrix, VERSION } from '../constants';
-import type { CanvasEvents, StaticCanvasEvents } from '../EventTypeDefs';
+import type {
+  CanvasEvents,
+  ObjectEvents,
+  StaticCanvasEvents,
+} from '../EventTypeDefs';
 import type { Gradient } from '../gradient/Gradient';
 import { createCollectionMixin } from '../Collection';
 import { CommonMethods } from '../CommonMethods';
 import type { Pattern } from '../Pattern';
 import { Point } from '../Point';
+import { SpatialIndex } from '../SpatialIndex';
 import type { BaseFabricObject as FabricObject } from '../EventTypeDefs';
 import type { TCachedFabricObject } from '../shapes/Object/Object';
 import type { Rect } from '../shapes/Rect';
@@ -17,6 +22,7 @@ import type {
   TFiller,
   TMat2D,
   TSize,
+  TBBox,
   TSVGReviver,
   TToCanvasElementOptions,
   TValidToObjectMethod,
@@ -25,17 +31,29 @@ import {
   cancelAnimFrame,
   requestAnimFrame,
 } from '../util/animation/AnimationFrameProvider';
-import { uid } from '../util/internals/uid';
+import { uid, uniqueId } from '../util/internals/uid';
 import { createCanvasElement, toDataURL } from '../util/misc/dom';
-import { invertTransform, transformPoint } from '../util/misc/matrix';
+import {
+  invertTransform,
+  multiplyTransformMatrices,
+  transformPoint,
+} from '../util/misc/matrix';
 import type { EnlivenObjectOptions } from '../util/misc/objectEnlive';
 import {
   enlivenObjectEnlivables,
   enlivenObjects,
 } from '../util/misc/objectEnlive';
+import { makeBoundingBoxFromPoints } from '../util/misc/boundingBoxFromPoints';
 import { pick } from '../util/misc/pick';
+import type { TCanvasPatch, TCanvasState } from '../util/misc/statePatch';
+import type { Grid } from './Grid';
+import type { SerializedLayerProps } from './Layer';
+import { Layer } from './Layer';
+import { diffStates, resolveExportedIndex } from '../util/misc/statePatch';
+import { stylesFromArray } from '../util/misc/textStyles';
 import { matrixToSVG } from '../util/misc/svgParsing';
 import { toFixed } from '../util/misc/toFixed';
+import { escapeXml } from '../util/lang_string';
 import {
   isCollection,
   isFiller,
@@ -64,6 +82,27 @@ export type TSVGExportOptions = {
   reviver?: TSVGReviver;
 };
 
+/**
+ * Composite operations that are also CSS blend modes, used to export layers to SVG
+ */
+const SVG_BLEND_MODES: string[] = [
+  'multiply',
+  'screen',
+  'overlay',
+  'darken',
+  'lighten',
+  'color-dodge',
+  'color-burn',
+  'hard-light',
+  'soft-light',
+  'difference',
+  'exclusion',
+  'hue',
+  'saturation',
+  'color',
+  'luminosity',
+];
+
 export const StaticCanvasDefaults = {
   backgroundColor: '',
   backgroundImage: null,
@@ -80,6 +119,7 @@ export const StaticCanvasDefaults = {
   enableRetinaScaling: true,
   svgViewportTransformation: true,
   skipOffscreen: true,
+  enableSpatialIndex: false,
   clipPath: undefined,
 };
 
@@ -229,6 +269,24 @@ export class StaticCanvas<
    */
   declare skipOffscreen: boolean;
 
+  /**
+   * When `true`, objects are stored in a {@link SpatialIndex} by their bounding box,
+   * so that finding targets, collecting objects in an area and skipping offscreen objects
+   * don't need to scan every object.
+   * Useful for canvases with thousands of objects.
+   * The index is updated when objects are added, removed or when their coords are set, see {@link FabricObject#setCoords}
+   * @type Boolean
+   * @default false
+   */
+  declare enableSpatialIndex: boolean;
+
+  private declare _spatialIndex?: SpatialIndex<FabricObject>;
+
+  /**
+   * Max padding of the indexed objects, padding is applied in the viewport plane
+   */
+  private _spatialIndexPadding = 0;
+
   /**
    * a fabricObject that, without stroke define a clipping area with their shape. filled in black
    * the clipPath object gets used when the canvas has rendered, and the context is placed in the
@@ -238,6 +296,20 @@ export class StaticCanvas<
    */
   declare clipPath: FabricObject;
 
+  /**
+   * Grid rendered below objects, and rulers rendered above them, see {@link Grid}
+   * @type Grid
+   */
+  declare grid?: Grid;
+
+  /**
+   * Named layers, from bottom to top, see {@link addLayer}.
+   * Objects that don't belong to a layer are rendered below all layers,
+   * objects of the same layer are rendered in stack order.
+   * @type Layer[]
+   */
+  layers: Layer[] = [];
+
   /**
    * A reference to the canvas actual HTMLCanvasElement.
    * Can be use to read the raw pixels, but never write or manipulate
@@ -311,6 +383,7 @@ export class StaticCanvas<
     });
     this.viewportTransform = [...this.viewportTransform];
     this.calcViewportBoundaries();
+    this._onObjectCoordsChanged = this._onObjectCoordsChanged.bind(this);
   }
 
   protected initElements(el: string | HTMLCanvasElement) {
@@ -347,20 +420,112 @@ export class StaticCanvas<
     }
     obj._set('canvas', this);
     obj.setCoords();
+    this._spatialIndex && this._indexObject(obj);
+    obj.on('coords:changed', this._onObjectCoordsChanged);
     this.fire('object:added', { target: obj });
     obj.fire('added', { target: this });
   }
 
   _onObjectRemoved(obj: FabricObject) {
+    this._spatialIndex?.remove(obj);
+    obj.off('coords:changed', this._onObjectCoordsChanged);
     obj._set('canvas', undefined);
     this.fire('object:removed', { target: obj });
     obj.fire('removed', { target: this });
   }
 
-  _onStackOrderChanged() {
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  _onStackOrderChanged(obj: FabricObject) {
     this.renderOnAddRemove && this.requestRenderAll();
   }
 
+  /**
+   * Keeps the spatial index in sync with the coords of the objects, see {@link FabricObject#setCoords}
+   * @private
+   */
+  _onObjectCoordsChanged({ target }: ObjectEvents['coords:changed']) {
+    this._spatialIndex?.has(target) && this._indexObject(target);
+  }
+
+  /**
+   * @private
+   * @param {FabricObject} obj
+   */
+  _indexObject(obj: FabricObject) {
+    this._spatialIndexPadding = Math.max(
+      this._spatialIndexPadding,
+      obj.padding
+    );
+    this._spatialIndex!.insert(
+      obj,
+      makeBoundingBoxFromPoints(obj.getCoords(true))
+    );
+  }
+
+  /**
+   * Returns the spatial index of the canvas, building it if needed
+   * @returns {SpatialIndex | undefined} the index or `undefined` if {@link enableSpatialIndex} is `false`
+   */
+  getSpatialIndex() {
+    if (!this.enableSpatialIndex) {
+      delete this._spatialIndex;
+      return undefined;
+    }
+    if (!this._spatialIndex) {
+      this._spatialIndex = new SpatialIndex();
+      this._spatialIndexPadding = 0;
+      this._objects.forEach((object) => this._indexObject(object));
+    }
+    return this._spatialIndex;
+  }
+
+  /**
+   * Uses the spatial index to narrow down the search, see {@link enableSpatialIndex}
+   * @param {TBBox} bbox bounding box in the canvas plane
+   * @returns {FabricObject[]} objects that may intersect `bbox`, in stack order
+   */
+  _searchObjectsInBounds(bbox: TBBox): FabricObject[] {
+    const index = this.getSpatialIndex();
+    if (!index) {
+      return this._objects;
+    }
+    const tolerance = this._spatialIndexPadding / this.getZoom(),
+      found = new Set(
+        index.search({
+          left: bbox.left - tolerance,
+          top: bbox.top - tolerance,
+          width: bbox.width + tolerance * 2,
+          height: bbox.height + tolerance * 2,
+        })
+      );
+    return this._objects.filter((object) => found.has(object));
+  }
+
+  /**
+   * Uses the spatial index to filter out objects outside of the viewport, see {@link enableSpatialIndex}
+   * @private
+   * @param {FabricObject[]} objects
+   * @returns {FabricObject[]}
+   */
+  _cullObjects(objects: FabricObject[]) {
+    const index = this.skipOffscreen && this.getSpatialIndex();
+    if (!index) {
+      return objects;
+    }
+    const { tl, br } = this.vptCoords,
+      visible = new Set(
+        index.search({
+          left: tl.x,
+          top: tl.y,
+          width: br.x - tl.x,
+          height: br.y - tl.y,
+        })
+      );
+    return objects.filter(
+      (object) => !index.has(object) || visible.has(object)
+    );
+  }
+
   /**
    * @private
    */
@@ -685,11 +850,12 @@ export class StaticCanvas<
     ctx.patternQuality = 'best';
     this.fire('before:render', { ctx });
     this._renderBackground(ctx);
+    this.grid && this.grid.render(ctx, this);
 
     ctx.save();
     //apply viewport transform once for all rendering process
     ctx.transform(v[0], v[1], v[2], v[3], v[4], v[5]);
-    this._renderObjects(ctx, objects);
+    this._renderObjects(ctx, this._cullObjects(objects));
     ctx.restore();
     if (!this.controlsAboveOverlay) {
       this.drawControls(ctx);
@@ -703,6 +869,7 @@ export class StaticCanvas<
       this.drawClipPathOnCanvas(ctx, path as TCachedFabricObject);
     }
     this._renderOverlay(ctx);
+    this.grid && this.grid.renderRulers(ctx, this);
     if (this.controlsAboveOverlay) {
       this.drawControls(ctx);
     }
@@ -744,9 +911,154 @@ export class StaticCanvas<
    * @param {Array} objects to render
    */
   _renderObjects(ctx: CanvasRenderingContext2D, objects: FabricObject[]) {
-    for (let i = 0, len = objects.length; i < len; ++i) {
-      objects[i] && objects[i].render(ctx);
+    if (this.layers.length === 0) {
+      for (let i = 0, len = objects.length; i < len; ++i) {
+        objects[i] && objects[i].render(ctx);
+      }
+      return;
+    }
+    this._groupObjectsByLayer(objects).forEach(([layer, layerObjects]) =>
+      layer && layer.needsComposition()
+        ? this._renderLayer(ctx, layer, layerObjects)
+        : layerObjects.forEach((object) => object.render(ctx))
+    );
+  }
+
+  /**
+   * Renders the objects of a layer on a separate canvas
+   * so that the opacity and the blend mode of the layer apply to their composition
+   * @private
+   * @param {CanvasRenderingContext2D} ctx Context to render on, the viewport transform is applied
+   * @param {Layer} layer
+   * @param {FabricObject[]} objects objects of the layer
+   */
+  _renderLayer(
+    ctx: CanvasRenderingContext2D,
+    layer: Layer,
+    objects: FabricObject[]
+  ) {
+    const { width, height } = ctx.canvas,
+      // retina scaling or export multiplier
+      scaling = width / this.width,
+      el = createCanvasElement(),
+      layerCtx = el.getContext('2d')!;
+    el.width = width;
+    el.height = height;
+    layerCtx.imageSmoothingEnabled = ctx.imageSmoothingEnabled;
+    layerCtx.setTransform(
+      ...multiplyTransformMatrices(
+        [scaling, 0, 0, scaling, 0, 0],
+        this.viewportTransform
+      )
+    );
+    objects.forEach((object) => object.render(layerCtx));
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = layer.opacity;
+    ctx.globalCompositeOperation = layer.globalCompositeOperation;
+    ctx.drawImage(el, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   * @param {FabricObject[]} objects top level objects
+   * @returns {[Layer | undefined, FabricObject[]][]} objects of visible layers in render order,
+   * starting with the objects that don't belong to a layer
+   */
+  _groupObjectsByLayer(
+    objects: FabricObject[]
+  ): [Layer | undefined, FabricObject[]][] {
+    const groups = new Map<Layer | undefined, FabricObject[]>([
+      [undefined, []],
+      ...this.layers.map(
+        (layer) => [layer, []] as [Layer | undefined, FabricObject[]]
+      ),
+    ]);
+    objects.forEach((object) => {
+      object && groups.get(this.getObjectLayer(object))!.push(object);
+    });
+    return Array.from(groups).filter(
+      ([layer, layerObjects]) =>
+        layerObjects.length > 0 && (!layer || layer.visible)
+    );
+  }
+
+  /**
+   * Adds a layer on top of the other layers
+   * @param {String} name unique name of the layer
+   * @param {Object} [options] layer properties
+   * @returns {Layer} the new layer
+   * @throws if a layer named `name` exists
+   */
+  addLayer(
+    name: string,
+    options?: Partial<Omit<SerializedLayerProps, 'name'>>
+  ) {
+    if (this.getLayer(name)) {
+      throw new Error(`fabric.js: layer "${name}" already exists`);
+    }
+    const layer = new Layer(name, options);
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Layer | undefined}
+   */
+  getLayer(name: string) {
+    return this.layers.find((layer) => layer.name === name);
+  }
+
+  /**
+   * Removes a layer, its objects are kept and rendered as objects that don't belong to a layer
+   * @param {String} name
+   * @returns {boolean} true if the layer was removed
+   */
+  removeLayer(name: string) {
+    const layer = this.getLayer(name);
+    if (!layer) {
+      return false;
     }
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    return true;
+  }
+
+  /**
+   * Moves a layer in the layer stack
+   * @param {String} name
+   * @param {number} index new index of the layer, `0` is the bottom
+   * @returns {boolean} true if the layer was moved
+   */
+  moveLayer(name: string, index: number) {
+    const layer = this.getLayer(name);
+    if (!layer) {
+      return false;
+    }
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    this.layers.splice(index, 0, layer);
+    return true;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {FabricObject[]} the top level objects of the layer, in stack order
+   */
+  getLayerObjects(name: string) {
+    return this._objects.filter((object) => object.layer === name);
+  }
+
+  /**
+   * Objects nested in groups belong to the layer of their top level ancestor
+   * @param {FabricObject} object
+   * @returns {Layer | undefined} the layer of the object
+   */
+  getObjectLayer(object: FabricObject) {
+    const ancestors = object.getAncestors(true),
+      { layer } =
+        (ancestors[ancestors.length - 1] as FabricObject | undefined) || object;
+    return layer !== undefined ? this.getLayer(layer) : undefined;
   }
 
   /**
@@ -988,6 +1300,9 @@ export class StaticCanvas<
         ),
       ...this.__serializeBgOverlay(methodName, propertiesToInclude),
       ...(clipPathData ? { clipPath: clipPathData } : null),
+      ...(this.layers.length > 0
+        ? { layers: this.layers.map((layer) => layer.toObject()) }
+        : null),
     };
   }
 
@@ -1288,11 +1603,28 @@ export class StaticCanvas<
    * @private
    */
   _setSVGObjects(markup: string[], reviver: TSVGReviver) {
-    this.forEachObject((fabricObject) => {
-      if (fabricObject.excludeFromExport) {
-        return;
-      }
-      this._setSVGObject(markup, fabricObject, reviver);
+    if (this.layers.length === 0) {
+      this.forEachObject((fabricObject) => {
+        if (fabricObject.excludeFromExport) {
+          return;
+        }
+        this._setSVGObject(markup, fabricObject, reviver);
+      });
+      return;
+    }
+    this._groupObjectsByLayer(
+      this._objects.filter((object) => !object.excludeFromExport)
+    ).forEach(([layer, objects]) => {
+      layer &&
+        markup.push(
+          `<g id="${escapeXml(layer.name)}" opacity="${layer.opacity}"${
+            SVG_BLEND_MODES.includes(layer.globalCompositeOperation)
+              ? ` style="mix-blend-mode: ${layer.globalCompositeOperation};"`
+              : ''
+          }>\n`
+        );
+      objects.forEach((object) => this._setSVGObject(markup, object, reviver));
+      layer && markup.push('</g>\n');
     });
   }
 
@@ -1409,6 +1741,7 @@ export class StaticCanvas<
       overlayImage,
       overlay,
       clipPath,
+      layers = [],
     } = serialized;
     const renderOnAddRemove = this.renderOnAddRemove;
     this.renderOnAddRemove = false;
@@ -1433,11 +1766,142 @@ export class StaticCanvas<
       this.add(...enlived);
       this.set(serialized);
       this.set(enlivedMap);
+      this.layers = (layers as SerializedLayerProps[]).map((layer) =>
+        Layer.fromObject(layer)
+      );
       this.renderOnAddRemove = renderOnAddRemove;
       return this;
     });
   }
 
+  /**
+   * Returns a serialized state of the canvas that can be compared to a later state with {@link diff}.
+   * Objects without an `id` are assigned a unique one so that they can be tracked across states.
+   * @param {string[]} [propertiesToInclude] Any properties that you might want to additionally include in the output
+   * @returns {TCanvasState}
+   */
+  toState(propertiesToInclude: string[] = []): TCanvasState {
+    this._objects.forEach((object) => {
+      if (!object.id) {
+        object.id = uniqueId();
+      }
+    });
+    return this.toObject(['id', ...propertiesToInclude]) as TCanvasState;
+  }
+
+  /**
+   * Computes the changes made to the canvas since `prevState` as a list of operations
+   * that can be applied to another canvas with {@link applyPatch}
+   * @param {TCanvasState} prevState state returned by {@link toState}
+   * @param {string[]} [propertiesToInclude] same properties passed to {@link toState}
+   * @returns {TCanvasPatch}
+   * @example
+   * let state = canvas.toState();
+   * // ... user edits the canvas
+   * const patch = canvas.diff(state);
+   * state = canvas.toState();
+   * await otherCanvas.applyPatch(patch);
+   */
+  diff(prevState: TCanvasState, propertiesToInclude?: string[]) {
+    return diffStates(prevState, this.toState(propertiesToInclude));
+  }
+
+  /**
+   * Applies a patch created by {@link diff}.
+   * New objects are enlivened with the same machinery used by {@link loadFromJSON},
+   * changes are applied once every object is ready.
+   * @param {TCanvasPatch} patch
+   * @param {Function} [reviver] Method for further parsing of JSON elements, called after each fabric object created.
+   * @param {Object} [options] options
+   * @param {AbortSignal} [options.signal] see https://developer.mozilla.org/en-US/docs/Web/API/AbortController/signal
+   * @returns {Promise<this>}
+   */
+  applyPatch(
+    patch: TCanvasPatch,
+    reviver?: EnlivenObjectOptions['reviver'],
+    { signal }: Abortable = {}
+  ): Promise<this> {
+    return Promise.all(
+      patch.map((operation) => {
+        switch (operation.op) {
+          case 'add':
+            return enlivenObjects([operation.object], { reviver, signal }).then(
+              ([object]) => object
+            );
+          case 'set':
+            return enlivenObjectEnlivables(operation.props, { signal });
+          case 'canvas': {
+            const { background, overlay, ...props } = operation.props;
+            return enlivenObjectEnlivables(
+              {
+                ...props,
+                ...(background !== undefined
+                  ? { backgroundColor: background }
+                  : null),
+                ...(overlay !== undefined ? { overlayColor: overlay } : null),
+              },
+              { signal }
+            );
+          }
+        }
+      })
+    ).then((enlived) => {
+      const renderOnAddRemove = this.renderOnAddRemove;
+      this.renderOnAddRemove = false;
+      const findById = (id: string) =>
+          this._objects.find((object) => object.id === id),
+        toIndex = (index: number, object?: FabricObject) =>
+          resolveExportedIndex(this._objects, index, object);
+      patch.forEach((operation, i) => {
+        switch (operation.op) {
+          case 'remove': {
+            const object = findById(operation.id);
+            object && this.remove(object);
+            break;
+          }
+          case 'move': {
+            const object = findById(operation.id);
+            object &&
+              this.moveObjectTo(object, toIndex(operation.index, object));
+            break;
+          }
+          case 'add':
+            this.insertAt(toIndex(operation.index), enlived[i] as FabricObject);
+            break;
+          case 'set': {
+            const object = findById(operation.id);
+            if (!object) {
+              break;
+            }
+            const props = enlived[i] as Record<string, any>;
+            if (props.styles && isTextObject(object)) {
+              props.styles = stylesFromArray(
+                props.styles,
+                props.text ?? object.text
+              );
+            }
+            object.set(props);
+            object.setCoords();
+            break;
+          }
+          case 'canvas': {
+            const { layers, ...props } = enlived[i] as Record<string, any>;
+            this.set(props);
+            // a removed key is patched as `null`
+            layers !== undefined &&
+              (this.layers = ((layers || []) as SerializedLayerProps[]).map(
+                (layer) => Layer.fromObject(layer)
+              ));
+            break;
+          }
+        }
+      });
+      this.renderOnAddRemove = renderOnAddRemove;
+      this.requestRenderAll();
+      return this;
+    });
+  }
+
   /**
    * Clones canvas instance
    * @param {string[]} [properties] Array of properties to include in the cloned canvas and children
@@ -1543,6 +2007,7 @@ export class StaticCanvas<
       translateY = (vp[5] - (top || 0)) * multiplier,
       newVp = [newZoom, 0, 0, newZoom, translateX, translateY] as TMat2D,
       originalRetina = this.enableRetinaScaling,
+      grid = this.grid,
       canvasEl = createCanvasElement(),
       objectsToRender = filter
         ? this._objects.filter((obj) => filter(obj))
@@ -1554,7 +2019,9 @@ export class StaticCanvas<
     this.width = scaledWidth;
     this.height = scaledHeight;
     this.calcViewportBoundaries();
+    grid && grid.excludeFromExport && (this.grid = undefined);
     this.renderCanvas(canvasEl.getContext('2d')!, objectsToRender);
+    this.grid = grid;
     this.viewportTransform = vp;
     this.width = originalWidth;
     this.height = originalHeight;
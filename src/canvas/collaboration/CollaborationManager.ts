@@ -0,0 +1,559 @@
+import type { Transform } from '../../EventTypeDefs';
+import type { FabricObject } from '../../shapes/Object/FabricObject';
+import type { InteractiveFabricObject } from '../../shapes/Object/InteractiveObject';
+import type { Text } from '../../shapes/Text/Text';
+import { uniqueId } from '../../util/internals/uid';
+import {
+  enlivenObjectEnlivables,
+  enlivenObjects,
+} from '../../util/misc/objectEnlive';
+import { applyTransformToObject } from '../../util/misc/objectTransforms';
+import { pick } from '../../util/misc/pick';
+import { resolveExportedIndex } from '../../util/misc/statePatch';
+import {
+  isActiveSelection,
+  isInteractiveTextObject,
+  isTextObject,
+} from '../../util/typeAssertions';
+import type { Canvas } from '../Canvas';
+import { transformProperties } from '../HistoryManager';
+import { TextSequence } from './TextSequence';
+import type {
+  CollaborationTransport,
+  TAddOperation,
+  TOperation,
+  TOperationStamp,
+  TTextDeleteOperation,
+  TTextInsertOperation,
+} from './types';
+
+/**
+ * key used to stamp the stack position of an object
+ */
+const INDEX = '#index';
+
+const isNewer = (stamp: TOperationStamp, other?: TOperationStamp) =>
+  !other ||
+  stamp.clock > other.clock ||
+  (stamp.clock === other.clock && stamp.site > other.site);
+
+const serializeValue = (value: any) =>
+  value && typeof value.toObject === 'function' ? value.toObject() : value;
+
+/**
+ * @returns the transform properties of an object that belongs to an active selection
+ * as if it was on the canvas
+ */
+const getCanvasPlaneTransform = (object: FabricObject) => {
+  // should be called without streaming nor recording changes
+  const state = pick(object, transformProperties);
+  applyTransformToObject(object, object.calcTransformMatrix());
+  const props = pick(object, transformProperties);
+  object.set(state);
+  return props;
+};
+
+/**
+ * Streams the changes made to a canvas as serializable operations
+ * and applies the operations received from the other peers of a collaboration session.
+ *
+ * Streamed operations are:
+ * - objects added or removed from the canvas
+ * - stack order changes
+ * - property changes made with {@link FabricObject#set}, batched per call
+ * - text inserts and deletes
+ *
+ * Conflicts are resolved as follows:
+ * - properties and stack position are last writer wins, by Lamport timestamp
+ * - removal wins over any concurrent change
+ * - text is merged character by character, see {@link TextSequence}
+ *
+ * Only top level objects are tracked, they are identified by their `id`.
+ * Peers are expected to start from the same state, e.g. by loading the same JSON including ids.
+ * Remote changes are not recorded by {@link Canvas#historyManager}.
+ *
+ * @example
+ * const channel = new InMemoryChannel();
+ * canvas.collaborationManager.connect(channel.createTransport());
+ */
+export class CollaborationManager {
+  /**
+   * Identifies this peer, used to break ties between concurrent operations
+   * @type String
+   */
+  site = uniqueId();
+
+  private clock = 0;
+  private pauseDepth = 0;
+  private batchDepth = 0;
+  private pendingProps = new Map<FabricObject, Record<string, any>>();
+  private objects = new Map<string, FabricObject>();
+  /**
+   * stamps of the removals, an object can be added back by a newer operation
+   */
+  private removed = new Map<string, TOperationStamp>();
+  private stamps = new Map<string, Record<string, TOperationStamp>>();
+  private sequences = new Map<string, TextSequence>();
+  private queue: Promise<void> = Promise.resolve();
+  private declare transport?: CollaborationTransport;
+  private declare __disposer?: VoidFunction;
+
+  constructor(private canvas: Canvas) {}
+
+  isConnected() {
+    return !!this.transport;
+  }
+
+  /**
+   * Starts streaming operations to `transport` and applying the ones it receives.
+   * Objects already on the canvas are tracked, objects without an id are assigned one.
+   * @param {CollaborationTransport} transport
+   * @returns {Function} a function that disconnects the transport
+   */
+  connect(transport: CollaborationTransport) {
+    this.disconnect();
+    const canvas = this.canvas;
+    this.transport = transport;
+    (canvas._objects as FabricObject[]).forEach((object) => this.track(object));
+    const disposers = [
+      // failures are reported by the `collaboration:error` event
+      transport.subscribe((operation) =>
+        this.receive(operation).catch(() => undefined)
+      ),
+      canvas.on('text:changed', ({ target }) => this.syncText(target)),
+      canvas.on('text:editing:exited', ({ target }) => this.syncText(target)),
+    ];
+    this.__disposer = () => disposers.forEach((d) => d());
+    return () => this.disconnect();
+  }
+
+  disconnect() {
+    this.__disposer?.();
+    delete this.__disposer;
+    delete this.transport;
+    this.objects.clear();
+    this.pendingProps.clear();
+    this.sequences.clear();
+  }
+
+  /**
+   * `true` if local changes are being streamed
+   */
+  isStreaming() {
+    return !!this.transport && this.pauseDepth === 0;
+  }
+
+  /**
+   * Runs `callback` without streaming any change
+   * @param {Function} callback
+   * @returns the return value of `callback`
+   */
+  pause<T>(callback: () => T): T {
+    this.pauseDepth++;
+    try {
+      return callback();
+    } finally {
+      this.pauseDepth--;
+    }
+  }
+
+  /**
+   * Runs `callback` sending a single operation per object for the properties it changes
+   * @param {Function} callback
+   * @returns the return value of `callback`
+   */
+  batch<T>(callback: () => T): T {
+    this.batchDepth++;
+    try {
+      return callback();
+    } finally {
+      --this.batchDepth === 0 && this.flush();
+    }
+  }
+
+  private tick() {
+    return { site: this.site, clock: ++this.clock };
+  }
+
+  private send(operation: TOperation) {
+    this.transport!.send(operation);
+    this.canvas.fire('collaboration:sent', { operation });
+  }
+
+  private stamp(id: string, key: string, stamp: TOperationStamp) {
+    const stamps = this.stamps.get(id) || {};
+    stamps[key] = stamp;
+    this.stamps.set(id, stamps);
+  }
+
+  private getIndex(object: FabricObject) {
+    return (this.canvas._objects as FabricObject[])
+      .filter(({ excludeFromExport }) => !excludeFromExport)
+      .indexOf(object);
+  }
+
+  private track(object: FabricObject, chars?: string[]) {
+    if (object.excludeFromExport) {
+      return false;
+    }
+    if (!object.id) {
+      object.id = uniqueId();
+    }
+    const id = object.id;
+    this.objects.set(id, object);
+    if (isTextObject(object) && !this.sequences.has(id)) {
+      const text = object.graphemeSplit(object.text);
+      this.sequences.set(
+        id,
+        chars ? new TextSequence(chars, text) : TextSequence.fromText(id, text)
+      );
+    }
+    return true;
+  }
+
+  private flush() {
+    const pending = [...this.pendingProps];
+    this.pendingProps.clear();
+    pending.forEach(([object, props]) => {
+      const id = object.id!,
+        stamp = this.tick();
+      Object.keys(props).forEach((key) => this.stamp(id, key, stamp));
+      this.send({ type: 'set', id, props, ...stamp });
+    });
+  }
+
+  /**
+   * called by {@link Canvas#_onObjectAdded}
+   */
+  onObjectAdded(object: FabricObject) {
+    if (!this.transport || !this.track(object) || !this.isStreaming()) {
+      return;
+    }
+    const id = object.id!;
+    this.send({
+      type: 'add',
+      id,
+      index: this.getIndex(object),
+      object: this.canvas._toObject(object, 'toObject', ['id']),
+      chars: this.sequences.get(id)?.getIds(),
+      ...this.tick(),
+    });
+  }
+
+  /**
+   * called by {@link Canvas#_onObjectRemoved}
+   */
+  onObjectRemoved(object: FabricObject) {
+    const id = object.id;
+    if (!id || !this.objects.has(id)) {
+      return;
+    }
+    this.objects.delete(id);
+    this.pendingProps.delete(object);
+    if (this.isStreaming()) {
+      const stamp = this.tick();
+      this.removed.set(id, stamp);
+      this.send({ type: 'remove', id, ...stamp });
+    }
+  }
+
+  /**
+   * called by {@link Canvas#_onStackOrderChanged}
+   */
+  onStackOrderChanged(object: FabricObject) {
+    const id = object.id;
+    if (!id || !this.objects.has(id) || !this.isStreaming()) {
+      return;
+    }
+    const stamp = this.tick();
+    this.stamp(id, INDEX, stamp);
+    this.send({ type: 'move', id, index: this.getIndex(object), ...stamp });
+  }
+
+  /**
+   * called by {@link InteractiveFabricObject#_set}
+   */
+  onPropertyChange(target: InteractiveFabricObject, key: string, value: any) {
+    const id = target.id,
+      object = target as FabricObject;
+    if (!id || this.objects.get(id) !== object || !this.isStreaming()) {
+      return;
+    }
+    if (key === 'text' && isTextObject(object)) {
+      this.syncText(object, value);
+      return;
+    }
+    const { stateProperties, cacheProperties } =
+      object.constructor as typeof FabricObject;
+    if (!stateProperties.includes(key) && !cacheProperties.includes(key)) {
+      return;
+    }
+    const props = this.pendingProps.get(object) || {};
+    if (
+      isActiveSelection(object.group) &&
+      transformProperties.includes(key as keyof FabricObject)
+    ) {
+      // the object is in the selection plane, stream its canvas plane transform
+      Object.assign(
+        props,
+        this.silently(() => getCanvasPlaneTransform(object))
+      );
+    } else {
+      props[key] = serializeValue(value);
+    }
+    this.pendingProps.set(object, props);
+    this.batchDepth === 0 && this.flush();
+  }
+
+  /**
+   * Objects of an active selection are not changed while the selection is transformed,
+   * their canvas plane transform is streamed once the transform ends.
+   * called by {@link Canvas#_finalizeCurrentTransform}
+   */
+  onTransformEnd({ target, actionPerformed }: Transform) {
+    if (!actionPerformed || !isActiveSelection(target) || !this.isStreaming()) {
+      return;
+    }
+    this.batch(() =>
+      (target.getObjects() as FabricObject[]).forEach((object) => {
+        object.id &&
+          this.objects.get(object.id) === object &&
+          this.pendingProps.set(object, {
+            ...this.pendingProps.get(object),
+            ...this.silently(() => getCanvasPlaneTransform(object)),
+          });
+      })
+    );
+  }
+
+  /**
+   * Streams the difference between the text of `target` and its replicated sequence
+   * @private
+   * @param {Text} target
+   * @param {string} [text] new text
+   */
+  private syncText(target: Text, text = target.text) {
+    const id = target.id,
+      sequence = id && this.sequences.get(id);
+    if (!sequence || this.objects.get(id) !== target || !this.isStreaming()) {
+      return;
+    }
+    const prev = sequence.getText(),
+      next = target.graphemeSplit(text);
+    let start = 0,
+      end = 0;
+    while (
+      start < prev.length &&
+      start < next.length &&
+      prev[start] === next[start]
+    ) {
+      start++;
+    }
+    while (
+      end < prev.length - start &&
+      end < next.length - start &&
+      prev[prev.length - 1 - end] === next[next.length - 1 - end]
+    ) {
+      end++;
+    }
+    if (prev.length - end > start) {
+      const chars = sequence.delete(start, prev.length - end);
+      this.send({ type: 'text:delete', id, chars, ...this.tick() });
+    }
+    const inserted = next.slice(start, next.length - end);
+    if (inserted.length > 0) {
+      const stamp = this.tick();
+      this.clock += inserted.length - 1;
+      this.send({
+        type: 'text:insert',
+        id,
+        after: sequence.insert(start, inserted, stamp.clock, stamp.site),
+        text: inserted,
+        ...stamp,
+      });
+    }
+  }
+
+  /**
+   * Applies an operation sent by another peer.
+   * Operations are applied in the order they are received,
+   * an operation that fails to apply fires `collaboration:error` and doesn't prevent the following ones from being applied.
+   * @param {TOperation} operation
+   * @returns {Promise<void>} resolves once the operation has been applied, rejects if it failed to apply
+   */
+  receive(operation: TOperation): Promise<void> {
+    const lastClock =
+      operation.type === 'text:insert'
+        ? operation.clock + operation.text.length - 1
+        : operation.clock;
+    this.clock = Math.max(this.clock, lastClock);
+    const applied = this.queue
+      .then(() => this.apply(operation))
+      .then(() => {
+        this.canvas.fire('collaboration:received', { operation });
+      });
+    this.queue = applied.catch((error) => {
+      this.canvas.fire('collaboration:error', { operation, error });
+    });
+    return applied;
+  }
+
+  /**
+   * @private
+   */
+  private apply(operation: TOperation): void | Promise<void> {
+    const { id } = operation;
+    if (operation.type === 'add') {
+      return this.applyAdd(operation);
+    }
+    const object = this.objects.get(id);
+    if (!object) {
+      return;
+    }
+    switch (operation.type) {
+      case 'remove':
+        this.removed.set(id, operation);
+        this.applyRemote(() => {
+          const group = object.group;
+          isActiveSelection(group) && group.remove(object);
+          this.canvas.remove(object);
+        });
+        return;
+      case 'move':
+        if (isNewer(operation, this.stamps.get(id)?.[INDEX])) {
+          this.stamp(id, INDEX, operation);
+          this.applyRemote(() =>
+            this.canvas.moveObjectTo(
+              object,
+              resolveExportedIndex(
+                this.canvas._objects as FabricObject[],
+                operation.index,
+                object
+              )
+            )
+          );
+        }
+        return;
+      case 'set':
+        return enlivenObjectEnlivables<Record<string, any>>(
+          operation.props
+        ).then((props) => {
+          const stamps = this.stamps.get(id),
+            changes: Record<string, any> = {};
+          Object.keys(props).forEach((key) => {
+            if (isNewer(operation, stamps?.[key])) {
+              changes[key] = props[key];
+              this.stamp(id, key, operation);
+            }
+          });
+          this.objects.get(id) === object &&
+            this.applyRemote(() => {
+              object.set(changes);
+              object.setCoords();
+            });
+        });
+      case 'text:insert':
+      case 'text:delete':
+        isTextObject(object) && this.applyText(object, operation);
+        return;
+    }
+  }
+
+  /**
+   * @private
+   */
+  private applyAdd(operation: TAddOperation) {
+    const { id, index, chars } = operation,
+      isDiscarded = () =>
+        this.objects.has(id) || !isNewer(operation, this.removed.get(id));
+    if (isDiscarded()) {
+      return;
+    }
+    return enlivenObjects([operation.object]).then(([object]) => {
+      if (isDiscarded()) {
+        return;
+      }
+      object.id = id;
+      this.track(object, chars);
+      this.stamp(id, INDEX, operation);
+      this.applyRemote(() =>
+        this.canvas.insertAt(
+          resolveExportedIndex(this.canvas._objects as FabricObject[], index),
+          object
+        )
+      );
+    });
+  }
+
+  /**
+   * @private
+   */
+  private applyText(
+    target: Text,
+    operation: TTextInsertOperation | TTextDeleteOperation
+  ) {
+    const sequence = this.sequences.get(operation.id)!,
+      interactive = isInteractiveTextObject(target) ? target : undefined,
+      shiftSelection = (index: number, amount: number) => {
+        if (!interactive) {
+          return;
+        }
+        const shift = (position: number) =>
+          position > index ? Math.max(index, position + amount) : position;
+        interactive.selectionStart = shift(interactive.selectionStart);
+        interactive.selectionEnd = shift(interactive.selectionEnd);
+      };
+    this.applyRemote(() => {
+      if (operation.type === 'text:insert') {
+        const { after, text, clock, site } = operation,
+          index = sequence.applyInsert(after, text, clock, site);
+        if (index === -1) {
+          return;
+        }
+        interactive
+          ? interactive.insertChars(text.join(''), undefined, index)
+          : target.set('text', sequence.getText().join(''));
+        shiftSelection(index - 1, text.length);
+      } else {
+        const indexes = sequence.applyDelete(operation.chars);
+        indexes.forEach((index) => {
+          interactive && interactive.removeChars(index);
+          shiftSelection(index, -1);
+        });
+        !interactive &&
+          indexes.length > 0 &&
+          target.set('text', sequence.getText().join(''));
+      }
+      if (interactive && interactive.isEditing) {
+        interactive.hiddenTextarea &&
+          (interactive.hiddenTextarea.value = interactive.text);
+        interactive._updateTextarea();
+      }
+      target.initDimensions();
+      target.setCoords();
+    });
+  }
+
+  /**
+   * Runs `callback` without streaming nor recording changes in history
+   * @private
+   */
+  private silently<T>(callback: () => T): T {
+    return this.pause(() => this.canvas.historyManager.pause(callback));
+  }
+
+  /**
+   * Applies a remote change
+   * @private
+   */
+  private applyRemote(callback: () => void) {
+    this.silently(callback);
+    this.canvas.requestRenderAll();
+  }
+
+  dispose() {
+    this.disconnect();
+    this.stamps.clear();
+    this.removed.clear();
+  }
+}
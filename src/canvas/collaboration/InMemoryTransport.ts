@@ -0,0 +1,67 @@
+import type { CollaborationTransport, TOperation } from './types';
+
+type TListener = Parameters<CollaborationTransport['subscribe']>[0];
+
+/**
+ * Connects collaboration peers living in the same page, useful for testing and prototyping.
+ * Operations are queued until {@link flush} is called so that concurrent edits can be simulated.
+ * Operations are serialized to JSON on their way.
+ *
+ * @example
+ * const channel = new InMemoryChannel();
+ * canvasA.collaborationManager.connect(channel.createTransport());
+ * canvasB.collaborationManager.connect(channel.createTransport());
+ * rect.set('fill', 'red');
+ * await channel.flush();
+ */
+export class InMemoryChannel {
+  private listeners = new Map<CollaborationTransport, TListener[]>();
+  private queue: { from: CollaborationTransport; payload: string }[] = [];
+
+  /**
+   * @returns {CollaborationTransport} a transport connected to the other transports of the channel
+   */
+  createTransport(): CollaborationTransport {
+    const transport: CollaborationTransport = {
+      send: (operation) => {
+        this.queue.push({
+          from: transport,
+          payload: JSON.stringify(operation),
+        });
+      },
+      subscribe: (listener) => {
+        this.listeners.get(transport)!.push(listener);
+        return () => {
+          const listeners = this.listeners.get(transport)!;
+          listeners.splice(listeners.indexOf(listener), 1);
+        };
+      },
+    };
+    this.listeners.set(transport, []);
+    return transport;
+  }
+
+  /**
+   * @returns {number} amount of operations waiting to be delivered
+   */
+  size() {
+    return this.queue.length;
+  }
+
+  /**
+   * Delivers the queued operations
+   * @returns {Promise<void>} resolves once the operations have been applied by the listeners
+   */
+  flush(): Promise<void> {
+    const results: (void | Promise<void>)[] = [];
+    this.queue.splice(0).forEach(({ from, payload }) => {
+      this.listeners.forEach((listeners, transport) => {
+        transport !== from &&
+          listeners.forEach((listener) =>
+            results.push(listener(JSON.parse(payload) as TOperation))
+          );
+      });
+    });
+    return Promise.all(results).then(() => undefined);
+  }
+}
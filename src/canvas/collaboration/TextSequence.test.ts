@@ -0,0 +1,53 @@
+import { TextSequence, compareCharIds, createCharId } from './TextSequence';
+
+const split = (text: string) => text.split('');
+
+describe('TextSequence', () => {
+  it('creates the same ids on every peer', () => {
+    expect(TextSequence.fromText('a', split('ab')).getIds()).toEqual(
+      TextSequence.fromText('a', split('ab')).getIds()
+    );
+  });
+
+  it('orders ids by clock then site', () => {
+    expect(compareCharIds(createCharId(2, 'a'), createCharId(1, 'b'))).toBe(1);
+    expect(compareCharIds(createCharId(1, 'b'), createCharId(1, 'a'))).toBe(1);
+    expect(compareCharIds(createCharId(1, 'a'), createCharId(1, 'a'))).toBe(0);
+  });
+
+  it('inserts and deletes locally', () => {
+    const sequence = TextSequence.fromText('t', split('hello'));
+    const after = sequence.insert(5, split(' world'), 1, 'a');
+    expect(after).toBe(sequence.getIds()[4]);
+    expect(sequence.getText().join('')).toBe('hello world');
+    sequence.delete(0, 6);
+    expect(sequence.getText().join('')).toBe('world');
+  });
+
+  it('converges on concurrent edits', () => {
+    const a = TextSequence.fromText('t', split('abc')),
+      b = TextSequence.fromText('t', split('abc'));
+    const afterA = a.insert(1, split('XY'), 1, 'a');
+    const afterB = b.insert(1, split('Z'), 1, 'b');
+    const deleted = b.delete(2, 3);
+    expect(b.applyInsert(afterA, split('XY'), 1, 'a')).toBe(2);
+    expect(a.applyInsert(afterB, split('Z'), 1, 'b')).toBe(1);
+    expect(a.applyDelete(deleted)).toEqual([4]);
+    expect(a.getText()).toEqual(b.getText());
+    expect(a.getText().join('')).toBe('aZXYc');
+  });
+
+  it('ignores inserts applied twice', () => {
+    const sequence = TextSequence.fromText('t', split('a'));
+    const after = sequence.insert(1, split('b'), 1, 'a');
+    expect(sequence.applyInsert(after, split('b'), 1, 'a')).toBe(-1);
+    expect(sequence.getText().join('')).toBe('ab');
+  });
+
+  it('returns deleted indexes in descending order', () => {
+    const sequence = TextSequence.fromText('t', split('abcd'));
+    const ids = sequence.getIds();
+    expect(sequence.applyDelete([ids[0], ids[2]])).toEqual([2, 0]);
+    expect(sequence.getText().join('')).toBe('bd');
+  });
+});
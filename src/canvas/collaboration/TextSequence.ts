@@ -0,0 +1,171 @@
+type TChar = { id: string; value: string; deleted: boolean };
+
+/**
+ * @returns the id of a character inserted by `site` at `clock`
+ */
+export const createCharId = (clock: number, site: string) => `${clock}@${site}`;
+
+const parseCharId = (id: string) => {
+  const at = id.indexOf('@');
+  return { clock: Number(id.slice(0, at)), site: id.slice(at + 1) };
+};
+
+/**
+ * Orders character ids by clock, then by site
+ * @returns a positive number if `a` was inserted after `b`
+ */
+export const compareCharIds = (a: string, b: string) => {
+  const stampA = parseCharId(a),
+    stampB = parseCharId(b);
+  return stampA.clock !== stampB.clock
+    ? stampA.clock - stampB.clock
+    : stampA.site > stampB.site
+    ? 1
+    : stampA.site < stampB.site
+    ? -1
+    : 0;
+};
+
+/**
+ * Replicated sequence of graphemes used to merge concurrent text edits character by character.
+ * Every grapheme is identified by the stamp of the operation that inserted it,
+ * inserts reference the character they follow and deleted characters are kept as tombstones,
+ * so that operations can be applied in any order relative to concurrent ones and still converge.
+ */
+export class TextSequence {
+  private chars: TChar[];
+
+  /**
+   * @param {string[]} ids ids of the characters
+   * @param {string[]} values graphemes
+   */
+  constructor(ids: string[], values: string[]) {
+    this.chars = ids.map((id, index) => ({
+      id,
+      value: values[index],
+      deleted: false,
+    }));
+  }
+
+  /**
+   * Creates the sequence of a text that has not been edited yet.
+   * Ids are derived from the object id so that every peer creates the same sequence.
+   * @param {string} objectId
+   * @param {string[]} values graphemes
+   */
+  static fromText(objectId: string, values: string[]) {
+    return new this(
+      values.map((_, index) => createCharId(0, `${objectId}:${index}`)),
+      values
+    );
+  }
+
+  /**
+   * @returns ids of the visible characters
+   */
+  getIds() {
+    return this.chars.filter(({ deleted }) => !deleted).map(({ id }) => id);
+  }
+
+  /**
+   * @returns visible graphemes
+   */
+  getText() {
+    return this.chars
+      .filter(({ deleted }) => !deleted)
+      .map(({ value }) => value);
+  }
+
+  /**
+   * Inserts graphemes created locally
+   * @param {number} index visible index
+   * @param {string[]} values graphemes
+   * @param {number} clock clock of the first grapheme, it must be greater than any known clock
+   * @param {string} site
+   * @returns {string | null} id of the character preceding the inserted text
+   */
+  insert(index: number, values: string[], clock: number, site: string) {
+    const after = index > 0 ? this.getIds()[index - 1] : null;
+    this.applyInsert(after, values, clock, site);
+    return after;
+  }
+
+  /**
+   * Deletes graphemes locally
+   * @param {number} start visible index
+   * @param {number} end visible index
+   * @returns {string[]} ids of the deleted characters
+   */
+  delete(start: number, end: number) {
+    const ids = this.getIds().slice(start, end);
+    this.applyDelete(ids);
+    return ids;
+  }
+
+  /**
+   * Applies an insert operation
+   * @param {string | null} after id of the preceding character
+   * @param {string[]} values graphemes
+   * @param {number} clock clock of the first grapheme
+   * @param {string} site
+   * @returns {number} visible index of the inserted text or -1 if the operation was already applied
+   */
+  applyInsert(
+    after: string | null,
+    values: string[],
+    clock: number,
+    site: string
+  ) {
+    const id = createCharId(clock, site),
+      chars = this.chars;
+    if (chars.some((char) => char.id === id)) {
+      return -1;
+    }
+    let position = after ? chars.findIndex((char) => char.id === after) + 1 : 0;
+    if (position === 0 && after) {
+      // the preceding character is unknown, should not happen with ordered delivery
+      position = chars.length;
+    }
+    // concurrent inserts at the same position are ordered by descending stamp
+    while (
+      position < chars.length &&
+      compareCharIds(chars[position].id, id) > 0
+    ) {
+      position++;
+    }
+    chars.splice(
+      position,
+      0,
+      ...values.map((value, index) => ({
+        id: createCharId(clock + index, site),
+        value,
+        deleted: false,
+      }))
+    );
+    return chars.slice(0, position).filter(({ deleted }) => !deleted).length;
+  }
+
+  /**
+   * Applies a delete operation
+   * @param {string[]} ids ids of the deleted characters
+   * @returns {number[]} visible indexes of the deleted characters in descending order,
+   * so that they can be removed one after the other
+   */
+  applyDelete(ids: string[]) {
+    const indexes: number[] = [];
+    let visibleIndex = 0;
+    this.chars.forEach((char) => {
+      if (char.deleted) {
+        return;
+      }
+      if (ids.includes(char.id)) {
+        indexes.unshift(visibleIndex);
+      }
+      visibleIndex++;
+    });
+    this.chars.forEach(
+      (char) => ids.includes(char.id) && (char.deleted = true)
+    );
+    return indexes;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Lamport timestamp of an operation, `site` identifies the client that created it
+ * and breaks ties between concurrent operations
+ */
+export type TOperationStamp = {
+  site: string;
+  clock: number;
+};
+
+type TObjectOperation<T extends string, P extends object> = TOperationStamp & {
+  type: T;
+  /**
+   * id of the target object
+   */
+  id: string;
+} & P;
+
+export type TAddOperation = TObjectOperation<
+  'add',
+  {
+    /**
+     * index of the object among the exported objects of the canvas
+     */
+    index: number;
+    object: Record<string, any>;
+    /**
+     * ids of the characters of a text object, see {@link TextSequence}
+     */
+    chars?: string[];
+  }
+>;
+
+export type TRemoveOperation = TObjectOperation<'remove', object>;
+
+export type TMoveOperation = TObjectOperation<
+  'move',
+  {
+    /**
+     * index of the object among the exported objects of the canvas
+     */
+    index: number;
+  }
+>;
+
+export type TSetOperation = TObjectOperation<
+  'set',
+  {
+    props: Record<string, any>;
+  }
+>;
+
+export type TTextInsertOperation = TObjectOperation<
+  'text:insert',
+  {
+    /**
+     * id of the character preceding the inserted text, `null` to insert at the start
+     */
+    after: string | null;
+    /**
+     * inserted graphemes, the n-th grapheme is stamped by `clock + n`
+     */
+    text: string[];
+  }
+>;
+
+export type TTextDeleteOperation = TObjectOperation<
+  'text:delete',
+  {
+    /**
+     * ids of the deleted characters
+     */
+    chars: string[];
+  }
+>;
+
+/**
+ * A serializable change made to a canvas, see {@link CollaborationManager}
+ */
+export type TOperation =
+  | TAddOperation
+  | TRemoveOperation
+  | TMoveOperation
+  | TSetOperation
+  | TTextInsertOperation
+  | TTextDeleteOperation;
+
+/**
+ * Carries operations between the peers of a collaboration session.
+ * Operations sent by a peer must be delivered to the others in the order they were sent.
+ */
+export interface CollaborationTransport {
+  send(operation: TOperation): void;
+  /**
+   * @param listener receives the operations sent by the other peers
+   * @returns a function that unsubscribes the listener
+   */
+  subscribe(
+    listener: (operation: TOperation) => void | Promise<void>
+  ): VoidFunction;
+}
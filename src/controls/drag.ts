@@ -1,4 +1,5 @@
 import type { TransformActionHandler } from '../EventTypeDefs';
+import type { Canvas } from '../canvas/Canvas';
 import { LEFT, TOP } from '../constants';
 import { fireEvent } from './fireEvent';
 import { commonEventInfo, isLocked } from './util';
@@ -19,6 +20,7 @@ export const dragHandler: TransformActionHandler = (
   y
 ) => {
   const { target, offsetX, offsetY } = transform,
+    canvas = target.canvas as Canvas | undefined,
     newLeft = x - offsetX,
     newTop = y - offsetY,
     moveX = !isLocked(target, 'lockMovementX') && target.left !== newLeft,
@@ -26,6 +28,9 @@ export const dragHandler: TransformActionHandler = (
   moveX && target.set(LEFT, newLeft);
   moveY && target.set(TOP, newTop);
   if (moveX || moveY) {
+    canvas &&
+      canvas.snappingManager &&
+      canvas.snappingManager.snap('drag', eventData, transform);
     fireEvent('moving', commonEventInfo(eventData, transform, x, y));
   }
   return moveX || moveY;
@@ -3,6 +3,7 @@ export { renderCircleControl, renderSquareControl } from './controlRendering';
 export * from './commonControls';
 export { dragHandler } from './drag';
 export { createPolyControls } from './polyControl';
+export { createPathControls } from './pathControl';
 export { rotationStyleHandler, rotationWithSnapping } from './rotate';
 export {
   scaleCursorStyleHandler,
@@ -20,3 +21,4 @@ export { skewCursorStyleHandler, skewHandlerX, skewHandlerY } from './skew';
 export { getLocalPoint } from './util';
 export { wrapWithFireEvent } from './wrapWithFireEvent';
 export { wrapWithFixedAnchor } from './wrapWithFixedAnchor';
+export { wrapWithSnapping } from './wrapWithSnapping';
@@ -0,0 +1,213 @@
+import { Point } from '../Point';
+import { Control } from './Control';
+import { iMatrix } from '../constants';
+import type { Path } from '../shapes/Path';
+import type { Canvas } from '../canvas/Canvas';
+import type { InteractiveFabricObject } from '../shapes/Object/InteractiveObject';
+import {
+  invertTransform,
+  multiplyTransformMatrices,
+} from '../util/misc/matrix';
+import type {
+  ControlActionHandler,
+  TPointerEvent,
+  Transform,
+  TransformActionHandler,
+} from '../EventTypeDefs';
+import type { ControlRenderingStyleOverride } from './controlRendering';
+import { renderCircleControl } from './controlRendering';
+import type { TPathCoordRef } from '../util/path/editPath';
+import type { TSimplePathData } from '../util/path/typedefs';
+import {
+  getPathCoord,
+  getPathNode,
+  getPathSegmentStart,
+  getTwinPathNode,
+  movePathHandle,
+  movePathNode,
+} from '../util/path/editPath';
+
+/**
+ * @returns {Point} `point` of the plane of the path commands in the viewport
+ */
+const toViewport = (path: Path, point: Point) =>
+  point
+    .subtract(path.pathOffset)
+    .transform(
+      multiplyTransformMatrices(
+        path.canvas?.viewportTransform ?? iMatrix,
+        path.calcTransformMatrix()
+      )
+    );
+
+/**
+ * @returns {Point} the pointer in the plane of the path commands
+ */
+const getPathPointer = (
+  eventData: TPointerEvent,
+  path: Path,
+  x: number,
+  y: number
+) => {
+  const canvas = path.canvas as Canvas | undefined,
+    // points of objects in groups don't snap, as for other transforms
+    pointer =
+      canvas && canvas.snappingManager && !path.group
+        ? canvas.snappingManager.snapPointToGrid(eventData, new Point(x, y))
+        : new Point(x, y);
+  return pointer
+    .transform(invertTransform(path.calcTransformMatrix()))
+    .add(path.pathOffset);
+};
+
+/**
+ * Edits a copy of the commands of the path and sets it, keeping the path in place
+ */
+const pathEditWrapper = (
+  fn: (pathData: TSimplePathData, pointer: Point) => void
+) => {
+  return function (
+    eventData: TPointerEvent,
+    transform: Transform,
+    x: number,
+    y: number
+  ) {
+    const path = transform.target as Path,
+      pathData = path._clonePath();
+    fn(pathData, getPathPointer(eventData, path, x, y));
+    path._setPathInPlace(pathData);
+    return true;
+  };
+};
+
+const factoryNodeActionHandler = (index: number): TransformActionHandler =>
+  pathEditWrapper((pathData, pointer) =>
+    movePathNode(pathData, index, pointer)
+  );
+
+const factoryHandleActionHandler = (
+  ref: TPathCoordRef
+): TransformActionHandler =>
+  pathEditWrapper((pathData, pointer) =>
+    movePathHandle(pathData, ref, pointer)
+  );
+
+/**
+ * Clicking a node while pressing the alt key removes it
+ */
+const factoryNodeMouseUpHandler =
+  (index: number): ControlActionHandler =>
+  (eventData, transform) => {
+    if (!eventData.altKey || !transform || transform.actionPerformed) {
+      return false;
+    }
+    (transform.target as Path).removeNode(index);
+    return true;
+  };
+
+/**
+ * @returns {Point[]} the nodes a handle is attached to, a quadratic curve has a single handle for both its nodes
+ */
+const getHandleNodes = (path: Path, [index, coord]: TPathCoordRef) =>
+  path.path[index][0] === 'Q'
+    ? [getPathSegmentStart(path.path, index), getPathNode(path.path, index)]
+    : [
+        coord === 1
+          ? getPathSegmentStart(path.path, index)
+          : getPathNode(path.path, index),
+      ];
+
+/**
+ * Renders the line joining a handle to its node before the handle itself
+ */
+function renderHandleControl(
+  this: Control,
+  ref: TPathCoordRef,
+  ctx: CanvasRenderingContext2D,
+  left: number,
+  top: number,
+  styleOverride: ControlRenderingStyleOverride,
+  fabricObject: InteractiveFabricObject
+) {
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = fabricObject.borderColor;
+  ctx.beginPath();
+  getHandleNodes(fabricObject as Path, ref).forEach((node) => {
+    const { x, y } = toViewport(fabricObject as Path, node);
+    ctx.moveTo(x, y);
+    ctx.lineTo(left, top);
+  });
+  ctx.stroke();
+  ctx.restore();
+  renderCircleControl.call(this, ctx, left, top, styleOverride, fabricObject);
+}
+
+/**
+ * Creates the controls of the nodes of a path and of the handles of its curves,
+ * the path must be edited using {@link Path#enterNodeEditing} to handle adding and removing nodes.
+ * - node controls are named `p${commandIndex}`, clicking one while pressing the alt key removes the node
+ * - handle controls are named `c${commandIndex}_1` and `c${commandIndex}_2` for the control points of a curve,
+ *   they are hidden when retracted on their node
+ * @param {Path} path
+ * @param {Partial<Control>} [options] options of the node controls
+ * @param {Partial<Control>} [handleOptions] options of the handle controls
+ * @returns {Record<string, Control>}
+ */
+export function createPathControls(
+  path: Path,
+  options: Partial<Control> = {},
+  handleOptions: Partial<Control> = {}
+) {
+  const controls = {} as Record<string, Control>,
+    handles = {} as Record<string, Control>;
+  path.path.forEach((command, index) => {
+    if (command[0] === 'Z') {
+      return;
+    }
+    const twin = getTwinPathNode(path.path, index);
+    // the last node of a closed subpath at the same position as the first one is edited with it
+    if (twin === undefined || twin > index) {
+      controls[`p${index}`] = new Control({
+        actionName: 'modifyPath',
+        positionHandler: (dim, finalMatrix, pathObject: Path) =>
+          toViewport(pathObject, getPathNode(pathObject.path, index)),
+        actionHandler: factoryNodeActionHandler(index),
+        mouseUpHandler: factoryNodeMouseUpHandler(index),
+        ...options,
+      });
+    }
+    const coords = command[0] === 'C' ? [1, 3] : command[0] === 'Q' ? [1] : [];
+    coords.forEach((coord, handleIndex) => {
+      const ref: TPathCoordRef = [index, coord];
+      handles[`c${index}_${handleIndex + 1}`] = new Control({
+        actionName: 'modifyPath',
+        positionHandler: (dim, finalMatrix, pathObject: Path) =>
+          toViewport(pathObject, getPathCoord(pathObject.path, ref)),
+        actionHandler: factoryHandleActionHandler(ref),
+        render(this: Control, ctx, left, top, styleOverride, fabricObject) {
+          renderHandleControl.call(
+            this,
+            ref,
+            ctx,
+            left,
+            top,
+            styleOverride || {},
+            fabricObject
+          );
+        },
+        getVisibility(this: Control, fabricObject, controlKey) {
+          const pathObject = fabricObject as Path,
+            handle = getPathCoord(pathObject.path, ref);
+          return (
+            getHandleNodes(pathObject, ref).some((node) => !node.eq(handle)) &&
+            Control.prototype.getVisibility.call(this, fabricObject, controlKey)
+          );
+        },
+        ...handleOptions,
+      });
+    });
+  });
+  // handles are rendered over nodes and take precedence when they overlap
+  return { ...controls, ...handles };
+}
@@ -3,6 +3,7 @@ import { Control } from './Control';
 import type { TMat2D } from '../typedefs';
 import { CENTER, iMatrix } from '../constants';
 import type { Polyline } from '../shapes/Polyline';
+import type { Canvas } from '../canvas/Canvas';
 import { multiplyTransformMatrices } from '../util/misc/matrix';
 import type {
   TPointerEvent,
@@ -48,8 +49,20 @@ const polyActionHandler = (
   y: number
 ) => {
   const poly = transform.target as Polyline,
+    canvas = poly.canvas as Canvas | undefined,
     pointIndex = transform.pointIndex,
-    mouseLocalPosition = getLocalPoint(transform, CENTER, CENTER, x, y),
+    // points of objects in groups don't snap, as for other transforms
+    pointer =
+      canvas && canvas.snappingManager && !poly.group
+        ? canvas.snappingManager.snapPointToGrid(eventData, new Point(x, y))
+        : new Point(x, y),
+    mouseLocalPosition = getLocalPoint(
+      transform,
+      CENTER,
+      CENTER,
+      pointer.x,
+      pointer.y
+    ),
     polygonBaseSize = getSize(poly),
     size = poly._getTransformedDimensions(),
     sizeFactor = polygonBaseSize.divide(size),
@@ -6,6 +6,7 @@ import { radiansToDegrees } from '../util/misc/radiansDegreesConversion';
 import { isLocked, NOT_ALLOWED_CURSOR } from './util';
 import { wrapWithFireEvent } from './wrapWithFireEvent';
 import { wrapWithFixedAnchor } from './wrapWithFixedAnchor';
+import { wrapWithSnapping } from './wrapWithSnapping';
 
 /**
  * Find the correct style for the control that is used for rotation.
@@ -83,5 +84,5 @@ const rotateObjectWithSnapping: TransformActionHandler = (
 
 export const rotationWithSnapping = wrapWithFireEvent(
   'rotating',
-  wrapWithFixedAnchor(rotateObjectWithSnapping)
+  wrapWithSnapping('rotate', wrapWithFixedAnchor(rotateObjectWithSnapping))
 );
@@ -17,6 +17,7 @@ import {
 } from './util';
 import { wrapWithFireEvent } from './wrapWithFireEvent';
 import { wrapWithFixedAnchor } from './wrapWithFixedAnchor';
+import { wrapWithSnapping } from './wrapWithSnapping';
 
 type ScaleTransform = Transform & {
   gestureScale?: number;
@@ -263,15 +264,15 @@ const scaleObjectY: TransformActionHandler<ScaleTransform> = (
 
 export const scalingEqually = wrapWithFireEvent(
   'scaling',
-  wrapWithFixedAnchor(scaleObjectFromCorner)
+  wrapWithSnapping('scale', wrapWithFixedAnchor(scaleObjectFromCorner))
 );
 
 export const scalingX = wrapWithFireEvent(
   'scaling',
-  wrapWithFixedAnchor(scaleObjectX)
+  wrapWithSnapping('scaleX', wrapWithFixedAnchor(scaleObjectX))
 );
 
 export const scalingY = wrapWithFireEvent(
   'scaling',
-  wrapWithFixedAnchor(scaleObjectY)
+  wrapWithSnapping('scaleY', wrapWithFixedAnchor(scaleObjectY))
 );
@@ -0,0 +1,24 @@
+import type { Transform, TransformActionHandler } from '../EventTypeDefs';
+import type { Canvas } from '../canvas/Canvas';
+import type { TSnapAction } from '../canvas/SnappingManager';
+
+/**
+ * Wrap an action handler with snapping the target once transformed, see {@link SnappingManager}
+ * @param {TSnapAction} action kind of transform performed by the action handler
+ * @param {Function} actionHandler the function to wrap
+ * @return {Function} a function with an action handler signature
+ */
+export const wrapWithSnapping = <T extends Transform>(
+  action: TSnapAction,
+  actionHandler: TransformActionHandler<T>
+) => {
+  return ((eventData, transform, x, y) => {
+    const actionPerformed = actionHandler(eventData, transform, x, y),
+      canvas = transform.target.canvas as Canvas | undefined;
+    actionPerformed &&
+      canvas &&
+      canvas.snappingManager &&
+      canvas.snappingManager.snap(action, eventData, transform);
+    return actionPerformed;
+  }) as TransformActionHandler<T>;
+};
@@ -0,0 +1,222 @@
+import { Color } from '../color/Color';
+import { config } from '../config';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { TClassProperties } from '../typedefs';
+import { cloneDeep } from '../util/internals/cloneDeep';
+import { uid } from '../util/internals/uid';
+import { pickBy } from '../util/misc/pick';
+import { toFixed } from '../util/misc/toFixed';
+import {
+  applyFilterPrimitives,
+  getStdDeviation,
+} from './applyFilterPrimitives';
+import { parseFilterElement } from './parser';
+import type {
+  TFilterColorInterpolation,
+  TFilterInput,
+  TFilterPixels,
+  TFilterPrimitive,
+  TStdDeviation,
+} from './typedefs';
+
+export const filterEffectDefaultValues: Partial<
+  TClassProperties<FilterEffect>
+> = {
+  colorInterpolation: 'linearRGB',
+  includeDefaultValues: true,
+};
+
+export type SerializedFilterEffectOptions = {
+  primitives: TFilterPrimitive[];
+  colorInterpolation: TFilterColorInterpolation;
+};
+
+const formatNumber = (value: number) =>
+  toFixed(value, config.NUM_FRACTION_DIGITS);
+
+const formatStdDeviation = (stdDeviation: TStdDeviation) =>
+  typeof stdDeviation === 'number'
+    ? formatNumber(stdDeviation)
+    : stdDeviation.map(formatNumber).join(' ');
+
+const formatColor = (color: string) => {
+  const parsed = new Color(color);
+  return `flood-color="${parsed.toRgb()}" flood-opacity="${parsed.getAlpha()}" `;
+};
+
+const formatInputs = (primitive: TFilterPrimitive & { in2?: TFilterInput }) =>
+  [
+    primitive.in ? `in="${primitive.in}" ` : '',
+    primitive.in2 ? `in2="${primitive.in2}" ` : '',
+    primitive.result ? `result="${primitive.result}" ` : '',
+  ].join('');
+
+const primitiveToSVG = (primitive: TFilterPrimitive) => {
+  const inputs = formatInputs(primitive);
+  switch (primitive.type) {
+    case 'gaussianBlur':
+      return `<feGaussianBlur ${inputs}stdDeviation="${formatStdDeviation(
+        primitive.stdDeviation
+      )}" />`;
+    case 'offset':
+      return `<feOffset ${inputs}dx="${formatNumber(
+        primitive.dx
+      )}" dy="${formatNumber(primitive.dy)}" />`;
+    case 'colorMatrix':
+      return `<feColorMatrix ${inputs}type="matrix" values="${primitive.matrix
+        .map(formatNumber)
+        .join(' ')}" />`;
+    case 'dropShadow':
+      return `<feDropShadow ${inputs}dx="${formatNumber(
+        primitive.dx
+      )}" dy="${formatNumber(primitive.dy)}" stdDeviation="${formatStdDeviation(
+        primitive.stdDeviation
+      )}" ${formatColor(primitive.color)}/>`;
+    case 'flood':
+      return `<feFlood ${inputs}${formatColor(primitive.color)}/>`;
+    case 'composite':
+      return `<feComposite ${inputs}operator="${primitive.operator}" ${
+        primitive.operator === 'arithmetic'
+          ? (['k1', 'k2', 'k3', 'k4'] as const)
+              .map((k) => `${k}="${formatNumber(primitive[k] || 0)}" `)
+              .join('')
+          : ''
+      }/>`;
+    case 'merge':
+      return `<feMerge ${inputs}>\n${primitive.inputs
+        .map((input) => `\t\t<feMergeNode ${input ? `in="${input}" ` : ''}/>\n`)
+        .join('')}\t</feMerge>`;
+    case 'blend':
+      return `<feBlend ${inputs}mode="${primitive.mode}" />`;
+  }
+};
+
+/**
+ * Effects of SVG filter primitives applied to the rendering of an object,
+ * e.g. blurs, drop shadows and color matrices.
+ * The lengths of the primitives are in the units of the object, the effect scales with it.
+ * @see {@link FabricObject#effect}
+ */
+export class FilterEffect {
+  /**
+   * Primitives applied in order, each one to the result of the previous one unless its inputs are specified
+   * @type TFilterPrimitive[]
+   */
+  declare primitives: TFilterPrimitive[];
+
+  /**
+   * Color space in which the primitives operate,
+   * `linearRGB` is the default of SVG filters
+   * @type TFilterColorInterpolation
+   * @default
+   */
+  declare colorInterpolation: TFilterColorInterpolation;
+
+  /**
+   * Indicates whether toObject should include default values
+   * @type Boolean
+   * @default
+   */
+  declare includeDefaultValues: boolean;
+
+  declare id: number;
+
+  static ownDefaults = filterEffectDefaultValues;
+
+  /**
+   * @param {Object} [options] Options object with any of primitives, colorInterpolation properties
+   */
+  constructor(options: Partial<TClassProperties<FilterEffect>> = {}) {
+    Object.assign(this, (this.constructor as typeof FilterEffect).ownDefaults);
+    this.primitives = [];
+    for (const prop in options) {
+      // @ts-expect-error for loops are so messy in TS
+      this[prop] = options[prop];
+    }
+
+    this.id = uid();
+  }
+
+  /**
+   * Returns the distance by which the effect can extend the rendering of an object, in the units of the object,
+   * e.g. the extent of a blur or of an offset
+   * @return {Number}
+   */
+  getPadding() {
+    return this.primitives.reduce((padding, primitive) => {
+      if (
+        primitive.type === 'gaussianBlur' ||
+        primitive.type === 'dropShadow'
+      ) {
+        padding += 3 * Math.max(...getStdDeviation(primitive.stdDeviation));
+      }
+      if (primitive.type === 'offset' || primitive.type === 'dropShadow') {
+        padding += Math.max(Math.abs(primitive.dx), Math.abs(primitive.dy));
+      }
+      return padding;
+    }, 0);
+  }
+
+  /**
+   * Applies the effect to the pixels of an object
+   * @param {TFilterPixels} pixels e.g. the `ImageData` of the cache of the object
+   * @param {Number} [scaleX] number of pixels in a unit of the object on the horizontal axis
+   * @param {Number} [scaleY] number of pixels in a unit of the object on the vertical axis
+   */
+  apply(pixels: TFilterPixels, scaleX = 1, scaleY = 1) {
+    applyFilterPrimitives(pixels, this.primitives, {
+      scaleX,
+      scaleY,
+      colorInterpolation: this.colorInterpolation,
+    });
+  }
+
+  /**
+   * Returns SVG representation of the effect, a `<filter>` covering `object` and the extent of the effect
+   * @param {FabricObject} object
+   * @return {String} SVG representation of the effect
+   */
+  toSVG(object: FabricObject) {
+    const { x, y } = object._getNonTransformedDimensions(),
+      padding = this.getPadding(),
+      width = x + 2 * padding,
+      height = y + 2 * padding;
+    return [
+      `<filter id="FILTER_${this.id}" filterUnits="userSpaceOnUse" `,
+      `x="${formatNumber(-width / 2)}" y="${formatNumber(-height / 2)}" `,
+      `width="${formatNumber(width)}" height="${formatNumber(height)}" `,
+      this.colorInterpolation === 'sRGB'
+        ? 'color-interpolation-filters="sRGB" '
+        : '',
+      '>\n',
+      ...this.primitives.map((primitive) => `\t${primitiveToSVG(primitive)}\n`),
+      '</filter>\n',
+    ].join('');
+  }
+
+  /**
+   * Returns object representation of an effect
+   * @return {Object} Object representation of an effect instance
+   */
+  toObject() {
+    const data: SerializedFilterEffectOptions = {
+      primitives: cloneDeep(this.primitives),
+      colorInterpolation: this.colorInterpolation,
+    };
+    const defaults = FilterEffect.ownDefaults;
+    return !this.includeDefaultValues
+      ? pickBy(data, (value, key) => value !== defaults[key])
+      : data;
+  }
+
+  /**
+   * Returns {@link FilterEffect} instance from a SVG `<filter>` element,
+   * primitives that are not supported are skipped
+   * @static
+   * @param {Element} el SVG `<filter>` element
+   * @return {FilterEffect}
+   */
+  static fromElement(el: Element) {
+    return new this(parseFilterElement(el));
+  }
+}
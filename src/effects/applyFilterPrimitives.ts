@@ -0,0 +1,416 @@
+import { Color } from '../color/Color';
+import type {
+  TBlendMode,
+  TCompositePrimitive,
+  TFilterColorInterpolation,
+  TFilterInput,
+  TFilterPixels,
+  TFilterPrimitive,
+  TStdDeviation,
+} from './typedefs';
+
+/**
+ * Premultiplied RGBA values in the [0, 1] range, in the color space of the filter
+ */
+type TBuffer = Float32Array;
+
+type TSize = { width: number; height: number };
+
+const SRGB_TO_LINEAR = new Float32Array(256).map((_, i) => {
+  const c = i / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+const linearToSRGB = (c: number) =>
+  c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+/**
+ * @returns {[number, number, number, number]} the premultiplied components of a color in the color space of the filter
+ */
+const parseColor = (
+  color: string,
+  colorInterpolation: TFilterColorInterpolation
+) => {
+  const [r, g, b, a] = new Color(color).getSource(),
+    toFilterSpace =
+      colorInterpolation === 'linearRGB'
+        ? (c: number) => SRGB_TO_LINEAR[c]
+        : (c: number) => c / 255;
+  return [toFilterSpace(r) * a, toFilterSpace(g) * a, toFilterSpace(b) * a, a];
+};
+
+export const getStdDeviation = (stdDeviation: TStdDeviation) =>
+  typeof stdDeviation === 'number'
+    ? [stdDeviation, stdDeviation]
+    : stdDeviation;
+
+/**
+ * Size of the box blurs approximating a gaussian blur
+ * @see https://www.w3.org/TR/filter-effects-1/#feGaussianBlurElement
+ */
+const getBoxSize = (stdDeviation: number) =>
+  Math.floor((stdDeviation * 3 * Math.sqrt(2 * Math.PI)) / 4 + 0.5);
+
+const boxBlur = (
+  src: TBuffer,
+  dst: TBuffer,
+  { width, height }: TSize,
+  radius: number,
+  horizontal: boolean
+) => {
+  const size = 2 * radius + 1,
+    lines = horizontal ? height : width,
+    length = horizontal ? width : height,
+    step = horizontal ? 4 : width * 4;
+  for (let line = 0; line < lines; line++) {
+    const start = horizontal ? line * width * 4 : line * 4;
+    for (let c = 0; c < 4; c++) {
+      let sum = 0;
+      for (let i = 0; i <= radius && i < length; i++) {
+        sum += src[start + i * step + c];
+      }
+      for (let i = 0; i < length; i++) {
+        dst[start + i * step + c] = sum / size;
+        const added = i + radius + 1,
+          removed = i - radius;
+        added < length && (sum += src[start + added * step + c]);
+        removed >= 0 && (sum -= src[start + removed * step + c]);
+      }
+    }
+  }
+};
+
+/**
+ * Gaussian blur approximated by 3 successive box blurs on each axis
+ */
+const blur = (
+  src: TBuffer,
+  size: TSize,
+  stdDeviationX: number,
+  stdDeviationY: number
+) => {
+  let out = new Float32Array(src),
+    tmp = new Float32Array(src.length);
+  (
+    [
+      [Math.floor(getBoxSize(stdDeviationX) / 2), true],
+      [Math.floor(getBoxSize(stdDeviationY) / 2), false],
+    ] as const
+  ).forEach(([radius, horizontal]) => {
+    if (radius <= 0) {
+      return;
+    }
+    for (let i = 0; i < 3; i++) {
+      boxBlur(out, tmp, size, radius, horizontal);
+      [out, tmp] = [tmp, out];
+    }
+  });
+  return out;
+};
+
+const offset = (
+  src: TBuffer,
+  { width, height }: TSize,
+  dx: number,
+  dy: number
+) => {
+  const dst = new Float32Array(src.length);
+  for (let y = Math.max(dy, 0); y < Math.min(height + dy, height); y++) {
+    for (let x = Math.max(dx, 0); x < Math.min(width + dx, width); x++) {
+      const i = (y * width + x) * 4,
+        j = ((y - dy) * width + x - dx) * 4;
+      dst[i] = src[j];
+      dst[i + 1] = src[j + 1];
+      dst[i + 2] = src[j + 2];
+      dst[i + 3] = src[j + 3];
+    }
+  }
+  return dst;
+};
+
+const colorMatrix = (src: TBuffer, matrix: number[]) => {
+  const dst = new Float32Array(src.length);
+  for (let i = 0; i < src.length; i += 4) {
+    const a = src[i + 3],
+      r = a ? src[i] / a : 0,
+      g = a ? src[i + 1] / a : 0,
+      b = a ? src[i + 2] / a : 0,
+      alpha = Math.min(
+        Math.max(
+          matrix[15] * r +
+            matrix[16] * g +
+            matrix[17] * b +
+            matrix[18] * a +
+            matrix[19],
+          0
+        ),
+        1
+      );
+    for (let c = 0; c < 3; c++) {
+      const row = c * 5,
+        value =
+          matrix[row] * r +
+          matrix[row + 1] * g +
+          matrix[row + 2] * b +
+          matrix[row + 3] * a +
+          matrix[row + 4];
+      dst[i + c] = Math.min(Math.max(value, 0), 1) * alpha;
+    }
+    dst[i + 3] = alpha;
+  }
+  return dst;
+};
+
+/**
+ * @returns {TBuffer} a buffer filled with the premultiplied `color` where `alphaSource` is opaque
+ */
+const fill = (color: number[], alphaSource: TBuffer | number) => {
+  const dst = new Float32Array(
+    typeof alphaSource === 'number' ? alphaSource : alphaSource.length
+  );
+  for (let i = 0; i < dst.length; i += 4) {
+    const a = typeof alphaSource === 'number' ? 1 : alphaSource[i + 3];
+    dst[i] = color[0] * a;
+    dst[i + 1] = color[1] * a;
+    dst[i + 2] = color[2] * a;
+    dst[i + 3] = color[3] * a;
+  }
+  return dst;
+};
+
+/**
+ * Porter Duff operators
+ * @returns {[number, number]} the factors of the 2 inputs given their alpha
+ */
+const compositeFactors: Record<
+  Exclude<TCompositePrimitive['operator'], 'arithmetic'>,
+  (a1: number, a2: number) => [number, number]
+> = {
+  over: (a1) => [1, 1 - a1],
+  in: (a1, a2) => [a2, 0],
+  out: (a1, a2) => [1 - a2, 0],
+  atop: (a1, a2) => [a2, 1 - a1],
+  xor: (a1, a2) => [1 - a2, 1 - a1],
+};
+
+const composite = (
+  src1: TBuffer,
+  src2: TBuffer,
+  { operator, k1 = 0, k2 = 0, k3 = 0, k4 = 0 }: TCompositePrimitive
+) => {
+  const dst = new Float32Array(src1.length);
+  for (let i = 0; i < src1.length; i += 4) {
+    if (operator === 'arithmetic') {
+      const alpha = Math.min(
+        Math.max(
+          k1 * src1[i + 3] * src2[i + 3] +
+            k2 * src1[i + 3] +
+            k3 * src2[i + 3] +
+            k4,
+          0
+        ),
+        1
+      );
+      for (let c = 0; c < 3; c++) {
+        const value =
+          k1 * src1[i + c] * src2[i + c] +
+          k2 * src1[i + c] +
+          k3 * src2[i + c] +
+          k4;
+        dst[i + c] = Math.min(Math.max(value, 0), alpha);
+      }
+      dst[i + 3] = alpha;
+      continue;
+    }
+    const [f1, f2] = (compositeFactors[operator] || compositeFactors.over)(
+      src1[i + 3],
+      src2[i + 3]
+    );
+    for (let c = 0; c < 4; c++) {
+      dst[i + c] = src1[i + c] * f1 + src2[i + c] * f2;
+    }
+  }
+  return dst;
+};
+
+/**
+ * Blend modes of premultiplied colors, `ca` and `qa` belonging to the top input
+ * @see https://www.w3.org/TR/SVG11/filters.html#feBlendElement
+ */
+const blendModes: Record<
+  TBlendMode,
+  (ca: number, cb: number, qa: number, qb: number) => number
+> = {
+  normal: (ca, cb, qa) => (1 - qa) * cb + ca,
+  multiply: (ca, cb, qa, qb) => (1 - qa) * cb + (1 - qb) * ca + ca * cb,
+  screen: (ca, cb) => cb + ca - ca * cb,
+  darken: (ca, cb, qa, qb) => Math.min((1 - qa) * cb + ca, (1 - qb) * ca + cb),
+  lighten: (ca, cb, qa, qb) => Math.max((1 - qa) * cb + ca, (1 - qb) * ca + cb),
+};
+
+const blend = (src1: TBuffer, src2: TBuffer, mode: TBlendMode) => {
+  const dst = new Float32Array(src1.length),
+    blendMode = blendModes[mode] || blendModes.normal;
+  for (let i = 0; i < src1.length; i += 4) {
+    const qa = src1[i + 3],
+      qb = src2[i + 3];
+    for (let c = 0; c < 3; c++) {
+      dst[i + c] = blendMode(src1[i + c], src2[i + c], qa, qb);
+    }
+    dst[i + 3] = 1 - (1 - qa) * (1 - qb);
+  }
+  return dst;
+};
+
+const getAlpha = (src: TBuffer) => {
+  const dst = new Float32Array(src.length);
+  for (let i = 3; i < src.length; i += 4) {
+    dst[i] = src[i];
+  }
+  return dst;
+};
+
+/**
+ * Applies filter primitives, as the ones of a SVG `<filter>`, to pixels
+ * @param {TFilterPixels} pixels the pixels to process, e.g. an `ImageData`, updated with the result of the last primitive
+ * @param {TFilterPrimitive[]} primitives
+ * @param {Object} [options]
+ * @param {number} [options.scaleX] number of pixels in a unit of the horizontal lengths of the primitives
+ * @param {number} [options.scaleY] number of pixels in a unit of the vertical lengths of the primitives
+ * @param {TFilterColorInterpolation} [options.colorInterpolation] color space of the operations
+ */
+export const applyFilterPrimitives = (
+  pixels: TFilterPixels,
+  primitives: TFilterPrimitive[],
+  {
+    scaleX = 1,
+    scaleY = 1,
+    colorInterpolation = 'linearRGB',
+  }: {
+    scaleX?: number;
+    scaleY?: number;
+    colorInterpolation?: TFilterColorInterpolation;
+  } = {}
+) => {
+  const { data } = pixels,
+    linear = colorInterpolation === 'linearRGB',
+    source = new Float32Array(data.length),
+    results: Record<string, TBuffer> = {};
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      source[i + c] =
+        (linear ? SRGB_TO_LINEAR[data[i + c]] : data[i + c] / 255) * a;
+    }
+    source[i + 3] = a;
+  }
+  let previous = source,
+    sourceAlpha: TBuffer | undefined;
+  const getInput = (input?: TFilterInput) => {
+    if (input === 'SourceGraphic') {
+      return source;
+    } else if (input === 'SourceAlpha') {
+      return sourceAlpha || (sourceAlpha = getAlpha(source));
+    }
+    return (input && results[input]) || previous;
+  };
+  const shadow = (
+    src: TBuffer,
+    dx: number,
+    dy: number,
+    stdDeviation: TStdDeviation,
+    color: string
+  ) => {
+    const [stdDeviationX, stdDeviationY] = getStdDeviation(stdDeviation);
+    return offset(
+      blur(
+        fill(parseColor(color, colorInterpolation), src),
+        pixels,
+        stdDeviationX * scaleX,
+        stdDeviationY * scaleY
+      ),
+      pixels,
+      Math.round(dx * scaleX),
+      Math.round(dy * scaleY)
+    );
+  };
+
+  primitives.forEach((primitive) => {
+    const input = getInput(primitive.in);
+    let output: TBuffer;
+    switch (primitive.type) {
+      case 'gaussianBlur': {
+        const [stdDeviationX, stdDeviationY] = getStdDeviation(
+          primitive.stdDeviation
+        );
+        output = blur(
+          input,
+          pixels,
+          stdDeviationX * scaleX,
+          stdDeviationY * scaleY
+        );
+        break;
+      }
+      case 'offset':
+        output = offset(
+          input,
+          pixels,
+          Math.round(primitive.dx * scaleX),
+          Math.round(primitive.dy * scaleY)
+        );
+        break;
+      case 'colorMatrix':
+        output = colorMatrix(input, primitive.matrix);
+        break;
+      case 'dropShadow':
+        output = composite(
+          input,
+          shadow(
+            input,
+            primitive.dx,
+            primitive.dy,
+            primitive.stdDeviation,
+            primitive.color
+          ),
+          { type: 'composite', operator: 'over' }
+        );
+        break;
+      case 'flood':
+        output = fill(
+          parseColor(primitive.color, colorInterpolation),
+          data.length
+        );
+        break;
+      case 'composite':
+        output = composite(input, getInput(primitive.in2), primitive);
+        break;
+      case 'merge':
+        output = primitive.inputs.reduce<TBuffer>(
+          (merged, mergeInput) =>
+            composite(getInput(mergeInput), merged, {
+              type: 'composite',
+              operator: 'over',
+            }),
+          new Float32Array(data.length)
+        );
+        break;
+      case 'blend':
+        output = blend(input, getInput(primitive.in2), primitive.mode);
+        break;
+      default:
+        // unsupported primitives are transparent to their input
+        output = input;
+    }
+    primitive.result && (results[primitive.result] = output);
+    previous = output;
+  });
+
+  for (let i = 0; i < data.length; i += 4) {
+    const a = previous[i + 3];
+    for (let c = 0; c < 3; c++) {
+      const value = a ? Math.min(previous[i + c] / a, 1) : 0;
+      data[i + c] = (linear ? linearToSRGB(value) : value) * 255;
+    }
+    data[i + 3] = a * 255;
+  }
+};
@@ -0,0 +1,2 @@
+export * from './FilterEffect';
+export * from './typedefs';
@@ -0,0 +1,243 @@
+import { Color } from '../color/Color';
+import { parseStyleAttribute } from '../parser/parseStyleAttribute';
+import { ifNaN } from '../util/internals';
+import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
+import type {
+  TBlendMode,
+  TCompositeOperator,
+  TFilterColorInterpolation,
+  TFilterPrimitive,
+  TStdDeviation,
+} from './typedefs';
+
+const IDENTITY_MATRIX = [
+  1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0,
+];
+
+const COMPOSITE_OPERATORS: TCompositeOperator[] = [
+  'over',
+  'in',
+  'out',
+  'atop',
+  'xor',
+  'arithmetic',
+];
+
+const BLEND_MODES: TBlendMode[] = [
+  'normal',
+  'multiply',
+  'screen',
+  'darken',
+  'lighten',
+];
+
+const getNodeName = (el: Element) => el.nodeName.replace('svg:', '');
+
+/**
+ * @returns the value of a presentation attribute, the style taking precedence
+ */
+const getProperty = (el: Element, name: string): string | undefined =>
+  (parseStyleAttribute(el) as Record<string, string>)[name] ||
+  el.getAttribute(name) ||
+  undefined;
+
+const parseNumber = (el: Element, name: string, defaultValue = 0) =>
+  ifNaN(parseFloat(el.getAttribute(name) || ''), defaultValue);
+
+const parseNumbers = (value: string | null) =>
+  (value || '')
+    .trim()
+    .split(/[\s,]+/)
+    .filter((item) => item !== '')
+    .map(parseFloat);
+
+const parseStdDeviation = (el: Element, defaultValue = 0): TStdDeviation => {
+  const [x = defaultValue, y = x] = parseNumbers(
+    el.getAttribute('stdDeviation')
+  );
+  return x === y ? x : [x, y];
+};
+
+/**
+ * @returns {string} the color of a flood, its opacity included
+ */
+const parseFloodColor = (el: Element) => {
+  const color = new Color(getProperty(el, 'flood-color') || 'rgb(0,0,0)');
+  color.setAlpha(
+    color.getAlpha() *
+      ifNaN(parseFloat(getProperty(el, 'flood-opacity') || ''), 1)
+  );
+  return color.toRgba();
+};
+
+const getSaturateMatrix = (s: number) => [
+  0.213 + 0.787 * s,
+  0.715 - 0.715 * s,
+  0.072 - 0.072 * s,
+  0,
+  0,
+  0.213 - 0.213 * s,
+  0.715 + 0.285 * s,
+  0.072 - 0.072 * s,
+  0,
+  0,
+  0.213 - 0.213 * s,
+  0.715 - 0.715 * s,
+  0.072 + 0.928 * s,
+  0,
+  0,
+  0,
+  0,
+  0,
+  1,
+  0,
+];
+
+const getHueRotateMatrix = (degrees: number) => {
+  const angle = degreesToRadians(degrees),
+    cos = Math.cos(angle),
+    sin = Math.sin(angle);
+  return [
+    0.213 + cos * 0.787 - sin * 0.213,
+    0.715 - cos * 0.715 - sin * 0.715,
+    0.072 - cos * 0.072 + sin * 0.928,
+    0,
+    0,
+    0.213 - cos * 0.213 + sin * 0.143,
+    0.715 + cos * 0.285 + sin * 0.14,
+    0.072 - cos * 0.072 - sin * 0.283,
+    0,
+    0,
+    0.213 - cos * 0.213 - sin * 0.787,
+    0.715 - cos * 0.715 + sin * 0.715,
+    0.072 + cos * 0.928 + sin * 0.072,
+    0,
+    0,
+    0,
+    0,
+    0,
+    1,
+    0,
+  ];
+};
+
+const LUMINANCE_TO_ALPHA_MATRIX = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2125, 0.7154, 0.0721, 0, 0,
+];
+
+/**
+ * @see https://www.w3.org/TR/filter-effects-1/#feColorMatrixElement
+ * @returns {number[]} the 4x5 matrix of a `<feColorMatrix>`, whatever its type
+ */
+const parseColorMatrix = (el: Element) => {
+  const values = parseNumbers(el.getAttribute('values'));
+  switch (el.getAttribute('type')) {
+    case 'saturate':
+      return getSaturateMatrix(ifNaN(values[0], 1));
+    case 'hueRotate':
+      return getHueRotateMatrix(ifNaN(values[0], 0));
+    case 'luminanceToAlpha':
+      return LUMINANCE_TO_ALPHA_MATRIX.concat();
+    default:
+      return values.length === 20 ? values : IDENTITY_MATRIX.concat();
+  }
+};
+
+/**
+ * @returns {TFilterPrimitive | undefined} the primitive of a filter primitive element, `undefined` if it is not supported
+ */
+export const parseFilterPrimitive = (
+  el: Element
+): TFilterPrimitive | undefined => {
+  const common = {
+    ...(el.getAttribute('in') ? { in: el.getAttribute('in') as string } : {}),
+    ...(el.getAttribute('result')
+      ? { result: el.getAttribute('result') as string }
+      : {}),
+  };
+  const in2 = el.getAttribute('in2');
+  switch (getNodeName(el)) {
+    case 'feGaussianBlur':
+      return {
+        type: 'gaussianBlur',
+        ...common,
+        stdDeviation: parseStdDeviation(el),
+      };
+    case 'feOffset':
+      return {
+        type: 'offset',
+        ...common,
+        dx: parseNumber(el, 'dx'),
+        dy: parseNumber(el, 'dy'),
+      };
+    case 'feColorMatrix':
+      return {
+        type: 'colorMatrix',
+        ...common,
+        matrix: parseColorMatrix(el),
+      };
+    case 'feDropShadow':
+      return {
+        type: 'dropShadow',
+        ...common,
+        dx: parseNumber(el, 'dx', 2),
+        dy: parseNumber(el, 'dy', 2),
+        stdDeviation: parseStdDeviation(el, 2),
+        color: parseFloodColor(el),
+      };
+    case 'feFlood':
+      return {
+        type: 'flood',
+        ...common,
+        color: parseFloodColor(el),
+      };
+    case 'feComposite': {
+      const operator = el.getAttribute('operator') as TCompositeOperator;
+      return {
+        type: 'composite',
+        ...common,
+        ...(in2 ? { in2 } : {}),
+        operator: COMPOSITE_OPERATORS.includes(operator) ? operator : 'over',
+        ...(operator === 'arithmetic'
+          ? {
+              k1: parseNumber(el, 'k1'),
+              k2: parseNumber(el, 'k2'),
+              k3: parseNumber(el, 'k3'),
+              k4: parseNumber(el, 'k4'),
+            }
+          : {}),
+      };
+    }
+    case 'feMerge':
+      return {
+        type: 'merge',
+        ...common,
+        inputs: Array.from(el.children)
+          .filter((child) => getNodeName(child) === 'feMergeNode')
+          .map((child) => child.getAttribute('in') || undefined),
+      };
+    case 'feBlend': {
+      const mode = el.getAttribute('mode') as TBlendMode;
+      return {
+        type: 'blend',
+        ...common,
+        ...(in2 ? { in2 } : {}),
+        mode: BLEND_MODES.includes(mode) ? mode : 'normal',
+      };
+    }
+  }
+};
+
+/**
+ * Parses a SVG `<filter>` element,
+ * primitives that are not supported are skipped.
+ * @param {Element} el
+ */
+export const parseFilterElement = (el: Element) => ({
+  primitives: Array.from(el.children)
+    .map(parseFilterPrimitive)
+    .filter((primitive): primitive is TFilterPrimitive => !!primitive),
+  colorInterpolation: (getProperty(el, 'color-interpolation-filters') === 'sRGB'
+    ? 'sRGB'
+    : 'linearRGB') as TFilterColorInterpolation,
+});
@@ -0,0 +1,113 @@
+/**
+ * The input of a filter primitive: the graphic of the object, its alpha channel,
+ * or the `result` of a previous primitive.
+ * When undefined the input is the result of the previous primitive, or the graphic of the object for the first one.
+ */
+export type TFilterInput = 'SourceGraphic' | 'SourceAlpha' | string;
+
+export type TFilterColorInterpolation = 'linearRGB' | 'sRGB';
+
+export type TCompositeOperator =
+  | 'over'
+  | 'in'
+  | 'out'
+  | 'atop'
+  | 'xor'
+  | 'arithmetic';
+
+export type TBlendMode =
+  | 'normal'
+  | 'multiply'
+  | 'screen'
+  | 'darken'
+  | 'lighten';
+
+type TFilterPrimitiveBase = {
+  in?: TFilterInput;
+  /**
+   * name referencing the output of the primitive as the input of the next ones
+   */
+  result?: string;
+};
+
+/**
+ * Standard deviation of a blur, a single value or a value for each axis
+ */
+export type TStdDeviation = number | [number, number];
+
+export type TGaussianBlurPrimitive = TFilterPrimitiveBase & {
+  type: 'gaussianBlur';
+  stdDeviation: TStdDeviation;
+};
+
+export type TOffsetPrimitive = TFilterPrimitiveBase & {
+  type: 'offset';
+  dx: number;
+  dy: number;
+};
+
+export type TColorMatrixPrimitive = TFilterPrimitiveBase & {
+  type: 'colorMatrix';
+  /**
+   * 4x5 matrix applied to the non premultiplied colors, in row major order
+   */
+  matrix: number[];
+};
+
+export type TDropShadowPrimitive = TFilterPrimitiveBase & {
+  type: 'dropShadow';
+  dx: number;
+  dy: number;
+  stdDeviation: TStdDeviation;
+  color: string;
+};
+
+export type TFloodPrimitive = TFilterPrimitiveBase & {
+  type: 'flood';
+  color: string;
+};
+
+export type TCompositePrimitive = TFilterPrimitiveBase & {
+  type: 'composite';
+  in2?: TFilterInput;
+  operator: TCompositeOperator;
+  k1?: number;
+  k2?: number;
+  k3?: number;
+  k4?: number;
+};
+
+export type TMergePrimitive = TFilterPrimitiveBase & {
+  type: 'merge';
+  /**
+   * inputs painted one over the other, from the bottom one
+   */
+  inputs: (TFilterInput | undefined)[];
+};
+
+export type TBlendPrimitive = TFilterPrimitiveBase & {
+  type: 'blend';
+  in2?: TFilterInput;
+  mode: TBlendMode;
+};
+
+export type TFilterPrimitive =
+  | TGaussianBlurPrimitive
+  | TOffsetPrimitive
+  | TColorMatrixPrimitive
+  | TDropShadowPrimitive
+  | TFloodPrimitive
+  | TCompositePrimitive
+  | TMergePrimitive
+  | TBlendPrimitive;
+
+export type TFilterPrimitiveType = TFilterPrimitive['type'];
+
+/**
+ * Pixels processed by the filter primitives, compatible with `ImageData`
+ */
+export type TFilterPixels = {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+};
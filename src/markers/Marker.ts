@@ -0,0 +1,444 @@
+import { config } from '../config';
+import { iMatrix, NONE } from '../constants';
+import { classRegistry } from '../ClassRegistry';
+import { Point } from '../Point';
+import type { XY } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { SerializedObjectProps } from '../shapes/Object/types';
+import type {
+  Abortable,
+  TClassProperties,
+  TDegree,
+  TMat2D,
+  TSVGReviver,
+} from '../typedefs';
+import { ifNaN } from '../util/internals';
+import { uid } from '../util/internals/uid';
+import { makeBoundingBoxFromPoints } from '../util/misc/boundingBoxFromPoints';
+import {
+  createScaleMatrix,
+  createTranslateMatrix,
+  multiplyTransformMatrixArray,
+  transformPoint,
+} from '../util/misc/matrix';
+import { enlivenObjects } from '../util/misc/objectEnlive';
+import { pickBy } from '../util/misc/pick';
+import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
+import { parsePreserveAspectRatioAttribute } from '../util/misc/svgParsing';
+import { toFixed } from '../util/misc/toFixed';
+import type { TPointAngle } from '../util/path/typedefs';
+
+/**
+ * Orientation of a marker:
+ * - `auto` along the direction of the path at the vertex
+ * - `auto-start-reverse` as `auto`, reversed for the marker at the start of the path, e.g. for arrowheads at both ends
+ * - an angle in degrees
+ */
+export type TMarkerOrient = 'auto' | 'auto-start-reverse' | TDegree;
+
+/**
+ * Units of the marker viewport:
+ * - `strokeWidth` the marker scales with the stroke width of the object
+ * - `userSpaceOnUse` the marker is in the units of the object
+ */
+export type TMarkerUnits = 'strokeWidth' | 'userSpaceOnUse';
+
+export const markerDefaultValues: Partial<TClassProperties<Marker>> = {
+  markerWidth: 3,
+  markerHeight: 3,
+  refX: 0,
+  refY: 0,
+  orient: 0 as TDegree,
+  markerUnits: 'strokeWidth',
+  preserveAspectRatio: 'xMidYMid meet',
+  overflow: 'hidden',
+  includeDefaultValues: true,
+};
+
+export type SerializedMarkerOptions = {
+  type: string;
+  objects: SerializedObjectProps[];
+  markerWidth: number;
+  markerHeight: number;
+  refX: number;
+  refY: number;
+  orient: TMarkerOrient;
+  markerUnits: TMarkerUnits;
+  viewBox?: [number, number, number, number];
+  preserveAspectRatio: string;
+  overflow: 'hidden' | 'visible';
+};
+
+const formatNumber = (value: number) =>
+  toFixed(value, config.NUM_FRACTION_DIGITS);
+
+/**
+ * Renders an object of the content of a marker,
+ * as {@link FabricObject#render} without caching so that it is sharp at any scale
+ */
+const renderObject = (ctx: CanvasRenderingContext2D, object: FabricObject) => {
+  if (object.isNotVisible()) {
+    return;
+  }
+  ctx.save();
+  object.transform(ctx);
+  object._setOpacity(ctx);
+  object._setShadow(ctx);
+  object.drawObject(ctx);
+  ctx.restore();
+};
+
+/**
+ * Graphics rendered at the vertices of paths, lines and polylines, e.g. arrowheads,
+ * as SVG `<marker>` elements.
+ * The content of the marker is positioned in its viewport, from `0,0` to `markerWidth,markerHeight`,
+ * according to `viewBox` and `preserveAspectRatio`.
+ * The reference point `refX,refY` of the content is placed on the vertex.
+ * @see {@link FabricObject#markerStart}
+ */
+export class Marker {
+  static type = 'Marker';
+
+  /**
+   * Objects drawn by the marker, in the coordinates of its content
+   * @type FabricObject[]
+   */
+  declare objects: FabricObject[];
+
+  /**
+   * Width of the viewport of the marker, in {@link markerUnits}
+   * @type Number
+   * @default
+   */
+  declare markerWidth: number;
+
+  /**
+   * Height of the viewport of the marker, in {@link markerUnits}
+   * @type Number
+   * @default
+   */
+  declare markerHeight: number;
+
+  /**
+   * Horizontal coordinate of the point of the content placed on the vertex
+   * @type Number
+   * @default
+   */
+  declare refX: number;
+
+  /**
+   * Vertical coordinate of the point of the content placed on the vertex
+   * @type Number
+   * @default
+   */
+  declare refY: number;
+
+  /**
+   * @type TMarkerOrient
+   * @default
+   */
+  declare orient: TMarkerOrient;
+
+  /**
+   * @type TMarkerUnits
+   * @default
+   */
+  declare markerUnits: TMarkerUnits;
+
+  /**
+   * Area of the content fitted in the viewport: min x, min y, width and height.
+   * When undefined the coordinates of the content are the ones of the viewport.
+   * @type Array
+   */
+  declare viewBox?: [number, number, number, number];
+
+  /**
+   * How the {@link viewBox} is fitted in the viewport, as the SVG attribute
+   * @type String
+   * @default
+   */
+  declare preserveAspectRatio: string;
+
+  /**
+   * `hidden` clips the content to the viewport
+   * @type String
+   * @default
+   */
+  declare overflow: 'hidden' | 'visible';
+
+  /**
+   * Indicates whether toObject should include default values
+   * @type Boolean
+   * @default
+   */
+  declare includeDefaultValues: boolean;
+
+  declare id: number;
+
+  static ownDefaults = markerDefaultValues;
+
+  /**
+   * @param {Object} [options] Options object with any of objects, markerWidth, markerHeight, refX, refY, orient, markerUnits, viewBox, preserveAspectRatio, overflow properties
+   */
+  constructor(options: Partial<TClassProperties<Marker>> = {}) {
+    Object.assign(this, (this.constructor as typeof Marker).ownDefaults);
+    this.objects = [];
+    for (const prop in options) {
+      // @ts-expect-error for loops are so messy in TS
+      this[prop] = options[prop];
+    }
+
+    this.id = uid();
+  }
+
+  /**
+   * Returns the transform from the coordinates of the content to the viewport, fitting the {@link viewBox}
+   * @return {TMat2D}
+   */
+  getContentTransform(): TMat2D {
+    const { viewBox, markerWidth, markerHeight } = this;
+    if (!viewBox || !(viewBox[2] > 0) || !(viewBox[3] > 0)) {
+      return iMatrix;
+    }
+    const [minX, minY, width, height] = viewBox,
+      { alignX, alignY, meetOrSlice } = parsePreserveAspectRatioAttribute(
+        this.preserveAspectRatio
+      );
+    let scaleX = markerWidth / width,
+      scaleY = markerHeight / height;
+    if (alignX !== NONE) {
+      scaleX = scaleY =
+        meetOrSlice === 'slice'
+          ? Math.max(scaleX, scaleY)
+          : Math.min(scaleX, scaleY);
+    }
+    const align = (value: string, available: number) =>
+      value === 'Mid' ? available / 2 : value === 'Max' ? available : 0;
+    return [
+      scaleX,
+      0,
+      0,
+      scaleY,
+      align(alignX, markerWidth - width * scaleX) - minX * scaleX,
+      align(alignY, markerHeight - height * scaleY) - minY * scaleY,
+    ];
+  }
+
+  /**
+   * Returns the transform from the viewport of the marker to the plane of the object rendering it at `vertex`
+   * @param {TPointAngle} vertex
+   * @param {Number} strokeWidth stroke width of the object
+   * @param {Boolean} [isStart] the vertex is the start of the path
+   * @return {TMat2D}
+   */
+  getTransform(
+    { x, y, angle }: TPointAngle,
+    strokeWidth: number,
+    isStart = false
+  ): TMat2D {
+    const { orient } = this,
+      rotation =
+        orient === 'auto' || orient === 'auto-start-reverse'
+          ? angle + (isStart && orient === 'auto-start-reverse' ? Math.PI : 0)
+          : degreesToRadians(orient),
+      scale = this.markerUnits === 'strokeWidth' ? strokeWidth : 1,
+      ref = transformPoint(
+        { x: this.refX, y: this.refY },
+        this.getContentTransform()
+      ),
+      cos = Math.cos(rotation),
+      sin = Math.sin(rotation);
+    return multiplyTransformMatrixArray([
+      [cos, sin, -sin, cos, x, y],
+      createScaleMatrix(scale),
+      createTranslateMatrix(-ref.x, -ref.y),
+    ]);
+  }
+
+  /**
+   * Returns the distance by which the marker can extend from a vertex, in the units of the object,
+   * whatever its orientation
+   * @param {Number} strokeWidth stroke width of the object
+   * @return {Number}
+   */
+  getPadding(strokeWidth: number) {
+    const { markerWidth, markerHeight } = this,
+      contentTransform = this.getContentTransform(),
+      ref = transformPoint({ x: this.refX, y: this.refY }, contentTransform),
+      points: XY[] = [
+        { x: 0, y: 0 },
+        { x: markerWidth, y: markerHeight },
+      ];
+    if (this.overflow === 'visible') {
+      this.objects.forEach((object) =>
+        object
+          .getCoords(true, true)
+          .forEach((point) =>
+            points.push(transformPoint(point, contentTransform))
+          )
+      );
+    }
+    const { left, top, width, height } = makeBoundingBoxFromPoints(points),
+      scale = this.markerUnits === 'strokeWidth' ? strokeWidth : 1;
+    return (
+      Math.max(
+        ...[
+          [left, top],
+          [left + width, top],
+          [left, top + height],
+          [left + width, top + height],
+        ].map(([x, y]) => new Point(x, y).distanceFrom(ref))
+      ) * scale
+    );
+  }
+
+  /**
+   * Renders the marker at a vertex of an object
+   * @param {CanvasRenderingContext2D} ctx context in the plane of the object
+   * @param {TPointAngle} vertex
+   * @param {Number} strokeWidth stroke width of the object
+   * @param {Boolean} [isStart] the vertex is the start of the path
+   */
+  render(
+    ctx: CanvasRenderingContext2D,
+    vertex: TPointAngle,
+    strokeWidth: number,
+    isStart?: boolean
+  ) {
+    if (!this.objects.length) {
+      return;
+    }
+    ctx.save();
+    ctx.transform(...this.getTransform(vertex, strokeWidth, isStart));
+    if (this.overflow !== 'visible') {
+      ctx.beginPath();
+      ctx.rect(0, 0, this.markerWidth, this.markerHeight);
+      ctx.clip();
+    }
+    ctx.transform(...this.getContentTransform());
+    this.objects.forEach((object) => renderObject(ctx, object));
+    ctx.restore();
+  }
+
+  /**
+   * Returns SVG representation of the marker, a `<marker>` referenced by the `marker-start`, `marker-mid`
+   * and `marker-end` attributes of the objects rendering it
+   * @param {TSVGReviver} [reviver] Method for further parsing of svg representation.
+   * @return {String} SVG representation of the marker
+   */
+  toSVG(reviver?: TSVGReviver) {
+    const { orient, viewBox } = this;
+    return [
+      `<marker id="MARKER_${this.id}" `,
+      `markerWidth="${formatNumber(this.markerWidth)}" `,
+      `markerHeight="${formatNumber(this.markerHeight)}" `,
+      `refX="${formatNumber(this.refX)}" refY="${formatNumber(this.refY)}" `,
+      `orient="${typeof orient === 'number' ? formatNumber(orient) : orient}" `,
+      `markerUnits="${this.markerUnits}" `,
+      viewBox
+        ? `viewBox="${viewBox
+            .map(formatNumber)
+            .join(' ')}" preserveAspectRatio="${this.preserveAspectRatio}" `
+        : '',
+      this.overflow === 'visible' ? 'style="overflow: visible;" ' : '',
+      '>\n',
+      ...this.objects.map((object) => object.toSVG(reviver)),
+      '</marker>\n',
+    ].join('');
+  }
+
+  /**
+   * Returns object representation of a marker
+   * @return {Object} Object representation of a marker instance
+   */
+  toObject() {
+    const data: SerializedMarkerOptions = {
+      type: (this.constructor as typeof Marker).type,
+      objects: this.objects.map((object) => object['toObject']()),
+      markerWidth: this.markerWidth,
+      markerHeight: this.markerHeight,
+      refX: this.refX,
+      refY: this.refY,
+      orient: this.orient,
+      markerUnits: this.markerUnits,
+      ...(this.viewBox
+        ? { viewBox: [...this.viewBox] as [number, number, number, number] }
+        : null),
+      preserveAspectRatio: this.preserveAspectRatio,
+      overflow: this.overflow,
+    };
+    const defaults = Marker.ownDefaults as Record<string, unknown>;
+    return !this.includeDefaultValues
+      ? pickBy(
+          data,
+          (value, key) =>
+            key === 'type' || key === 'objects' || value !== defaults[key]
+        )
+      : data;
+  }
+
+  /**
+   * Returns {@link Marker} instance from an object representation
+   * @static
+   * @param {Object} object Object to create a marker from
+   * @param {Abortable} [options]
+   * @returns {Promise<Marker>}
+   */
+  static async fromObject(
+    { type, objects = [], ...serialized }: Partial<SerializedMarkerOptions>,
+    options: Abortable = {}
+  ) {
+    return new this({
+      ...serialized,
+      objects: await enlivenObjects(objects, options),
+    });
+  }
+
+  /* _FROM_SVG_START_ */
+
+  /**
+   * Returns {@link Marker} instance from a SVG `<marker>` element
+   * @static
+   * @param {Element} el SVG `<marker>` element
+   * @param {FabricObject[]} objects objects parsed from the content of the element
+   * @return {Marker}
+   */
+  static fromElement(el: Element, objects: FabricObject[]) {
+    const parseNumber = (name: string, defaultValue: number) =>
+        ifNaN(parseFloat(el.getAttribute(name) || ''), defaultValue),
+      orient = el.getAttribute('orient'),
+      viewBox = (el.getAttribute('viewBox') || '')
+        .trim()
+        .split(/[\s,]+/)
+        .map(parseFloat),
+      overflow =
+        el.getAttribute('overflow') ||
+        (el.getAttribute('style') || '').match(/overflow\s*:\s*(\w+)/)?.[1];
+    return new this({
+      objects,
+      markerWidth: parseNumber('markerWidth', 3),
+      markerHeight: parseNumber('markerHeight', 3),
+      refX: parseNumber('refX', 0),
+      refY: parseNumber('refY', 0),
+      orient:
+        orient === 'auto' || orient === 'auto-start-reverse'
+          ? orient
+          : (parseNumber('orient', 0) as TDegree),
+      markerUnits:
+        el.getAttribute('markerUnits') === 'userSpaceOnUse'
+          ? 'userSpaceOnUse'
+          : 'strokeWidth',
+      ...(viewBox.length === 4 && viewBox.every((value) => !isNaN(value))
+        ? { viewBox: viewBox as [number, number, number, number] }
+        : null),
+      preserveAspectRatio:
+        el.getAttribute('preserveAspectRatio') || 'xMidYMid meet',
+      overflow:
+        overflow === 'visible' || overflow === 'auto' ? 'visible' : 'hidden',
+    });
+  }
+
+  /* _FROM_SVG_END_ */
+}
+
+classRegistry.setClass(Marker);
@@ -0,0 +1,104 @@
+import type { XY } from '../Point';
+import type { TRadian } from '../typedefs';
+import { getPathSegmentsInfo } from '../util/path';
+import type {
+  TPathSegmentInfo,
+  TPointAngle,
+  TSimpleParsedCommand,
+  TSimplePathData,
+} from '../util/path/typedefs';
+
+type TVertex = XY & {
+  in?: TRadian;
+  out?: TRadian;
+};
+
+// tangents of curves are computed slightly inside of them,
+// where they aren't degenerated by control points lying on the end points
+const TANGENT_EPSILON = 1e-6;
+
+/**
+ * @returns the end point of a drawing segment
+ */
+const getSegmentEnd = (
+  info: TPathSegmentInfo,
+  segment: TSimpleParsedCommand
+): XY => {
+  switch (info.command) {
+    case 'Z':
+      return { x: info.destX, y: info.destY };
+    case 'Q':
+      return { x: segment[3] as number, y: segment[4] as number };
+    case 'C':
+      return { x: segment[5] as number, y: segment[6] as number };
+    default:
+      return { x: segment[1] as number, y: segment[2] as number };
+  }
+};
+
+/**
+ * @returns the directions of a drawing segment at its start and at its end
+ */
+const getSegmentDirections = (
+  info: TPathSegmentInfo,
+  segment: TSimpleParsedCommand
+): [start: TRadian, end: TRadian] => {
+  if (info.command === 'C' || info.command === 'Q') {
+    return [
+      info.angleFinder(TANGENT_EPSILON) as TRadian,
+      info.angleFinder(1 - TANGENT_EPSILON) as TRadian,
+    ];
+  }
+  const end = getSegmentEnd(info, segment),
+    angle = Math.atan2(end.y - info.y, end.x - info.x) as TRadian;
+  return [angle, angle];
+};
+
+/**
+ * Bisects the angle between the incoming and the outgoing directions of a vertex
+ */
+const bisect = (angleIn: TRadian, angleOut: TRadian) => {
+  let diff = angleOut - angleIn;
+  while (diff > Math.PI) {
+    diff -= 2 * Math.PI;
+  }
+  while (diff <= -Math.PI) {
+    diff += 2 * Math.PI;
+  }
+  return (angleIn + diff / 2) as TRadian;
+};
+
+/**
+ * Returns the vertices of a path where markers are rendered, as SVG does:
+ * the start of each subpath and the end of each segment.
+ * The angle of a vertex is the direction of the path at that point,
+ * bisecting the incoming and the outgoing directions between two segments.
+ * @see https://www.w3.org/TR/SVG2/painting.html#OrientAttribute
+ * @param {TSimplePathData} path
+ * @returns {TPointAngle[]} vertices from the start to the end of the path
+ */
+export const getMarkerVertices = (path: TSimplePathData): TPointAngle[] => {
+  const infos = getPathSegmentsInfo(path),
+    vertices: TVertex[] = [];
+  path.forEach((segment, index) => {
+    const info = infos[index];
+    if (info.command === 'M') {
+      vertices.push({ x: segment[1] as number, y: segment[2] as number });
+      return;
+    }
+    const [start, end] = getSegmentDirections(info, segment),
+      previous = vertices[vertices.length - 1];
+    if (previous && previous.out === undefined) {
+      previous.out = start;
+    }
+    vertices.push({ ...getSegmentEnd(info, segment), in: end });
+  });
+  return vertices.map(({ x, y, in: angleIn, out: angleOut }) => ({
+    x,
+    y,
+    angle:
+      angleIn !== undefined && angleOut !== undefined
+        ? bisect(angleIn, angleOut)
+        : angleIn ?? angleOut ?? (0 as TRadian),
+  }));
+};
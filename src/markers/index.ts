@@ -0,0 +1,2 @@
+export * from './Marker';
+export { getMarkerVertices } from './getMarkerVertices';
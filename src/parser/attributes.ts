@@ -22,4 +22,12 @@ export const SHARED_ATTRIBUTES = [
   'vector-effect',
   'instantiated_by_use',
   'clip-path',
+  'mask',
+  'filter',
 ];
+
+/**
+ * Attributes parsed from the SVG elements rendering markers: paths, lines, polylines and polygons
+ * @type array
+ */
+export const MARKER_ATTRIBUTES = ['marker-start', 'marker-mid', 'marker-end'];
@@ -30,6 +30,7 @@ export const svgValidTagNames = [
   svgViewBoxElements = ['symbol', 'image', 'marker', 'pattern', 'view', 'svg'],
   svgInvalidAncestors = [
     'pattern',
+    'marker',
     'defs',
     'symbol',
     'metadata',
@@ -37,7 +38,7 @@ export const svgValidTagNames = [
     'mask',
     'desc',
   ],
-  svgValidParents = ['symbol', 'g', 'a', 'svg', 'clipPath', 'defs'],
+  svgValidParents = ['symbol', 'g', 'a', 'svg', 'clipPath', 'mask', 'defs'],
   attributesMap = {
     cx: LEFT,
     x: LEFT,
@@ -64,9 +65,16 @@ export const svgValidTagNames = [
     'stroke-width': 'strokeWidth',
     'text-decoration': 'textDecoration',
     'text-anchor': 'textAnchor',
+    'dominant-baseline': 'dominantBaseline',
+    'inline-size': 'inlineSize',
+    'white-space': 'whiteSpace',
     opacity: 'opacity',
     'clip-path': 'clipPath',
     'clip-rule': 'clipRule',
+    filter: 'effect',
+    'marker-start': 'markerStart',
+    'marker-mid': 'markerMid',
+    'marker-end': 'markerEnd',
     'vector-effect': 'strokeUniform',
     'image-rendering': 'imageSmoothing',
   },
@@ -1,5 +1,8 @@
 // @ts-nocheck
 import { Gradient } from '../gradient/Gradient';
+import { FilterEffect } from '../effects/FilterEffect';
+import { Marker } from '../markers/Marker';
+import { Pattern } from '../Pattern';
 import { Group } from '../shapes/Group';
 import { Image } from '../shapes/Image';
 import { classRegistry } from '../ClassRegistry';
@@ -13,18 +16,49 @@ import type { FabricObject } from '../shapes/Object/FabricObject';
 import { Point } from '../Point';
 import { CENTER } from '../constants';
 import { getGradientDefs } from './getGradientDefs';
+import { getPatternDefs } from './getPatternDefs';
 import { getCSSRules } from './getCSSRules';
+import { parseAttributes } from './parseAttributes';
+import { svgNS, svgValidTagNamesRegEx } from './constants';
 
 const findTag = (el: HTMLElement) =>
   classRegistry.getSVGClass(el.tagName.toLowerCase().replace('svg:', ''));
 
+/**
+ * Moves `child`, parsed in the same plane of `obj`, to the plane of `obj`
+ * as needed by the `clipPath` and `mask` properties
+ */
+const sendToObjectPlane = (obj: FabricObject, child: FabricObject) => {
+  const gTransform = multiplyTransformMatrices(
+    invertTransform(obj.calcTransformMatrix()),
+    child.calcTransformMatrix()
+  );
+  const { scaleX, scaleY, angle, skewX, translateX, translateY } =
+    qrDecompose(gTransform);
+  child.set({
+    flipX: false,
+    flipY: false,
+  });
+  child.set({
+    scaleX,
+    scaleY,
+    angle,
+    skewX,
+    skewY: 0,
+  });
+  child.setPositionByOrigin(new Point(translateX, translateY), CENTER, CENTER);
+};
+
 const ElementsParser = function (
   elements: HTMLElement[],
   options,
   reviver,
   parsingOptions,
   doc,
-  clipPaths
+  clipPaths,
+  masks,
+  filters,
+  markers
 ) {
   this.elements = elements;
   this.options = options;
@@ -33,7 +67,11 @@ const ElementsParser = function (
   this.regexUrl = /^url\(['"]?#([^'"]+)['"]?\)/g;
   this.doc = doc;
   this.clipPaths = clipPaths;
+  this.masks = masks;
+  this.filters = filters;
+  this.markers = markers;
   this.gradientDefs = getGradientDefs(doc);
+  this.patternDefs = getPatternDefs(doc);
   this.cssRules = getCSSRules(doc);
 };
 
@@ -53,11 +91,16 @@ const ElementsParser = function (
       let _options;
       this.resolveGradient(obj, el, 'fill');
       this.resolveGradient(obj, el, 'stroke');
+      await this.resolvePattern(obj, el, 'fill');
+      await this.resolvePattern(obj, el, 'stroke');
       if (obj instanceof Image && obj._originalElement) {
         _options = obj.parsePreserveAspectRatioAttribute(el);
       }
       removeTransformMatrixForSvgParsing(obj, _options);
       await this.resolveClipPath(obj, el);
+      await this.resolveMask(obj, el);
+      await this.resolveMarkers(obj);
+      this.resolveEffect(obj);
       this.reviver && this.reviver(el, obj);
       return obj;
     }
@@ -93,6 +136,73 @@ const ElementsParser = function (
     }
   };
 
+  proto.resolvePattern = async function (obj, el, property) {
+    const patternDef = this.extractPropertyDefinition(
+      obj,
+      property,
+      this.patternDefs
+    );
+    if (!patternDef) {
+      return;
+    }
+    const objects = (
+      await Promise.all(
+        Array.from(patternDef.getElementsByTagName('*'))
+          .filter((el) =>
+            svgValidTagNamesRegEx.test(el.nodeName.replace('svg:', ''))
+          )
+          .map((el) => this.createObject(el))
+      )
+    ).filter((object) => !!object);
+    const pattern = Pattern.fromElement(patternDef, obj, objects, {
+      width: this.options.viewBoxWidth || this.options.width,
+      height: this.options.viewBoxHeight || this.options.height,
+      opacity: el.getAttribute(property + '-opacity'),
+    });
+    // an empty tile disables the paint
+    obj.set(property, pattern || '');
+  };
+
+  proto.resolveEffect = function (obj) {
+    const filterElement = this.extractPropertyDefinition(
+      obj,
+      'effect',
+      this.filters
+    );
+    if (filterElement) {
+      obj.effect = FilterEffect.fromElement(filterElement);
+    } else {
+      // if filter does not resolve to any element, delete the property.
+      delete obj.effect;
+    }
+  };
+
+  proto.resolveMarkers = async function (obj) {
+    for (const property of ['markerStart', 'markerMid', 'markerEnd']) {
+      const markerElement = this.extractPropertyDefinition(
+        obj,
+        property,
+        this.markers
+      );
+      if (!markerElement) {
+        // if the marker does not resolve to any element, delete the property.
+        delete obj[property];
+        continue;
+      }
+      // the content of the marker is in its own coordinates
+      const objects = (
+        await Promise.all(
+          Array.from(markerElement.getElementsByTagName('*'))
+            .filter((el) =>
+              svgValidTagNamesRegEx.test(el.nodeName.replace('svg:', ''))
+            )
+            .map((el) => this.createObject(el))
+        )
+      ).filter((object) => !!object);
+      obj[property] = Marker.fromElement(markerElement, objects);
+    }
+  };
+
   proto.resolveClipPath = async function (obj, usingElement) {
     const clipPathElements = this.extractPropertyDefinition(
       obj,
@@ -100,7 +210,6 @@ const ElementsParser = function (
       this.clipPaths
     );
     if (clipPathElements) {
-      const objTransformInv = invertTransform(obj.calcTransformMatrix());
       // move the clipPath tag as sibling to the real element that is using it
       const clipPathTag = clipPathElements[0].parentNode;
       let clipPathOwner = usingElement;
@@ -124,31 +233,10 @@ const ElementsParser = function (
       );
       const clipPath =
         container.length === 1 ? container[0] : new Group(container);
-      const gTransform = multiplyTransformMatrices(
-        objTransformInv,
-        clipPath.calcTransformMatrix()
-      );
       if (clipPath.clipPath) {
         await this.resolveClipPath(clipPath, clipPathOwner);
       }
-      const { scaleX, scaleY, angle, skewX, translateX, translateY } =
-        qrDecompose(gTransform);
-      clipPath.set({
-        flipX: false,
-        flipY: false,
-      });
-      clipPath.set({
-        scaleX,
-        scaleY,
-        angle,
-        skewX,
-        skewY: 0,
-      });
-      clipPath.setPositionByOrigin(
-        new Point(translateX, translateY),
-        CENTER,
-        CENTER
-      );
+      sendToObjectPlane(obj, clipPath);
       obj.clipPath = clipPath;
     } else {
       // if clip-path does not resolve to any element, delete the property.
@@ -156,6 +244,53 @@ const ElementsParser = function (
       return;
     }
   };
+
+  proto.resolveMask = async function (obj, usingElement) {
+    const maskElement = this.extractPropertyDefinition(obj, 'mask', this.masks);
+    if (!maskElement) {
+      // if mask does not resolve to any element, delete the property.
+      delete obj.mask;
+      return;
+    }
+    let maskOwner = usingElement;
+    while (
+      maskOwner.parentNode &&
+      maskOwner.getAttribute('mask') !== obj.mask
+    ) {
+      maskOwner = maskOwner.parentNode;
+    }
+    // the content of the mask is in the user space of the element using it:
+    // move the mask tag as sibling to that element, in a group with the same transform
+    const userSpace = this.doc.ownerDocument
+      ? this.doc.ownerDocument.createElementNS(svgNS, 'g')
+      : this.doc.createElementNS(svgNS, 'g');
+    maskOwner.hasAttribute('transform') &&
+      userSpace.setAttribute('transform', maskOwner.getAttribute('transform'));
+    maskOwner.parentNode.appendChild(userSpace);
+    userSpace.appendChild(maskElement);
+    const { 'mask-type': maskType } = parseAttributes(
+      maskElement,
+      ['mask-type'],
+      this.cssRules
+    );
+    const objects = (
+      await Promise.all(
+        Array.from(maskElement.getElementsByTagName('*'))
+          .filter((el) =>
+            svgValidTagNamesRegEx.test(el.nodeName.replace('svg:', ''))
+          )
+          .map((el) => this.createObject(el))
+      )
+    ).filter((object) => !!object);
+    if (!objects.length) {
+      delete obj.mask;
+      return;
+    }
+    const mask = objects.length === 1 ? objects[0] : new Group(objects);
+    sendToObjectPlane(obj, mask);
+    obj.mask = mask;
+    obj.maskType = maskType === 'alpha' ? 'alpha' : 'luminance';
+  };
 })(ElementsParser.prototype);
 
 export { ElementsParser };
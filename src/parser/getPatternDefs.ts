@@ -0,0 +1,72 @@
+import { elementById } from './elementById';
+import { getMultipleNodes } from './getMultipleNodes';
+
+const patternAttrs = [
+  'x',
+  'y',
+  'width',
+  'height',
+  'patternUnits',
+  'patternContentUnits',
+  'patternTransform',
+  'viewBox',
+  'preserveAspectRatio',
+];
+
+const getHref = (el: Element) =>
+  el.getAttribute('xlink:href') || el.getAttribute('href');
+
+/**
+ * Copies the attributes and the content that a pattern inherits from the pattern it references with `href`
+ */
+function recursivelyParsePatternsXlink(
+  doc: Document,
+  pattern: Element,
+  visited: Element[] = []
+) {
+  const href = getHref(pattern) as string,
+    referencedPattern = href.startsWith('#')
+      ? elementById(doc, href.slice(1))
+      : undefined;
+  pattern.removeAttribute('xlink:href');
+  pattern.removeAttribute('href');
+  if (!referencedPattern || visited.includes(referencedPattern)) {
+    return;
+  }
+  if (getHref(referencedPattern)) {
+    recursivelyParsePatternsXlink(doc, referencedPattern, [
+      ...visited,
+      pattern,
+    ]);
+  }
+  patternAttrs.forEach((attr) => {
+    if (!pattern.hasAttribute(attr) && referencedPattern.hasAttribute(attr)) {
+      pattern.setAttribute(
+        attr,
+        referencedPattern.getAttribute(attr) as string
+      );
+    }
+  });
+  if (!pattern.children.length) {
+    const referenceClone = referencedPattern.cloneNode(true);
+    while (referenceClone.firstChild) {
+      pattern.appendChild(referenceClone.firstChild);
+    }
+  }
+}
+
+/**
+ * Parses an SVG document, returning all of the pattern declarations found in it
+ * @param {Document} doc SVG document to parse
+ * @return {Object} Pattern definitions; key corresponds to element id, value -- to pattern element
+ */
+export function getPatternDefs(doc: Document) {
+  const patternDefs: Record<string, Element> = {};
+  getMultipleNodes(doc, ['pattern', 'svg:pattern']).forEach((el: Element) => {
+    if (getHref(el)) {
+      recursivelyParsePatternsXlink(doc, el);
+    }
+    patternDefs[el.getAttribute('id') as string] = el;
+  });
+  return patternDefs;
+}
@@ -62,6 +62,9 @@ export function parseAttributes(
   if (ownAttributes[cPath]) {
     element.setAttribute(cPath, ownAttributes[cPath]);
   }
+  if (ownAttributes.mask) {
+    element.setAttribute('mask', ownAttributes.mask);
+  }
   if (ownAttributes[fSize]) {
     // looks like the minimum should be 9px when dealing with ems. this is what looks like in browsers.
     fontSize = parseUnit(ownAttributes[fSize], parentFontSize);
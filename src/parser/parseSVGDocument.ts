@@ -75,6 +75,24 @@ export async function parseSVGDocument(
         (el) => svgValidTagNamesRegEx.test(el.nodeName.replace('svg:', ''))
       );
     });
+  const localMasks: Record<string, Element> = {};
+  descendants
+    .filter((el) => el.nodeName.replace('svg:', '') === 'mask')
+    .forEach((el) => {
+      localMasks[el.getAttribute('id')!] = el;
+    });
+  const localFilters: Record<string, Element> = {};
+  descendants
+    .filter((el) => el.nodeName.replace('svg:', '') === 'filter')
+    .forEach((el) => {
+      localFilters[el.getAttribute('id')!] = el;
+    });
+  const localMarkers: Record<string, Element> = {};
+  descendants
+    .filter((el) => el.nodeName.replace('svg:', '') === 'marker')
+    .forEach((el) => {
+      localMarkers[el.getAttribute('id') as string] = el;
+    });
 
   // Precedence of rules:   style > class > attribute
   const elementParser = new ElementsParser(
@@ -86,7 +104,10 @@ export async function parseSVGDocument(
       signal,
     },
     doc,
-    localClipPaths
+    localClipPaths,
+    localMasks,
+    localFilters,
+    localMarkers
   );
 
   const instances = await elementParser.parse();
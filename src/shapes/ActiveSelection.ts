@@ -2,6 +2,7 @@ import type { ControlRenderingStyleOverride } from '../controls/controlRendering
 import { classRegistry } from '../ClassRegistry';
 import { Group } from './Group';
 import type { FabricObject } from './Object/FabricObject';
+import type { Point } from '../Point';
 
 export class ActiveSelection extends Group {
   declare _objects: FabricObject[];
@@ -124,6 +125,16 @@ export class ActiveSelection extends Group {
     }
   }
 
+  /**
+   * Objects of the selection follow the selection layout, that is not a change of the objects
+   * @private
+   * @param {FabricObject} object
+   * @param {Point} diff
+   */
+  _adjustObjectPosition(object: FabricObject, diff: Point) {
+    this._changeObjectPlane(() => super._adjustObjectPosition(object, diff));
+  }
+
   /**
    * If returns true, deselection is cancelled.
    * @since 2.0.0
@@ -13,6 +13,9 @@ import type {
   TProps,
 } from './Object/types';
 import type { CSSRules } from '../parser/typedefs';
+import { twoMathPi } from '../constants';
+import { makePathSimpler } from '../util/path';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 interface UniqueCircleProps {
   /**
@@ -110,6 +113,38 @@ export class Circle<
     this._renderPaintInOrder(ctx);
   }
 
+  /**
+   * @returns {TSimplePathData} the outline of the circle, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const { radius } = this,
+      start = degreesToRadians(this.startAngle),
+      sweep = degreesToRadians(this.endAngle) - start;
+    if (Math.abs(sweep) >= twoMathPi) {
+      return makePathSimpler([
+        ['M', radius, 0],
+        ['A', radius, radius, 0, 0, 1, -radius, 0],
+        ['A', radius, radius, 0, 0, 1, radius, 0],
+        ['Z'],
+      ]);
+    }
+    // same as the clockwise arc drawn by the context
+    const end = start + (((sweep % twoMathPi) + twoMathPi) % twoMathPi);
+    return makePathSimpler([
+      ['M', radius * cos(start), radius * sin(start)],
+      [
+        'A',
+        radius,
+        radius,
+        0,
+        end - start > Math.PI ? 1 : 0,
+        1,
+        radius * cos(end),
+        radius * sin(end),
+      ],
+    ]);
+  }
+
   /**
    * Returns horizontal radius of an object (according to how an object is scaled)
    * @return {Number}
@@ -0,0 +1,619 @@
+import { classRegistry } from '../ClassRegistry';
+import type { Canvas } from '../canvas/Canvas';
+import type { ObjectEvents } from '../EventTypeDefs';
+import type { XY } from '../Point';
+import { Point } from '../Point';
+import type { Abortable, TClassProperties } from '../typedefs';
+import { uniqueId } from '../util/internals/uid';
+import { transformPoint } from '../util/misc/matrix';
+import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
+import { getUnitVector } from '../util/misc/vectors';
+import { isCollection } from '../util/typeAssertions';
+import type { TSimplePathData } from '../util/path/typedefs';
+import type { FabricObject } from './Object/FabricObject';
+import type { TProps } from './Object/types';
+import type { PathProps, SerializedPathProps } from './Path';
+import { Path } from './Path';
+
+/**
+ * The point of an object a connector is attached to:
+ * - `auto` the middle of the side of the object closest to the other end of the connector
+ * - `center` the center of the object
+ * - `top`, `right`, `bottom`, `left` the middle of a side of the object
+ */
+export type TConnectorPort =
+  | 'auto'
+  | 'center'
+  | 'top'
+  | 'right'
+  | 'bottom'
+  | 'left';
+
+/**
+ * - `straight` a line from end to end
+ * - `orthogonal` horizontal and vertical lines leaving and entering the objects perpendicularly to their sides
+ * - `curved` a bezier curve leaving and entering the objects perpendicularly to their sides
+ */
+export type TConnectorRouting = 'straight' | 'orthogonal' | 'curved';
+
+/**
+ * - `none` no marker
+ * - `arrow` an open arrowhead
+ * - `triangle` a closed arrowhead
+ */
+export type TConnectorMarker = 'none' | 'arrow' | 'triangle';
+
+/**
+ * @returns {FabricObject | undefined} the object identified by `id` among `objects` and their descendants
+ */
+const findById = (
+  objects: FabricObject[],
+  id: string
+): FabricObject | undefined => {
+  for (const object of objects) {
+    const found =
+      object.id === id
+        ? object
+        : isCollection(object)
+        ? findById(object.getObjects() as FabricObject[], id)
+        : undefined;
+    if (found) {
+      return found;
+    }
+  }
+};
+
+type TConnectorSide = 'top' | 'right' | 'bottom' | 'left';
+
+type TConnectorEnd = {
+  point: Point;
+  /**
+   * outward direction of the side of the object the end is attached to
+   */
+  direction?: Point;
+};
+
+const SIDES: Record<TConnectorSide, XY> = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+};
+
+const MARKER_ANGLE = degreesToRadians(30);
+
+const ROUTE_PROPS = [
+  'source',
+  'target',
+  'sourcePort',
+  'targetPort',
+  'sourcePoint',
+  'targetPoint',
+  'routing',
+  'margin',
+  'startMarker',
+  'endMarker',
+  'markerSize',
+];
+
+const CONNECTOR_PROPS = [
+  'sourcePort',
+  'targetPort',
+  'routing',
+  'margin',
+  'startMarker',
+  'endMarker',
+  'markerSize',
+] as const;
+
+/**
+ * Canvas events moving the ends of connectors
+ */
+const TRANSFORM_EVENTS = [
+  'object:moving',
+  'object:scaling',
+  'object:rotating',
+  'object:skewing',
+  'object:resizing',
+  'object:modified',
+] as const;
+
+export const connectorDefaultValues: Partial<TClassProperties<Connector>> = {
+  sourcePort: 'auto',
+  targetPort: 'auto',
+  routing: 'straight',
+  margin: 20,
+  startMarker: 'none',
+  endMarker: 'arrow',
+  markerSize: 10,
+  fill: null,
+  strokeLineCap: 'round',
+  strokeLineJoin: 'round',
+  hasControls: false,
+  lockMovementX: true,
+  lockMovementY: true,
+  perPixelTargetFind: true,
+};
+
+interface UniqueConnectorProps {
+  sourcePort: TConnectorPort;
+  targetPort: TConnectorPort;
+  routing: TConnectorRouting;
+  margin: number;
+  startMarker: TConnectorMarker;
+  endMarker: TConnectorMarker;
+  markerSize: number;
+  sourcePoint: XY;
+  targetPoint: XY;
+}
+
+export interface SerializedConnectorProps
+  extends SerializedPathProps,
+    UniqueConnectorProps {
+  source?: string;
+  target?: string;
+}
+
+export interface ConnectorProps extends PathProps, UniqueConnectorProps {
+  source?: FabricObject | string;
+  target?: FabricObject | string;
+}
+
+/**
+ * @returns {Point} the axis aligned direction closest to `vector`
+ */
+const getAxis = ({ x, y }: XY) =>
+  Math.abs(x) >= Math.abs(y)
+    ? new Point(Math.sign(x) || 1, 0)
+    : new Point(0, Math.sign(y));
+
+/**
+ * @param {FabricObject} object
+ * @param {TConnectorSide | 'center'} port
+ * @returns {TConnectorEnd} the port of `object` in the canvas plane
+ */
+const getPort = (
+  object: FabricObject,
+  port: TConnectorSide | 'center'
+): TConnectorEnd => {
+  const matrix = object.calcTransformMatrix();
+  if (port === 'center') {
+    return { point: transformPoint(new Point(), matrix) };
+  }
+  const side = new Point(SIDES[port]);
+  return {
+    point: transformPoint(
+      side.multiply(object._getNonTransformedDimensions()).scalarDivide(2),
+      matrix
+    ),
+    direction: getUnitVector(transformPoint(side, matrix, true)),
+  };
+};
+
+/**
+ * @returns {Point[]} the corners of an orthogonal route from `a` leaving in direction `d1` to `b` entering from direction `d2`
+ */
+const getElbows = (a: Point, d1: Point, b: Point, d2: Point): Point[] => {
+  const mid = a.midPointFrom(b);
+  if (d1.x && d2.x) {
+    return (mid.x - a.x) * d1.x >= 0 && (mid.x - b.x) * d2.x >= 0
+      ? [new Point(mid.x, a.y), new Point(mid.x, b.y)]
+      : [new Point(a.x, mid.y), new Point(b.x, mid.y)];
+  } else if (d1.y && d2.y) {
+    return (mid.y - a.y) * d1.y >= 0 && (mid.y - b.y) * d2.y >= 0
+      ? [new Point(a.x, mid.y), new Point(b.x, mid.y)]
+      : [new Point(mid.x, a.y), new Point(mid.x, b.y)];
+  }
+  const horizontalFirst = new Point(b.x, a.y),
+    verticalFirst = new Point(a.x, b.y);
+  if (d1.x) {
+    return (b.x - a.x) * d1.x >= 0 && (a.y - b.y) * d2.y >= 0
+      ? [horizontalFirst]
+      : [verticalFirst];
+  }
+  return (b.y - a.y) * d1.y >= 0 && (a.x - b.x) * d2.x >= 0
+    ? [verticalFirst]
+    : [horizontalFirst];
+};
+
+/**
+ * @returns {Point[]} `points` without repeated points and without points in the middle of straight lines
+ */
+const removeRedundantPoints = (points: Point[]) =>
+  points.filter((point, i) => {
+    const prev = points[i - 1],
+      next = points[i + 1];
+    if (!prev || !next) {
+      return true;
+    }
+    return (
+      !point.eq(prev) &&
+      Math.abs(
+        (point.x - prev.x) * (next.y - point.y) -
+          (point.y - prev.y) * (next.x - point.x)
+      ) > 1e-9
+    );
+  });
+
+/**
+ * @param {TConnectorMarker} type
+ * @param {Point} tip
+ * @param {Point} from a point the route comes from, giving the direction of the marker
+ * @param {number} size
+ * @returns {TSimplePathData}
+ */
+const getMarkerPathData = (
+  type: TConnectorMarker,
+  tip: Point,
+  from: Point,
+  size: number
+): TSimplePathData => {
+  if (type === 'none' || tip.eq(from)) {
+    return [];
+  }
+  const back = getUnitVector(from.subtract(tip)).scalarMultiply(size),
+    head1 = tip.add(back.rotate(MARKER_ANGLE)),
+    head2 = tip.add(back.rotate(-MARKER_ANGLE));
+  return [
+    ['M', head1.x, head1.y],
+    ['L', tip.x, tip.y],
+    ['L', head2.x, head2.y],
+    ...(type === 'triangle' ? [['Z'] as ['Z']] : []),
+  ];
+};
+
+/**
+ * A line connecting 2 objects, e.g. the edges of a diagram.
+ * The ends of a connector are attached to ports of its {@link source} and {@link target} objects or to free points,
+ * the route is computed again whenever those objects are transformed on the canvas.
+ *
+ * Connectors are routed in the plane of the canvas, they are expected to be top level objects without transformations.
+ * They reference their objects by `id` when serialized, objects without an `id` are assigned a unique one when attached.
+ * `id` is not exported by default, it should be included when serializing the canvas, e.g. `canvas.toObject(['id'])` or {@link StaticCanvas#toState}:
+ * a connector loaded with {@link StaticCanvas#loadFromJSON} is attached again to its objects once they are on the canvas.
+ *
+ * @example
+ * const connector = new Connector({ source: rect, target: circle, routing: 'orthogonal' });
+ * canvas.add(rect, circle, connector);
+ * const json = JSON.stringify(canvas.toObject(['id']));
+ */
+export class Connector<
+    Props extends TProps<ConnectorProps> = Partial<ConnectorProps>,
+    SProps extends SerializedConnectorProps = SerializedConnectorProps,
+    EventSpec extends ObjectEvents = ObjectEvents
+  >
+  extends Path<Props, SProps, EventSpec>
+  implements ConnectorProps
+{
+  /**
+   * Object the connector starts from, or its `id` until it is found on the canvas
+   * @type {FabricObject | string}
+   */
+  declare source?: FabricObject | string;
+
+  /**
+   * Object the connector ends at, or its `id` until it is found on the canvas
+   * @type {FabricObject | string}
+   */
+  declare target?: FabricObject | string;
+
+  /**
+   * Port of {@link source} the connector starts from
+   * @type {TConnectorPort}
+   * @default
+   */
+  declare sourcePort: TConnectorPort;
+
+  /**
+   * Port of {@link target} the connector ends at
+   * @type {TConnectorPort}
+   * @default
+   */
+  declare targetPort: TConnectorPort;
+
+  /**
+   * Start of the connector in the canvas plane, used when the connector has no {@link source}.
+   * Updated with the position of the port of {@link source} when the route is computed.
+   * @type {XY}
+   */
+  declare sourcePoint: XY;
+
+  /**
+   * End of the connector in the canvas plane, used when the connector has no {@link target}.
+   * Updated with the position of the port of {@link target} when the route is computed.
+   * @type {XY}
+   */
+  declare targetPoint: XY;
+
+  /**
+   * @type {TConnectorRouting}
+   * @default
+   */
+  declare routing: TConnectorRouting;
+
+  /**
+   * Distance an `orthogonal` route runs straight out of a side of an object before turning
+   * @type Number
+   * @default
+   */
+  declare margin: number;
+
+  /**
+   * Marker drawn at the start of the connector
+   * @type {TConnectorMarker}
+   * @default
+   */
+  declare startMarker: TConnectorMarker;
+
+  /**
+   * Marker drawn at the end of the connector
+   * @type {TConnectorMarker}
+   * @default
+   */
+  declare endMarker: TConnectorMarker;
+
+  /**
+   * Length of the sides of the markers
+   * @type Number
+   * @default
+   */
+  declare markerSize: number;
+
+  private declare __disposeCanvasEvents?: VoidFunction;
+
+  static type = 'Connector';
+
+  static ownDefaults: Record<string, any> = connectorDefaultValues;
+
+  static getDefaults(): Record<string, any> {
+    return {
+      ...super.getDefaults(),
+      ...Connector.ownDefaults,
+    };
+  }
+
+  /**
+   * Constructor
+   * @param {Partial<ConnectorProps>} [options] Options object
+   * @return {Connector} thisArg
+   */
+  constructor({
+    sourcePoint = { x: 0, y: 0 },
+    targetPoint = { x: 0, y: 0 },
+    ...options
+  }: Partial<Props> = {}) {
+    super([], { ...options, sourcePoint, targetPoint } as Partial<Props>);
+    this.on('added', () => this._onAdded());
+    this.on('removed', () => {
+      this.__disposeCanvasEvents && this.__disposeCanvasEvents();
+      this.__disposeCanvasEvents = undefined;
+    });
+    this.updateRoute();
+  }
+
+  _set(key: string, value: any) {
+    super._set(key, value);
+    // objects are referenced by id when serialized, they need one before they are serialized themselves
+    (key === 'source' || key === 'target') &&
+      value &&
+      typeof value === 'object' &&
+      !value.id &&
+      value.set('id', uniqueId());
+    // the path is created once all the options are set
+    this.path && ROUTE_PROPS.includes(key) && this.updateRoute();
+    return this;
+  }
+
+  /**
+   * Subscribes to the events of the canvas moving the ends of the connector
+   * @private
+   */
+  _onAdded() {
+    const canvas = this.canvas as Canvas | undefined;
+    this.__disposeCanvasEvents && this.__disposeCanvasEvents();
+    this.__disposeCanvasEvents = undefined;
+    if (!canvas) {
+      return;
+    }
+    const onTransform = ({ target }: { target: FabricObject }) =>
+        this.isConnectedTo(target) && this.updateRoute(),
+      onAdded = ({ target }: { target: FabricObject }) =>
+        [this.source, this.target].some(
+          (end) => typeof end === 'string' && findById([target], end)
+        ) && this.updateRoute(),
+      onHistory = () => this.updateRoute(),
+      disposers = [
+        ...TRANSFORM_EVENTS.map((eventName) =>
+          canvas.on(eventName, onTransform)
+        ),
+        canvas.on('object:added', onAdded),
+        canvas.on('history:undo', onHistory),
+        canvas.on('history:redo', onHistory),
+      ];
+    this.__disposeCanvasEvents = () =>
+      disposers.forEach((dispose) => dispose());
+    this.updateRoute();
+  }
+
+  /**
+   * @param {FabricObject} object
+   * @returns {boolean} true if the connector is attached to `object` or to one of its descendants,
+   * e.g. a group or a selection containing {@link source}
+   */
+  isConnectedTo(object: FabricObject) {
+    return [this._getEndObject('source'), this._getEndObject('target')].some(
+      (end) => !!end && (end === object || end.isDescendantOf(object))
+    );
+  }
+
+  /**
+   * @private
+   * @returns {FabricObject | undefined} the object of an end, looked up by id on the canvas while unresolved
+   */
+  _getEndObject(key: 'source' | 'target') {
+    const value = this[key];
+    if (typeof value !== 'string') {
+      return value;
+    }
+    const object =
+      this.canvas &&
+      findById(this.canvas.getObjects() as FabricObject[], value);
+    // resolved once, `_set` would route again
+    object && (this[key] = object);
+    return object;
+  }
+
+  /**
+   * @private
+   * @returns {TConnectorEnd[]} the possible positions of an end
+   */
+  _getEndCandidates(key: 'source' | 'target'): TConnectorEnd[] {
+    const object = this._getEndObject(key),
+      port = key === 'source' ? this.sourcePort : this.targetPort;
+    if (!object) {
+      return [
+        {
+          point: new Point(
+            key === 'source' ? this.sourcePoint : this.targetPoint
+          ),
+        },
+      ];
+    }
+    return port === 'auto'
+      ? (Object.keys(SIDES) as TConnectorSide[]).map((side) =>
+          getPort(object, side)
+        )
+      : [getPort(object, port)];
+  }
+
+  /**
+   * @returns {[TConnectorEnd, TConnectorEnd]} the ends of the connector, `auto` ports are the closest ones
+   */
+  getEnds(): [TConnectorEnd, TConnectorEnd] {
+    const sources = this._getEndCandidates('source'),
+      targets = this._getEndCandidates('target');
+    let ends: [TConnectorEnd, TConnectorEnd] = [sources[0], targets[0]],
+      min = Infinity;
+    sources.forEach((start) =>
+      targets.forEach((end) => {
+        const distance = start.point.distanceFrom(end.point);
+        if (distance < min) {
+          min = distance;
+          ends = [start, end];
+        }
+      })
+    );
+    return ends;
+  }
+
+  /**
+   * @private
+   * @returns {TSimplePathData} the route from `start` to `end` in the canvas plane, without markers
+   */
+  _getRoute(start: TConnectorEnd, end: TConnectorEnd): TSimplePathData {
+    const a = start.point,
+      b = end.point;
+    if (this.routing === 'curved') {
+      const length = a.distanceFrom(b) / 2,
+        c1 = a.add(
+          (start.direction || getAxis(b.subtract(a))).scalarMultiply(length)
+        ),
+        c2 = b.add(
+          (end.direction || getAxis(a.subtract(b))).scalarMultiply(length)
+        );
+      return [
+        ['M', a.x, a.y],
+        ['C', c1.x, c1.y, c2.x, c2.y, b.x, b.y],
+      ];
+    }
+    let points = [a, b];
+    if (this.routing === 'orthogonal') {
+      const d1 = getAxis(start.direction || b.subtract(a)),
+        d2 = getAxis(end.direction || a.subtract(b)),
+        a1 = a.add(d1.scalarMultiply(start.direction ? this.margin : 0)),
+        b1 = b.add(d2.scalarMultiply(end.direction ? this.margin : 0));
+      points = removeRedundantPoints([
+        a,
+        a1,
+        ...getElbows(a1, d1, b1, d2),
+        b1,
+        b,
+      ]);
+    }
+    return points.map(({ x, y }, i) => [i ? 'L' : 'M', x, y]);
+  }
+
+  /**
+   * Computes the route of the connector again, e.g. after its objects changed outside of canvas interactions
+   */
+  updateRoute() {
+    const [start, end] = this.getEnds(),
+      route = this._getRoute(start, end),
+      first = route[1],
+      last = route[route.length - 1],
+      // the points the route comes from at its ends, giving the direction of the markers
+      afterStart = new Point(first[1] as number, first[2] as number),
+      beforeLast = route[route.length - 2],
+      beforeEnd =
+        last[0] === 'C'
+          ? new Point(last[3], last[4])
+          : new Point(
+              beforeLast[beforeLast.length - 2] as number,
+              beforeLast[beforeLast.length - 1] as number
+            );
+    this.sourcePoint = start.point;
+    this.targetPoint = end.point;
+    this.path = [
+      ...route,
+      ...getMarkerPathData(
+        this.startMarker,
+        start.point,
+        afterStart.eq(start.point) ? end.point : afterStart,
+        this.markerSize
+      ),
+      ...getMarkerPathData(
+        this.endMarker,
+        end.point,
+        beforeEnd.eq(end.point) ? start.point : beforeEnd,
+        this.markerSize
+      ),
+    ];
+    this.setBoundingBox(true);
+    this.setCoords();
+    this.dirty = true;
+  }
+
+  /**
+   * Returns object representation of an instance, referencing {@link source} and {@link target} by `id`
+   * @param {Array} [propertiesToInclude] Any properties that you might want to additionally include in the output
+   * @return {Object} object representation of an instance
+   */
+  toObject(propertiesToInclude: any[] = []): any {
+    const source =
+        typeof this.source === 'object' ? this.source.id : this.source,
+      target = typeof this.target === 'object' ? this.target.id : this.target;
+    return {
+      ...super.toObject([...CONNECTOR_PROPS, ...propertiesToInclude]),
+      ...(source ? { source } : null),
+      ...(target ? { target } : null),
+      sourcePoint: { x: this.sourcePoint.x, y: this.sourcePoint.y },
+      targetPoint: { x: this.targetPoint.x, y: this.targetPoint.y },
+    };
+  }
+
+  /**
+   * Creates an instance of Connector from an object, referencing its objects by `id`
+   * @static
+   * @memberOf Connector
+   * @param {Object} object
+   * @returns {Promise<Connector>}
+   */
+  static fromObject<T extends TProps<SerializedConnectorProps>>(
+    object: T,
+    options?: Abortable
+  ) {
+    return this._fromObject<Connector>(object, options);
+  }
+}
+
+classRegistry.setClass(Connector);
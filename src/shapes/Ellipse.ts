@@ -11,6 +11,8 @@ import type {
 } from './Object/types';
 import type { ObjectEvents } from '../EventTypeDefs';
 import type { CSSRules } from '../parser/typedefs';
+import { makePathSimpler } from '../util/path';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 export const ellipseDefaultValues: UniqueEllipseProps = {
   rx: 0,
@@ -146,6 +148,19 @@ export class Ellipse<
     this._renderPaintInOrder(ctx);
   }
 
+  /**
+   * @returns {TSimplePathData} the outline of the ellipse, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const { rx, ry } = this;
+    return makePathSimpler([
+      ['M', rx, 0],
+      ['A', rx, ry, 0, 0, 1, -rx, 0],
+      ['A', rx, ry, 0, 0, 1, rx, 0],
+      ['Z'],
+    ]);
+  }
+
   /* _FROM_SVG_START_ */
 
   /**
@@ -421,11 +421,13 @@ export class Group extends createCollectionMixin(
   _enterGroup(object: FabricObject, removeParentTransform?: boolean) {
     if (removeParentTransform) {
       // can this be converted to utils (sendObjectToPlane)?
-      applyTransformToObject(
-        object,
-        multiplyTransformMatrices(
-          invertTransform(this.calcTransformMatrix()),
-          object.calcTransformMatrix()
+      this._changeObjectPlane(() =>
+        applyTransformToObject(
+          object,
+          multiplyTransformMatrices(
+            invertTransform(this.calcTransformMatrix()),
+            object.calcTransformMatrix()
+          )
         )
       );
     }
@@ -446,6 +448,21 @@ export class Group extends createCollectionMixin(
     }
   }
 
+  /**
+   * Moving an object to a different plane doesn't change what the user sees,
+   * so it is neither recorded by the canvas history nor streamed to collaborators
+   * @private
+   * @param {Function} callback
+   */
+  _changeObjectPlane(callback: () => void) {
+    const canvas = this.canvas;
+    canvas?.historyManager
+      ? canvas.historyManager.pause(() =>
+          canvas.collaborationManager.pause(callback)
+        )
+      : callback();
+  }
+
   /**
    * @private
    * @param {FabricObject} object
@@ -464,11 +481,13 @@ export class Group extends createCollectionMixin(
   _exitGroup(object: FabricObject, removeParentTransform?: boolean) {
     object._set('group', undefined);
     if (!removeParentTransform) {
-      applyTransformToObject(
-        object,
-        multiplyTransformMatrices(
-          this.calcTransformMatrix(),
-          object.calcTransformMatrix()
+      this._changeObjectPlane(() =>
+        applyTransformToObject(
+          object,
+          multiplyTransformMatrices(
+            this.calcTransformMatrix(),
+            object.calcTransformMatrix()
+          )
         )
       );
       object.setCoords();
@@ -545,7 +564,9 @@ export class Group extends createCollectionMixin(
         this._objects[i].render(ctx);
       }
     }
+    this._drawEffect(ctx, this.effect);
     this._drawClipPath(ctx, this.clipPath);
+    this._drawMask(ctx, this.mask);
   }
 
   /**
@@ -641,6 +662,10 @@ export class Group extends createCollectionMixin(
         this.clipPath &&
         !this.clipPath.absolutePositioned &&
         this._adjustObjectPosition(this.clipPath, diff);
+      //  and mask
+      !isFirstLayout &&
+        this.mask &&
+        this._adjustObjectPosition(this.mask, diff);
       if (!newCenter.eq(center) || initialTransform) {
         //  set position
         this.setPositionByOrigin(newCenter, CENTER, CENTER);
@@ -696,3 +696,5 @@ export class IText<
 classRegistry.setClass(IText);
 // legacy
 classRegistry.setClass(IText, 'i-text');
+// text elements of SVG are parsed as editable texts
+classRegistry.setSVGClass(IText, 'text');
@@ -1,8 +1,12 @@
-import { SHARED_ATTRIBUTES } from '../parser/attributes';
+import { MARKER_ATTRIBUTES, SHARED_ATTRIBUTES } from '../parser/attributes';
 import { parseAttributes } from '../parser/parseAttributes';
 import type { Abortable, TClassProperties } from '../typedefs';
 import { classRegistry } from '../ClassRegistry';
-import { FabricObject, cacheProperties } from './Object/FabricObject';
+import {
+  FabricObject,
+  cacheProperties,
+  markerProperties,
+} from './Object/FabricObject';
 import { Point } from '../Point';
 import { isFiller } from '../util/typeAssertions';
 import type {
@@ -14,6 +18,7 @@ import type { ObjectEvents } from '../EventTypeDefs';
 import { makeBoundingBoxFromPoints } from '../util';
 import { CENTER, LEFT, TOP } from '../constants';
 import type { CSSRules } from '../parser/typedefs';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 // @TODO this code is terrible and Line should be a special case of polyline.
 
@@ -68,7 +73,11 @@ export class Line<
 
   static type = 'Line';
 
-  static cacheProperties = [...cacheProperties, ...coordProps];
+  static cacheProperties = [
+    ...cacheProperties,
+    ...markerProperties,
+    ...coordProps,
+  ];
   /**
    * Constructor
    * @param {Array} [points] Array of points
@@ -144,6 +153,24 @@ export class Line<
     ctx.strokeStyle = origStrokeStyle;
   }
 
+  /**
+   * @returns {TSimplePathData} the line, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const { x1, y1, x2, y2 } = this.calcLinePoints();
+    return [
+      ['M', x1, y1],
+      ['L', x2, y2],
+    ];
+  }
+
+  /**
+   * @returns {TSimplePathData} the line, see {@link FabricObject#getMarkerPathData}
+   */
+  getMarkerPathData(): TSimplePathData {
+    return this.getPathData();
+  }
+
   /**
    * This function is an helper for svg import. it returns the center of the object in the svg
    * untransformed coordinates
@@ -233,7 +260,11 @@ export class Line<
    * @memberOf Line
    * @see http://www.w3.org/TR/SVG/shapes.html#LineElement
    */
-  static ATTRIBUTE_NAMES = SHARED_ATTRIBUTES.concat(coordProps);
+  static ATTRIBUTE_NAMES = [
+    ...SHARED_ATTRIBUTES,
+    ...MARKER_ATTRIBUTES,
+    ...coordProps,
+  ];
 
   /**
    * Returns Line instance from an SVG element
@@ -26,4 +26,8 @@ applyMixins(FabricObject, [FabricObjectSVGExportMixin]);
 classRegistry.setClass(FabricObject);
 classRegistry.setClass(FabricObject, 'object');
 
-export { cacheProperties } from './defaultValues';
+export {
+  cacheProperties,
+  markerProperties,
+  paintProperties,
+} from './defaultValues';
@@ -3,6 +3,9 @@ import type { TSVGReviver } from '../../typedefs';
 import { uid } from '../../util/internals/uid';
 import { colorPropToSVG, matrixToSVG } from '../../util/misc/svgParsing';
 import { NONE } from '../../constants';
+import { config } from '../../config';
+import { toFixed } from '../../util/misc/toFixed';
+import type { FabricObject } from './FabricObject';
 
 export class FabricObjectSVGExportMixin {
   /**
@@ -12,6 +15,13 @@ export class FabricObjectSVGExportMixin {
    */
   declare clipPathId?: string;
 
+  /**
+   * When an object is being exported as SVG as a mask, a reference inside the SVG is needed.
+   * This reference is a UID in the fabric namespace and is temporary stored here.
+   * @type {String}
+   */
+  declare maskId?: string;
+
   /**
    * Returns styles-string for svg-export
    * @param {Boolean} skipShadow a boolean to skip shadow filter output
@@ -139,6 +149,13 @@ export class FabricObjectSVGExportMixin {
     return [
       this.id ? `id="${this.id}" ` : '',
       this.clipPath ? `clip-path="url(#${this.clipPath.clipPathId})" ` : '',
+      this.mask ? `mask="url(#${this.mask.maskId})" ` : '',
+      this.effect ? `filter="url(#FILTER_${this.effect.id})" ` : '',
+      this.markerStart
+        ? `marker-start="url(#MARKER_${this.markerStart.id})" `
+        : '',
+      this.markerMid ? `marker-mid="url(#MARKER_${this.markerMid.id})" ` : '',
+      this.markerEnd ? `marker-end="url(#MARKER_${this.markerEnd.id})" ` : '',
     ].join('');
   }
 
@@ -178,6 +195,28 @@ export class FabricObjectSVGExportMixin {
     );
   }
 
+  /**
+   * Returns svg mask representation of an instance, used as the mask of `object`
+   * @param {FabricObject} object the masked object
+   * @param {TSVGReviver} [reviver] Method for further parsing of svg representation.
+   * @return {String} svg representation of an instance
+   */
+  toMaskSVG(object: FabricObject, reviver?: TSVGReviver) {
+    // the mask covers the object, its stroke included
+    const { x: width, y: height } = object._getNonTransformedDimensions();
+    return [
+      `<mask id="${this.maskId}" maskUnits="userSpaceOnUse" `,
+      `x="${toFixed(-width / 2, config.NUM_FRACTION_DIGITS)}" `,
+      `y="${toFixed(-height / 2, config.NUM_FRACTION_DIGITS)}" `,
+      `width="${toFixed(width, config.NUM_FRACTION_DIGITS)}" `,
+      `height="${toFixed(height, config.NUM_FRACTION_DIGITS)}" `,
+      object.maskType === 'alpha' ? 'mask-type="alpha" ' : '',
+      '>\n',
+      this.toSVG(reviver),
+      '</mask>\n',
+    ].join('');
+  }
+
   /**
    * @private
    */
@@ -228,7 +267,11 @@ export class FabricObjectSVGExportMixin {
       markup = [],
       // insert commons in the markup, style and svgCommons
       index = objectMarkup.indexOf('COMMON_PARTS');
-    let clipPathMarkup;
+    let clipPathMarkup, maskMarkup;
+    if (this.mask) {
+      this.mask.maskId = `MASK_${uid()}`;
+      maskMarkup = this.mask.toMaskSVG(this, reviver);
+    }
     if (clipPath) {
       clipPath.clipPathId = `CLIPPATH_${uid()}`;
       clipPathMarkup = `<clipPath id="${
@@ -261,9 +304,19 @@ export class FabricObjectSVGExportMixin {
     if (shadow) {
       markup.push(shadow.toSVG(this));
     }
+    if (this.effect) {
+      markup.push(this.effect.toSVG(this));
+    }
+    // a marker used at several vertices is defined once
+    new Set([this.markerStart, this.markerMid, this.markerEnd]).forEach(
+      (marker) => marker && markup.push(marker.toSVG(reviver))
+    );
     if (clipPath) {
       markup.push(clipPathMarkup);
     }
+    if (maskMarkup) {
+      markup.push(maskMarkup);
+    }
     markup.push(objectMarkup.join(''));
     markup.push('</g>\n');
     absoluteClipPath && markup.push('</g>\n');
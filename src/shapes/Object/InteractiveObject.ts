@@ -155,6 +155,47 @@ export class InteractiveFabricObject<
     };
   }
 
+  /**
+   * Changes made by a single call are grouped in one history step, see {@link Canvas#historyManager},
+   * and streamed as a single operation, see {@link Canvas#collaborationManager}
+   * @param {String|Object} key Property name or object (if object, iterate over the object properties)
+   * @param {Object|Function} value Property value (if function, the value is passed into it and its return value is used as a new one)
+   */
+  set(key: string | Record<string, any>, value?: any) {
+    const canvas = this.canvas;
+    if (!canvas?.historyManager) {
+      return super.set(key, value);
+    }
+    // changes are grouped only if they are recorded or streamed
+    const { historyManager, collaborationManager } = canvas,
+      record = historyManager.isRecording(),
+      set = () =>
+        record
+          ? historyManager.transaction(() => super.set(key, value))
+          : super.set(key, value);
+    return collaborationManager.isConnected()
+      ? collaborationManager.batch(set)
+      : set();
+  }
+
+  /**
+   * Records changes in {@link Canvas#historyManager} and streams them with {@link Canvas#collaborationManager}
+   * @protected
+   * @param {String} key
+   * @param {*} value
+   */
+  _set(key: string, value: any) {
+    const prev = this[key as keyof this];
+    super._set(key, value);
+    const canvas = this.canvas,
+      next = this[key as keyof this];
+    if (canvas?.historyManager && prev !== next) {
+      canvas.historyManager.onPropertyChange(this, key, prev, next);
+      canvas.collaborationManager.onPropertyChange(this, key, next);
+    }
+    return this;
+  }
+
   /**
    * Update width and height of the canvas for cache
    * returns true or false if canvas needed resize.
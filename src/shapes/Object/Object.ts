@@ -12,6 +12,9 @@ import type { ObjectEvents } from '../../EventTypeDefs';
 import { AnimatableObject } from './AnimatableObject';
 import { Point } from '../../Point';
 import { Shadow } from '../../Shadow';
+import { FilterEffect } from '../../effects/FilterEffect';
+import type { Marker } from '../../markers/Marker';
+import { getMarkerVertices } from '../../markers/getMarkerVertices';
 import type {
   TDegree,
   TFiller,
@@ -24,7 +27,12 @@ import { runningAnimations } from '../../util/animation/AnimationRegistry';
 import { cloneDeep } from '../../util/internals/cloneDeep';
 import { capValue } from '../../util/misc/capValue';
 import { createCanvasElement, toDataURL } from '../../util/misc/dom';
-import { invertTransform, qrDecompose } from '../../util/misc/matrix';
+import {
+  createScaleMatrix,
+  invertTransform,
+  qrDecompose,
+  transformPoint,
+} from '../../util/misc/matrix';
 import { enlivenObjectEnlivables } from '../../util/misc/objectEnlive';
 import {
   resetObjectTransform,
@@ -44,12 +52,21 @@ import type { Image } from '../Image';
 import {
   cacheProperties,
   fabricObjectDefaultValues,
+  paintProperties,
   stateProperties,
 } from './defaultValues';
+import type { Path } from '../Path';
+import type { TSimplePathData } from '../../util/path/typedefs';
+import type { TBooleanOptions } from '../../util/path/boolean';
+import { transformPath } from '../../util/path';
+import { outlineStroke } from '../../util/path/outlineStroke';
 import type { Gradient } from '../../gradient/Gradient';
 import type { Pattern } from '../../Pattern';
 import type { Canvas } from '../../canvas/Canvas';
-import type { SerializedObjectProps } from './types/SerializedObjectProps';
+import type {
+  SerializedObjectProps,
+  TMaskType,
+} from './types/SerializedObjectProps';
 import type { ObjectProps } from './types/ObjectProps';
 import type { TProps } from './types';
 import { getEnv } from '../../env';
@@ -129,10 +146,24 @@ export class FabricObject<
   declare includeDefaultValues: boolean;
   declare excludeFromExport: boolean;
 
+  declare id?: string;
+
+  declare layer?: string;
+
   declare objectCaching: boolean;
 
   declare clipPath?: FabricObject;
   declare inverted: boolean;
+
+  declare mask?: FabricObject;
+  declare maskType?: TMaskType;
+
+  declare effect?: FilterEffect;
+
+  declare markerStart?: Marker;
+  declare markerMid?: Marker;
+  declare markerEnd?: Marker;
+
   declare absolutePositioned: boolean;
   declare centeredRotation: boolean;
 
@@ -391,13 +422,18 @@ export class FabricObject<
       // calculate dimensions without skewing
       dim = this._getTransformedDimensions({ skewX: 0, skewY: 0 }),
       neededX = (dim.x * objectScale.x) / this.scaleX,
-      neededY = (dim.y * objectScale.y) / this.scaleY;
+      neededY = (dim.y * objectScale.y) / this.scaleY,
+      // room for the markers and the extent of the effect around the object
+      effectPadding =
+        2 *
+        ((this.effect ? this.effect.getPadding() : 0) +
+          this._getMarkerPadding());
     return {
       // for sure this ALIASING_LIMIT is slightly creating problem
       // in situation in which the cache canvas gets an upper limit
       // also objectScale contains already scaleX and scaleY
-      width: neededX + ALIASING_LIMIT,
-      height: neededY + ALIASING_LIMIT,
+      width: neededX + effectPadding * objectScale.x + ALIASING_LIMIT,
+      height: neededY + effectPadding * objectScale.y + ALIASING_LIMIT,
       zoomX: objectScale.x,
       zoomY: objectScale.y,
       x: neededX,
@@ -522,6 +558,10 @@ export class FabricObject<
               absolutePositioned: this.clipPath.absolutePositioned,
             }
           : null,
+      maskData =
+        this.mask && !this.mask.excludeFromExport
+          ? this.mask.toObject(propertiesToInclude)
+          : null,
       object = {
         ...pick(this, propertiesToInclude as (keyof this)[]),
         type: (this.constructor as typeof FabricObject).type,
@@ -565,6 +605,14 @@ export class FabricObject<
         skewX: toFixed(this.skewX, NUM_FRACTION_DIGITS),
         skewY: toFixed(this.skewY, NUM_FRACTION_DIGITS),
         ...(clipPathData ? { clipPath: clipPathData } : null),
+        ...(maskData ? { mask: maskData, maskType: this.maskType } : null),
+        ...(this.effect ? { effect: this.effect.toObject() } : null),
+        ...(this.markerStart
+          ? { markerStart: this.markerStart.toObject() }
+          : null),
+        ...(this.markerMid ? { markerMid: this.markerMid.toObject() } : null),
+        ...(this.markerEnd ? { markerEnd: this.markerEnd.toObject() } : null),
+        ...(this.layer !== undefined ? { layer: this.layer } : null),
       };
 
     return !this.includeDefaultValues
@@ -705,6 +753,13 @@ export class FabricObject<
       // i don't like this automatic initialization here
     } else if (key === 'shadow' && value && !(value instanceof Shadow)) {
       value = new Shadow(value);
+    } else if (
+      key === 'effect' &&
+      value &&
+      typeof value === 'object' &&
+      !(value instanceof FilterEffect)
+    ) {
+      value = new FilterEffect(value);
     } else if (key === 'dirty' && this.group) {
       this.group.set('dirty', value);
     }
@@ -848,7 +903,7 @@ export class FabricObject<
     ) {
       return true;
     }
-    if (this.clipPath) {
+    if (this.clipPath || this.mask || this.effect) {
       return true;
     }
     return false;
@@ -930,7 +985,10 @@ export class FabricObject<
       this._renderBackground(ctx);
     }
     this._render(ctx);
+    !forClipping && this._renderMarkers(ctx);
+    !forClipping && this._drawEffect(ctx, this.effect);
     this._drawClipPath(ctx, this.clipPath);
+    this._drawMask(ctx, this.mask);
     this.fill = originalFill;
     this.stroke = originalStroke;
   }
@@ -954,6 +1012,110 @@ export class FabricObject<
     this.drawClipPathOnCache(ctx, clipPath as TCachedFabricObject);
   }
 
+  /**
+   * Returns the distance by which the markers of the object can extend from its outline
+   * @return {Number}
+   */
+  _getMarkerPadding() {
+    return Math.max(
+      0,
+      ...[this.markerStart, this.markerMid, this.markerEnd].map((marker) =>
+        marker ? marker.getPadding(this.strokeWidth) : 0
+      )
+    );
+  }
+
+  /**
+   * Render the markers of the object at the vertices of {@link getMarkerPathData}, over its fill and stroke
+   * @param {CanvasRenderingContext2D} ctx Context to render on
+   */
+  _renderMarkers(ctx: CanvasRenderingContext2D) {
+    const { markerStart, markerMid, markerEnd } = this;
+    if (!markerStart && !markerMid && !markerEnd) {
+      return;
+    }
+    const path = this.getMarkerPathData(),
+      vertices = path ? getMarkerVertices(path) : [];
+    if (!vertices.length) {
+      return;
+    }
+    markerStart && markerStart.render(ctx, vertices[0], this.strokeWidth, true);
+    markerMid &&
+      vertices
+        .slice(1, -1)
+        .forEach((vertex) => markerMid.render(ctx, vertex, this.strokeWidth));
+    markerEnd &&
+      markerEnd.render(ctx, vertices[vertices.length - 1], this.strokeWidth);
+  }
+
+  /**
+   * Apply an effect to the instance's cache, before clipping and masking as in SVG
+   * @param {CanvasRenderingContext2D} ctx Context of the instance's cache
+   * @param {FilterEffect} effect
+   */
+  _drawEffect(ctx: CanvasRenderingContext2D, effect?: FilterEffect) {
+    const { width, height } = ctx.canvas;
+    if (!effect || !width || !height) {
+      return;
+    }
+    const imageData = ctx.getImageData(0, 0, width, height);
+    effect.apply(imageData, this.zoomX, this.zoomY);
+    ctx.putImageData(imageData, 0, 0);
+  }
+
+  /**
+   * Execute the drawing operation for an object mask:
+   * the mask is turned into opacity according to {@link maskType}, multiplying the opacity of the instance's cache
+   * @param {CanvasRenderingContext2D} ctx Context to render on
+   * @param {FabricObject} mask
+   */
+  drawMaskOnCache(ctx: CanvasRenderingContext2D, mask: TCachedFabricObject) {
+    const maskCanvas = mask._cacheCanvas,
+      { width, height } = maskCanvas;
+    let source: HTMLCanvasElement = maskCanvas;
+    if (this.maskType !== 'alpha' && width && height) {
+      source = createCanvasElement();
+      source.width = width;
+      source.height = height;
+      const sourceCtx = source.getContext('2d');
+      if (sourceCtx) {
+        sourceCtx.drawImage(maskCanvas, 0, 0);
+        const imageData = sourceCtx.getImageData(0, 0, width, height),
+          data = imageData.data;
+        // luminance coefficients of the SVG specification
+        for (let i = 0; i < data.length; i += 4) {
+          data[i + 3] =
+            ((0.2125 * data[i] + 0.7154 * data[i + 1] + 0.0721 * data[i + 2]) *
+              data[i + 3]) /
+            255;
+        }
+        sourceCtx.putImageData(imageData, 0, 0);
+      }
+    }
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-in';
+    mask.transform(ctx);
+    ctx.scale(1 / mask.zoomX, 1 / mask.zoomY);
+    ctx.drawImage(source, -mask.cacheTranslationX, -mask.cacheTranslationY);
+    ctx.restore();
+  }
+
+  /**
+   * Prepare mask state and cache and draw it on instance's cache
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {FabricObject} mask
+   */
+  _drawMask(ctx: CanvasRenderingContext2D, mask?: FabricObject) {
+    if (!mask) {
+      return;
+    }
+    mask._set('canvas', this.canvas);
+    mask.shouldCache();
+    mask._transformDone = true;
+    mask.renderCache();
+    this.drawMaskOnCache(ctx, mask as TCachedFabricObject);
+  }
+
   /**
    * Paint the cached copy of the object on the target context.
    * @param {CanvasRenderingContext2D} ctx Context to render on
@@ -1341,6 +1503,122 @@ export class FabricObject<
     return new ImageClass(canvasEl);
   }
 
+  /**
+   * Returns the outline of the object in its own plane, as drawn by {@link _render}, see {@link toPath}.
+   * Classes that can be converted to a path override this method.
+   * @returns {TSimplePathData} path data relative to the center of the object
+   */
+  getPathData(): TSimplePathData {
+    throw new Error(
+      `fabric.js: ${this.constructor.name} can't be converted to a path`
+    );
+  }
+
+  /**
+   * Returns the path along which {@link markerStart}, {@link markerMid} and {@link markerEnd} are rendered.
+   * As in SVG, only paths, lines and polylines render markers: they override this method.
+   * @returns {TSimplePathData | undefined} path data relative to the center of the object
+   */
+  getMarkerPathData(): TSimplePathData | undefined {
+    return undefined;
+  }
+
+  /**
+   * Converts the object into a path with the same outline, transform and paint properties,
+   * e.g. to edit its outline or to compute boolean operations.
+   * The path is positioned in the same plane as the object, it isn't added to its group nor canvas.
+   * @returns {Path}
+   */
+  toPath(): Path {
+    return this._createPath(this.getPathData(), {
+      ...pick(this, paintProperties as unknown as (keyof this)[]),
+      shadow: this.shadow ? new Shadow(this.shadow) : null,
+    });
+  }
+
+  /**
+   * Returns the outline of the stroke of the object in its own plane, see {@link strokeToPath}.
+   * Dashes, line joins and line caps are taken into account.
+   * @param {TBooleanOptions} [options]
+   * @param {number} [options.tolerance] max distance between curves and the segments approximating them
+   * @returns {TSimplePathData} path data relative to the center of the object, empty if the object has no stroke
+   */
+  getStrokePathData(options: TBooleanOptions = {}): TSimplePathData {
+    if (!this.stroke || this.strokeWidth === 0) {
+      return [];
+    }
+    const strokeOptions = {
+      strokeWidth: this.strokeWidth,
+      strokeLineCap: this.strokeLineCap,
+      strokeLineJoin: this.strokeLineJoin,
+      strokeMiterLimit: this.strokeMiterLimit,
+      strokeDashArray: this.strokeDashArray,
+      strokeDashOffset: this.strokeDashOffset,
+      ...options,
+    };
+    if (!this.strokeUniform) {
+      return outlineStroke(this.getPathData(), strokeOptions);
+    }
+    // a uniform stroke is drawn in a plane that isn't scaled, see {@link _renderStroke}
+    const { x, y } = this.getObjectScaling(),
+      scaling = createScaleMatrix(x, y);
+    return transformPath(
+      outlineStroke(transformPath(this.getPathData(), scaling), strokeOptions),
+      invertTransform(scaling)
+    );
+  }
+
+  /**
+   * Converts the stroke of the object into a filled path with the same transform,
+   * e.g. for plotters and cutters that can't draw strokes of a given width.
+   * The path is positioned in the same plane as the object, it isn't added to its group nor canvas.
+   * @param {TBooleanOptions} [options] see {@link getStrokePathData}
+   * @returns {Path} a path filled with the stroke of the object
+   */
+  strokeToPath(options?: TBooleanOptions): Path {
+    return this._createPath(this.getStrokePathData(options), {
+      fill: this.stroke,
+      stroke: null,
+      strokeWidth: 0,
+      opacity: this.opacity,
+      globalCompositeOperation: this.globalCompositeOperation,
+      shadow:
+        this.shadow && this.shadow.affectStroke
+          ? new Shadow(this.shadow)
+          : null,
+    });
+  }
+
+  /**
+   * @private
+   * @param {TSimplePathData} pathData path data relative to the center of the object
+   * @param {Partial<ObjectProps>} options paint properties of the path
+   * @returns {Path} a path with the transform of the object
+   */
+  _createPath(pathData: TSimplePathData, options: Partial<ObjectProps>): Path {
+    // TODO: how to import Path w/o an import cycle?
+    const PathClass = classRegistry.getClass('path'),
+      path: Path = new PathClass(pathData, {
+        ...options,
+        scaleX: this.scaleX,
+        scaleY: this.scaleY,
+        angle: this.angle,
+        skewX: this.skewX,
+        skewY: this.skewY,
+        flipX: this.flipX,
+        flipY: this.flipY,
+        originX: this.originX,
+        originY: this.originY,
+      });
+    // path data is relative to the center of the object while the path is centered on its bounding box
+    path.setPositionByOrigin(
+      transformPoint(path.pathOffset, this.calcOwnMatrix()),
+      CENTER,
+      CENTER
+    );
+    return path;
+  }
+
   /**
    * Converts an object into a HTMLCanvas element
    * @param {Object} options Options object
@@ -25,7 +25,7 @@ import { sin } from '../../util/misc/sin';
 import type { Canvas } from '../../canvas/Canvas';
 import type { StaticCanvas } from '../../canvas/StaticCanvas';
 import { ObjectOrigin } from './ObjectOrigin';
-import type { ObjectEvents } from '../../EventTypeDefs';
+import type { BaseFabricObject, ObjectEvents } from '../../EventTypeDefs';
 import type { ControlProps } from './types/ControlProps';
 
 type TLineDescriptor = {
@@ -691,6 +691,9 @@ export class ObjectGeometry<EventSpec extends ObjectEvents = ObjectEvents>
     // in case we are in a group, for how the inner group target check works,
     // lineCoords are exactly aCoords. Since the vpt gets absorbed by the normalized pointer.
     this.lineCoords = this.group ? this.aCoords : this.calcLineCoords();
+    this.fire('coords:changed', {
+      target: this as unknown as BaseFabricObject,
+    });
   }
 
   transformMatrixKey(skipGroup = false): string {
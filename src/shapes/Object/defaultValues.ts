@@ -35,6 +35,32 @@ export const cacheProperties = [
   'clipPath',
 ];
 
+/**
+ * Properties referencing the markers of an object,
+ * cache properties of the shapes rendering markers, see {@link FabricObject#getMarkerPathData}
+ */
+export const markerProperties = ['markerStart', 'markerMid', 'markerEnd'];
+
+/**
+ * Properties defining how the outline of an object is painted,
+ * copied to paths converted from objects, see {@link FabricObject#toPath}
+ */
+export const paintProperties = [
+  'fill',
+  'stroke',
+  'strokeWidth',
+  'strokeDashArray',
+  'strokeDashOffset',
+  'strokeLineCap',
+  'strokeLineJoin',
+  'strokeMiterLimit',
+  'strokeUniform',
+  'paintFirst',
+  'fillRule',
+  'opacity',
+  'globalCompositeOperation',
+] as const;
+
 export const fabricObjectDefaultValues = {
   originX: LEFT,
   originY: TOP,
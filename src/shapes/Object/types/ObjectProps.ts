@@ -1,4 +1,6 @@
 import type { Shadow } from '../../../Shadow';
+import type { FilterEffect } from '../../../effects/FilterEffect';
+import type { Marker } from '../../../markers/Marker';
 import type { Canvas } from '../../../canvas/Canvas';
 import type { StaticCanvas } from '../../../canvas/StaticCanvas';
 import type { TFiller } from '../../../typedefs';
@@ -10,6 +12,11 @@ import type {
 
 export interface ObjectProps extends SerializedObjectProps, ClipPathProps {
   clipPath?: FabricObject;
+  mask?: FabricObject;
+  effect?: FilterEffect;
+  markerStart?: Marker;
+  markerMid?: Marker;
+  markerEnd?: Marker;
   fill: TFiller | string | null;
   stroke: TFiller | string | null;
   shadow: Shadow | null;
@@ -46,4 +53,12 @@ export interface ObjectProps extends SerializedObjectProps, ClipPathProps {
    * @default
    */
   excludeFromExport: boolean;
+
+  /**
+   * Identifier of the object.
+   * Exported as the `id` attribute in SVG and used to match objects across canvas states,
+   * see {@link StaticCanvas#toState}
+   * @type String
+   */
+  id?: string;
 }
@@ -1,4 +1,6 @@
 import type { Shadow } from '../../../Shadow';
+import type { FilterEffect } from '../../../effects/FilterEffect';
+import type { SerializedMarkerOptions } from '../../../markers/Marker';
 import type { BaseProps } from './BaseProps';
 import type { FillStrokeProps } from './FillStrokeProps';
 
@@ -47,8 +49,61 @@ export interface SerializedObjectProps extends BaseProps, FillStrokeProps {
    * @type FabricObject
    */
   clipPath?: Partial<SerializedObjectProps> & ClipPathProps;
+
+  /**
+   * a fabricObject rendered as a mask of the object, turned into opacity according to {@link maskType}.
+   * Like the clipPath, the mask object is positioned relative to the center of the object.
+   * @type FabricObject
+   */
+  mask?: Partial<SerializedObjectProps>;
+
+  /**
+   * How the mask is turned into opacity, as the SVG `mask-type` property:
+   * `luminance` uses the brightness of the mask multiplied by its alpha, `alpha` uses only the alpha of the mask.
+   * Defaults to `luminance` when undefined.
+   * @type TMaskType
+   */
+  maskType?: TMaskType;
+
+  /**
+   * Effect of SVG filter primitives (blur, drop shadow, color matrix...) applied to the rendering of the object,
+   * imported from and exported to the SVG `filter` attribute
+   * @type FilterEffect
+   */
+  effect?: ReturnType<FilterEffect['toObject']>;
+
+  /**
+   * Marker rendered at the start of the path of the object, e.g. an arrowhead,
+   * imported from and exported to the SVG `marker-start` attribute.
+   * As in SVG, markers are rendered by paths, lines and polylines.
+   * @type Marker
+   */
+  markerStart?: Partial<SerializedMarkerOptions>;
+
+  /**
+   * Marker rendered at every vertex of the path of the object but its start and its end,
+   * imported from and exported to the SVG `marker-mid` attribute
+   * @type Marker
+   */
+  markerMid?: Partial<SerializedMarkerOptions>;
+
+  /**
+   * Marker rendered at the end of the path of the object,
+   * imported from and exported to the SVG `marker-end` attribute
+   * @type Marker
+   */
+  markerEnd?: Partial<SerializedMarkerOptions>;
+
+  /**
+   * Name of the layer of the canvas the object belongs to, see {@link StaticCanvas#layers}.
+   * Objects nested in groups belong to the layer of their top level ancestor.
+   * @type String
+   */
+  layer?: string;
 }
 
+export type TMaskType = 'luminance' | 'alpha';
+
 export interface ClipPathProps {
   /**
    * Meaningful ONLY when the object is used as clipPath.
@@ -1,6 +1,6 @@
 import type { FabricObjectProps } from './FabricObjectProps';
 
-export type { SerializedObjectProps } from './SerializedObjectProps';
+export type { SerializedObjectProps, TMaskType } from './SerializedObjectProps';
 export type { FabricObjectProps };
 
 export type TProps<T> = Partial<T> & Record<string, any>;
@@ -1,5 +1,5 @@
 import { config } from '../config';
-import { SHARED_ATTRIBUTES } from '../parser/attributes';
+import { MARKER_ATTRIBUTES, SHARED_ATTRIBUTES } from '../parser/attributes';
 import { parseAttributes } from '../parser/parseAttributes';
 import type { XY } from '../Point';
 import { Point } from '../Point';
@@ -10,9 +10,15 @@ import {
   joinPath,
   makePathSimpler,
   parsePath,
+  transformPath,
 } from '../util/path';
 import { classRegistry } from '../ClassRegistry';
-import { FabricObject, cacheProperties } from './Object/FabricObject';
+import {
+  FabricObject,
+  cacheProperties,
+  markerProperties,
+  paintProperties,
+} from './Object/FabricObject';
 import type {
   TComplexPathData,
   TPathSegmentInfo,
@@ -23,11 +29,34 @@ import type {
   SerializedObjectProps,
   TProps,
 } from './Object/types';
-import type { ObjectEvents } from '../EventTypeDefs';
+import type { ObjectEvents, TPointerEventInfo } from '../EventTypeDefs';
 import type { TBBox, TClassProperties, TSVGReviver } from '../typedefs';
 import { cloneDeep } from '../util/internals/cloneDeep';
-import { CENTER, LEFT, TOP } from '../constants';
+import { CENTER, LEFT, TOP, iMatrix } from '../constants';
 import type { CSSRules } from '../parser/typedefs';
+import type { TBooleanOperation, TBooleanOptions } from '../util/path/boolean';
+import { booleanPath, getObjectBooleanOperand } from '../util/path/boolean';
+import { pick } from '../util/misc/pick';
+import { multiplyTransformMatrices, transformPoint } from '../util/misc/matrix';
+import { isTouchEvent } from '../util/dom_event';
+import {
+  getPointOnPathSegment,
+  isPathNodeSmooth,
+  removePathNode,
+  setPathNodeSmooth,
+  splitPathSegment,
+} from '../util/path/editPath';
+import { simplifyPath } from '../util/path/simplify';
+import type { Canvas } from '../canvas/Canvas';
+import type { TSimplifyPathOptions } from '../util/path/simplify';
+import { createPathControls } from '../controls/pathControl';
+
+/**
+ * @returns true if both paths are made of the same commands, whatever their coords
+ */
+const isSameCommands = (path: TSimplePathData, other: TSimplePathData) =>
+  path.length === other.length &&
+  path.every((command, index) => command[0] === other[index][0]);
 
 interface UniquePathProps {
   sourcePath?: string;
@@ -62,11 +91,24 @@ export class Path<
 
   declare sourcePath?: string;
 
+  /**
+   * `true` while the nodes of the path are edited with controls, see {@link enterNodeEditing}
+   * @type Boolean
+   */
+  declare isEditingNodes?: boolean;
+
+  declare _stateBeforeNodeEditing?: Pick<this, 'controls' | 'hasBorders'>;
+
   declare segmentsInfo?: TPathSegmentInfo[];
 
   static type = 'Path';
 
-  static cacheProperties = [...cacheProperties, 'path', 'fillRule'];
+  static cacheProperties = [
+    ...cacheProperties,
+    ...markerProperties,
+    'path',
+    'fillRule',
+  ];
 
   /**
    * Constructor
@@ -291,10 +333,39 @@ export class Path<
     return this.path.length;
   }
 
+  /**
+   * @returns {TSimplePathData} the path relative to its center, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    return transformPath(this.path, iMatrix, this.pathOffset);
+  }
+
+  /**
+   * @returns {TSimplePathData} the path, see {@link FabricObject#getMarkerPathData}
+   */
+  getMarkerPathData(): TSimplePathData {
+    return this.getPathData();
+  }
+
   setDimensions() {
     this.setBoundingBox();
   }
 
+  _set(key: string, value: unknown) {
+    const prev = this.path,
+      changed = key === 'path' && prev !== value;
+    super._set(key, value);
+    if (changed) {
+      // controls are positioned by command index, they must match the commands before the coords are updated
+      this.isEditingNodes &&
+        !isSameCommands(prev, this.path) &&
+        (this.controls = createPathControls(this));
+      // dimensions follow the commands, e.g. when a change of the commands is undone
+      this.setDimensions();
+    }
+    return this;
+  }
+
   setBoundingBox(adjustPosition?: boolean) {
     const { width, height, pathOffset } = this._calcDimensions();
     this.set({ width, height, pathOffset });
@@ -303,6 +374,203 @@ export class Path<
     adjustPosition && this.setPositionByOrigin(pathOffset, CENTER, CENTER);
   }
 
+  /**
+   * Sets {@link path} with {@link set}, updating dimensions and `pathOffset`
+   * and moving the object so that unchanged commands are drawn at the same position.
+   * The change is a single step of the history of the canvas and a single collaboration operation.
+   * @private
+   * @param {TSimplePathData} path new commands, {@link path} must not be changed in place
+   */
+  _setPathInPlace(path: TSimplePathData) {
+    const canvas = this.canvas as Canvas | undefined,
+      update = () => {
+        const previousOffset = this.pathOffset,
+          ownMatrix = this.calcOwnMatrix();
+        this.set('path', path);
+        this.setPositionByOrigin(
+          transformPoint(this.pathOffset.subtract(previousOffset), ownMatrix),
+          CENTER,
+          CENTER
+        );
+      };
+    canvas?.historyManager
+      ? canvas.collaborationManager.batch(() =>
+          canvas.historyManager.transaction(update)
+        )
+      : update();
+    this.dirty = true;
+    this.setCoords();
+  }
+
+  /**
+   * @private
+   * @returns {TSimplePathData} a copy of {@link path} that can be edited in place
+   */
+  _clonePath(): TSimplePathData {
+    return this.path.map((command) => [...command]) as TSimplePathData;
+  }
+
+  /**
+   * Adds a node to the path, splitting the segment drawn by a command in 2 segments with the same shape
+   * @param {number} index index of a command drawing a segment (`L`, `C`, `Q`, `Z`)
+   * @param {number} [t] position of the node on the segment, from 0 to 1
+   * @returns {number} index of the command ending at the new node
+   */
+  addNode(index: number, t = 0.5) {
+    const path = this._clonePath();
+    splitPathSegment(path, index, t);
+    this._setPathInPlace(path);
+    return index;
+  }
+
+  /**
+   * Removes a node from the path, merging the segments meeting at it
+   * @param {number} index index of a command with a node (`M`, `L`, `C`, `Q`)
+   */
+  removeNode(index: number) {
+    const path = this._clonePath();
+    removePathNode(path, index);
+    this._setPathInPlace(path);
+  }
+
+  /**
+   * Makes a node smooth, aligning the handles of the curves meeting at it,
+   * or a corner, retracting the handles of the curves meeting at it
+   * @param {number} index index of a command with a node (`M`, `L`, `C`, `Q`)
+   * @param {boolean} smooth
+   */
+  setNodeSmooth(index: number, smooth: boolean) {
+    const path = this._clonePath();
+    setPathNodeSmooth(path, index, smooth);
+    this._setPathInPlace(path);
+  }
+
+  /**
+   * @param {number} index index of a command with a node (`M`, `L`, `C`, `Q`)
+   * @returns {boolean} true if the handles of the curves meeting at the node are aligned
+   */
+  isNodeSmooth(index: number) {
+    return isPathNodeSmooth(this.path, index);
+  }
+
+  /**
+   * Simplifies the path, approximating it with fewer commands, see {@link simplifyPath}.
+   * Useful to lighten paths drawn freehand or imported from other tools.
+   * @param {TSimplifyPathOptions} [options]
+   */
+  simplify(options?: TSimplifyPathOptions) {
+    this._setPathInPlace(simplifyPath(this.path, options));
+  }
+
+  /**
+   * Replaces the controls of the path with controls editing its nodes, see {@link createPathControls}.
+   * While editing, double clicking a node toggles it from smooth to corner
+   * and double clicking the path adds a node.
+   */
+  enterNodeEditing() {
+    if (this.isEditingNodes) {
+      return;
+    }
+    this._stateBeforeNodeEditing = {
+      controls: this.controls,
+      hasBorders: this.hasBorders,
+    };
+    this.isEditingNodes = true;
+    this.hasBorders = false;
+    this.controls = createPathControls(this);
+    this.on('mousedblclick', this._onNodeEditingDoubleClick);
+    this.setCoords();
+    this.canvas?.requestRenderAll();
+  }
+
+  /**
+   * Restores the controls of the path, see {@link enterNodeEditing}
+   */
+  exitNodeEditing() {
+    if (!this.isEditingNodes) {
+      return;
+    }
+    Object.assign(this, this._stateBeforeNodeEditing);
+    this._stateBeforeNodeEditing = undefined;
+    this.isEditingNodes = false;
+    this.off('mousedblclick', this._onNodeEditingDoubleClick);
+    this.setCoords();
+    this.canvas?.requestRenderAll();
+  }
+
+  /**
+   * @private
+   * @param {TPointerEventInfo} options
+   */
+  _onNodeEditingDoubleClick({ e, absolutePointer }: TPointerEventInfo) {
+    const corner = this._findTargetCorner(absolutePointer, isTouchEvent(e));
+    if (corner && corner[0] === 'p') {
+      const index = Number(corner.slice(1));
+      this.setNodeSmooth(index, !this.isNodeSmooth(index));
+    } else {
+      const closest = this._findClosestSegmentPoint(absolutePointer);
+      if (
+        !closest ||
+        closest.distance >
+          Math.max(
+            this.cornerSize,
+            this.strokeWidth * this.getTotalObjectScaling().x
+          ) /
+            2
+      ) {
+        return;
+      }
+      this.addNode(closest.index, closest.t);
+    }
+    this.canvas?.fire('object:modified', { target: this });
+    this.canvas?.requestRenderAll();
+  }
+
+  /**
+   * @private
+   * @param {Point} point point in the viewport
+   * @returns the segment of the path closest to `point`, the position on the segment and the distance in the viewport
+   */
+  _findClosestSegmentPoint(point: Point) {
+    const matrix = multiplyTransformMatrices(
+        this.canvas?.viewportTransform ?? iMatrix,
+        this.calcTransformMatrix()
+      ),
+      distanceAt = (index: number, t: number) =>
+        getPointOnPathSegment(this.path, index, t)
+          .subtract(this.pathOffset)
+          .transform(matrix)
+          .distanceFrom(point),
+      steps = 50;
+    let closest: { index: number; t: number; distance: number } | undefined;
+    this.path.forEach((command, index) => {
+      if (command[0] === 'M') {
+        return;
+      }
+      for (let i = 0; i <= steps; i++) {
+        const t = i / steps,
+          distance = distanceAt(index, t);
+        (!closest || distance < closest.distance) &&
+          (closest = { index, t, distance });
+      }
+    });
+    if (!closest) {
+      return;
+    }
+    // refine by ternary search around the closest sample
+    let low = Math.max(closest.t - 1 / steps, 0),
+      high = Math.min(closest.t + 1 / steps, 1);
+    for (let i = 0; i < 20; i++) {
+      const t1 = low + (high - low) / 3,
+        t2 = high - (high - low) / 3;
+      distanceAt(closest.index, t1) < distanceAt(closest.index, t2)
+        ? (high = t2)
+        : (low = t1);
+    }
+    const t = (low + high) / 2;
+    return { index: closest.index, t, distance: distanceAt(closest.index, t) };
+  }
+
   _calcBoundsFromPath(): TBBox {
     const bounds: XY[] = [];
     let subpathStartX = 0,
@@ -386,13 +654,94 @@ export class Path<
     };
   }
 
+  /**
+   * @private
+   */
+  static _fromBooleanOperation(
+    operation: TBooleanOperation,
+    a: FabricObject,
+    b: FabricObject,
+    options?: TBooleanOptions
+  ) {
+    return new this(
+      booleanPath(
+        getObjectBooleanOperand(a),
+        getObjectBooleanOperand(b),
+        operation,
+        options
+      ),
+      pick(a, paintProperties as unknown as (keyof FabricObject)[])
+    );
+  }
+
+  /**
+   * Creates a path of the area filled by `a` or `b`.
+   * Operands are converted to paths in the canvas plane by {@link FabricObject#getPathData} honoring their `fillRule`,
+   * curves and arcs are approximated with segments, see {@link TBooleanOptions#tolerance}.
+   * The result is positioned in the canvas plane and styled as `a`.
+   * @static
+   * @memberOf Path
+   * @param {FabricObject} a
+   * @param {FabricObject} b
+   * @param {TBooleanOptions} [options]
+   * @returns {Path}
+   * @example
+   * const shape = Path.union(new Rect({ width: 100, height: 50 }), new Circle({ radius: 50 }));
+   */
+  static union(a: FabricObject, b: FabricObject, options?: TBooleanOptions) {
+    return this._fromBooleanOperation('union', a, b, options);
+  }
+
+  /**
+   * Creates a path of the area filled by both `a` and `b`, see {@link Path.union}
+   * @static
+   * @memberOf Path
+   * @param {FabricObject} a
+   * @param {FabricObject} b
+   * @param {TBooleanOptions} [options]
+   * @returns {Path}
+   */
+  static intersect(
+    a: FabricObject,
+    b: FabricObject,
+    options?: TBooleanOptions
+  ) {
+    return this._fromBooleanOperation('intersect', a, b, options);
+  }
+
+  /**
+   * Creates a path of the area filled by `a` but not by `b`, see {@link Path.union}
+   * @static
+   * @memberOf Path
+   * @param {FabricObject} a
+   * @param {FabricObject} b
+   * @param {TBooleanOptions} [options]
+   * @returns {Path}
+   */
+  static subtract(a: FabricObject, b: FabricObject, options?: TBooleanOptions) {
+    return this._fromBooleanOperation('subtract', a, b, options);
+  }
+
+  /**
+   * Creates a path of the area filled by either `a` or `b` but not by both, see {@link Path.union}
+   * @static
+   * @memberOf Path
+   * @param {FabricObject} a
+   * @param {FabricObject} b
+   * @param {TBooleanOptions} [options]
+   * @returns {Path}
+   */
+  static exclude(a: FabricObject, b: FabricObject, options?: TBooleanOptions) {
+    return this._fromBooleanOperation('exclude', a, b, options);
+  }
+
   /**
    * List of attribute names to account for when parsing SVG element (used by `Path.fromElement`)
    * @static
    * @memberOf Path
    * @see http://www.w3.org/TR/SVG/paths.html#PathElement
    */
-  static ATTRIBUTE_NAMES = [...SHARED_ATTRIBUTES, 'd'];
+  static ATTRIBUTE_NAMES = [...SHARED_ATTRIBUTES, ...MARKER_ATTRIBUTES, 'd'];
 
   /**
    * Creates an instance of Path from an object
@@ -1,5 +1,5 @@
 import { config } from '../config';
-import { SHARED_ATTRIBUTES } from '../parser/attributes';
+import { MARKER_ATTRIBUTES, SHARED_ATTRIBUTES } from '../parser/attributes';
 import { parseAttributes } from '../parser/parseAttributes';
 import { parsePointsAttribute } from '../parser/parsePointsAttribute';
 import type { XY } from '../Point';
@@ -10,7 +10,11 @@ import { makeBoundingBoxFromPoints } from '../util/misc/boundingBoxFromPoints';
 import { projectStrokeOnPoints } from '../util/misc/projectStroke';
 import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
 import { toFixed } from '../util/misc/toFixed';
-import { FabricObject, cacheProperties } from './Object/FabricObject';
+import {
+  FabricObject,
+  cacheProperties,
+  markerProperties,
+} from './Object/FabricObject';
 import type {
   FabricObjectProps,
   SerializedObjectProps,
@@ -20,6 +24,7 @@ import type { ObjectEvents } from '../EventTypeDefs';
 import { cloneDeep } from '../util/internals/cloneDeep';
 import { CENTER, LEFT, TOP } from '../constants';
 import type { CSSRules } from '../parser/typedefs';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 export const polylineDefaultValues: Partial<TClassProperties<Polyline>> = {
   exactBoundingBox: false,
@@ -83,7 +88,7 @@ export class Polyline<
 
   declare strokeOffset: Point;
 
-  static cacheProperties = [...cacheProperties, 'points'];
+  static cacheProperties = [...cacheProperties, ...markerProperties, 'points'];
 
   /**
    * Constructor
@@ -306,6 +311,27 @@ export class Polyline<
     this._renderPaintInOrder(ctx);
   }
 
+  /**
+   * @returns {TSimplePathData} the outline of the polyline, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const { x, y } = this.pathOffset,
+      path: TSimplePathData = this.points.map((point, index) => [
+        index === 0 ? 'M' : 'L',
+        point.x - x,
+        point.y - y,
+      ]);
+    path.length > 0 && !this.isOpen() && path.push(['Z']);
+    return path;
+  }
+
+  /**
+   * @returns {TSimplePathData} the polyline, see {@link FabricObject#getMarkerPathData}
+   */
+  getMarkerPathData(): TSimplePathData {
+    return this.getPathData();
+  }
+
   /**
    * Returns complexity of an instance
    * @return {Number} complexity of this instance
@@ -322,7 +348,7 @@ export class Polyline<
    * @memberOf Polyline
    * @see: http://www.w3.org/TR/SVG/shapes.html#PolylineElement
    */
-  static ATTRIBUTE_NAMES = [...SHARED_ATTRIBUTES];
+  static ATTRIBUTE_NAMES = [...SHARED_ATTRIBUTES, ...MARKER_ATTRIBUTES];
 
   /**
    * Returns Polyline instance from an SVG element
@@ -11,6 +11,7 @@ import type {
 } from './Object/types';
 import type { ObjectEvents } from '../EventTypeDefs';
 import type { CSSRules } from '../parser/typedefs';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 export const rectDefaultValues: Partial<TClassProperties<Rect>> = {
   rx: 0,
@@ -146,6 +147,46 @@ export class Rect<
     this._renderPaintInOrder(ctx);
   }
 
+  /**
+   * @returns {TSimplePathData} the outline of the rect, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const { width: w, height: h } = this,
+      x = -w / 2,
+      y = -h / 2,
+      rx = this.rx ? Math.min(this.rx, w / 2) : 0,
+      ry = this.ry ? Math.min(this.ry, h / 2) : 0;
+    if (rx === 0 && ry === 0) {
+      return [
+        ['M', x, y],
+        ['L', x + w, y],
+        ['L', x + w, y + h],
+        ['L', x, y + h],
+        ['Z'],
+      ];
+    }
+    return [
+      ['M', x + rx, y],
+      ['L', x + w - rx, y],
+      ['C', x + w - kRect * rx, y, x + w, y + kRect * ry, x + w, y + ry],
+      ['L', x + w, y + h - ry],
+      [
+        'C',
+        x + w,
+        y + h - kRect * ry,
+        x + w - kRect * rx,
+        y + h,
+        x + w - rx,
+        y + h,
+      ],
+      ['L', x + rx, y + h],
+      ['C', x + kRect * rx, y + h, x, y + h - kRect * ry, x, y + h - ry],
+      ['L', x, y + ry],
+      ['C', x, y + kRect * ry, x + kRect * rx, y, x + rx, y],
+      ['Z'],
+    ];
+  }
+
   /**
    * Returns object representation of an instance
    * @param {Array} [propertiesToInclude] Any properties that you might want to additionally include in the output
@@ -0,0 +1,126 @@
+import type { TSimplePathData } from '../../util/path/typedefs';
+
+/**
+ * A command of a glyph outline, as returned by opentype.js
+ */
+export type TGlyphPathCommand =
+  | { type: 'M' | 'L'; x: number; y: number }
+  | { type: 'Q'; x1: number; y1: number; x: number; y: number }
+  | {
+      type: 'C';
+      x1: number;
+      y1: number;
+      x2: number;
+      y2: number;
+      x: number;
+      y: number;
+    }
+  | { type: 'Z' };
+
+/**
+ * A loaded font file able to outline text, e.g. an opentype.js `Font`
+ */
+export type TFontOutlines = {
+  /**
+   * @param {String} text
+   * @param {Number} x left of the text
+   * @param {Number} y baseline of the text
+   * @param {Number} fontSize
+   */
+  getPath(
+    text: string,
+    x: number,
+    y: number,
+    fontSize: number
+  ): { commands: TGlyphPathCommand[] };
+};
+
+export type TFontOutlineStyle = {
+  fontFamily: string;
+  fontWeight?: string | number;
+  fontStyle?: string;
+};
+
+/**
+ * Converts glyph outline commands to path data
+ * @param {TGlyphPathCommand[]} commands
+ * @returns {TSimplePathData}
+ */
+export const glyphCommandsToPathData = (
+  commands: TGlyphPathCommand[]
+): TSimplePathData =>
+  commands.map((command) => {
+    switch (command.type) {
+      case 'M':
+      case 'L':
+        return [command.type, command.x, command.y];
+      case 'Q':
+        return ['Q', command.x1, command.y1, command.x, command.y];
+      case 'C':
+        return [
+          'C',
+          command.x1,
+          command.y1,
+          command.x2,
+          command.y2,
+          command.x,
+          command.y,
+        ];
+      default:
+        return ['Z'];
+    }
+  });
+
+/**
+ * Text is rendered by the browser with the fonts it has loaded,
+ * outlines of glyphs are not available to the canvas.
+ * Fonts registered here are used to convert text to paths, see {@link Text#getPathData}.
+ * @example
+ * import opentype from 'opentype.js';
+ * fontOutlineRegistry.register(await opentype.load('Roboto-Bold.ttf'), { fontFamily: 'Roboto', fontWeight: 'bold' });
+ */
+export class FontOutlineRegistry {
+  protected fonts = new Map<string, TFontOutlines>();
+
+  protected getKey({
+    fontFamily,
+    fontWeight = 'normal',
+    fontStyle = 'normal',
+  }: TFontOutlineStyle) {
+    const weight = `${fontWeight}`.toLowerCase();
+    return [
+      fontFamily.toLowerCase(),
+      fontStyle.toLowerCase(),
+      weight === 'normal' ? '400' : weight === 'bold' ? '700' : weight,
+    ].join('_');
+  }
+
+  /**
+   * @param {TFontOutlines} font
+   * @param {TFontOutlineStyle} style font family, weight and style the font is used for
+   */
+  register(font: TFontOutlines, style: TFontOutlineStyle) {
+    this.fonts.set(this.getKey(style), font);
+  }
+
+  /**
+   * @param {TFontOutlineStyle} style
+   * @returns {boolean} true if a font was unregistered
+   */
+  unregister(style: TFontOutlineStyle) {
+    return this.fonts.delete(this.getKey(style));
+  }
+
+  /**
+   * @param {TFontOutlineStyle} style
+   * @returns {TFontOutlines | undefined} the font registered for `style` or else the regular font of the family
+   */
+  get(style: TFontOutlineStyle) {
+    return (
+      this.fonts.get(this.getKey(style)) ||
+      this.fonts.get(this.getKey({ fontFamily: style.fontFamily }))
+    );
+  }
+}
+
+export const fontOutlineRegistry = new FontOutlineRegistry();
@@ -9,12 +9,19 @@ import type {
 import { StyledText } from './StyledText';
 import { SHARED_ATTRIBUTES } from '../../parser/attributes';
 import { parseAttributes } from '../../parser/parseAttributes';
+import {
+  parseDominantBaselineShift,
+  parsePathAlign,
+  parseSVGTextContent,
+  parseTextPath,
+} from './parser';
 import type { XY } from '../../Point';
 import type {
   Abortable,
   TCacheCanvasDimensions,
   TClassProperties,
   TFiller,
+  TMat2D,
 } from '../../typedefs';
 import { classRegistry } from '../../ClassRegistry';
 import { graphemeSplit } from '../../util/lang_string';
@@ -24,7 +31,18 @@ import {
   stylesFromArray,
   stylesToArray,
 } from '../../util/misc/textStyles';
-import { getPathSegmentsInfo, getPointOnPath } from '../../util/path';
+import {
+  getPathSegmentsInfo,
+  getPointOnPath,
+  transformPath,
+} from '../../util/path';
+import type { TSimplePathData } from '../../util/path/typedefs';
+import {
+  fontOutlineRegistry,
+  glyphCommandsToPathData,
+} from './FontOutlineRegistry';
+import { cos } from '../../util/misc/cos';
+import { sin } from '../../util/misc/sin';
 import { cacheProperties } from '../Object/FabricObject';
 import type { Path } from '../Path';
 import { TextSVGExportMixin } from './TextSVGExportMixin';
@@ -63,9 +81,9 @@ function getMeasuringContext() {
   return measuringContext;
 }
 
-type TPathSide = 'left' | 'right';
+export type TPathSide = 'left' | 'right';
 
-type TPathAlign = 'baseline' | 'center' | 'ascender' | 'descender';
+export type TPathAlign = 'baseline' | 'center' | 'ascender' | 'descender';
 
 /**
  * Measure and return the info of a single grapheme.
@@ -1384,6 +1402,95 @@ export class Text<
     ctx.restore();
   }
 
+  /**
+   * Returns the outlines of the glyphs and of the text decorations,
+   * glyphs are outlined with the fonts registered in {@link fontOutlineRegistry}.
+   * Styles changing the geometry of characters (font, size, deltaY) are honored.
+   * @returns {TSimplePathData} see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const pathData: TSimplePathData = [],
+      path = this.path,
+      isLtr = this.direction === 'ltr',
+      left = this._getLeftOffset(),
+      decorations = (['underline', 'linethrough', 'overline'] as const).filter(
+        (type) => this[type] || this.styleHas(type)
+      );
+    let lineTop = this._getTopOffset();
+    this._textLines.forEach((line, lineIndex) => {
+      const heightOfLine = this.getHeightOfLine(lineIndex),
+        baseline =
+          lineTop +
+          (heightOfLine / this.lineHeight) * (1 - this._fontSizeFraction),
+        lineLeft = left + this._getLineLeftOffset(lineIndex);
+      line.forEach((grapheme, charIndex) => {
+        const charBox = this.__charBounds[lineIndex][
+            charIndex
+          ] as Required<GraphemeBBox>,
+          style = this.getCompleteStyleDeclaration(lineIndex, charIndex),
+          deltaY = style.deltaY || 0,
+          font = fontOutlineRegistry.get(style);
+        if (!font) {
+          throw new Error(
+            `fabric.js: no font outlines registered for "${style.fontFamily}"`
+          );
+        }
+        // characters on a path are centered on their position on the path
+        const transform: TMat2D = path
+            ? [
+                cos(charBox.angle),
+                sin(charBox.angle),
+                -sin(charBox.angle),
+                cos(charBox.angle),
+                charBox.renderLeft,
+                charBox.renderTop,
+              ]
+            : [
+                1,
+                0,
+                0,
+                1,
+                isLtr
+                  ? lineLeft + charBox.left
+                  : lineLeft - charBox.left - charBox.width,
+                baseline,
+              ],
+          x = path ? -charBox.width / 2 : 0,
+          width = path ? charBox.kernedWidth : charBox.width;
+        pathData.push(
+          ...transformPath(
+            glyphCommandsToPathData(
+              font.getPath(grapheme, x, deltaY, style.fontSize).commands
+            ),
+            transform
+          )
+        );
+        decorations.forEach((type) => {
+          if (!this.getValueOfPropertyAt(lineIndex, charIndex, type)) {
+            return;
+          }
+          const top = this.offsets[type] * style.fontSize + deltaY,
+            bottom = top + this.fontSize / 15,
+            decorationLeft = path ? -charBox.kernedWidth / 2 : 0;
+          pathData.push(
+            ...transformPath(
+              [
+                ['M', decorationLeft, top],
+                ['L', decorationLeft + width, top],
+                ['L', decorationLeft + width, bottom],
+                ['L', decorationLeft, bottom],
+                ['Z'],
+              ],
+              transform
+            )
+          );
+        });
+      });
+      lineTop += heightOfLine;
+    });
+    return pathData;
+  }
+
   /**
    * Turns the character into a 'superior figure' (i.e. 'superscript')
    * @param {Number} start selection start
@@ -1797,15 +1904,20 @@ export class Text<
     'font-size',
     'letter-spacing',
     'text-decoration',
-    'text-anchor'
+    'text-anchor',
+    'dominant-baseline',
+    'inline-size'
   );
 
   /**
-   * Returns Text instance from an SVG element (<b>not yet implemented</b>)
+   * Returns Text instance from an SVG `<text>` element.
+   * `<tspan>` elements positioned on a new baseline make the lines of the text and their styles make its {@link styles},
+   * `<textPath>` makes its {@link path} and `inline-size` makes a {@link Textbox} of that width.
    * @static
    * @memberOf Text
    * @param {HTMLElement} element Element to parse
    * @param {Object} [options] Options object
+   * @param {CSSRules} [cssRules]
    */
   static async fromElement(
     element: HTMLElement,
@@ -1821,6 +1933,11 @@ export class Text<
     const {
       textAnchor = LEFT as typeof LEFT | typeof CENTER | typeof RIGHT,
       textDecoration = '',
+      dominantBaseline = 'auto',
+      inlineSize = 0,
+      // spaces are parsed with the content of the text
+      // eslint-disable-next-line @typescript-eslint/no-unused-vars
+      whiteSpace = 'normal',
       dx = 0,
       dy = 0,
       top = 0,
@@ -1830,29 +1947,82 @@ export class Text<
       ...restOfOptions
     } = { ...options, ...parsedAttributes };
 
-    const textContent = (element.textContent || '')
-      .replace(/^\s+|\s+$|\n+/g, '')
-      .replace(/\s+/g, ' ');
+    const {
+        text: textContent,
+        styles,
+        lines,
+        textPath,
+      } = parseSVGTextContent(
+        element,
+        parsedAttributes,
+        Text.ATTRIBUTE_NAMES,
+        cssRules
+      ),
+      pathInfo = textPath && parseTextPath(textPath, textAnchor),
+      isTextbox = inlineSize > 0,
+      // only a textbox wraps its lines in an inline size
+      Textbox = isTextbox ? classRegistry.getClass('Textbox') : undefined,
+      Klass: typeof Text =
+        Textbox && this !== Textbox && !(this.prototype instanceof Textbox)
+          ? Textbox
+          : this;
+
+    const text = new Klass(textContent, {
+      left: left + dx,
+      top: top + dy,
+      underline: textDecoration.includes('underline'),
+      overline: textDecoration.includes('overline'),
+      linethrough: textDecoration.includes('line-through'),
+      // we initialize this as 0
+      strokeWidth: 0,
+      fontSize,
+      ...restOfOptions,
+      styles,
+      // the alignment of a single line is given by its position
+      ...(lines.length > 1 || isTextbox || pathInfo
+        ? { textAlign: textAnchor }
+        : {}),
+      ...(isTextbox ? { width: inlineSize } : {}),
+      ...(pathInfo
+        ? {
+            path: new (classRegistry.getClass('path'))(pathInfo.path, {
+              visible: false,
+            }),
+            pathStartOffset: pathInfo.pathStartOffset,
+            pathSide: pathInfo.pathSide,
+            pathAlign: parsePathAlign(dominantBaseline),
+          }
+        : {}),
+    });
+
+    if (text.path && pathInfo) {
+      // the text is centered where its path is
+      const center = text.path.pathOffset.add(pathInfo.start);
+      text.set({
+        left: center.x - text.width / 2,
+        top: center.y - text.height / 2,
+        strokeWidth,
+      });
+      return text;
+    }
+
+    if (lines.length > 1) {
+      const lineGap =
+        (lines[lines.length - 1].y - lines[0].y) / (lines.length - 1);
+      lineGap > 0 &&
+        text.set('lineHeight', lineGap / (text.fontSize * text._fontSizeMult));
+    }
 
     // this code here is probably the usual issue for SVG center find
     // this can later looked at again and probably removed.
 
-    const text = new this(textContent, {
-        left: left + dx,
-        top: top + dy,
-        underline: textDecoration.includes('underline'),
-        overline: textDecoration.includes('overline'),
-        linethrough: textDecoration.includes('line-through'),
-        // we initialize this as 0
-        strokeWidth: 0,
-        fontSize,
-        ...restOfOptions,
-      }),
-      textHeightScaleFactor = text.getScaledHeight() / text.height,
-      lineHeightDiff =
-        (text.height + text.strokeWidth) * text.lineHeight - text.height,
-      scaledDiff = lineHeightDiff * textHeightScaleFactor,
-      textHeight = text.getScaledHeight() + scaledDiff;
+    const firstLineHeight = text.getHeightOfLine(0) / text.lineHeight,
+      firstLineFontSize = firstLineHeight / text._fontSizeMult,
+      ascent =
+        firstLineHeight * text.scaleY -
+        (firstLineFontSize * (0.07 + text._fontSizeFraction)) / text.lineHeight,
+      descent = firstLineHeight * text.scaleY - ascent,
+      [{ x, y }] = lines;
 
     let offX = 0;
     /*
@@ -1867,11 +2037,11 @@ export class Text<
       offX = text.getScaledWidth();
     }
     text.set({
-      left: text.left - offX,
+      left: x - offX,
       top:
-        text.top -
-        (textHeight - text.fontSize * (0.07 + text._fontSizeFraction)) /
-          text.lineHeight,
+        y +
+        parseDominantBaselineShift(dominantBaseline, ascent, descent) -
+        ascent,
       strokeWidth,
     });
     return text;
@@ -0,0 +1,374 @@
+import {
+  CENTER,
+  DEFAULT_SVG_FONT_SIZE,
+  LEFT,
+  RIGHT,
+  iMatrix,
+} from '../../constants';
+import { Point } from '../../Point';
+import { elementById } from '../../parser/elementById';
+import { parseAttributes } from '../../parser/parseAttributes';
+import { isPercent } from '../../parser/percent';
+import type { CSSRules } from '../../parser/typedefs';
+import { graphemeSplit } from '../../util/lang_string';
+import { parseUnit } from '../../util/misc/svgParsing';
+import {
+  getPathSegmentsInfo,
+  makePathSimpler,
+  parsePath,
+  transformPath,
+} from '../../util/path';
+import type { TSimplePathData } from '../../util/path/typedefs';
+import type { TextStyle, TextStyleDeclaration } from './StyledText';
+import type { TPathAlign, TPathSide } from './Text';
+
+type TParsedAttributes = ReturnType<typeof parseAttributes>;
+
+type TTextAnchor = typeof LEFT | typeof CENTER | typeof RIGHT;
+
+/**
+ * A line of a `<text>` element, in the user space of the element
+ */
+export type TSVGTextLine = {
+  /**
+   * position of the line along the x axis, where it is anchored
+   */
+  x: number;
+  /**
+   * position of the baseline of the line
+   */
+  y: number;
+};
+
+export type TSVGTextContent = {
+  text: string;
+  styles: TextStyle;
+  lines: TSVGTextLine[];
+  /**
+   * the first `<textPath>` element of the text, if any
+   */
+  textPath?: Element;
+};
+
+export type TSVGTextPath = {
+  /**
+   * path data translated to start at the origin, as expected by {@link Text.path}
+   */
+  path: TSimplePathData;
+  /**
+   * start point of the path, in the user space of the text element
+   */
+  start: Point;
+  pathStartOffset: number;
+  pathSide: TPathSide;
+};
+
+type TTextRun = {
+  style: TextStyleDeclaration;
+  preserveSpaces: boolean;
+};
+
+type TTextLineContent = TSVGTextLine & {
+  graphemes: string[];
+  styles: TextStyleDeclaration[];
+};
+
+const textContentElementsRegex = /^(svg:)?(tspan|textPath|a)$/i;
+
+const textPathElementRegex = /^(svg:)?textPath$/i;
+
+const runStyleProperties = [
+  'fill',
+  'stroke',
+  'strokeWidth',
+  'fontSize',
+  'fontFamily',
+  'fontWeight',
+  'fontStyle',
+] as const;
+
+/**
+ * @returns the style of a run of text from its parsed attributes, or the style it inherits
+ */
+const parseRunStyle = (
+  attributes: TParsedAttributes,
+  inherited: TextStyleDeclaration = {}
+): TextStyleDeclaration => {
+  const style: TextStyleDeclaration = { ...inherited };
+  runStyleProperties.forEach((prop) => {
+    if (typeof attributes[prop] !== 'undefined') {
+      style[prop] = attributes[prop];
+    }
+  });
+  const { textDecoration } = attributes;
+  if (typeof textDecoration === 'string') {
+    style.underline = textDecoration.includes('underline');
+    style.overline = textDecoration.includes('overline');
+    style.linethrough = textDecoration.includes('line-through');
+  }
+  return style;
+};
+
+/**
+ * @returns true if the spaces of an element are preserved, by `xml:space` or by the `white-space` css property
+ */
+const parsePreserveSpaces = (
+  el: Element,
+  attributes: TParsedAttributes,
+  inherited = false
+) => {
+  const xmlSpace = el.getAttribute('xml:space'),
+    { whiteSpace } = attributes;
+  if (xmlSpace) {
+    return xmlSpace === 'preserve';
+  }
+  if (typeof whiteSpace === 'string') {
+    return whiteSpace.startsWith('pre') || whiteSpace === 'break-spaces';
+  }
+  return inherited;
+};
+
+/**
+ * Parses the content of a `<text>` element: its lines, made of the `<tspan>` elements positioned on a new baseline,
+ * and the style of each of its characters, made of the styles of the `<tspan>` elements that differ from the text.
+ *
+ * A `<tspan>` starts a new line when it has an absolute position on a different baseline,
+ * with `y` or with `x` and `dy`, otherwise `dy` shifts the following characters from the baseline of their line.
+ * Spaces are collapsed and trimmed at both ends of each line unless `xml:space` or `white-space` preserves them.
+ * @param {Element} element `<text>` element
+ * @param {Object} parsedAttributes parsed attributes of `element`
+ * @param {string[]} attributeNames attribute names to parse on the `<tspan>` elements
+ * @param {CSSRules} [cssRules]
+ * @returns {TSVGTextContent}
+ */
+export const parseSVGTextContent = (
+  element: Element,
+  parsedAttributes: TParsedAttributes,
+  attributeNames: string[],
+  cssRules?: CSSRules
+): TSVGTextContent => {
+  const { left = 0, top = 0, dx = 0, dy = 0 } = parsedAttributes,
+    textStyle = parseRunStyle({
+      fontSize: DEFAULT_SVG_FONT_SIZE,
+      strokeWidth: 1,
+      textDecoration: '',
+      ...parsedAttributes,
+    }),
+    lines: TTextLineContent[] = [];
+  let line: TTextLineContent = {
+      x: left + dx,
+      y: top + dy,
+      graphemes: [],
+      styles: [],
+    },
+    penY = line.y,
+    textPath: Element | undefined;
+  lines.push(line);
+
+  const trimLineEnd = () => {
+    while (line.graphemes[line.graphemes.length - 1] === ' ') {
+      line.graphemes.pop();
+      line.styles.pop();
+    }
+  };
+
+  const moveTo = (attributes: TParsedAttributes, preserveSpaces: boolean) => {
+    const { left, top, dx = 0, dy = 0 } = attributes;
+    if (typeof left !== 'number' && typeof top !== 'number') {
+      penY += dy;
+      return;
+    }
+    const baseline = typeof top === 'number' ? top : penY + dy;
+    if (line.graphemes.length && baseline !== line.y) {
+      !preserveSpaces && trimLineEnd();
+      line = { x: line.x, y: baseline, graphemes: [], styles: [] };
+      lines.push(line);
+    }
+    if (!line.graphemes.length) {
+      line.x = (typeof left === 'number' ? left : line.x) + dx;
+      line.y = baseline;
+    }
+    penY = typeof top === 'number' ? baseline + dy : baseline;
+  };
+
+  const addText = (value: string, { style, preserveSpaces }: TTextRun) => {
+    const text = preserveSpaces
+        ? value.replace(/[\n\r\t]/g, ' ')
+        : value.replace(/[\n\r]/g, '').replace(/\s+/g, ' '),
+      charStyle: TextStyleDeclaration = {};
+    (Object.keys(style) as (keyof TextStyleDeclaration)[]).forEach((prop) => {
+      if (style[prop] !== textStyle[prop]) {
+        // @ts-expect-error the value is of the same property
+        charStyle[prop] = style[prop];
+      }
+    });
+    if (penY !== line.y) {
+      charStyle.deltaY = penY - line.y;
+    }
+    graphemeSplit(text).forEach((grapheme) => {
+      if (
+        !preserveSpaces &&
+        grapheme === ' ' &&
+        (!line.graphemes.length ||
+          line.graphemes[line.graphemes.length - 1] === ' ')
+      ) {
+        return;
+      }
+      line.graphemes.push(grapheme);
+      line.styles.push(charStyle);
+    });
+  };
+
+  const parseContent = (el: Element, run: TTextRun) => {
+    el.childNodes.forEach((node) => {
+      // text and CDATA nodes
+      if (node.nodeType === 3 || node.nodeType === 4) {
+        addText(node.nodeValue || '', run);
+        return;
+      }
+      if (
+        node.nodeType !== 1 ||
+        !textContentElementsRegex.test(node.nodeName)
+      ) {
+        return;
+      }
+      const child = node as Element,
+        attributes = parseAttributes(
+          child as HTMLElement,
+          attributeNames,
+          cssRules
+        ),
+        preserveSpaces = parsePreserveSpaces(
+          child,
+          attributes,
+          run.preserveSpaces
+        );
+      if (!textPath && textPathElementRegex.test(child.nodeName)) {
+        textPath = child;
+      }
+      moveTo(attributes, preserveSpaces);
+      parseContent(child, {
+        style: parseRunStyle(attributes, run.style),
+        preserveSpaces,
+      });
+    });
+  };
+
+  const preserveSpaces = parsePreserveSpaces(element, parsedAttributes);
+  parseContent(element, { style: textStyle, preserveSpaces });
+  !preserveSpaces && trimLineEnd();
+
+  const styles: TextStyle = {};
+  lines.forEach(({ styles: lineStyles }, lineIndex) => {
+    lineStyles.forEach((style, charIndex) => {
+      if (Object.keys(style).length) {
+        styles[lineIndex] = styles[lineIndex] || {};
+        styles[lineIndex][charIndex] = { ...style };
+      }
+    });
+  });
+
+  return {
+    text: lines.map(({ graphemes }) => graphemes.join('')).join('\n'),
+    styles,
+    lines: lines.map(({ x, y }) => ({ x, y })),
+    textPath,
+  };
+};
+
+/**
+ * Parses the path that a `<textPath>` element references with `href`, or defines with `path`,
+ * and its `startOffset` as {@link Text.pathStartOffset}, relative to the alignment of the text along the path.
+ * @param {Element} el `<textPath>` element
+ * @param {TTextAnchor} textAnchor
+ * @returns {TSVGTextPath | undefined}
+ */
+export const parseTextPath = (
+  el: Element,
+  textAnchor: TTextAnchor
+): TSVGTextPath | undefined => {
+  const href = el.getAttribute('xlink:href') || el.getAttribute('href') || '',
+    referencedPath =
+      href.startsWith('#') && el.ownerDocument
+        ? elementById(el.ownerDocument, href.slice(1))
+        : undefined,
+    pathString =
+      el.getAttribute('path') ||
+      (referencedPath && referencedPath.getAttribute('d'));
+  if (!pathString) {
+    return;
+  }
+  const path = makePathSimpler(parsePath(pathString));
+  if (!path.length) {
+    return;
+  }
+  const start = new Point(path[0][1] as number, path[0][2] as number),
+    segmentsInfo = getPathSegmentsInfo(path),
+    pathLength = segmentsInfo[segmentsInfo.length - 1].length,
+    startOffset = el.getAttribute('startOffset') || '0',
+    offset = isPercent(startOffset)
+      ? (parseFloat(startOffset) / 100) * pathLength
+      : parseUnit(startOffset) || 0;
+  return {
+    path: transformPath(path, iMatrix, start),
+    start,
+    pathStartOffset:
+      offset -
+      (textAnchor === CENTER
+        ? pathLength / 2
+        : textAnchor === RIGHT
+        ? pathLength
+        : 0),
+    pathSide: el.getAttribute('side') === RIGHT ? RIGHT : LEFT,
+  };
+};
+
+/**
+ * @param {string} [dominantBaseline]
+ * @param {number} ascent distance from the baseline to the top of the text
+ * @param {number} descent distance from the baseline to the bottom of the text
+ * @returns the distance from the position of the text to its alphabetic baseline
+ */
+export const parseDominantBaselineShift = (
+  dominantBaseline: string | undefined,
+  ascent: number,
+  descent: number
+) => {
+  switch (dominantBaseline) {
+    case 'middle':
+    case 'central':
+      return (ascent - descent) / 2;
+    case 'hanging':
+    case 'text-before-edge':
+    case 'text-top':
+      return ascent;
+    case 'ideographic':
+    case 'text-after-edge':
+    case 'text-bottom':
+      return -descent;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * @param {string} [dominantBaseline]
+ * @returns {TPathAlign} the alignment of a text along its path
+ */
+export const parsePathAlign = (dominantBaseline?: string): TPathAlign => {
+  switch (dominantBaseline) {
+    case 'middle':
+    case 'central':
+      return CENTER;
+    case 'hanging':
+    case 'text-before-edge':
+    case 'text-top':
+      return 'ascender';
+    case 'ideographic':
+    case 'text-after-edge':
+    case 'text-bottom':
+      return 'descender';
+    default:
+      return 'baseline';
+  }
+};
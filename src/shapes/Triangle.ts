@@ -6,6 +6,7 @@ import type {
   TProps,
 } from './Object/types';
 import type { ObjectEvents } from '../EventTypeDefs';
+import type { TSimplePathData } from '../util/path/typedefs';
 
 export const triangleDefaultValues = {
   width: 100,
@@ -45,6 +46,20 @@ export class Triangle<
     this._renderPaintInOrder(ctx);
   }
 
+  /**
+   * @returns {TSimplePathData} the outline of the triangle, see {@link FabricObject#getPathData}
+   */
+  getPathData(): TSimplePathData {
+    const widthBy2 = this.width / 2,
+      heightBy2 = this.height / 2;
+    return [
+      ['M', -widthBy2, heightBy2],
+      ['L', 0, -heightBy2],
+      ['L', widthBy2, heightBy2],
+      ['Z'],
+    ];
+  }
+
   /**
    * Returns svg representation of an instance
    * @return {Array} an array of strings with the specific svg representation
@@ -0,0 +1,41 @@
+import type { Point } from '../Point';
+import { Path } from '../shapes/Path';
+import type { TFabricObjectProps } from '../shapes/Object/types';
+import { SegmentTool } from './SegmentTool';
+import { getArrowPathData } from './util';
+
+/**
+ * Draws an arrow, a stroked {@link Path} made of a line and a head, by dragging from its tail to its tip
+ */
+export class ArrowTool extends SegmentTool<Path> {
+  objectOptions: TFabricObjectProps = {
+    fill: null,
+    stroke: 'rgb(0, 0, 0)',
+    strokeLineCap: 'round',
+    strokeLineJoin: 'round',
+  };
+
+  /**
+   * Length of the sides of the head
+   * @type Number
+   * @default
+   */
+  headLength = 10;
+
+  /**
+   * Angle in degrees between the line and the sides of the head
+   * @type Number
+   * @default
+   */
+  headAngle = 30;
+
+  createObject(start: Point, end: Point) {
+    if (start.eq(end)) {
+      return;
+    }
+    return new Path(
+      getArrowPathData(start, end, this.headLength, this.headAngle),
+      this.objectOptions
+    );
+  }
+}
@@ -0,0 +1,133 @@
+import type { Canvas } from '../canvas/Canvas';
+import type { TOptionalModifierKey, TPointerEvent } from '../EventTypeDefs';
+import type { Point } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import type { TFabricObjectProps } from '../shapes/Object/types';
+import { getDocumentFromElement } from '../util/dom_misc';
+import type { TToolEventData } from './typedefs';
+
+/**
+ * Base class of the tools creating objects with the pointer, see {@link Canvas#activeTool}.
+ *
+ * While a tool is drawing it captures the pointer and previews the object on the top context,
+ * pressing `Escape` cancels the drawing.
+ * Drawn objects are added to the canvas that fires `object:drawn`.
+ */
+export abstract class BaseTool {
+  /**
+   * Options of the drawn objects
+   * @type Object
+   */
+  objectOptions: TFabricObjectProps = {};
+
+  /**
+   * The event modifier key that constrains the drawing, e.g. to draw a square or a line at a multiple of 45°.
+   * If `null` or 'none' or any other string that is not a modifier key the feature is disabled.
+   * @type {TOptionalModifierKey}
+   * @default
+   */
+  constrainKey: TOptionalModifierKey = 'shiftKey';
+
+  declare canvas: Canvas;
+
+  constructor(canvas: Canvas) {
+    this.canvas = canvas;
+  }
+
+  abstract _render(ctx: CanvasRenderingContext2D): void;
+  abstract onMouseDown(pointer: Point, ev: TToolEventData): void;
+  abstract onMouseMove(pointer: Point, ev: TToolEventData): void;
+  /**
+   * @returns true if tool should continue blocking interaction
+   */
+  abstract onMouseUp(ev: TToolEventData): boolean | void;
+
+  /**
+   * Clears the state of the drawing
+   * @private
+   */
+  abstract _reset(): void;
+
+  /**
+   * Cancels the drawing on `Escape`
+   * @param {KeyboardEvent} e
+   */
+  onKeyDown = (e: KeyboardEvent) => {
+    e.key === 'Escape' && this.cancel();
+  };
+
+  /**
+   * Discards the object being drawn
+   */
+  cancel() {
+    this._endDrawing();
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * @returns {boolean} true if `constrainKey` is pressed
+   */
+  protected isConstrained(e: TPointerEvent) {
+    return !!this.constrainKey && !!e[this.constrainKey];
+  }
+
+  /**
+   * Listens to the keyboard while drawing
+   * @private
+   */
+  _beginDrawing() {
+    getDocumentFromElement(this.canvas.upperCanvasEl).addEventListener(
+      'keydown',
+      this.onKeyDown
+    );
+  }
+
+  /**
+   * Stops listening to the keyboard and clears the preview
+   * @private
+   */
+  _endDrawing() {
+    this._reset();
+    getDocumentFromElement(this.canvas.upperCanvasEl).removeEventListener(
+      'keydown',
+      this.onKeyDown
+    );
+    this.canvas.clearContext(this.canvas.contextTop);
+  }
+
+  /**
+   * Renders the preview on the top context
+   * @private
+   */
+  _redraw() {
+    const ctx = this.canvas.contextTop;
+    this.canvas.clearContext(ctx);
+    this._render(ctx);
+  }
+
+  /**
+   * Renders an object on the top context
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {FabricObject} object
+   */
+  protected renderObject(ctx: CanvasRenderingContext2D, object: FabricObject) {
+    const v = this.canvas.viewportTransform;
+    ctx.save();
+    ctx.transform(v[0], v[1], v[2], v[3], v[4], v[5]);
+    object.render(ctx);
+    ctx.restore();
+  }
+
+  /**
+   * Ends the drawing, adding the drawn object to the canvas
+   * @param {FabricObject} object
+   * @param {TPointerEvent} [e]
+   */
+  protected _finalizeAndAddObject(object: FabricObject, e?: TPointerEvent) {
+    this._endDrawing();
+    this.canvas.add(object);
+    object.setCoords();
+    this.canvas.requestRenderAll();
+    this.canvas.fire('object:drawn', { target: object, e });
+  }
+}
@@ -0,0 +1,21 @@
+import { Point } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import { DragTool } from './DragTool';
+
+/**
+ * Base class of the tools drawing an object in the box defined by the drag, e.g. a rectangle
+ */
+export abstract class BoxTool<
+  T extends FabricObject = FabricObject
+> extends DragTool<T> {
+  /**
+   * Constrains the box to a square
+   */
+  constrain(start: Point, end: Point) {
+    const delta = end.subtract(start),
+      size = Math.max(Math.abs(delta.x), Math.abs(delta.y));
+    return start.add(
+      new Point(Math.sign(delta.x || 1) * size, Math.sign(delta.y || 1) * size)
+    );
+  }
+}
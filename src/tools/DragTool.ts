@@ -0,0 +1,100 @@
+import type { TOptionalModifierKey, TPointerEvent } from '../EventTypeDefs';
+import type { Point } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import { BaseTool } from './BaseTool';
+import type { TToolEventData } from './typedefs';
+
+/**
+ * Base class of the tools drawing an object by dragging from a point to another, e.g. the corners of a rectangle
+ */
+export abstract class DragTool<
+  T extends FabricObject = FabricObject
+> extends BaseTool {
+  /**
+   * The event modifier key that makes the drag start from the center of the object.
+   * If `null` or 'none' or any other string that is not a modifier key the feature is disabled.
+   * @type {TOptionalModifierKey}
+   * @default
+   */
+  centerKey: TOptionalModifierKey = 'altKey';
+
+  declare _startPoint?: Point;
+  declare _object?: T;
+
+  /**
+   * Creates the object drawn from `start` to `end`
+   * @param {Point} start
+   * @param {Point} end
+   * @returns {FabricObject | undefined} undefined if the points don't define an object
+   */
+  abstract createObject(start: Point, end: Point): T | undefined;
+
+  /**
+   * Constrains the point the drag ends at
+   * @param {Point} start
+   * @param {Point} end
+   * @returns {Point}
+   */
+  abstract constrain(start: Point, end: Point): Point;
+
+  /**
+   * @private
+   * @returns {[Point, Point]} the points the object is drawn between
+   */
+  _getPoints(start: Point, pointer: Point, e: TPointerEvent): [Point, Point] {
+    const end = this.isConstrained(e)
+      ? this.constrain(start, pointer)
+      : pointer;
+    return this.centerKey && e[this.centerKey]
+      ? [start.scalarMultiply(2).subtract(end), end]
+      : [start, end];
+  }
+
+  /**
+   * Invoked on mouse down
+   * @param {Point} pointer
+   */
+  onMouseDown(pointer: Point, { e }: TToolEventData) {
+    if (!this.canvas._isMainEvent(e)) {
+      return;
+    }
+    this._reset();
+    this._startPoint = pointer;
+    this._beginDrawing();
+  }
+
+  /**
+   * Invoked on mouse move
+   * @param {Point} pointer
+   */
+  onMouseMove(pointer: Point, { e }: TToolEventData) {
+    if (!this.canvas._isMainEvent(e) || !this._startPoint) {
+      return;
+    }
+    this._object = this.createObject(
+      ...this._getPoints(this._startPoint, pointer, e)
+    );
+    this._redraw();
+  }
+
+  /**
+   * Invoked on mouse up, a drag that doesn't define an object is discarded
+   */
+  onMouseUp({ e }: TToolEventData) {
+    if (!this.canvas._isMainEvent(e)) {
+      return true;
+    }
+    const object = this._object;
+    object ? this._finalizeAndAddObject(object, e) : this.cancel();
+    return false;
+  }
+
+  _reset() {
+    this._startPoint = undefined;
+    this._object = undefined;
+  }
+
+  _render(ctx: CanvasRenderingContext2D) {
+    this._object && this.renderObject(ctx, this._object);
+  }
+}
@@ -0,0 +1,20 @@
+import type { Point } from '../Point';
+import { CENTER } from '../constants';
+import { Ellipse } from '../shapes/Ellipse';
+import { BoxTool } from './BoxTool';
+
+/**
+ * Draws an {@link Ellipse} by dragging from a corner of its bounding box to the opposite one
+ */
+export class EllipseTool extends BoxTool<Ellipse> {
+  createObject(start: Point, end: Point) {
+    const rx = Math.abs(end.x - start.x) / 2,
+      ry = Math.abs(end.y - start.y) / 2;
+    if (!rx || !ry) {
+      return;
+    }
+    const ellipse = new Ellipse({ ...this.objectOptions, rx, ry });
+    ellipse.setPositionByOrigin(start.midPointFrom(end), CENTER, CENTER);
+    return ellipse;
+  }
+}
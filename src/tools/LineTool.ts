@@ -0,0 +1,15 @@
+import type { Point } from '../Point';
+import { Line } from '../shapes/Line';
+import { SegmentTool } from './SegmentTool';
+
+/**
+ * Draws a {@link Line} by dragging from an end to the other
+ */
+export class LineTool extends SegmentTool<Line> {
+  createObject(start: Point, end: Point) {
+    if (start.eq(end)) {
+      return;
+    }
+    return new Line([start.x, start.y, end.x, end.y], this.objectOptions);
+  }
+}
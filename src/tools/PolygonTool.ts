@@ -0,0 +1,154 @@
+import type { Canvas } from '../canvas/Canvas';
+import type { Point } from '../Point';
+import { Polygon } from '../shapes/Polygon';
+import { BaseTool } from './BaseTool';
+import type { TToolEventData } from './typedefs';
+import { constrainSegment } from './util';
+
+/**
+ * Draws a {@link Polygon} by clicking its vertices:
+ * - clicking the first vertex or the last one or pressing `Enter` ends the polygon
+ * - pressing `Escape` cancels the polygon
+ *
+ * The pointer stays captured by the tool until the polygon ends.
+ */
+export class PolygonTool extends BaseTool {
+  /**
+   * Distance in pixels from a vertex under which a click targets it, to end the polygon
+   * @type Number
+   * @default 8
+   */
+  vertexDistance = 8;
+
+  /**
+   * Angle in degrees the direction of the edges is a multiple of when constrained
+   * @type Number
+   * @default
+   */
+  constrainAngle = 45;
+
+  declare _points: Point[];
+  declare _pointer?: Point;
+
+  constructor(canvas: Canvas) {
+    super(canvas);
+    this._points = [];
+  }
+
+  /**
+   * @private
+   * @returns {boolean} true if `pointer` targets the vertex at `index`
+   */
+  _isOnVertex(pointer: Point, index: number) {
+    const vertex = this._points[index];
+    return (
+      !!vertex &&
+      vertex.distanceFrom(pointer) <=
+        this.vertexDistance / this.canvas.getZoom()
+    );
+  }
+
+  /**
+   * @private
+   * @returns {Point} the next vertex at `pointer`
+   */
+  _getVertex(pointer: Point, { e }: TToolEventData) {
+    const points = this._points;
+    return points.length && this.isConstrained(e)
+      ? constrainSegment(
+          points[points.length - 1],
+          pointer,
+          this.constrainAngle
+        )
+      : pointer;
+  }
+
+  /**
+   * Invoked on mouse down
+   * @param {Point} pointer
+   */
+  onMouseDown(pointer: Point, ev: TToolEventData) {
+    if (!this.canvas._isMainEvent(ev.e)) {
+      return;
+    }
+    const points = this._points;
+    if (!points.length) {
+      this._reset();
+      this._beginDrawing();
+    } else if (
+      this._isOnVertex(pointer, 0) ||
+      this._isOnVertex(pointer, points.length - 1)
+    ) {
+      this.finish(ev);
+      return;
+    }
+    this._points.push(this._getVertex(pointer, ev));
+    this._pointer = undefined;
+    this._redraw();
+  }
+
+  /**
+   * Invoked on mouse move
+   * @param {Point} pointer
+   */
+  onMouseMove(pointer: Point, ev: TToolEventData) {
+    if (!this.canvas._isMainEvent(ev.e) || !this._points.length) {
+      return;
+    }
+    this._pointer = this._getVertex(pointer, ev);
+    this._redraw();
+  }
+
+  /**
+   * Invoked on mouse up
+   * @returns {boolean} true while the polygon is being drawn
+   */
+  onMouseUp({ e }: TToolEventData) {
+    if (!this.canvas._isMainEvent(e)) {
+      return true;
+    }
+    return this._points.length > 0;
+  }
+
+  /**
+   * Ends the polygon on `Enter`, cancels it on `Escape`
+   * @param {KeyboardEvent} e
+   */
+  onKeyDown = (e: KeyboardEvent) => {
+    if (e.key === 'Enter') {
+      this.finish();
+    } else if (e.key === 'Escape') {
+      this.cancel();
+    }
+  };
+
+  /**
+   * Ends the polygon being drawn, adding it to the canvas.
+   * A polygon with less than 3 vertices is discarded.
+   * @param {TToolEventData} [ev]
+   */
+  finish(ev?: TToolEventData) {
+    const points = this._points;
+    if (points.length < 3) {
+      this.cancel();
+      return;
+    }
+    this._finalizeAndAddObject(
+      new Polygon([...points], this.objectOptions),
+      ev && ev.e
+    );
+  }
+
+  _reset() {
+    this._points = [];
+    this._pointer = undefined;
+  }
+
+  _render(ctx: CanvasRenderingContext2D) {
+    const points = this._pointer
+      ? [...this._points, this._pointer]
+      : this._points;
+    points.length > 1 &&
+      this.renderObject(ctx, new Polygon(points, this.objectOptions));
+  }
+}
@@ -0,0 +1,20 @@
+import type { Point } from '../Point';
+import { CENTER } from '../constants';
+import { Rect } from '../shapes/Rect';
+import { BoxTool } from './BoxTool';
+
+/**
+ * Draws a {@link Rect} by dragging from a corner to the opposite one
+ */
+export class RectTool extends BoxTool<Rect> {
+  createObject(start: Point, end: Point) {
+    const width = Math.abs(end.x - start.x),
+      height = Math.abs(end.y - start.y);
+    if (!width || !height) {
+      return;
+    }
+    const rect = new Rect({ ...this.objectOptions, width, height });
+    rect.setPositionByOrigin(start.midPointFrom(end), CENTER, CENTER);
+    return rect;
+  }
+}
@@ -0,0 +1,25 @@
+import type { Point } from '../Point';
+import type { FabricObject } from '../shapes/Object/FabricObject';
+import { DragTool } from './DragTool';
+import { constrainSegment } from './util';
+
+/**
+ * Base class of the tools drawing an object from a point to another, e.g. a line
+ */
+export abstract class SegmentTool<
+  T extends FabricObject = FabricObject
+> extends DragTool<T> {
+  /**
+   * Angle in degrees the direction of the segment is a multiple of when constrained
+   * @type Number
+   * @default
+   */
+  constrainAngle = 45;
+
+  /**
+   * Constrains the direction of the segment to a multiple of {@link constrainAngle}
+   */
+  constrain(start: Point, end: Point) {
+    return constrainSegment(start, end, this.constrainAngle);
+  }
+}
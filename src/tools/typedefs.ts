@@ -0,0 +1,4 @@
+import type { TEvent } from '../EventTypeDefs';
+import type { Point } from '../Point';
+
+export type TToolEventData = TEvent & { pointer: Point };
@@ -0,0 +1,48 @@
+import { Point } from '../Point';
+import type { TSimplePathData } from '../util/path/typedefs';
+import { degreesToRadians } from '../util/misc/radiansDegreesConversion';
+
+/**
+ * @param {Point} start
+ * @param {Point} end
+ * @param {number} angle in degrees
+ * @returns {Point} the point at the distance of `end` from `start` in the direction closest to `end` that is a multiple of `angle`
+ */
+export const constrainSegment = (start: Point, end: Point, angle: number) => {
+  const delta = end.subtract(start),
+    step = degreesToRadians(angle),
+    constrained = Math.round(Math.atan2(delta.y, delta.x) / step) * step;
+  return start.add(
+    new Point(Math.cos(constrained), Math.sin(constrained)).scalarMultiply(
+      start.distanceFrom(end)
+    )
+  );
+};
+
+/**
+ * @param {Point} start tail of the arrow
+ * @param {Point} end tip of the arrow
+ * @param {number} headLength length of the sides of the head
+ * @param {number} headAngle angle in degrees between the line and the sides of the head
+ * @returns {TSimplePathData} the commands of an arrow made of a line and a head
+ */
+export const getArrowPathData = (
+  start: Point,
+  end: Point,
+  headLength: number,
+  headAngle: number
+): TSimplePathData => {
+  const back = start
+      .subtract(end)
+      .scalarMultiply(headLength / start.distanceFrom(end)),
+    angle = degreesToRadians(headAngle),
+    head1 = end.add(back.rotate(angle)),
+    head2 = end.add(back.rotate(-angle));
+  return [
+    ['M', start.x, start.y],
+    ['L', end.x, end.y],
+    ['M', head1.x, head1.y],
+    ['L', end.x, end.y],
+    ['L', head2.x, head2.y],
+  ];
+};
@@ -6,6 +6,7 @@ export {
   calcAngleBetweenVectors,
   getUnitVector,
   getBisector,
+  getSegmentDistance,
 } from './misc/vectors';
 export {
   degreesToRadians,
@@ -76,6 +77,16 @@ export {
   enlivenObjectEnlivables,
 } from './misc/objectEnlive';
 export { pick } from './misc/pick';
+export { diffStates } from './misc/statePatch';
+export type {
+  TQueryObjectsOptions,
+  TQueryObjectsMode,
+} from './misc/queryObjects';
+export type {
+  TCanvasState,
+  TCanvasPatch,
+  TPatchOperation,
+} from './misc/statePatch';
 export * from './path/typedefs';
 export {
   joinPath,
@@ -88,6 +99,28 @@ export {
   transformPath,
   getRegularPolygonPath,
 } from './path';
+export { booleanPath, flattenPath } from './path/boolean';
+export type {
+  TBooleanOperation,
+  TBooleanOperand,
+  TBooleanOptions,
+} from './path/boolean';
+export { fitCurve, simplifyPath, simplifyPoints } from './path/simplify';
+export type { TSimplifyPathOptions } from './path/simplify';
+export { erasePath } from './path/erasePath';
+export { outlineStroke } from './path/outlineStroke';
+export type { TOutlineStrokeOptions } from './path/outlineStroke';
+export {
+  getPathNodeHandles,
+  getPointOnPathSegment,
+  isPathNodeSmooth,
+  movePathHandle,
+  movePathNode,
+  removePathNode,
+  setPathNodeSmooth,
+  splitPathSegment,
+} from './path/editPath';
+export type { TPathCoordRef, TPathNodeHandles } from './path/editPath';
 export { setStyle } from './dom_style';
 export { isTouchEvent, getPointer } from './dom_event';
 export { isTransparent } from './misc/isTransparent';
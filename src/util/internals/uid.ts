@@ -1,3 +1,12 @@
 let id = 0;
 
 export const uid = () => id++;
+
+/**
+ * Returns an id that is unlikely to collide with ids created by other sessions
+ * @returns {String}
+ */
+export const uniqueId = () =>
+  `${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 10)}${uid()}`;
@@ -0,0 +1,258 @@
+import { Intersection } from '../../Intersection';
+import type { XY } from '../../Point';
+import { Point } from '../../Point';
+import type { BaseFabricObject } from '../../EventTypeDefs';
+import type { FabricObject } from '../../shapes/Object/FabricObject';
+import type { TBBox } from '../../typedefs';
+import { isCollection } from '../typeAssertions';
+import { makeBoundingBoxFromPoints } from './boundingBoxFromPoints';
+import { createCanvasElement } from './dom';
+import { transformPoint } from './matrix';
+
+export type TQueryObjectsMode = 'intersect' | 'contain';
+
+export type TQueryObjectsOptions = {
+  /**
+   * Query area, in the canvas coordinate plane
+   */
+  rect?: TBBox;
+  /**
+   * Query area, in the canvas coordinate plane
+   */
+  polygon?: XY[];
+  /**
+   * Query point, in the canvas coordinate plane.
+   * Matches objects under the point, `mode` has no effect
+   */
+  point?: XY;
+  /**
+   * `intersect` matches objects touching the area, `contain` matches objects lying entirely in it
+   * @default 'intersect'
+   */
+  mode?: TQueryObjectsMode;
+  /**
+   * Replaces matching groups with their matching descendants
+   */
+  deep?: boolean;
+  /**
+   * Tests the rendered pixels of objects that pass the geometric test,
+   * so that transparent areas are not considered
+   */
+  perPixel?: boolean;
+  /**
+   * Excludes objects, excluded groups are not traversed
+   */
+  filter?: (object: FabricObject) => boolean;
+};
+
+/**
+ * Max size of the canvas used for per pixel tests,
+ * larger areas are tested at a lower resolution
+ */
+const MAX_PIXEL_TEST_SIZE = 1024;
+
+const getQueryPolygon = ({ rect, polygon, point }: TQueryObjectsOptions) => {
+  if (rect) {
+    const { left, top, width, height } = rect;
+    return [
+      new Point(left, top),
+      new Point(left + width, top),
+      new Point(left + width, top + height),
+      new Point(left, top + height),
+    ];
+  } else if (polygon && polygon.length > 0) {
+    return polygon.map((point) => new Point(point));
+  } else if (point) {
+    return [new Point(point)];
+  }
+  throw new Error(
+    'fabric.js: queryObjects expects a `rect`, a `polygon` or a `point`'
+  );
+};
+
+const intersectsPolygon = (a: Point[], b: Point[]) =>
+  a.some((point) => Intersection.isPointInPolygon(point, b)) ||
+  b.some((point) => Intersection.isPointInPolygon(point, a)) ||
+  (a.length > 1 &&
+    b.length > 1 &&
+    !!Intersection.intersectPolygonPolygon(a, b).status);
+
+/**
+ * `outer` may be concave (a lasso), so it must not reach into `inner` either
+ */
+const containsPolygon = (outer: Point[], inner: Point[]) =>
+  inner.every((point) => Intersection.isPointInPolygon(point, outer)) &&
+  !outer.some(
+    (point) =>
+      Intersection.isPointInPolygon(point, inner) &&
+      !inner.some((vertex, index) =>
+        Intersection.isPointContained(
+          point,
+          vertex,
+          inner[(index + 1) % inner.length]
+        )
+      )
+  );
+
+/**
+ * @returns the polygons of the clip paths of the object and of its ancestors, in the canvas plane.
+ * Inverted clip paths are skipped since they don't bound the visible area of the object.
+ */
+const getClipPolygons = (object: FabricObject) => {
+  const polygons: Point[][] = [];
+  let owner: FabricObject | undefined = object;
+  while (owner) {
+    const clipPath = owner.clipPath;
+    if (clipPath && !clipPath.inverted) {
+      const { tl, tr, br, bl } = clipPath.calcACoords(),
+        t = clipPath.absolutePositioned ? null : owner.calcTransformMatrix();
+      polygons.push(
+        [tl, tr, br, bl].map((point) => (t ? transformPoint(point, t) : point))
+      );
+    }
+    owner = owner.group;
+  }
+  return polygons;
+};
+
+const matchesGeometry = (
+  object: FabricObject,
+  query: Point[],
+  mode: TQueryObjectsMode
+) => {
+  const coords = object.getCoords(true, true),
+    clipPolygons = getClipPolygons(object);
+  if (mode === 'contain') {
+    // the visible area of the object is bound by each polygon
+    return [coords, ...clipPolygons].some((polygon) =>
+      containsPolygon(query, polygon)
+    );
+  }
+  return [coords, ...clipPolygons].every((polygon) =>
+    intersectsPolygon(query, polygon)
+  );
+};
+
+const traceQueryPolygon = (ctx: CanvasRenderingContext2D, query: Point[]) => {
+  if (query.length === 1) {
+    const { x, y } = query[0];
+    ctx.rect(x - 0.5, y - 0.5, 1, 1);
+    return;
+  }
+  ctx.moveTo(query[0].x, query[0].y);
+  query.slice(1).forEach(({ x, y }) => ctx.lineTo(x, y));
+  ctx.closePath();
+};
+
+/**
+ * Renders the object clipped to the query area, or to the outside of the query area in `contain` mode
+ * @returns {boolean} true if the object rendered any pixel that matches the query
+ */
+const matchesPixels = (
+  object: FabricObject,
+  query: Point[],
+  mode: TQueryObjectsMode
+) => {
+  const contain = mode === 'contain',
+    objectBBox = makeBoundingBoxFromPoints(object.getCoords(true, true)),
+    queryBBox = makeBoundingBoxFromPoints(query),
+    // in contain mode we look for pixels of the object outside of the query area
+    left = Math.floor(
+      contain ? objectBBox.left : Math.max(objectBBox.left, queryBBox.left - 1)
+    ),
+    top = Math.floor(
+      contain ? objectBBox.top : Math.max(objectBBox.top, queryBBox.top - 1)
+    ),
+    right = Math.ceil(
+      contain
+        ? objectBBox.left + objectBBox.width
+        : Math.min(
+            objectBBox.left + objectBBox.width,
+            queryBBox.left + queryBBox.width + 1
+          )
+    ),
+    bottom = Math.ceil(
+      contain
+        ? objectBBox.top + objectBBox.height
+        : Math.min(
+            objectBBox.top + objectBBox.height,
+            queryBBox.top + queryBBox.height + 1
+          )
+    ),
+    scale = Math.min(
+      1,
+      MAX_PIXEL_TEST_SIZE / Math.max(right - left, bottom - top, 1)
+    ),
+    width = Math.max(1, Math.ceil((right - left) * scale)),
+    height = Math.max(1, Math.ceil((bottom - top) * scale)),
+    el = createCanvasElement();
+  if (!contain && (right < left || bottom < top)) {
+    return false;
+  }
+  el.width = width;
+  el.height = height;
+  const ctx = el.getContext('2d')!;
+  ctx.scale(scale, scale);
+  ctx.translate(-left, -top);
+  ctx.beginPath();
+  if (contain) {
+    ctx.rect(left, top, right - left, bottom - top);
+  }
+  traceQueryPolygon(ctx, query);
+  ctx.clip(contain ? 'evenodd' : 'nonzero');
+  const canvas = object.canvas,
+    skipOffscreen = canvas && canvas.skipOffscreen,
+    selectionBgc = object.selectionBackgroundColor;
+  canvas && (canvas.skipOffscreen = false);
+  object.selectionBackgroundColor = '';
+  object.render(ctx);
+  object.selectionBackgroundColor = selectionBgc;
+  canvas && (canvas.skipOffscreen = skipOffscreen!);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) {
+      return !contain;
+    }
+  }
+  return contain;
+};
+
+/**
+ * Collects the objects matching an area query, see {@link TQueryObjectsOptions}
+ * @param {TQueryObjectsOptions} options
+ * @param {Function} search returns the top level objects that may intersect a bounding box, ordered as their collection
+ * @returns {FabricObject[]} matching objects, ordered from bottom to top stacking wise
+ */
+export const queryObjects = (
+  options: TQueryObjectsOptions,
+  search: (bbox: TBBox) => BaseFabricObject[]
+): FabricObject[] => {
+  const { deep = false, perPixel = false, filter } = options,
+    query = getQueryPolygon(options),
+    mode = query.length > 1 ? options.mode || 'intersect' : 'intersect',
+    matches: FabricObject[] = [];
+  const visit = (children: BaseFabricObject[]) =>
+    (children as FabricObject[]).forEach((object) => {
+      // descendants of a group crossing the area can lie entirely in it
+      // and so can the rendered pixels of an object crossing it
+      if (
+        !object.visible ||
+        (filter && !filter(object)) ||
+        !matchesGeometry(object, query, 'intersect')
+      ) {
+        return;
+      }
+      if (deep && isCollection(object)) {
+        visit(object._objects);
+      } else if (
+        mode === 'contain'
+          ? matchesGeometry(object, query, mode) ||
+            (perPixel && matchesPixels(object, query, mode))
+          : !perPixel || matchesPixels(object, query, mode)
+      ) {
+        matches.push(object);
+      }
+    });
+  visit(search(makeBoundingBoxFromPoints(query)));
+  return matches;
+};
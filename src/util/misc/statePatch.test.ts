@@ -0,0 +1,110 @@
+import type { TCanvasPatch, TCanvasState } from './statePatch';
+import { diffStates } from './statePatch';
+
+const rect = (id: string, props: Record<string, any> = {}) => ({
+  type: 'Rect',
+  id,
+  left: 0,
+  top: 0,
+  ...props,
+});
+
+const state = (
+  objects: TCanvasState['objects'],
+  props: Record<string, any> = {}
+): TCanvasState => ({ version: '6', objects, ...props });
+
+/**
+ * applies the patch to a list of serialized objects
+ */
+const apply = (prev: TCanvasState, patch: TCanvasPatch) => {
+  const objects = prev.objects.map((object) => ({ ...object })),
+    canvas: Record<string, any> = {};
+  const find = (id: string) => objects.findIndex((object) => object.id === id);
+  patch.forEach((operation) => {
+    switch (operation.op) {
+      case 'remove':
+        objects.splice(find(operation.id), 1);
+        break;
+      case 'move': {
+        const [object] = objects.splice(find(operation.id), 1);
+        objects.splice(operation.index, 0, object);
+        break;
+      }
+      case 'add':
+        objects.splice(operation.index, 0, operation.object);
+        break;
+      case 'set':
+        Object.assign(objects[find(operation.id)], operation.props);
+        break;
+      case 'canvas':
+        Object.assign(canvas, operation.props);
+        break;
+    }
+  });
+  return { objects, canvas };
+};
+
+describe('diffStates', () => {
+  it('returns an empty patch for equal states', () => {
+    const prev = state([rect('a'), rect('b', { fill: [1, 2] })]);
+    const next = state([rect('a'), rect('b', { fill: [1, 2] })]);
+    expect(diffStates(prev, next)).toEqual([]);
+  });
+
+  it('diffs added, removed and changed objects', () => {
+    const prev = state([rect('a'), rect('b'), rect('c')]);
+    const next = state([rect('a', { left: 10 }), rect('d'), rect('c')]);
+    const patch = diffStates(prev, next);
+    expect(patch).toEqual([
+      { op: 'remove', id: 'b' },
+      { op: 'add', index: 1, object: rect('d') },
+      { op: 'set', id: 'a', props: { left: 10 } },
+    ]);
+    expect(apply(prev, patch).objects).toEqual(next.objects);
+  });
+
+  it('sets missing keys to null', () => {
+    const prev = state([rect('a', { shadow: { blur: 1 } })]);
+    const next = state([rect('a')]);
+    expect(diffStates(prev, next)).toEqual([
+      { op: 'set', id: 'a', props: { shadow: null } },
+    ]);
+  });
+
+  it('replaces objects when a structural key changes', () => {
+    const prev = state([rect('a'), rect('b')]);
+    const next = state([rect('a'), { ...rect('b'), type: 'Circle' }]);
+    const patch = diffStates(prev, next);
+    expect(patch).toEqual([
+      { op: 'remove', id: 'b' },
+      { op: 'add', index: 1, object: next.objects[1] },
+    ]);
+  });
+
+  it('reorders objects with the least amount of moves', () => {
+    const prev = state(['a', 'b', 'c', 'd', 'e'].map((id) => rect(id)));
+    const next = state(['e', 'a', 'b', 'c', 'd'].map((id) => rect(id)));
+    const patch = diffStates(prev, next);
+    expect(patch).toEqual([{ op: 'move', id: 'e', index: 0 }]);
+    expect(apply(prev, patch).objects).toEqual(next.objects);
+  });
+
+  it('handles reorders mixed with additions and removals', () => {
+    const prev = state(['a', 'b', 'c', 'd', 'e', 'f'].map((id) => rect(id)));
+    const next = state(
+      ['f', 'x', 'd', 'a', 'c', 'y', 'b'].map((id) =>
+        rect(id, id === 'c' ? { top: 5 } : {})
+      )
+    );
+    expect(apply(prev, diffStates(prev, next)).objects).toEqual(next.objects);
+  });
+
+  it('diffs canvas properties ignoring version', () => {
+    const prev = state([], { background: 'red' });
+    const next = state([], { version: '7', background: 'blue', overlay: 'x' });
+    expect(diffStates(prev, next)).toEqual([
+      { op: 'canvas', props: { background: 'blue', overlay: 'x' } },
+    ]);
+  });
+});
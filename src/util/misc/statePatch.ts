@@ -0,0 +1,221 @@
+/**
+ * Serialized canvas state as returned by {@link StaticCanvas#toState},
+ * every object is identified by its `id`
+ */
+export type TCanvasState = {
+  objects: TIdentifiedObject[];
+  [key: string]: any;
+};
+
+export type TIdentifiedObject = {
+  id: string;
+  type: string;
+  [key: string]: any;
+};
+
+export type TPatchOperation =
+  | { op: 'remove'; id: string }
+  | { op: 'move'; id: string; index: number }
+  | { op: 'add'; index: number; object: TIdentifiedObject }
+  | { op: 'set'; id: string; props: Record<string, any> }
+  | { op: 'canvas'; props: Record<string, any> };
+
+/**
+ * Operations to apply in order to a canvas to move it from a state to another.
+ * `remove` operations come first, `move` operations reorder the remaining objects,
+ * `add` operations insert objects at their final index and `set` operations update properties.
+ * Indexes refer to the exported objects of the canvas.
+ */
+export type TCanvasPatch = TPatchOperation[];
+
+/**
+ * Keys that can't be updated with `set`, a change in one of them replaces the object
+ */
+export const replaceObjectKeys = [
+  'type',
+  'objects',
+  'path',
+  'points',
+  'src',
+  'crossOrigin',
+  'filters',
+  'resizeFilter',
+];
+
+/**
+ * Maps an index among the exported objects to an index of `objects`,
+ * objects excluded from export keep their position
+ * @param {FabricObject[]} objects
+ * @param {number} index index among exported objects
+ * @param {FabricObject} [target] object being moved, it is not counted
+ * @returns {number}
+ */
+export const resolveExportedIndex = <T extends { excludeFromExport?: boolean }>(
+  objects: T[],
+  index: number,
+  target?: T
+) => {
+  const others = objects.filter((object) => object !== target),
+    exported = others.filter((object) => !object.excludeFromExport);
+  return index < exported.length
+    ? others.indexOf(exported[index])
+    : others.length;
+};
+
+/**
+ * Deep equality of JSON compatible values
+ */
+export const isSerializedEqual = (a: any, b: any): boolean => {
+  if (a === b) {
+    return true;
+  }
+  if (
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    a === null ||
+    b === null ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+  const keysA = Object.keys(a).filter((key) => a[key] !== undefined),
+    keysB = Object.keys(b).filter((key) => b[key] !== undefined);
+  return (
+    keysA.length === keysB.length &&
+    keysA.every((key) => isSerializedEqual(a[key], b[key]))
+  );
+};
+
+/**
+ * @returns the keys of `next` that differ from `prev`, keys missing in `next` are set to `null`
+ */
+const diffProps = (prev: Record<string, any>, next: Record<string, any>) => {
+  const props: Record<string, any> = {};
+  for (const key in next) {
+    if (!isSerializedEqual(prev[key], next[key])) {
+      props[key] = next[key];
+    }
+  }
+  for (const key in prev) {
+    if (
+      prev[key] !== undefined &&
+      prev[key] !== null &&
+      next[key] === undefined
+    ) {
+      props[key] = null;
+    }
+  }
+  return props;
+};
+
+/**
+ * @returns the indexes of a longest increasing subsequence of `values`
+ */
+const longestIncreasingSubsequence = (values: number[]) => {
+  const tails: number[] = [],
+    previous: number[] = [];
+  values.forEach((value, i) => {
+    let low = 0,
+      high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      values[tails[mid]] < value ? (low = mid + 1) : (high = mid);
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+  const result: number[] = [];
+  for (
+    let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+    i > -1;
+    i = previous[i]
+  ) {
+    result.unshift(i);
+  }
+  return result;
+};
+
+/**
+ * Computes the minimal set of moves that reorders `current` as `target`,
+ * both must contain the same ids
+ */
+const diffOrder = (current: string[], target: string[]) => {
+  const targetIndex = new Map(target.map((id, index) => [id, index])),
+    stable = new Set(
+      longestIncreasingSubsequence(
+        current.map((id) => targetIndex.get(id)!)
+      ).map((i) => current[i])
+    ),
+    simulated = [...current],
+    moves: TPatchOperation[] = [];
+  target.forEach((id, index) => {
+    if (stable.has(id)) {
+      return;
+    }
+    simulated.splice(simulated.indexOf(id), 1);
+    // place the object right after the one that precedes it in the target order
+    const to = index === 0 ? 0 : simulated.indexOf(target[index - 1]) + 1;
+    simulated.splice(to, 0, id);
+    moves.push({ op: 'move', id, index: to });
+    stable.add(id);
+  });
+  return moves;
+};
+
+/**
+ * Computes the patch that transforms `prev` into `next`
+ * @param {TCanvasState} prev
+ * @param {TCanvasState} next
+ * @returns {TCanvasPatch}
+ */
+export const diffStates = (
+  prev: TCanvasState,
+  next: TCanvasState
+): TCanvasPatch => {
+  const { objects: prevObjects = [], ...prevCanvas } = prev,
+    { objects: nextObjects = [], ...nextCanvas } = next,
+    prevById = new Map(prevObjects.map((object) => [object.id, object])),
+    nextIds = new Set(nextObjects.map(({ id }) => id)),
+    replaced = new Set<string>(),
+    updates: TPatchOperation[] = [];
+
+  nextObjects.forEach((object) => {
+    const prevObject = prevById.get(object.id);
+    if (!prevObject) {
+      return;
+    }
+    const props = diffProps(prevObject, object),
+      keys = Object.keys(props);
+    if (keys.some((key) => replaceObjectKeys.includes(key))) {
+      replaced.add(object.id);
+    } else if (keys.length > 0) {
+      updates.push({ op: 'set', id: object.id, props });
+    }
+  });
+
+  const patch: TCanvasPatch = prevObjects
+    .filter(({ id }) => !nextIds.has(id) || replaced.has(id))
+    .map(({ id }) => ({ op: 'remove', id }));
+
+  const kept = ({ id }: TIdentifiedObject) =>
+    prevById.has(id) && nextIds.has(id) && !replaced.has(id);
+  patch.push(
+    ...diffOrder(
+      prevObjects.filter(kept).map(({ id }) => id),
+      nextObjects.filter(kept).map(({ id }) => id)
+    )
+  );
+
+  nextObjects.forEach((object, index) => {
+    !kept(object) && patch.push({ op: 'add', index, object });
+  });
+
+  patch.push(...updates);
+
+  const canvasProps = diffProps(prevCanvas, nextCanvas);
+  delete canvasProps.version;
+  Object.keys(canvasProps).length > 0 &&
+    patch.push({ op: 'canvas', props: canvasProps });
+
+  return patch;
+};
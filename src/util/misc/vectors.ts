@@ -81,3 +81,19 @@ export const getOrthonormalVector = (
   counterClockwise = true
 ): Point =>
   getUnitVector(new Point(-v.y, v.x).scalarMultiply(counterClockwise ? 1 : -1));
+
+/**
+ * @param {XY} point
+ * @param {XY} a start of the segment
+ * @param {XY} b end of the segment
+ * @returns {number} the distance of `point` from the segment `a` `b`
+ */
+export const getSegmentDistance = (point: XY, a: XY, b: XY) => {
+  const ab = createVector(a, b),
+    ap = createVector(a, point),
+    lengthSquared = ab.x * ab.x + ab.y * ab.y,
+    t = lengthSquared
+      ? Math.max(0, Math.min(1, (ap.x * ab.x + ap.y * ab.y) / lengthSquared))
+      : 0;
+  return magnitude(ap.subtract(ab.scalarMultiply(t)));
+};
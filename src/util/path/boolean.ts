@@ -0,0 +1,472 @@
+import { Point } from '../../Point';
+import type { FabricObject } from '../../shapes/Object/FabricObject';
+import { transformPath } from './index';
+import type { TSimplePathData } from './typedefs';
+
+export type TBooleanOperation = 'union' | 'intersect' | 'subtract' | 'exclude';
+
+export type TBooleanOperand = {
+  path: TSimplePathData;
+  fillRule?: CanvasFillRule;
+};
+
+export type TBooleanOptions = {
+  /**
+   * max distance between curves and the segments approximating them, in the canvas plane
+   * @default 0.1
+   */
+  tolerance?: number;
+};
+
+type TContour = Point[];
+
+type TEdge = { from: Point; to: Point };
+
+const operations: Record<
+  TBooleanOperation,
+  (inA: boolean, inB: boolean) => boolean
+> = {
+  union: (inA, inB) => inA || inB,
+  intersect: (inA, inB) => inA && inB,
+  subtract: (inA, inB) => inA && !inB,
+  exclude: (inA, inB) => inA !== inB,
+};
+
+const cross = (a: Point, b: Point) => a.x * b.y - a.y * b.x;
+
+const dot = (a: Point, b: Point) => a.x * b.x + a.y * b.y;
+
+const pointKey = ({ x, y }: Point) => `${x},${y}`;
+
+export type TFlatSubpath = {
+  points: Point[];
+  /**
+   * `false` for points approximating a curve, `true` for points joining path commands
+   */
+  corners: boolean[];
+  closed: boolean;
+};
+
+/**
+ * Approximates the subpaths of a path with polylines, as they are stroked.
+ * Curves are split in segments so that the distance between a curve and its segments is less than `tolerance`.
+ * @param {TSimplePathData} path fabricJS parsed and simplified path commands
+ * @param {number} [tolerance]
+ * @returns {TFlatSubpath[]} subpaths without consecutive duplicate points
+ */
+export const flattenSubpaths = (
+  path: TSimplePathData,
+  tolerance = 0.1
+): TFlatSubpath[] => {
+  const subpaths: TFlatSubpath[] = [];
+  let subpath: TFlatSubpath = { points: [], corners: [], closed: false },
+    current = new Point(),
+    start = new Point();
+  const lineTo = (point: Point, corner = true) => {
+    const { points, corners } = subpath,
+      last = points.length - 1;
+    if (last >= 0 && points[last].eq(point)) {
+      corners[last] = corners[last] || corner;
+    } else {
+      points.push(point);
+      corners.push(corner);
+    }
+    current = point;
+  };
+  // a subpath implicitly starts at the current point, e.g. after a `Z` command
+  const beginSubpath = () => !subpath.points.length && lineTo(current);
+  const curveTo = (
+    points: Point[],
+    deviation: number,
+    at: (t: number) => Point
+  ) => {
+    const steps = Math.min(
+      Math.max(Math.ceil(Math.sqrt(deviation / tolerance)), 1),
+      1000
+    );
+    for (let i = 1; i < steps; i++) {
+      lineTo(at(i / steps), false);
+    }
+    lineTo(points[points.length - 1]);
+  };
+  const endSubpath = (closed: boolean) => {
+    const { points } = subpath;
+    if (
+      closed &&
+      points.length > 1 &&
+      points[0].eq(points[points.length - 1])
+    ) {
+      points.pop();
+      subpath.corners.pop();
+    }
+    points.length && subpaths.push({ ...subpath, closed });
+    subpath = { points: [], corners: [], closed: false };
+  };
+  for (const command of path) {
+    switch (command[0]) {
+      case 'M':
+        endSubpath(false);
+        start = new Point(command[1], command[2]);
+        lineTo(start);
+        break;
+      case 'L':
+        beginSubpath();
+        lineTo(new Point(command[1], command[2]));
+        break;
+      case 'C': {
+        beginSubpath();
+        const p0 = current,
+          p1 = new Point(command[1], command[2]),
+          p2 = new Point(command[3], command[4]),
+          p3 = new Point(command[5], command[6]);
+        curveTo(
+          [p1, p2, p3],
+          0.75 *
+            Math.max(
+              p0
+                .subtract(p1.scalarMultiply(2))
+                .add(p2)
+                .distanceFrom(new Point()),
+              p1
+                .subtract(p2.scalarMultiply(2))
+                .add(p3)
+                .distanceFrom(new Point())
+            ),
+          (t) => {
+            const mt = 1 - t;
+            return p0
+              .scalarMultiply(mt ** 3)
+              .add(p1.scalarMultiply(3 * mt ** 2 * t))
+              .add(p2.scalarMultiply(3 * mt * t ** 2))
+              .add(p3.scalarMultiply(t ** 3));
+          }
+        );
+        break;
+      }
+      case 'Q': {
+        beginSubpath();
+        const p0 = current,
+          p1 = new Point(command[1], command[2]),
+          p2 = new Point(command[3], command[4]);
+        curveTo(
+          [p1, p2],
+          0.25 *
+            p0.subtract(p1.scalarMultiply(2)).add(p2).distanceFrom(new Point()),
+          (t) => {
+            const mt = 1 - t;
+            return p0
+              .scalarMultiply(mt ** 2)
+              .add(p1.scalarMultiply(2 * mt * t))
+              .add(p2.scalarMultiply(t ** 2));
+          }
+        );
+        break;
+      }
+      case 'Z':
+        endSubpath(true);
+        current = start;
+        break;
+    }
+  }
+  endSubpath(false);
+  return subpaths;
+};
+
+/**
+ * Approximates a path with closed polygons, as they are filled.
+ * Curves are split in segments so that the distance between a curve and its segments is less than `tolerance`.
+ * @param {TSimplePathData} path fabricJS parsed and simplified path commands
+ * @param {number} [tolerance]
+ * @returns {Point[][]} contours of the path, implicitly closed
+ */
+export const flattenPath = (
+  path: TSimplePathData,
+  tolerance = 0.1
+): TContour[] =>
+  flattenSubpaths(path, tolerance)
+    .map(({ points }) =>
+      // implicitly closed
+      points.length > 1 && points[0].eq(points[points.length - 1])
+        ? points.slice(0, -1)
+        : points
+    )
+    .filter((contour) => contour.length > 2);
+
+/**
+ * @returns {number} the winding number of `contours` around `point`
+ */
+const getWindingNumber = (contours: TContour[], point: Point) => {
+  let winding = 0;
+  contours.forEach((contour) =>
+    contour.forEach((from, index) => {
+      const to = contour[(index + 1) % contour.length];
+      if (from.y <= point.y) {
+        to.y > point.y &&
+          cross(to.subtract(from), point.subtract(from)) > 0 &&
+          winding++;
+      } else if (
+        to.y <= point.y &&
+        cross(to.subtract(from), point.subtract(from)) < 0
+      ) {
+        winding--;
+      }
+    })
+  );
+  return winding;
+};
+
+const isInside = (
+  contours: TContour[],
+  fillRule: CanvasFillRule,
+  point: Point
+) => {
+  const winding = getWindingNumber(contours, point);
+  return fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+};
+
+/**
+ * Splits edges where they intersect or overlap each other so that edges only meet at their ends
+ */
+const splitEdges = (edges: TEdge[]) => {
+  const splits = edges.map(() => [] as { t: number; point: Point }[]),
+    epsilon = 1e-9;
+  // snap intersections close to the ends of an edge on its end
+  const snap = (edge: TEdge, t: number, point: Point) =>
+    t < epsilon ? edge.from : t > 1 - epsilon ? edge.to : point;
+  for (let i = 0; i < edges.length; i++) {
+    const a = edges[i],
+      r = a.to.subtract(a.from),
+      aMin = a.from.min(a.to),
+      aMax = a.from.max(a.to);
+    for (let j = i + 1; j < edges.length; j++) {
+      const b = edges[j];
+      if (
+        Math.max(b.from.x, b.to.x) < aMin.x ||
+        Math.min(b.from.x, b.to.x) > aMax.x ||
+        Math.max(b.from.y, b.to.y) < aMin.y ||
+        Math.min(b.from.y, b.to.y) > aMax.y
+      ) {
+        continue;
+      }
+      const s = b.to.subtract(b.from),
+        qp = b.from.subtract(a.from),
+        denominator = cross(r, s);
+      if (Math.abs(denominator) > epsilon * Math.sqrt(dot(r, r) * dot(s, s))) {
+        const t = cross(qp, s) / denominator,
+          u = cross(qp, r) / denominator;
+        if (
+          t < -epsilon ||
+          t > 1 + epsilon ||
+          u < -epsilon ||
+          u > 1 + epsilon
+        ) {
+          continue;
+        }
+        const point = snap(b, u, snap(a, t, a.from.add(r.scalarMultiply(t))));
+        splits[i].push({ t, point });
+        splits[j].push({ t: u, point });
+      } else if (
+        Math.abs(cross(qp, r)) <=
+        epsilon * Math.sqrt(dot(r, r) * dot(qp, qp))
+      ) {
+        // collinear edges, split at the ends of the other edge
+        [b.from, b.to].forEach((point) => {
+          const t = dot(point.subtract(a.from), r) / dot(r, r);
+          t > epsilon && t < 1 - epsilon && splits[i].push({ t, point });
+        });
+        [a.from, a.to].forEach((point) => {
+          const t = dot(point.subtract(b.from), s) / dot(s, s);
+          t > epsilon && t < 1 - epsilon && splits[j].push({ t, point });
+        });
+      }
+    }
+  }
+  const result: TEdge[] = [];
+  edges.forEach((edge, index) => {
+    let from = edge.from;
+    splits[index]
+      .sort((a, b) => a.t - b.t)
+      .map(({ point }) => point)
+      .concat(edge.to)
+      .forEach((to) => {
+        if (!from.eq(to)) {
+          result.push({ from, to });
+          from = to;
+        }
+      });
+  });
+  return result;
+};
+
+/**
+ * Merges points closer than `distance` to each other, rounding errors would otherwise
+ * prevent edges ending at the same point from being chained
+ */
+const weldEdges = (edges: TEdge[], distance: number) => {
+  const cells = new Map<string, Point[]>();
+  const weld = (point: Point) => {
+    const x = Math.floor(point.x / distance),
+      y = Math.floor(point.y / distance);
+    for (let i = x - 1; i <= x + 1; i++) {
+      for (let j = y - 1; j <= y + 1; j++) {
+        const match = cells
+          .get(`${i},${j}`)
+          ?.find((other) => other.distanceFrom(point) <= distance);
+        if (match) {
+          return match;
+        }
+      }
+    }
+    const key = `${x},${y}`;
+    cells.has(key) ? cells.get(key)!.push(point) : cells.set(key, [point]);
+    return point;
+  };
+  return edges
+    .map(({ from, to }) => ({ from: weld(from), to: weld(to) }))
+    .filter(({ from, to }) => !from.eq(to));
+};
+
+/**
+ * Chains oriented edges into closed contours
+ */
+const chainEdges = (edges: TEdge[]) => {
+  const outgoing = new Map<string, TEdge[]>();
+  edges.forEach((edge) => {
+    const key = pointKey(edge.from);
+    outgoing.has(key)
+      ? outgoing.get(key)!.push(edge)
+      : outgoing.set(key, [edge]);
+  });
+  const contours: TContour[] = [];
+  edges.forEach((edge) => {
+    const startKey = pointKey(edge.from);
+    if (!outgoing.get(startKey)!.includes(edge)) {
+      return;
+    }
+    const contour: TContour = [];
+    let next: TEdge | undefined = edge;
+    while (next) {
+      const candidates = outgoing.get(pointKey(next.from))!;
+      candidates.splice(candidates.indexOf(next), 1);
+      contour.push(next.from);
+      const key = pointKey(next.to);
+      next = key !== startKey ? outgoing.get(key)?.[0] : undefined;
+    }
+    contours.push(contour);
+  });
+  return contours;
+};
+
+/**
+ * Removes points lying on the segment joining their neighbors
+ */
+const removeCollinearPoints = (contour: TContour) =>
+  contour.filter((point, index) => {
+    const prev = contour[(index - 1 + contour.length) % contour.length],
+      next = contour[(index + 1) % contour.length],
+      v1 = point.subtract(prev),
+      v2 = next.subtract(point);
+    return (
+      Math.abs(cross(v1, v2)) > 1e-9 * Math.sqrt(dot(v1, v1) * dot(v2, v2)) ||
+      dot(v1, v2) < 0
+    );
+  });
+
+/**
+ * Computes a boolean operation between the filled areas of 2 paths.
+ *
+ * Paths are approximated with polygons, their edges are split where they cross each other
+ * and are kept if the result of the operation differs on each side of them.
+ * Kept edges are oriented so that the result is always on the same side,
+ * making the returned path independent of the fill rule.
+ *
+ * @param {TBooleanOperand} a path data and fill rule of the first operand, in the same plane as `b`
+ * @param {TBooleanOperand} b path data and fill rule of the second operand
+ * @param {TBooleanOperation} operation
+ * @param {TBooleanOptions} [options]
+ * @returns {TSimplePathData} polygonal path data of the result, empty if the result is empty
+ */
+export const booleanPath = (
+  a: TBooleanOperand,
+  b: TBooleanOperand,
+  operation: TBooleanOperation,
+  { tolerance = 0.1 }: TBooleanOptions = {}
+): TSimplePathData => {
+  const contoursA = flattenPath(a.path, tolerance),
+    contoursB = flattenPath(b.path, tolerance),
+    fillRuleA = a.fillRule || 'nonzero',
+    fillRuleB = b.fillRule || 'nonzero',
+    test = operations[operation],
+    // distance from an edge at which its sides are tested
+    offset = tolerance / 1000;
+  if (!test) {
+    throw new Error(`fabric.js: unknown boolean operation "${operation}"`);
+  }
+  const isInResult = (point: Point) =>
+    test(
+      isInside(contoursA, fillRuleA, point),
+      isInside(contoursB, fillRuleB, point)
+    );
+  const edges = weldEdges(
+    splitEdges(
+      weldEdges(
+        [...contoursA, ...contoursB].reduce<TEdge[]>(
+          (edges, contour) =>
+            edges.concat(
+              contour.map((from, index) => ({
+                from,
+                to: contour[(index + 1) % contour.length],
+              }))
+            ),
+          []
+        ),
+        offset / 10
+      )
+    ),
+    offset / 10
+  );
+  const kept = new Set<string>(),
+    resultEdges: TEdge[] = [];
+  edges.forEach(({ from, to }) => {
+    const mid = from.midPointFrom(to),
+      direction = to.subtract(from),
+      normal = new Point(-direction.y, direction.x).scalarMultiply(
+        offset / Math.sqrt(dot(direction, direction))
+      ),
+      left = isInResult(mid.add(normal)),
+      right = isInResult(mid.subtract(normal));
+    if (left === right) {
+      return;
+    }
+    // the result is on the left of edges
+    const edge = left ? { from, to } : { from: to, to: from },
+      key = `${pointKey(edge.from)};${pointKey(edge.to)}`;
+    // overlapping edges
+    if (!kept.has(key)) {
+      kept.add(key);
+      resultEdges.push(edge);
+    }
+  });
+  return chainEdges(resultEdges)
+    .map(removeCollinearPoints)
+    .filter((contour) => contour.length > 2)
+    .reduce<TSimplePathData>(
+      (path, contour) =>
+        path.concat(
+          contour.map(({ x, y }, index) => [index === 0 ? 'M' : 'L', x, y]),
+          [['Z']]
+        ),
+      []
+    );
+};
+
+/**
+ * @param {FabricObject} object
+ * @returns {TBooleanOperand} path data of the filled area of `object` in the canvas plane and its fill rule
+ */
+export const getObjectBooleanOperand = (
+  object: FabricObject
+): TBooleanOperand => ({
+  path: transformPath(object.getPathData(), object.calcTransformMatrix()),
+  fillRule: object.fillRule,
+});
@@ -0,0 +1,498 @@
+import { Point } from '../../Point';
+import type { TSimpleParsedCommand, TSimplePathData } from './typedefs';
+
+/**
+ * Position of a coordinate pair in path data: index of the command and index of the x coordinate in the command
+ */
+export type TPathCoordRef = [commandIndex: number, coordIndex: number];
+
+export type TPathNodeHandles = {
+  /**
+   * control point of the segment ending at the node
+   */
+  incoming?: TPathCoordRef;
+  /**
+   * control point of the segment starting at the node
+   */
+  outgoing?: TPathCoordRef;
+};
+
+type TSubpathRange = {
+  /**
+   * index of the `M` command starting the subpath
+   */
+  start: number;
+  /**
+   * index of the last command of the subpath that isn't `Z`
+   */
+  end: number;
+  closed: boolean;
+};
+
+const cross = (a: Point, b: Point) => a.x * b.y - a.y * b.x;
+
+const dot = (a: Point, b: Point) => a.x * b.x + a.y * b.y;
+
+/**
+ * @returns {Point} the point of `path` at `ref`
+ */
+export const getPathCoord = (
+  path: TSimplePathData,
+  [index, coord]: TPathCoordRef
+) => new Point(path[index][coord] as number, path[index][coord + 1] as number);
+
+const setPathCoord = (
+  path: TSimplePathData,
+  [index, coord]: TPathCoordRef,
+  { x, y }: Point
+) => {
+  const command = path[index] as (string | number)[];
+  command[coord] = x;
+  command[coord + 1] = y;
+};
+
+/**
+ * @returns {Point} the point at which the command ends, i.e. its node
+ */
+export const getPathNode = (path: TSimplePathData, index: number) => {
+  const command = path[index];
+  if (!command || command[0] === 'Z') {
+    throw new Error(`fabric.js: command ${index} of the path has no node`);
+  }
+  return getPathCoord(path, [index, command.length - 2]);
+};
+
+const getSubpathRange = (
+  path: TSimplePathData,
+  index: number
+): TSubpathRange => {
+  let start = index;
+  while (start > 0 && path[start][0] !== 'M') {
+    start--;
+  }
+  let end = index;
+  while (
+    end + 1 < path.length &&
+    path[end + 1][0] !== 'M' &&
+    path[end + 1][0] !== 'Z'
+  ) {
+    end++;
+  }
+  // `index` may be the one of a `Z` command
+  end = Math.max(end - (path[end][0] === 'Z' ? 1 : 0), start);
+  return { start, end, closed: path[end + 1]?.[0] === 'Z' };
+};
+
+/**
+ * The last node of a closed subpath is the twin of its first node when they are at the same position,
+ * they are edited as a single node
+ * @returns {number | undefined} index of the twin node
+ */
+export const getTwinPathNode = (path: TSimplePathData, index: number) => {
+  const { start, end, closed } = getSubpathRange(path, index);
+  if (!closed || start === end || (index !== start && index !== end)) {
+    return;
+  }
+  return getPathNode(path, start).eq(getPathNode(path, end))
+    ? index === start
+      ? end
+      : start
+    : undefined;
+};
+
+/**
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command drawing a segment (`L`, `C`, `Q`, `Z`)
+ * @returns {Point} the point at which the segment drawn by the command starts
+ */
+export const getPathSegmentStart = (path: TSimplePathData, index: number) => {
+  const { start } = getSubpathRange(path, index);
+  return index === start
+    ? getPathNode(path, start)
+    : getPathNode(path, index - 1);
+};
+
+/**
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command drawing a segment (`L`, `C`, `Q`, `Z`)
+ * @param {number} t
+ * @returns {Point} the point at `t` of the segment drawn by the command
+ */
+export const getPointOnPathSegment = (
+  path: TSimplePathData,
+  index: number,
+  t: number
+) => {
+  const command = path[index],
+    p0 = getPathSegmentStart(path, index),
+    mt = 1 - t;
+  switch (command[0]) {
+    case 'Z':
+      return p0.lerp(getPathNode(path, getSubpathRange(path, index).start), t);
+    case 'Q': {
+      const p1 = getPathCoord(path, [index, 1]),
+        p2 = getPathCoord(path, [index, 3]);
+      return p0
+        .scalarMultiply(mt ** 2)
+        .add(p1.scalarMultiply(2 * mt * t))
+        .add(p2.scalarMultiply(t ** 2));
+    }
+    case 'C': {
+      const p1 = getPathCoord(path, [index, 1]),
+        p2 = getPathCoord(path, [index, 3]),
+        p3 = getPathCoord(path, [index, 5]);
+      return p0
+        .scalarMultiply(mt ** 3)
+        .add(p1.scalarMultiply(3 * mt ** 2 * t))
+        .add(p2.scalarMultiply(3 * mt * t ** 2))
+        .add(p3.scalarMultiply(t ** 3));
+    }
+    default:
+      return p0.lerp(getPathNode(path, index), t);
+  }
+};
+
+/**
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command with a node
+ * @returns {TPathNodeHandles} control points of the curves meeting at the node
+ */
+export const getPathNodeHandles = (
+  path: TSimplePathData,
+  index: number
+): TPathNodeHandles => {
+  const { start, end } = getSubpathRange(path, index),
+    twin = getTwinPathNode(path, index),
+    // the first node of a closed subpath gets its incoming handle from its twin
+    // and the last one its outgoing handle from the first segment
+    incomingIndex = index === start && twin !== undefined ? twin : index,
+    outgoingIndex = index === end && twin !== undefined ? twin : index,
+    incoming = path[incomingIndex],
+    outgoing = outgoingIndex < end ? path[outgoingIndex + 1] : undefined,
+    handles: TPathNodeHandles = {};
+  if (incoming[0] === 'C') {
+    handles.incoming = [incomingIndex, 3];
+  } else if (incoming[0] === 'Q') {
+    handles.incoming = [incomingIndex, 1];
+  }
+  if (outgoing && (outgoing[0] === 'C' || outgoing[0] === 'Q')) {
+    handles.outgoing = [outgoingIndex + 1, 1];
+  }
+  return handles;
+};
+
+/**
+ * A node is smooth when the handles of the curves meeting at it are aligned on opposite sides of it
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command with a node
+ * @returns {boolean}
+ */
+export const isPathNodeSmooth = (path: TSimplePathData, index: number) => {
+  const { incoming, outgoing } = getPathNodeHandles(path, index);
+  if (!incoming || !outgoing) {
+    return false;
+  }
+  const node = getPathNode(path, index),
+    v1 = getPathCoord(path, incoming).subtract(node),
+    v2 = getPathCoord(path, outgoing).subtract(node),
+    length = Math.sqrt(dot(v1, v1) * dot(v2, v2));
+  return (
+    length > 0 && Math.abs(cross(v1, v2)) <= 1e-6 * length && dot(v1, v2) < 0
+  );
+};
+
+/**
+ * Moves a node of a path along with the handles attached to it, mutates `path`
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command with a node
+ * @param {Point} point new position of the node
+ */
+export const movePathNode = (
+  path: TSimplePathData,
+  index: number,
+  point: Point
+) => {
+  const delta = point.subtract(getPathNode(path, index)),
+    { incoming, outgoing } = getPathNodeHandles(path, index),
+    twin = getTwinPathNode(path, index);
+  // control points of quadratic curves are shared with the other end of the curve
+  [incoming, outgoing].forEach(
+    (ref) =>
+      ref &&
+      path[ref[0]][0] === 'C' &&
+      setPathCoord(path, ref, getPathCoord(path, ref).add(delta))
+  );
+  [index, twin].forEach(
+    (nodeIndex) =>
+      nodeIndex !== undefined &&
+      setPathCoord(path, [nodeIndex, path[nodeIndex].length - 2], point)
+  );
+};
+
+/**
+ * Moves a control point of a curve, mutates `path`.
+ * The opposite handle of a smooth node is rotated to keep the node smooth.
+ * @param {TSimplePathData} path
+ * @param {TPathCoordRef} ref position of the control point
+ * @param {Point} point new position of the control point
+ */
+export const movePathHandle = (
+  path: TSimplePathData,
+  ref: TPathCoordRef,
+  point: Point
+) => {
+  const [index, coord] = ref,
+    command = path[index];
+  if (command[0] === 'C') {
+    // the node the handle is attached to
+    const nodeIndex = coord === 1 ? index - 1 : index;
+    if (path[nodeIndex][0] !== 'Z' && isPathNodeSmooth(path, nodeIndex)) {
+      const { incoming, outgoing } = getPathNodeHandles(path, nodeIndex),
+        // a smooth node has both handles
+        opposite = (coord === 1 ? incoming : outgoing) as TPathCoordRef,
+        node = getPathNode(path, nodeIndex),
+        direction = node.subtract(point),
+        length = direction.distanceFrom(new Point());
+      path[opposite[0]][0] === 'C' &&
+        length > 0 &&
+        setPathCoord(
+          path,
+          opposite,
+          node.add(
+            direction.scalarMultiply(
+              getPathCoord(path, opposite).distanceFrom(node) / length
+            )
+          )
+        );
+    }
+  }
+  setPathCoord(path, ref, point);
+};
+
+/**
+ * Splits the segment drawn by a command in 2 segments with the same shape, mutates `path`
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command drawing a segment (`L`, `C`, `Q`, `Z`)
+ * @param {number} [t] position of the new node on the segment
+ * @returns {number} index of the command ending at the new node
+ */
+export const splitPathSegment = (
+  path: TSimplePathData,
+  index: number,
+  t = 0.5
+) => {
+  const command = path[index];
+  if (!command || command[0] === 'M') {
+    throw new Error(
+      `fabric.js: command ${index} of the path doesn't draw a segment`
+    );
+  }
+  const p0 = getPathSegmentStart(path, index);
+  switch (command[0]) {
+    case 'C': {
+      const p1 = getPathCoord(path, [index, 1]),
+        p2 = getPathCoord(path, [index, 3]),
+        p3 = getPathCoord(path, [index, 5]),
+        p01 = p0.lerp(p1, t),
+        p12 = p1.lerp(p2, t),
+        p23 = p2.lerp(p3, t),
+        p012 = p01.lerp(p12, t),
+        p123 = p12.lerp(p23, t),
+        node = p012.lerp(p123, t);
+      path.splice(
+        index,
+        1,
+        ['C', p01.x, p01.y, p012.x, p012.y, node.x, node.y],
+        ['C', p123.x, p123.y, p23.x, p23.y, p3.x, p3.y]
+      );
+      break;
+    }
+    case 'Q': {
+      const p1 = getPathCoord(path, [index, 1]),
+        p2 = getPathCoord(path, [index, 3]),
+        p01 = p0.lerp(p1, t),
+        p12 = p1.lerp(p2, t),
+        node = p01.lerp(p12, t);
+      path.splice(
+        index,
+        1,
+        ['Q', p01.x, p01.y, node.x, node.y],
+        ['Q', p12.x, p12.y, p2.x, p2.y]
+      );
+      break;
+    }
+    default: {
+      // the closing segment of a subpath is split by a line before `Z`
+      const { x, y } = getPointOnPathSegment(path, index, t);
+      command[0] === 'Z'
+        ? path.splice(index, 0, ['L', x, y])
+        : path.splice(index, 1, ['L', x, y], command);
+    }
+  }
+  return index;
+};
+
+const removeSingleNode = (path: TSimplePathData, index: number) => {
+  const command = path[index],
+    { start, end } = getSubpathRange(path, index),
+    next = index < end ? path[index + 1] : undefined;
+  if (command[0] === 'M') {
+    if (next) {
+      // the next node starts the subpath
+      const { x, y } = getPathNode(path, index + 1);
+      path.splice(index, 2, ['M', x, y]);
+    } else {
+      // remove the subpath
+      path.splice(index, path[index + 1]?.[0] === 'Z' ? 2 : 1);
+    }
+  } else if (next && (command[0] !== 'L' || next[0] !== 'L')) {
+    // merge the segments meeting at the node in a curve keeping the outer handles
+    const p0 = getPathSegmentStart(path, index),
+      p3 = getPathNode(path, index + 1),
+      p1 =
+        command[0] === 'C'
+          ? getPathCoord(path, [index, 1])
+          : command[0] === 'Q'
+          ? p0.lerp(getPathCoord(path, [index, 1]), 2 / 3)
+          : p0,
+      p2 =
+        next[0] === 'C'
+          ? getPathCoord(path, [index + 1, 3])
+          : next[0] === 'Q'
+          ? p3.lerp(getPathCoord(path, [index + 1, 1]), 2 / 3)
+          : p3;
+    path.splice(index, 2, ['C', p1.x, p1.y, p2.x, p2.y, p3.x, p3.y]);
+  } else {
+    path.splice(index, 1);
+  }
+  return start;
+};
+
+/**
+ * Removes a node, mutates `path`.
+ * The segments meeting at the node are merged, a subpath left without nodes is removed.
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command with a node
+ */
+export const removePathNode = (path: TSimplePathData, index: number) => {
+  const twin = getTwinPathNode(path, index);
+  getPathNode(path, index);
+  if (twin !== undefined) {
+    removeSingleNode(path, Math.max(index, twin));
+    removeSingleNode(path, Math.min(index, twin));
+  } else {
+    removeSingleNode(path, index);
+  }
+};
+
+/**
+ * @returns {TSimpleParsedCommand} the segment drawn by the command as a cubic bezier curve
+ */
+const toCubic = (
+  path: TSimplePathData,
+  index: number
+): TSimpleParsedCommand => {
+  const command = path[index],
+    p0 = getPathSegmentStart(path, index),
+    p3 = getPathNode(path, index);
+  switch (command[0]) {
+    case 'C':
+      return command;
+    case 'Q': {
+      const p1 = getPathCoord(path, [index, 1]),
+        c1 = p0.lerp(p1, 2 / 3),
+        c2 = p3.lerp(p1, 2 / 3);
+      return ['C', c1.x, c1.y, c2.x, c2.y, p3.x, p3.y];
+    }
+    default:
+      // handles are retracted so that the curve turns back into a line once they are retracted again
+      return ['C', p0.x, p0.y, p3.x, p3.y, p3.x, p3.y];
+  }
+};
+
+/**
+ * Makes a node smooth, aligning the handles of the curves meeting at it, or a corner, retracting them, mutates `path`.
+ * Segments meeting at the node are converted to cubic bezier curves as needed.
+ * @param {TSimplePathData} path
+ * @param {number} index index of a command with a node
+ * @param {boolean} smooth
+ */
+export const setPathNodeSmooth = (
+  path: TSimplePathData,
+  index: number,
+  smooth: boolean
+) => {
+  const node = getPathNode(path, index),
+    { start, end, closed } = getSubpathRange(path, index);
+  if (
+    smooth &&
+    closed &&
+    (index === start || index === end) &&
+    getTwinPathNode(path, index) === undefined
+  ) {
+    // the closing segment of the subpath is drawn by a line to be able to curve it
+    const { x, y } = getPathNode(path, start);
+    path.splice(end + 1, 0, ['L', x, y]);
+  }
+  const twin = getTwinPathNode(path, index),
+    incomingSegment = path[index][0] !== 'M' ? index : twin,
+    outgoingSegment =
+      index < getSubpathRange(path, index).end
+        ? index + 1
+        : twin === start
+        ? start + 1
+        : undefined;
+  if (smooth) {
+    if (incomingSegment === undefined || outgoingSegment === undefined) {
+      return;
+    }
+    path[incomingSegment] = toCubic(path, incomingSegment);
+    path[outgoingSegment] = toCubic(path, outgoingSegment);
+    const incoming: TPathCoordRef = [incomingSegment, 3],
+      outgoing: TPathCoordRef = [outgoingSegment, 1],
+      incomingHandle = getPathCoord(path, incoming),
+      outgoingHandle = getPathCoord(path, outgoing),
+      previous = getPathSegmentStart(path, incomingSegment),
+      next = getPathNode(path, outgoingSegment);
+    let direction = outgoingHandle.subtract(incomingHandle);
+    if (direction.eq(new Point())) {
+      direction = next.subtract(previous);
+    }
+    direction = direction.scalarDivide(
+      direction.distanceFrom(new Point()) || 1
+    );
+    const incomingLength =
+        incomingHandle.distanceFrom(node) || previous.distanceFrom(node) / 3,
+      outgoingLength =
+        outgoingHandle.distanceFrom(node) || next.distanceFrom(node) / 3;
+    setPathCoord(
+      path,
+      incoming,
+      node.subtract(direction.scalarMultiply(incomingLength))
+    );
+    setPathCoord(
+      path,
+      outgoing,
+      node.add(direction.scalarMultiply(outgoingLength))
+    );
+  } else {
+    (
+      [
+        [incomingSegment, 3],
+        [outgoingSegment, 1],
+      ] as const
+    ).forEach(([segment, coord]) => {
+      if (segment === undefined || path[segment][0] === 'L') {
+        return;
+      }
+      path[segment] = toCubic(path, segment);
+      setPathCoord(path, [segment, coord], node);
+      // a curve with retracted handles is a line
+      const p0 = getPathSegmentStart(path, segment),
+        p3 = getPathNode(path, segment);
+      getPathCoord(path, [segment, 1]).eq(p0) &&
+        getPathCoord(path, [segment, 3]).eq(p3) &&
+        (path[segment] = ['L', p3.x, p3.y]);
+    });
+  }
+};
@@ -0,0 +1,180 @@
+import { Point } from '../../Point';
+import type { TSimpleParsedCommand, TSimplePathData } from './typedefs';
+
+/**
+ * Control points of a segment: 2 for a line, 3 for a quadratic curve, 4 for a cubic curve
+ */
+type TSegment = Point[];
+
+type TSubpath = { segments: TSegment[]; closed: boolean };
+
+/**
+ * Number of bisections locating the point where a segment enters or leaves the erased area
+ */
+const BISECTIONS = 16;
+
+/**
+ * Splits a segment at `t` with the algorithm of de Casteljau
+ * @returns {[TSegment, TSegment]} the segments before and after `t`
+ */
+const subdivide = (segment: TSegment, t: number): [TSegment, TSegment] => {
+  const before = [segment[0]],
+    after = [segment[segment.length - 1]];
+  let points = segment;
+  while (points.length > 1) {
+    points = points.slice(1).map((point, i) => points[i].lerp(point, t));
+    before.push(points[0]);
+    after.unshift(points[points.length - 1]);
+  }
+  return [before, after];
+};
+
+const getPoint = (segment: TSegment, t: number) => subdivide(segment, t)[1][0];
+
+/**
+ * @returns {TSegment} the part of `segment` from `t0` to `t1`
+ */
+const slice = (segment: TSegment, t0: number, t1: number) => {
+  const head = t1 < 1 ? subdivide(segment, t1)[0] : segment;
+  return t0 > 0 ? subdivide(head, t0 / t1)[1] : head;
+};
+
+const toCommand = (segment: TSegment): TSimpleParsedCommand => {
+  const [, c1, c2, c3] = segment;
+  return c3
+    ? ['C', c1.x, c1.y, c2.x, c2.y, c3.x, c3.y]
+    : c2
+    ? ['Q', c1.x, c1.y, c2.x, c2.y]
+    : ['L', c1.x, c1.y];
+};
+
+const getSubpaths = (path: TSimplePathData) => {
+  const subpaths: TSubpath[] = [];
+  let subpath: TSubpath | undefined,
+    current = new Point(),
+    start = new Point();
+  for (const command of path) {
+    if (command[0] === 'M') {
+      subpath = undefined;
+      current = start = new Point(command[1], command[2]);
+      continue;
+    }
+    // a subpath implicitly starts at the current point, e.g. after a `Z` command
+    if (!subpath) {
+      subpath = { segments: [], closed: false };
+      subpaths.push(subpath);
+    }
+    if (command[0] === 'Z') {
+      !current.eq(start) && subpath.segments.push([current, start]);
+      subpath.closed = true;
+      subpath = undefined;
+      current = start;
+      continue;
+    }
+    const segment = [current];
+    for (let i = 1; i < command.length; i += 2) {
+      segment.push(new Point(command[i] as number, command[i + 1] as number));
+    }
+    subpath.segments.push(segment);
+    current = segment[segment.length - 1];
+  }
+  return subpaths.filter(({ segments }) => segments.length);
+};
+
+/**
+ * @returns {[number, number][]} the ranges of `segment` that are not erased
+ */
+const getKeptRanges = (
+  segment: TSegment,
+  isErased: (point: Point) => boolean,
+  step: number
+) => {
+  // the length of the control polygon is greater than the length of the segment
+  const length = segment
+      .slice(1)
+      .reduce((sum, point, i) => sum + point.distanceFrom(segment[i]), 0),
+    count = Math.max(Math.ceil(length / step), 1),
+    ranges: [number, number][] = [];
+  // locates the point where the segment enters or leaves the erased area between `t0` and `t1`
+  const bisect = (t0: number, t1: number, erasedAtT0: boolean) => {
+    for (let i = 0; i < BISECTIONS; i++) {
+      const t = (t0 + t1) / 2;
+      isErased(getPoint(segment, t)) === erasedAtT0 ? (t0 = t) : (t1 = t);
+    }
+    return (t0 + t1) / 2;
+  };
+  let erased = isErased(segment[0]),
+    from = erased ? undefined : 0;
+  for (let i = 1; i <= count; i++) {
+    const t = i / count,
+      isErasedAtT = isErased(getPoint(segment, t));
+    if (isErasedAtT === erased) {
+      continue;
+    }
+    const boundary = bisect((i - 1) / count, t, erased);
+    if (isErasedAtT) {
+      ranges.push([from as number, boundary]);
+      from = undefined;
+    } else {
+      from = boundary;
+    }
+    erased = isErasedAtT;
+  }
+  from !== undefined && ranges.push([from, 1]);
+  return ranges;
+};
+
+/**
+ * Erases the parts of a path in an area, e.g. where an eraser passes, keeping the shape of the rest of the path:
+ * curves are cut where they enter and leave the area.
+ * @param {TSimplePathData} path fabricJS parsed and simplified path commands
+ * @param {Function} isErased returns `true` for the points of the erased area
+ * @param {number} step maximum distance between the points of the path tested with `isErased`,
+ * parts of the path shorter than `step` may be missed
+ * @returns {TSimplePathData[] | undefined} the remaining parts of the path, each one made of a single subpath,
+ * `undefined` if the path is not erased
+ */
+export const erasePath = (
+  path: TSimplePathData,
+  isErased: (point: Point) => boolean,
+  step: number
+): TSimplePathData[] | undefined => {
+  const pieces: TSimplePathData[] = [];
+  let touched = false;
+  getSubpaths(path).forEach(({ segments, closed }) => {
+    const subpathPieces: TSimplePathData[] = [];
+    let piece: TSimplePathData | undefined,
+      cut = false,
+      startKept = false;
+    segments.forEach((segment, index) => {
+      const ranges = getKeptRanges(segment, isErased, step);
+      if (ranges.length !== 1 || ranges[0][0] !== 0 || ranges[0][1] !== 1) {
+        cut = true;
+      }
+      index === 0 && (startKept = !!ranges.length && ranges[0][0] === 0);
+      // a piece continues over the end of a segment only if it is kept
+      !ranges.length && (piece = undefined);
+      ranges.forEach(([t0, t1]) => {
+        if (!piece || t0 > 0) {
+          const start = getPoint(segment, t0);
+          piece = [['M', start.x, start.y]];
+          subpathPieces.push(piece);
+        }
+        piece.push(toCommand(slice(segment, t0, t1)));
+        t1 < 1 && (piece = undefined);
+      });
+    });
+    if (!cut) {
+      pieces.push(closed ? [...subpathPieces[0], ['Z']] : subpathPieces[0]);
+      return;
+    }
+    touched = true;
+    // the start of a closed subpath is not an end when it is kept, the pieces meeting at it are joined
+    if (closed && startKept && piece && subpathPieces.length > 1) {
+      const first = subpathPieces.shift() as TSimplePathData;
+      piece.push(...first.slice(1));
+    }
+    pieces.push(...subpathPieces);
+  });
+  return touched ? pieces : undefined;
+};
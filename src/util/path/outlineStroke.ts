@@ -0,0 +1,270 @@
+import { Point } from '../../Point';
+import { StrokeLineCapProjections } from '../misc/projectStroke/StrokeLineCapProjections';
+import { StrokeLineJoinProjections } from '../misc/projectStroke/StrokeLineJoinProjections';
+import type { TProjectStrokeOnPointsOptions } from '../misc/projectStroke/types';
+import { createVector } from '../misc/vectors';
+import type { TBooleanOptions, TFlatSubpath } from './boolean';
+import { booleanPath, flattenSubpaths } from './boolean';
+import type { TSimplePathData } from './typedefs';
+
+export type TOutlineStrokeOptions = Pick<
+  TProjectStrokeOnPointsOptions,
+  'strokeWidth' | 'strokeLineCap' | 'strokeLineJoin' | 'strokeMiterLimit'
+> &
+  TBooleanOptions & {
+    strokeDashArray?: number[] | null;
+    strokeDashOffset?: number;
+  };
+
+type TPolygon = Point[];
+
+const cross = (a: Point, b: Point) => a.x * b.y - a.y * b.x;
+
+const getSignedArea = (polygon: TPolygon) =>
+  polygon.reduce(
+    (area, point, index) =>
+      area + cross(point, polygon[(index + 1) % polygon.length]),
+    0
+  ) / 2;
+
+/**
+ * @returns {TPolygon} a regular polygon approximating the circle of `radius` around `center`
+ */
+const approximateCircle = (
+  center: Point,
+  radius: number,
+  tolerance: number
+): TPolygon => {
+  const steps = Math.min(
+    Math.max(
+      Math.ceil(Math.PI / Math.acos(Math.max(1 - tolerance / radius, -1))),
+      8
+    ),
+    1000
+  );
+  const polygon: TPolygon = [];
+  for (let i = 0; i < steps; i++) {
+    const angle = (i / steps) * 2 * Math.PI;
+    polygon.push(
+      center.add(
+        new Point(Math.cos(angle), Math.sin(angle)).scalarMultiply(radius)
+      )
+    );
+  }
+  return polygon;
+};
+
+/**
+ * Splits a subpath in dashes, as `CanvasRenderingContext2D#setLineDash` does.
+ * The dash pattern starts over for every subpath.
+ * @param {TFlatSubpath} subpath
+ * @param {number[]} dashArray with an even number of entries
+ * @param {number} dashOffset
+ * @returns {TFlatSubpath[]} open subpaths
+ */
+const dashSubpath = (
+  { points, corners, closed }: TFlatSubpath,
+  dashArray: number[],
+  dashOffset: number
+): TFlatSubpath[] => {
+  const dashes: TFlatSubpath[] = [],
+    patternLength = dashArray.reduce((total, length) => total + length, 0),
+    vertices = closed ? [...points, points[0]] : points,
+    vertexCorners = closed ? [...corners, true] : corners;
+  let index = 0,
+    position = ((dashOffset % patternLength) + patternLength) % patternLength;
+  while (position >= dashArray[index]) {
+    position -= dashArray[index];
+    index = (index + 1) % dashArray.length;
+  }
+  // length left before the end of the current entry of the pattern
+  let remaining = dashArray[index] - position;
+  let dash: TFlatSubpath | undefined =
+    index % 2 === 0
+      ? { points: [vertices[0]], corners: [true], closed: false }
+      : undefined;
+  for (let i = 1; i < vertices.length; i++) {
+    const from = vertices[i - 1],
+      to = vertices[i],
+      length = from.distanceFrom(to);
+    let traveled = 0;
+    while (length - traveled > remaining) {
+      traveled += remaining;
+      const point = from.lerp(to, traveled / length);
+      if (dash) {
+        dash.points.push(point);
+        dash.corners.push(true);
+        dashes.push(dash);
+        dash = undefined;
+      } else {
+        dash = { points: [point], corners: [true], closed: false };
+      }
+      index = (index + 1) % dashArray.length;
+      remaining = dashArray[index];
+    }
+    remaining -= length - traveled;
+    if (dash) {
+      dash.points.push(to);
+      dash.corners.push(vertexCorners[i]);
+    }
+  }
+  dash && dashes.push(dash);
+  return dashes;
+};
+
+/**
+ * Covers the stroke of a polyline with polygons: a rectangle for each segment,
+ * a polygon for each join and for each cap, as computed by {@link StrokeLineJoinProjections} and {@link StrokeLineCapProjections}.
+ * @param {TFlatSubpath} subpath
+ * @param {TProjectStrokeOnPointsOptions} options
+ * @param {number} tolerance
+ * @returns {TPolygon[]}
+ */
+const coverSubpath = (
+  { points: vertices, corners: vertexCorners, closed }: TFlatSubpath,
+  options: TProjectStrokeOnPointsOptions,
+  tolerance: number
+): TPolygon[] => {
+  // dashes may end exactly on a vertex
+  const points: Point[] = [],
+    corners: boolean[] = [];
+  vertices.forEach((point, index) => {
+    if (!points.length || !points[points.length - 1].eq(point)) {
+      points.push(point);
+      corners.push(vertexCorners[index]);
+    }
+  });
+  if (closed && points.length > 1 && points[0].eq(points[points.length - 1])) {
+    points.pop();
+    corners.pop();
+  }
+  const polygons: TPolygon[] = [],
+    radius = options.strokeWidth / 2,
+    length = points.length;
+  if (length < 2) {
+    return polygons;
+  }
+  // the butt ends of each segment form a rectangle
+  points.forEach((from, index) => {
+    if (!closed && index === length - 1) {
+      return;
+    }
+    const to = points[(index + 1) % length],
+      [a, b] = new StrokeLineCapProjections(from, to, options).projectButt(),
+      [c, d] = new StrokeLineCapProjections(to, from, options).projectButt();
+    polygons.push([a, b, c, d]);
+  });
+  points.forEach((A, index) => {
+    if (!closed && (index === 0 || index === length - 1)) {
+      const T = points[index === 0 ? 1 : length - 2];
+      if (options.strokeLineCap === 'round') {
+        polygons.push(approximateCircle(A, radius, tolerance));
+      } else if (options.strokeLineCap === 'square') {
+        const projections = new StrokeLineCapProjections(A, T, options),
+          [a, b] = projections.projectButt(),
+          [c, d] = projections.projectSquare();
+        polygons.push([a, b, d, c]);
+      }
+      return;
+    }
+    const B = points[(index - 1 + length) % length],
+      C = points[(index + 1) % length],
+      incoming = createVector(B, A),
+      outgoing = createVector(A, C),
+      sin = cross(incoming, outgoing),
+      cos = incoming.x * outgoing.x + incoming.y * outgoing.y;
+    if (Math.abs(sin) <= Number.EPSILON * Math.abs(cos)) {
+      // segments are aligned, only a round join shows when the stroke goes back
+      cos < 0 &&
+        options.strokeLineJoin === 'round' &&
+        polygons.push(approximateCircle(A, radius, tolerance));
+      return;
+    }
+    const projections = new StrokeLineJoinProjections(A, B, C, options),
+      bevel = projections.projectBevel();
+    if (!corners[index]) {
+      // points approximating a curve are close enough for a bevel to fill the gap
+      polygons.push([A, ...bevel]);
+    } else if (options.strokeLineJoin === 'round') {
+      polygons.push(approximateCircle(A, radius, tolerance));
+    } else if (options.strokeLineJoin === 'miter') {
+      const miter = projections.projectMiter();
+      polygons.push(
+        miter.length === 1 ? [A, bevel[0], miter[0], bevel[1]] : [A, ...bevel]
+      );
+    } else {
+      polygons.push([A, ...bevel]);
+    }
+  });
+  return polygons;
+};
+
+/**
+ * Computes the outline of the stroke of a path, i.e. the area painted by `CanvasRenderingContext2D#stroke`,
+ * taking into account line joins, line caps and dashes.
+ * The outline can be filled in place of the stroke, e.g. for plotters and cutters or for accurate hit testing.
+ * Curves are approximated with segments.
+ * @param {TSimplePathData} path fabricJS parsed and simplified path commands
+ * @param {TOutlineStrokeOptions} options
+ * @returns {TSimplePathData} polygonal path data of the outline, filled with the `nonzero` rule
+ */
+export const outlineStroke = (
+  path: TSimplePathData,
+  {
+    strokeWidth,
+    strokeLineCap,
+    strokeLineJoin,
+    strokeMiterLimit,
+    strokeDashArray,
+    strokeDashOffset = 0,
+    tolerance = 0.1,
+  }: TOutlineStrokeOptions
+): TSimplePathData => {
+  if (!(strokeWidth > 0)) {
+    return [];
+  }
+  const options: TProjectStrokeOnPointsOptions = {
+      strokeWidth,
+      strokeLineCap,
+      strokeLineJoin,
+      strokeMiterLimit,
+      strokeUniform: false,
+      scaleX: 1,
+      scaleY: 1,
+      skewX: 0,
+      skewY: 0,
+    },
+    // the spec requires the concatenation of two copies of the dash array when the number of elements is odd
+    dashArray =
+      strokeDashArray && strokeDashArray.length & 1
+        ? [...strokeDashArray, ...strokeDashArray]
+        : strokeDashArray,
+    isDashed =
+      !!dashArray &&
+      dashArray.every((length) => length >= 0) &&
+      dashArray.some((length) => length > 0);
+  let subpaths = flattenSubpaths(path, tolerance);
+  if (isDashed) {
+    subpaths = subpaths.reduce<TFlatSubpath[]>(
+      (dashes, subpath) =>
+        dashes.concat(dashSubpath(subpath, dashArray, strokeDashOffset)),
+      []
+    );
+  }
+  // polygons are oriented alike so that the `nonzero` rule fills their overlaps
+  const cover = subpaths.reduce<TSimplePathData>(
+    (cover, subpath) =>
+      coverSubpath(subpath, options, tolerance).reduce(
+        (cover, polygon) =>
+          cover.concat(
+            (getSignedArea(polygon) < 0 ? polygon.reverse() : polygon).map(
+              ({ x, y }, index) => [index === 0 ? 'M' : 'L', x, y]
+            ),
+            [['Z']]
+          ),
+        cover
+      ),
+    []
+  );
+  return booleanPath({ path: cover }, { path: [] }, 'union', { tolerance });
+};
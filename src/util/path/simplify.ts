@@ -0,0 +1,348 @@
+import type { XY } from '../../Point';
+import { Point } from '../../Point';
+import { degreesToRadians } from '../misc/radiansDegreesConversion';
+import { flattenSubpaths } from './boolean';
+import type { TSimplePathData } from './typedefs';
+
+export type TSimplifyPathOptions = {
+  /**
+   * Maximum distance between the original path and the simplified one
+   * @default 1
+   */
+  tolerance?: number;
+  /**
+   * `true` to fit cubic bezier curves to the path, `false` to approximate it with segments
+   * @default true
+   */
+  fit?: boolean;
+  /**
+   * Points where the path turns by more than this angle, in degrees, are kept as corners
+   * @default 45
+   */
+  cornerAngle?: number;
+};
+
+type TBezier = [Point, Point, Point, Point];
+
+/**
+ * Maximum number of times the parameters of the points are improved before splitting a fitted curve
+ */
+const MAX_ITERATIONS = 4;
+
+const dot = (a: XY, b: XY) => a.x * b.x + a.y * b.y;
+
+const normalize = (v: Point) => {
+  const length = Math.sqrt(dot(v, v));
+  return length ? v.scalarDivide(length) : v;
+};
+
+/**
+ * @returns {number} the squared distance of `point` from the segment `a` `b`
+ */
+const getSquaredSegmentDistance = (point: Point, a: Point, b: Point) => {
+  const ab = b.subtract(a),
+    lengthSquared = dot(ab, ab),
+    t = lengthSquared
+      ? Math.max(0, Math.min(1, dot(point.subtract(a), ab) / lengthSquared))
+      : 0,
+    delta = point.subtract(a.add(ab.scalarMultiply(t)));
+  return dot(delta, delta);
+};
+
+/**
+ * Simplifies a polyline with the Ramer–Douglas–Peucker algorithm:
+ * points closer than `tolerance` to the simplified polyline are removed
+ * @param {XY[]} points
+ * @param {number} [tolerance]
+ * @returns {Point[]} the points kept, the first and the last one are always kept
+ */
+export const simplifyPoints = (points: XY[], tolerance = 1): Point[] => {
+  const length = points.length;
+  if (length < 3) {
+    return points.map((point) => new Point(point));
+  }
+  const input = points.map((point) => new Point(point)),
+    keep = new Array<boolean>(length).fill(false),
+    toleranceSquared = tolerance * tolerance,
+    // ranges are processed with a stack to avoid recursion on long polylines
+    stack: [number, number][] = [[0, length - 1]];
+  keep[0] = keep[length - 1] = true;
+  while (stack.length) {
+    const [first, last] = stack.pop() as [number, number];
+    let maxDistance = 0,
+      index = 0;
+    for (let i = first + 1; i < last; i++) {
+      const distance = getSquaredSegmentDistance(
+        input[i],
+        input[first],
+        input[last]
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > toleranceSquared) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return input.filter((_, i) => keep[i]);
+};
+
+const evaluateBezier = ([p0, p1, p2, p3]: TBezier, t: number) => {
+  const mt = 1 - t;
+  return p0
+    .scalarMultiply(mt * mt * mt)
+    .add(p1.scalarMultiply(3 * mt * mt * t))
+    .add(p2.scalarMultiply(3 * mt * t * t))
+    .add(p3.scalarMultiply(t * t * t));
+};
+
+/**
+ * @returns {number[]} the parameter of each point, proportional to the length of the polyline up to it
+ */
+const chordLengthParameterize = (points: Point[]) => {
+  const u = [0];
+  for (let i = 1; i < points.length; i++) {
+    u.push(u[i - 1] + points[i].distanceFrom(points[i - 1]));
+  }
+  const total = u[u.length - 1];
+  return u.map((value) => value / total);
+};
+
+/**
+ * Finds the lengths of the handles of the curve joining the ends of `points` along the tangents
+ * that minimize the squared distances of the points at `u`
+ */
+const generateBezier = (
+  points: Point[],
+  u: number[],
+  leftTangent: Point,
+  rightTangent: Point
+): TBezier => {
+  const first = points[0],
+    last = points[points.length - 1],
+    c = [
+      [0, 0],
+      [0, 0],
+    ],
+    x = [0, 0];
+  u.forEach((t, i) => {
+    const mt = 1 - t,
+      a1 = leftTangent.scalarMultiply(3 * mt * mt * t),
+      a2 = rightTangent.scalarMultiply(3 * mt * t * t),
+      tmp = points[i].subtract(evaluateBezier([first, first, last, last], t));
+    c[0][0] += dot(a1, a1);
+    c[0][1] += dot(a1, a2);
+    c[1][1] += dot(a2, a2);
+    x[0] += dot(a1, tmp);
+    x[1] += dot(a2, tmp);
+  });
+  c[1][0] = c[0][1];
+  const det = c[0][0] * c[1][1] - c[1][0] * c[0][1],
+    alphaLeft = det ? (x[0] * c[1][1] - x[1] * c[0][1]) / det : 0,
+    alphaRight = det ? (c[0][0] * x[1] - c[1][0] * x[0]) / det : 0,
+    segmentLength = first.distanceFrom(last),
+    epsilon = 1e-6 * segmentLength;
+  if (alphaLeft < epsilon || alphaRight < epsilon) {
+    // the least squares solution is degenerate, fall back to a heuristic
+    const distance = segmentLength / 3;
+    return [
+      first,
+      first.add(leftTangent.scalarMultiply(distance)),
+      last.add(rightTangent.scalarMultiply(distance)),
+      last,
+    ];
+  }
+  return [
+    first,
+    first.add(leftTangent.scalarMultiply(alphaLeft)),
+    last.add(rightTangent.scalarMultiply(alphaRight)),
+    last,
+  ];
+};
+
+/**
+ * Improves the parameter of each point with a Newton-Raphson iteration
+ */
+const reparameterize = (bezier: TBezier, points: Point[], u: number[]) =>
+  u.map((t, i) => {
+    const [p0, p1, p2, p3] = bezier,
+      mt = 1 - t,
+      d = evaluateBezier(bezier, t).subtract(points[i]),
+      // first and second derivatives
+      d1 = p1
+        .subtract(p0)
+        .scalarMultiply(3 * mt * mt)
+        .add(p2.subtract(p1).scalarMultiply(6 * mt * t))
+        .add(p3.subtract(p2).scalarMultiply(3 * t * t)),
+      d2 = p2
+        .subtract(p1.scalarMultiply(2))
+        .add(p0)
+        .scalarMultiply(6 * mt)
+        .add(
+          p3
+            .subtract(p2.scalarMultiply(2))
+            .add(p1)
+            .scalarMultiply(6 * t)
+        ),
+      denominator = dot(d1, d1) + dot(d, d2);
+    return denominator ? t - dot(d, d1) / denominator : t;
+  });
+
+/**
+ * @returns {[number, number]} the maximum squared distance of the points from the curve and the index of the farthest point
+ */
+const computeMaxError = (bezier: TBezier, points: Point[], u: number[]) => {
+  let maxError = 0,
+    index = Math.floor(points.length / 2);
+  points.forEach((point, i) => {
+    const delta = evaluateBezier(bezier, u[i]).subtract(point),
+      error = dot(delta, delta);
+    if (error > maxError) {
+      maxError = error;
+      index = i;
+    }
+  });
+  return [maxError, index] as const;
+};
+
+const fitCubic = (
+  points: Point[],
+  leftTangent: Point,
+  rightTangent: Point,
+  errorSquared: number,
+  curves: TBezier[]
+) => {
+  const first = points[0],
+    last = points[points.length - 1];
+  if (points.length === 2) {
+    const distance = first.distanceFrom(last) / 3;
+    curves.push([
+      first,
+      first.add(leftTangent.scalarMultiply(distance)),
+      last.add(rightTangent.scalarMultiply(distance)),
+      last,
+    ]);
+    return;
+  }
+  let u = chordLengthParameterize(points),
+    bezier = generateBezier(points, u, leftTangent, rightTangent),
+    [maxError, splitIndex] = computeMaxError(bezier, points, u);
+  if (maxError <= errorSquared) {
+    curves.push(bezier);
+    return;
+  }
+  // close enough to improve the fit rather than splitting
+  if (maxError <= errorSquared * 4) {
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      u = reparameterize(bezier, points, u);
+      bezier = generateBezier(points, u, leftTangent, rightTangent);
+      [maxError, splitIndex] = computeMaxError(bezier, points, u);
+      if (maxError <= errorSquared) {
+        curves.push(bezier);
+        return;
+      }
+    }
+  }
+  splitIndex = Math.min(Math.max(splitIndex, 1), points.length - 2);
+  const centerTangent = normalize(
+    points[splitIndex - 1].subtract(points[splitIndex + 1])
+  );
+  fitCubic(
+    points.slice(0, splitIndex + 1),
+    leftTangent,
+    centerTangent,
+    errorSquared,
+    curves
+  );
+  fitCubic(
+    points.slice(splitIndex),
+    centerTangent.scalarMultiply(-1),
+    rightTangent,
+    errorSquared,
+    curves
+  );
+};
+
+/**
+ * Fits cubic bezier curves to points with the algorithm of Philip J. Schneider (Graphics Gems, 1990):
+ * the points are approximated by a curve which is split until they are closer than `tolerance` to it.
+ * @param {XY[]} points
+ * @param {number} [tolerance]
+ * @returns {TSimplePathData} path commands starting with a `M` command at the first point
+ */
+export const fitCurve = (points: XY[], tolerance = 1): TSimplePathData => {
+  // duplicate points have no tangent
+  const input = points
+    .map((point) => new Point(point))
+    .filter((point, i, array) => i === 0 || !point.eq(array[i - 1]));
+  if (!input.length) {
+    return [];
+  }
+  const pathData: TSimplePathData = [['M', input[0].x, input[0].y]],
+    length = input.length;
+  if (length === 1) {
+    return pathData;
+  }
+  const curves: TBezier[] = [];
+  fitCubic(
+    input,
+    normalize(input[1].subtract(input[0])),
+    normalize(input[length - 2].subtract(input[length - 1])),
+    tolerance * tolerance,
+    curves
+  );
+  curves.forEach(([, c1, c2, end]) =>
+    pathData.push(['C', c1.x, c1.y, c2.x, c2.y, end.x, end.y])
+  );
+  return pathData;
+};
+
+/**
+ * Simplifies a path, e.g. drawn freehand, approximating it with fewer commands.
+ * Curves are flattened before being fitted again with cubic bezier curves or simplified as segments,
+ * points where the path turns sharply are kept as corners.
+ * @param {TSimplePathData} path fabricJS parsed and simplified path commands
+ * @param {TSimplifyPathOptions} [options]
+ * @returns {TSimplePathData} the simplified path
+ */
+export const simplifyPath = (
+  path: TSimplePathData,
+  { tolerance = 1, fit = true, cornerAngle = 45 }: TSimplifyPathOptions = {}
+): TSimplePathData => {
+  const cos = Math.cos(degreesToRadians(cornerAngle)),
+    pathData: TSimplePathData = [];
+  flattenSubpaths(path, tolerance / 4).forEach(({ points, closed }) => {
+    const vertices =
+        closed && !points[0].eq(points[points.length - 1])
+          ? [...points, points[0]]
+          : points,
+      length = vertices.length,
+      // splits the subpath at its corners
+      runs: Point[][] = [[vertices[0]]];
+    for (let i = 1; i < length; i++) {
+      runs[runs.length - 1].push(vertices[i]);
+      if (
+        i < length - 1 &&
+        dot(
+          normalize(vertices[i].subtract(vertices[i - 1])),
+          normalize(vertices[i + 1].subtract(vertices[i]))
+        ) < cos
+      ) {
+        runs.push([vertices[i]]);
+      }
+    }
+    runs.forEach((run, index) => {
+      const commands = fit
+        ? fitCurve(run, tolerance)
+        : simplifyPoints(run, tolerance).map(
+            ({ x, y }, i): TSimplePathData[number] => [i ? 'L' : 'M', x, y]
+          );
+      pathData.push(...(index === 0 ? commands : commands.slice(1)));
+    });
+    closed && pathData.push(['Z']);
+  });
+  return pathData;
+};
@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by unit tests
+ *
+ * - getPathArea(path) -> Number: area of a path made of M, L and Z commands
+ * - dragObject(target, x, y[, e]) -> Transform: drags `target` on its canvas to x, y
+ *
+ **/
+(function(exports) {
+  // signed areas of contours sum up to the area of the path since holes are reversed
+  function getPathArea(path) {
+    var area = 0, start, prev;
+    path.forEach(function(command) {
+      if (command[0] === 'M') {
+        start = prev = { x: command[1], y: command[2] };
+      }
+      else if (command[0] === 'L') {
+        area += prev.x * command[2] - command[1] * prev.y;
+        prev = { x: command[1], y: command[2] };
+      }
+      else if (command[0] === 'Z') {
+        area += prev.x * start.y - start.x * prev.y;
+      }
+    });
+    return Math.abs(area / 2);
+  }
+
+  function dragObject(target, x, y, e) {
+    var transform = {
+      target: target,
+      action: 'drag',
+      actionHandler: fabric.controlsUtils.dragHandler,
+      offsetX: 0,
+      offsetY: 0,
+      originX: 'left',
+      originY: 'top'
+    };
+    target.canvas._performTransformAction(e || {}, transform, new fabric.Point(x, y));
+    return transform;
+  }
+
+  exports.getPathArea = getPathArea;
+  exports.dragObject = dragObject;
+})(typeof window === 'undefined' ? exports : this);
@@ -36,6 +36,8 @@ global.getFixture = require('./lib/visualTestLoop').getFixture;
 global.getAsset = require('./lib/visualTestLoop').getAsset;
 global.getAssetName = require('./lib/visualTestLoop').getAssetName;
 global.simulateEvent = require('./lib/event.simulate').simulateEvent;
+global.getPathArea = require('./lib/testUtils').getPathArea;
+global.dragObject = require('./lib/testUtils').dragObject;
 
 QUnit.config.testTimeout = 15000;
 QUnit.config.noglobals = true;
@@ -11,6 +11,7 @@ module.exports = {
   serve_files: [
     ...config.serve_files,
     'test/lib/event.simulate.js',
+    'test/lib/testUtils.js',
     ...(process.env.TEST_FILES ? process.env.TEST_FILES.split(',') : ['test/unit/*.js'])
   ],
   launchers: {
@@ -151,4 +151,154 @@
       });
     });
   });
+
+  QUnit.module('fabric.PenBrush', function(hooks) {
+    var e = { target: canvas.upperCanvasEl };
+    function click(brush, x, y, dragX, dragY) {
+      brush.onMouseDown(new fabric.Point(x, y), { e });
+      if (dragX !== undefined) {
+        brush.onMouseMove(new fabric.Point(dragX, dragY), { e });
+      }
+      return brush.onMouseUp({ e });
+    }
+    hooks.beforeEach(function() {
+      canvas.clear();
+    });
+    hooks.afterEach(function() {
+      canvas.off();
+      canvas.cancelRequestedRender();
+    });
+
+    QUnit.test('draws lines and curves', function(assert) {
+      var brush = new fabric.PenBrush(canvas), created = [];
+      canvas.on('before:path:created', function(opt) {
+        created.push(['before', opt.path]);
+      });
+      canvas.on('path:created', function(opt) {
+        created.push(['after', opt.path]);
+      });
+      assert.ok(click(brush, 10, 10), 'keeps drawing');
+      assert.ok(click(brush, 50, 10, 50, 30));
+      assert.ok(click(brush, 90, 10));
+      assert.equal(brush._anchors.length, 3);
+      assert.notOk(click(brush, 91, 11), 'clicking the last anchor ends the path');
+      assert.equal(created.length, 2);
+      var path = created[1][1];
+      assert.equal(created[0][1], path);
+      assert.ok(path instanceof fabric.Path);
+      assert.equal(canvas.getObjects()[0], path, 'path is added');
+      assert.deepEqual(path.path, [['M', 10, 10], ['C', 10, 10, 50, -10, 50, 10], ['C', 50, 30, 90, 10, 90, 10]], 'handles are mirrored');
+      assert.deepEqual(brush._anchors, [], 'brush is reset');
+    });
+
+    QUnit.test('closes the path', function(assert) {
+      var brush = new fabric.PenBrush(canvas), created;
+      canvas.on('path:created', function(opt) {
+        created = opt.path;
+      });
+      click(brush, 10, 10);
+      click(brush, 50, 10);
+      click(brush, 50, 50);
+      assert.notOk(click(brush, 12, 12), 'clicking the first anchor closes the path');
+      assert.deepEqual(created.path, [['M', 10, 10], ['L', 50, 10], ['L', 50, 50], ['L', 10, 10], ['Z']]);
+      click(brush, 10, 10);
+      click(brush, 50, 10);
+      click(brush, 50, 50);
+      click(brush, 10, 10, 10, 20);
+      assert.deepEqual(created.path[3], ['C', 50, 50, 10, 20, 10, 10], 'dragging pulls the handles of the first anchor');
+      assert.deepEqual(created.path[1], ['C', 10, 0, 50, 10, 50, 10]);
+    });
+
+    QUnit.test('keyboard', function(assert) {
+      var brush = new fabric.PenBrush(canvas), created = 0;
+      canvas.on('path:created', function() {
+        created++;
+      });
+      click(brush, 10, 10);
+      click(brush, 50, 10);
+      brush.onKeyDown({ key: 'Escape' });
+      assert.deepEqual(brush._anchors, [], 'escape cancels the path');
+      assert.equal(created, 0);
+      assert.notOk(brush.onMouseUp({ e }), 'stops drawing');
+      click(brush, 10, 10);
+      click(brush, 50, 10);
+      brush.onKeyDown({ key: 'Enter' });
+      assert.equal(created, 1, 'enter ends the path');
+      assert.equal(canvas.getObjects().length, 1);
+      click(brush, 10, 10);
+      brush.onKeyDown({ key: 'Enter' });
+      assert.equal(created, 1, 'a single anchor is discarded');
+    });
+  });
+
+  QUnit.module('fabric.VariableWidthBrush', function(hooks) {
+    function pointerEvent(options) {
+      return Object.assign({ target: canvas.upperCanvasEl, pointerType: 'pen' }, options);
+    }
+    hooks.beforeEach(function() {
+      canvas.clear();
+    });
+    hooks.afterEach(function() {
+      canvas.off();
+      canvas.cancelRequestedRender();
+    });
+
+    QUnit.test('width varies with pressure and velocity', function(assert) {
+      var brush = new fabric.VariableWidthBrush(canvas);
+      brush.width = 10;
+      brush.smoothing = 0;
+      brush.onMouseDown(new fabric.Point(10, 10), { e: pointerEvent({ pressure: 0.5, timeStamp: 100 }) });
+      brush.onMouseMove(new fabric.Point(10, 10.1), { e: pointerEvent({ pressure: 0.5, timeStamp: 110 }) });
+      assert.equal(brush._points.length, 1, 'close points are discarded');
+      brush.onMouseMove(new fabric.Point(20, 10), { e: pointerEvent({ pressure: 1, timeStamp: 1100 }) });
+      brush.onMouseMove(new fabric.Point(120, 10), { e: pointerEvent({ pressure: 1, timeStamp: 1110 }) });
+      assert.equal(brush._widths[0], 10, 'width at the default pressure');
+      assert.equal(brush._widths[1], 20 / 1.003, 'pressing harder widens the stroke');
+      assert.equal(brush._widths[2], 20 / 4, 'moving faster thins the stroke');
+      brush.onMouseMove(new fabric.Point(200, 10), { e: pointerEvent({ pressure: 0, pointerType: 'mouse', timeStamp: 2110 }) });
+      assert.ok(Math.abs(brush._widths[3] - 10 / 1.024) < 1e-9, 'mouse pressure is ignored');
+      brush.smoothing = 0.5;
+      brush.minWidth = 3;
+      brush.onMouseMove(new fabric.Point(300, 10), { e: pointerEvent({ pressure: 0.01, timeStamp: 2111 }) });
+      assert.ok(Math.abs(brush._widths[4] - (brush._widths[3] + 3) / 2) < 1e-9, 'minimum width and smoothing');
+    });
+
+    QUnit.test('creates a filled outline', function(assert) {
+      var brush = new fabric.VariableWidthBrush(canvas), created;
+      canvas.on('path:created', function(opt) {
+        created = opt.path;
+      });
+      brush.width = 10;
+      brush.color = 'red';
+      brush.velocitySensitivity = 0;
+      brush.onMouseDown(new fabric.Point(10, 10), { e: pointerEvent() });
+      brush.onMouseMove(new fabric.Point(60, 10), { e: pointerEvent() });
+      brush.onMouseMove(new fabric.Point(110, 10), { e: pointerEvent() });
+      assert.notOk(brush.onMouseUp({ e: pointerEvent() }));
+      assert.ok(created instanceof fabric.Path);
+      assert.equal(canvas.getObjects()[0], created, 'added to the canvas');
+      assert.equal(created.fill, 'red', 'filled with the color');
+      assert.equal(created.stroke, null);
+      assert.equal(created.path[created.path.length - 1][0], 'Z', 'closed outline');
+      var bbox = created.getBoundingRect();
+      assert.equal(Math.round(bbox.left), 5, 'rounded start');
+      assert.equal(Math.round(bbox.left + bbox.width), 115, 'rounded end');
+      assert.equal(Math.round(bbox.height), 10, 'width of the stroke');
+      assert.deepEqual(brush._points, [], 'brush is reset');
+    });
+
+    QUnit.test('dot', function(assert) {
+      var brush = new fabric.VariableWidthBrush(canvas), created;
+      canvas.on('path:created', function(opt) {
+        created = opt.path;
+      });
+      brush.width = 10;
+      brush.onMouseDown(new fabric.Point(50, 50), { e: pointerEvent() });
+      brush.onMouseUp({ e: pointerEvent() });
+      var bbox = created.getBoundingRect();
+      assert.equal(Math.round(bbox.width), 10);
+      assert.equal(Math.round(bbox.height), 10);
+      assert.deepEqual(created.getCenterPoint(), new fabric.Point(50, 50));
+    });
+  });
 })();
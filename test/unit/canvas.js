@@ -656,6 +656,75 @@
     assert.equal(onSelectRect2CallCount, 1, 'rect2 onSelect was called');
   });
 
+  // lassos start below the objects to stay away from the controls of the active object
+  function dragLasso(canvas, points, options = {}) {
+    var events = points.map(function(point) {
+      return { clientX: point[0], clientY: point[1], which: 1, target: canvas.upperCanvasEl, ...options };
+    });
+    canvas.__onMouseDown(events[0]);
+    events.slice(1).forEach(function(e) {
+      canvas.__onMouseMove(e);
+    });
+    canvas.__onMouseUp(events[events.length - 1]);
+  }
+
+  QUnit.test('lasso selection', function(assert) {
+    var rect1 = makeRect({ left: 0, top: 0 }),
+        rect2 = makeRect({ left: 20, top: 0 }),
+        rect3 = makeRect({ left: 40, top: 0 });
+    canvas.add(rect1, rect2, rect3);
+    assert.equal(canvas.selectionMode, 'rect', 'rect by default');
+    canvas.selectionMode = 'lasso';
+    canvas.__onMouseDown({ clientX: 5, clientY: 30, which: 1, target: canvas.upperCanvasEl });
+    assert.deepEqual(canvas._groupSelector.points, [new fabric.Point(5, 30)], 'lasso started');
+    canvas.__onMouseMove({ clientX: 5, clientY: 5, which: 1, target: canvas.upperCanvasEl });
+    assert.deepEqual(canvas._groupSelector.points.length, 2, 'lasso point added');
+    canvas.__onMouseUp({ clientX: 5, clientY: 5, which: 1, target: canvas.upperCanvasEl });
+    assert.equal(canvas._groupSelector, null, 'lasso ended');
+    assert.equal(canvas.getActiveObject(), undefined, 'a segment selects nothing');
+    // U shaped lasso whose notch excludes rect2
+    dragLasso(canvas, [[-5, 30], [-5, -5], [15, -5], [15, 8], [35, 8], [35, -5], [55, -5], [55, 30]]);
+    assert.deepEqual(canvas.getActiveObjects(), [rect1, rect2, rect3], 'intersecting objects are selected');
+    canvas.selectionFullyContained = true;
+    dragLasso(canvas, [[-5, 30], [-5, -5], [15, -5], [15, 8], [35, 8], [35, -5], [55, -5], [55, 30]]);
+    assert.deepEqual(canvas.getActiveObjects(), [rect1, rect3], 'contained objects are selected');
+    dragLasso(canvas, [[-5, 30], [-5, -5], [15, -5], [15, 30]]);
+    assert.equal(canvas.getActiveObject(), rect1, 'single object is selected');
+    rect1.selectable = false;
+    dragLasso(canvas, [[-5, 30], [-5, -5], [15, -5], [15, 30]]);
+    assert.equal(canvas.getActiveObject(), undefined, 'not selectable objects are skipped');
+  });
+
+  QUnit.test('lasso selection with modifier keys', function(assert) {
+    var rect1 = makeRect({ left: 0, top: 0 }),
+        rect2 = makeRect({ left: 20, top: 0 }),
+        rect3 = makeRect({ left: 40, top: 0 }),
+        created = 0, updated = [];
+    canvas.add(rect1, rect2, rect3);
+    canvas.selectionMode = 'lasso';
+    canvas.on('selection:created', function() { created++; });
+    canvas.on('selection:updated', function(opt) { updated.push(opt); });
+    canvas.setActiveObject(rect1);
+    dragLasso(canvas, [[15, 30], [15, -5], [35, -5], [35, 30]], { shiftKey: true });
+    assert.deepEqual(canvas.getActiveObjects(), [rect1, rect2], 'selectionKey adds to the selection');
+    assert.ok(canvas.getActiveObject() === canvas.getActiveSelection());
+    dragLasso(canvas, [[35, 30], [35, -5], [55, -5], [55, 30]], { shiftKey: true });
+    assert.deepEqual(canvas.getActiveObjects(), [rect1, rect2, rect3], 'selectionKey adds to the selection');
+    assert.deepEqual(updated[updated.length - 1].selected, [rect3], 'selection:updated fired');
+    dragLasso(canvas, [[-5, 30], [-5, -5], [15, -5], [15, 30]], { altKey: true });
+    assert.deepEqual(canvas.getActiveObjects(), [rect2, rect3], 'selectionSubtractKey removes from the selection');
+    assert.deepEqual(updated[updated.length - 1].deselected, [rect1], 'selection:updated fired');
+    dragLasso(canvas, [[15, 30], [15, -5], [35, -5], [35, 30]], { altKey: true });
+    assert.equal(canvas.getActiveObject(), rect3, 'last object is selected');
+    dragLasso(canvas, [[35, 30], [35, -5], [55, -5], [55, 30]], { altKey: true });
+    assert.equal(canvas.getActiveObject(), undefined, 'selection is cleared');
+    assert.equal(created, 1, 'selection:created fired once');
+    canvas.selectionSubtractKey = null;
+    canvas.setActiveObject(rect1);
+    dragLasso(canvas, [[15, 30], [15, -5], [35, -5], [35, 30]], { altKey: true });
+    assert.equal(canvas.getActiveObject(), rect2, 'selection is replaced');
+  });
+
   QUnit.test('handleMultiSelection return false if onSelect return true', function(assert) {
     var rect = new fabric.Rect();
     var rect2 = new fabric.Rect();
@@ -0,0 +1,210 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, ...options });
+  }
+
+  function getIds(canvas) {
+    return canvas.getObjects().map(function(object) { return object.id; });
+  }
+
+  var canvasA, canvasB, channel;
+
+  QUnit.module('fabric.CollaborationManager', {
+    beforeEach: function() {
+      canvasA = new fabric.Canvas(null, { renderOnAddRemove: false });
+      canvasB = new fabric.Canvas(null, { renderOnAddRemove: false });
+      channel = new fabric.InMemoryChannel();
+      canvasA.collaborationManager.connect(channel.createTransport());
+      canvasB.collaborationManager.connect(channel.createTransport());
+    },
+    afterEach: function() {
+      canvasA.dispose();
+      canvasB.dispose();
+    }
+  });
+
+  QUnit.test('not connected by default', function(assert) {
+    var canvas = new fabric.Canvas(null, { renderOnAddRemove: false });
+    assert.notOk(canvas.collaborationManager.isConnected());
+    var rect = makeRect();
+    canvas.add(rect);
+    rect.set('fill', 'red');
+    assert.notOk(rect.id, 'objects are not tracked');
+    canvas.dispose();
+  });
+
+  QUnit.test('add, remove and set', function(assert) {
+    var done = assert.async();
+    var rect = makeRect({ fill: 'red' }), rect2 = makeRect();
+    canvasA.add(rect, rect2);
+    assert.ok(rect.id, 'id assigned');
+    channel.flush().then(function() {
+      assert.deepEqual(getIds(canvasB), [rect.id, rect2.id], 'objects added');
+      rect.set({ fill: 'blue', left: 20 });
+      assert.equal(channel.size(), 1, 'a set call is a single operation');
+      canvasA.remove(rect2);
+      return channel.flush();
+    }).then(function() {
+      var remote = canvasB.item(0);
+      assert.equal(remote.fill, 'blue', 'fill synced');
+      assert.equal(remote.left, 20, 'left synced');
+      assert.deepEqual(getIds(canvasB), [rect.id], 'object removed');
+      assert.equal(channel.size(), 0, 'remote changes are not streamed back');
+      done();
+    });
+  });
+
+  QUnit.test('stack order', function(assert) {
+    var done = assert.async();
+    var rect1 = makeRect(), rect2 = makeRect(), rect3 = makeRect();
+    canvasA.add(rect1, rect2, rect3);
+    canvasA.moveObjectTo(rect3, 0);
+    channel.flush().then(function() {
+      assert.deepEqual(getIds(canvasB), getIds(canvasA), 'order synced');
+      canvasA.bringObjectToFront(rect3);
+      return channel.flush();
+    }).then(function() {
+      assert.deepEqual(getIds(canvasB), getIds(canvasA), 'order synced');
+      done();
+    });
+  });
+
+  QUnit.test('last writer wins', function(assert) {
+    var done = assert.async();
+    canvasA.add(makeRect({ id: 'rect', fill: 'red' }));
+    channel.flush().then(function() {
+      var rectA = canvasA.item(0), rectB = canvasB.item(0);
+      rectA.set('fill', 'green');
+      rectB.set({ fill: 'blue', top: 30 });
+      rectB.set('fill', 'yellow');
+      return channel.flush().then(function() {
+        assert.equal(rectA.fill, rectB.fill, 'fill converged');
+        assert.equal(rectA.fill, 'yellow', 'latest change won');
+        assert.equal(rectA.top, 30, 'concurrent changes of other properties are kept');
+        done();
+      });
+    });
+  });
+
+  QUnit.test('remove wins over concurrent changes', function(assert) {
+    var done = assert.async();
+    canvasA.add(makeRect({ id: 'rect' }));
+    channel.flush().then(function() {
+      canvasA.remove(canvasA.item(0));
+      canvasB.item(0).set('fill', 'blue');
+      return channel.flush();
+    }).then(function() {
+      assert.equal(canvasA.size(), 0);
+      assert.equal(canvasB.size(), 0);
+      done();
+    });
+  });
+
+  QUnit.test('text is merged per character', function(assert) {
+    var done = assert.async();
+    canvasA.add(new fabric.IText('abc', { id: 'text' }));
+    channel.flush().then(function() {
+      var textA = canvasA.item(0), textB = canvasB.item(0);
+      textA.insertChars('XY', undefined, 1);
+      canvasA.fire('text:changed', { target: textA });
+      textB.removeChars(2);
+      canvasB.fire('text:changed', { target: textB });
+      textB.insertChars('Z', undefined, 1);
+      canvasB.fire('text:changed', { target: textB });
+      return channel.flush().then(function() {
+        assert.equal(textA.text, textB.text, 'text converged');
+        assert.equal(textA.text, 'aZXYb', 'all edits kept');
+        textB.set('text', 'reset');
+        return channel.flush();
+      }).then(function() {
+        assert.equal(textA.text, 'reset', 'set text is streamed as text operations');
+        done();
+      });
+    });
+  });
+
+  QUnit.test('remote changes are not recorded in history', function(assert) {
+    var done = assert.async();
+    canvasB.enableHistory = true;
+    canvasA.add(makeRect());
+    channel.flush().then(function() {
+      assert.notOk(canvasB.historyManager.canUndo());
+      done();
+    });
+  });
+
+  QUnit.test('undo is streamed', function(assert) {
+    var done = assert.async();
+    canvasA.enableHistory = true;
+    var rect = makeRect();
+    canvasA.add(rect);
+    canvasA.remove(rect);
+    canvasA.undo();
+    channel.flush().then(function() {
+      assert.deepEqual(getIds(canvasB), [rect.id], 'object added back');
+      done();
+    });
+  });
+
+  QUnit.test('active selection transform', function(assert) {
+    var done = assert.async();
+    var rect1 = makeRect({ left: 0, top: 0 }), rect2 = makeRect({ left: 20, top: 0 });
+    canvasA.add(rect1, rect2);
+    var activeSelection = canvasA.getActiveSelection();
+    activeSelection.add(rect1, rect2);
+    canvasA.setActiveObject(activeSelection);
+    channel.flush().then(function() {
+      assert.equal(channel.size(), 0, 'entering the selection is not streamed');
+      var transform = { target: activeSelection, action: 'drag', actionPerformed: true };
+      canvasA._currentTransform = transform;
+      activeSelection.set({ left: activeSelection.left + 100 });
+      canvasA._finalizeCurrentTransform({});
+      canvasA._currentTransform = null;
+      return channel.flush();
+    }).then(function() {
+      assert.equal(Math.round(canvasB.item(0).left), 100, 'canvas plane position streamed');
+      assert.equal(Math.round(canvasB.item(1).left), 120, 'canvas plane position streamed');
+      canvasA.discardActiveObject();
+      assert.equal(channel.size(), 0, 'exiting the selection is not streamed');
+      done();
+    });
+  });
+
+  QUnit.test('events', function(assert) {
+    var done = assert.async();
+    var sent = [], received = [];
+    canvasA.on('collaboration:sent', function(opt) { sent.push(opt.operation.type); });
+    canvasB.on('collaboration:received', function(opt) { received.push(opt.operation.type); });
+    var rect = makeRect();
+    canvasA.add(rect);
+    rect.set('fill', 'red');
+    channel.flush().then(function() {
+      assert.deepEqual(sent, ['add', 'set']);
+      assert.deepEqual(received, ['add', 'set']);
+      done();
+    });
+  });
+
+  QUnit.test('a failed operation does not block the following ones', function(assert) {
+    var done = assert.async();
+    var errors = [];
+    canvasB.on('collaboration:error', function(opt) { errors.push(opt.operation.id); });
+    var manager = canvasB.collaborationManager;
+    var bad = manager.receive({
+      type: 'add', id: 'bad', index: 0, object: { type: 'unknown' }, site: 'peer', clock: 1
+    });
+    var good = manager.receive({
+      type: 'add', id: 'good', index: 0, object: makeRect().toObject(), site: 'peer', clock: 2
+    });
+    bad.then(function() {
+      assert.ok(false, 'bad operation should reject');
+    }, function() {
+      assert.ok(true, 'bad operation rejects');
+      return good;
+    }).then(function() {
+      assert.deepEqual(errors, ['bad'], 'error fired for the failed operation');
+      assert.deepEqual(getIds(canvasB), ['good'], 'following operation applied');
+      done();
+    });
+  });
+})();
@@ -0,0 +1,195 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, strokeWidth: 0, ...options });
+  }
+
+  var canvas = new fabric.Canvas(null, { renderOnAddRemove: false, width: 400, height: 200 });
+
+  QUnit.module('fabric.Grid', {
+    beforeEach: function() {
+      canvas.grid = new fabric.Grid({ snapToGrid: true });
+    },
+    afterEach: function() {
+      canvas.clear();
+      canvas.setViewportTransform(fabric.iMatrix.concat());
+      canvas.isDrawingMode = false;
+      delete canvas.grid;
+    }
+  });
+
+  QUnit.test('constructor', function(assert) {
+    var grid = new fabric.Grid();
+    assert.equal(grid.unit, 'px');
+    assert.equal(grid.size, 10);
+    assert.equal(grid.snapToGrid, false, 'snapping is opt in');
+    assert.equal(grid.showRulers, false);
+    grid = new fabric.Grid({ unit: 'mm', size: 5 });
+    assert.equal(grid.unit, 'mm');
+    assert.equal(grid.size, 5);
+  });
+
+  QUnit.test('units', function(assert) {
+    var grid = new fabric.Grid({ unit: 'in', size: 0.5 });
+    assert.equal(grid.getUnitSize(), fabric.config.DPI, 'an inch is config.DPI pixels');
+    assert.equal(grid.getStep(), fabric.config.DPI / 2);
+    grid.unit = 'mm';
+    assert.equal(grid.getUnitSize(), fabric.config.DPI / 25.4);
+    grid.unit = 'px';
+    assert.equal(grid.getUnitSize(), 1);
+  });
+
+  QUnit.test('snapValue and snapPoint', function(assert) {
+    var grid = new fabric.Grid({ size: 10 });
+    assert.equal(grid.snapValue(14), 10);
+    assert.equal(grid.snapValue(16), 20);
+    assert.equal(grid.snapValue(-6), -10);
+    var point = grid.snapPoint({ x: 3, y: 27 });
+    assert.ok(point instanceof fabric.Point);
+    assert.deepEqual(point, new fabric.Point(0, 30));
+    grid.size = 0;
+    assert.equal(grid.snapValue(14), 14, 'empty grid does not snap');
+  });
+
+  QUnit.test('getSpacing adapts to zoom', function(assert) {
+    var grid = new fabric.Grid({ size: 10, majorEvery: 5, minSpacing: 8 });
+    assert.equal(grid.getSpacing(1), 10);
+    assert.equal(grid.getSpacing(4), 10);
+    assert.equal(grid.getSpacing(0.5), 50, 'lines are too dense');
+    assert.equal(grid.getSpacing(0.1), 250, 'lines are too dense');
+  });
+
+  QUnit.test('getSpacing of an empty grid', function(assert) {
+    var grid = new fabric.Grid({ size: 0 });
+    assert.equal(grid.getSpacing(1), 0, 'empty grid');
+    grid.size = -10;
+    assert.equal(grid.getSpacing(1), -10, 'negative size');
+    grid.size = 10;
+    assert.equal(grid.getSpacing(0), 10, 'zero zoom');
+    canvas.calcViewportBoundaries();
+    grid.size = 0;
+    assert.deepEqual(grid.getLines(canvas, 'x'), [], 'no lines');
+  });
+
+  QUnit.test('getLines respects the viewport', function(assert) {
+    var grid = new fabric.Grid({ size: 50, majorEvery: 2 });
+    canvas.calcViewportBoundaries();
+    var lines = grid.getLines(canvas, 'x');
+    assert.deepEqual(lines.map(function(line) { return line.value; }), [0, 50, 100, 150, 200, 250, 300, 350, 400]);
+    assert.deepEqual(lines.map(function(line) { return line.major; }), [true, false, true, false, true, false, true, false, true]);
+    canvas.setViewportTransform([2, 0, 0, 2, -30, 0]);
+    lines = grid.getLines(canvas, 'x');
+    assert.equal(lines[0].value, 50, 'first visible line');
+    assert.equal(lines[0].position, 70, 'position in the screen plane');
+    assert.equal(lines[lines.length - 1].value, 200, 'last visible line');
+  });
+
+  QUnit.test('rendered by the canvas', function(assert) {
+    var grid = canvas.grid, calls = [];
+    grid.render = function(ctx, target) {
+      assert.equal(target, canvas);
+      calls.push('lines');
+    };
+    grid.renderRulers = function() {
+      calls.push('rulers');
+    };
+    canvas.add(makeRect({
+      render: function() {
+        calls.push('object');
+      }
+    }));
+    canvas.renderAll();
+    assert.deepEqual(calls, ['lines', 'object', 'rulers'], 'lines are rendered below objects and rulers above them');
+    calls = [];
+    canvas.toCanvasElement();
+    assert.deepEqual(calls, ['object'], 'grid is excluded from export');
+    assert.equal(canvas.grid, grid, 'grid is restored');
+    grid.excludeFromExport = false;
+    calls = [];
+    canvas.toCanvasElement();
+    assert.deepEqual(calls, ['lines', 'object', 'rulers'], 'grid is exported');
+  });
+
+  QUnit.test('render', function(assert) {
+    var grid = canvas.grid;
+    grid.showRulers = true;
+    canvas.setZoom(0.01);
+    canvas.renderAll();
+    canvas.setZoom(3);
+    canvas.renderAll();
+    assert.ok(true, 'rendered lines and rulers');
+  });
+
+  QUnit.test('drag snaps to the grid', function(assert) {
+    var target = makeRect({ width: 15, left: 100, top: 100 });
+    canvas.add(makeRect(), target);
+    assert.equal(canvas.enableSnapping, false, 'object snapping is disabled');
+    dragObject(target, 31, 48);
+    assert.equal(target.left, 30, 'left edge snapped');
+    assert.equal(target.top, 50, 'top edge snapped');
+    dragObject(target, 37, 61);
+    assert.equal(target.left, 35, 'right edge snapped');
+    assert.equal(target.top, 60);
+    assert.notOk(canvas.snappingManager.hasGuides(), 'grid has no guides');
+    dragObject(target, 13, 61, { ctrlKey: true });
+    assert.equal(target.left, 13, 'bypassed');
+    canvas.grid.snapToGrid = false;
+    dragObject(target, 33, 48);
+    assert.equal(target.left, 33, 'disabled');
+  });
+
+  QUnit.test('scale snaps to the grid', function(assert) {
+    var target = makeRect({ width: 100, height: 100 });
+    canvas.add(target);
+    target.__corner = 'mr';
+    canvas._setupCurrentTransform({ clientX: 100, clientY: 50, target: canvas.upperCanvasEl }, target, true);
+    var transform = canvas._currentTransform;
+    canvas._currentTransform = null;
+    canvas._performTransformAction({}, transform, new fabric.Point(147, 50));
+    assert.equal(Math.round(target.scaleX * 1000) / 1000, 1.5, 'right edge snapped');
+    assert.equal(target.left, 0, 'anchor is preserved');
+  });
+
+  QUnit.test('rotation does not snap to the grid', function(assert) {
+    var target = makeRect({ width: 100, height: 100 });
+    canvas.add(target);
+    target.__corner = 'mtr';
+    canvas._setupCurrentTransform({ clientX: 50, clientY: 0, target: canvas.upperCanvasEl }, target, true);
+    var transform = canvas._currentTransform, radians = fabric.util.degreesToRadians(44 - 90);
+    canvas._currentTransform = null;
+    canvas._performTransformAction({}, transform, new fabric.Point(50 + 100 * Math.cos(radians), 50 + 100 * Math.sin(radians)));
+    assert.equal(Math.round(target.angle), 44);
+  });
+
+  QUnit.test('polyline points snap to the grid', function(assert) {
+    var polyline = new fabric.Polyline([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }], { strokeWidth: 0 });
+    polyline.controls = fabric.controlsUtils.createPolyControls(polyline);
+    canvas.add(polyline);
+    polyline.controls.p1.actionHandler({}, { target: polyline, corner: 'p1' }, 73, 8);
+    var point = new fabric.Point(polyline.points[1])
+      .subtract(polyline.pathOffset)
+      .transform(polyline.calcTransformMatrix());
+    assert.equal(Math.round(point.x), 70, 'snapped');
+    assert.equal(Math.round(point.y), 10, 'snapped');
+    polyline.controls.p1.actionHandler({ ctrlKey: true }, { target: polyline, corner: 'p1' }, 73, 8);
+    point = new fabric.Point(polyline.points[1])
+      .subtract(polyline.pathOffset)
+      .transform(polyline.calcTransformMatrix());
+    assert.equal(Math.round(point.x), 73, 'bypassed');
+  });
+
+  QUnit.test('brush input snaps to the grid', function(assert) {
+    var points = [];
+    canvas.isDrawingMode = true;
+    canvas.freeDrawingBrush = new fabric.PencilBrush(canvas);
+    canvas.freeDrawingBrush.onMouseDown = function(pointer) {
+      points.push(pointer);
+    };
+    canvas.freeDrawingBrush.onMouseMove = function(pointer) {
+      points.push(pointer);
+    };
+    canvas._onMouseDownInDrawingMode({ clientX: 13, clientY: 17, target: canvas.upperCanvasEl });
+    canvas._onMouseMoveInDrawingMode({ clientX: 26, clientY: 44, target: canvas.upperCanvasEl });
+    assert.deepEqual(points, [new fabric.Point(10, 20), new fabric.Point(30, 40)]);
+    canvas._isCurrentlyDrawing = false;
+  });
+})();
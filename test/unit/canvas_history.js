@@ -0,0 +1,287 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, ...options });
+  }
+
+  var canvas = new fabric.Canvas(null, { enableHistory: true, renderOnAddRemove: false });
+
+  QUnit.module('fabric.HistoryManager', {
+    afterEach: function() {
+      canvas.clear();
+      canvas.historyManager.limit = 100;
+      canvas.enableHistory = true;
+    }
+  });
+
+  QUnit.test('disabled by default', function(assert) {
+    var otherCanvas = new fabric.Canvas(null, { renderOnAddRemove: false });
+    assert.equal(otherCanvas.enableHistory, false, 'history is opt in');
+    otherCanvas.add(makeRect());
+    assert.notOk(otherCanvas.historyManager.canUndo(), 'nothing recorded');
+    assert.notOk(otherCanvas.undo(), 'nothing to undo');
+    otherCanvas.dispose();
+  });
+
+  QUnit.test('set is not wrapped when nothing is recorded nor streamed', function(assert) {
+    var rect = makeRect(), manager = canvas.historyManager, transaction = manager.transaction, calls = 0;
+    canvas.add(rect);
+    manager.transaction = function() {
+      calls++;
+      return transaction.apply(this, arguments);
+    };
+    canvas.enableHistory = false;
+    rect.set('fill', 'red');
+    var disabledCalls = calls;
+    canvas.enableHistory = true;
+    rect.set('fill', 'blue');
+    delete manager.transaction;
+    assert.equal(disabledCalls, 0, 'no transaction');
+    assert.equal(calls, 1, 'grouped in a transaction');
+    assert.equal(rect.fill, 'blue');
+  });
+
+  QUnit.test('add and remove', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect(), rect3 = makeRect();
+    canvas.add(rect1, rect2, rect3);
+    canvas.remove(rect2);
+    assert.deepEqual(canvas.getObjects(), [rect1, rect3]);
+    assert.ok(canvas.undo(), 'undo happened');
+    assert.deepEqual(canvas.getObjects(), [rect1, rect2, rect3], 'rect2 restored at its index');
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'adding many objects is a single step');
+    assert.ok(canvas.historyManager.canRedo());
+    canvas.redo();
+    assert.deepEqual(canvas.getObjects(), [rect1, rect2, rect3], 'adds redone');
+    canvas.redo();
+    assert.deepEqual(canvas.getObjects(), [rect1, rect3], 'remove redone');
+    assert.notOk(canvas.redo(), 'nothing left to redo');
+    canvas.remove(rect1, rect3);
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [rect1, rect3], 'removing many objects is a single step');
+  });
+
+  QUnit.test('removing an object that was not tracked', function(assert) {
+    var rect = makeRect();
+    canvas.historyManager.clear();
+    canvas._objects.push(rect);
+    canvas.remove(rect);
+    assert.notOk(canvas.historyManager.canUndo(), 'not recorded');
+    assert.deepEqual(canvas.getObjects(), [], 'removed');
+  });
+
+  QUnit.test('stack order', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect(), rect3 = makeRect();
+    canvas.add(rect1, rect2, rect3);
+    canvas.bringObjectToFront(rect1);
+    assert.deepEqual(canvas.getObjects(), [rect2, rect3, rect1]);
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [rect1, rect2, rect3], 'stack order restored');
+    canvas.redo();
+    assert.deepEqual(canvas.getObjects(), [rect2, rect3, rect1], 'stack order redone');
+  });
+
+  QUnit.test('property changes', function(assert) {
+    var rect = makeRect({ fill: 'red', left: 0 });
+    canvas.add(rect);
+    rect.set({ fill: 'blue', left: 20 });
+    rect.set('dirty', true);
+    rect.set('fill', 'green');
+    canvas.undo();
+    assert.equal(rect.fill, 'blue', 'last set undone');
+    assert.equal(rect.left, 20, 'previous set is untouched');
+    canvas.undo();
+    assert.equal(rect.fill, 'red', 'a single set call is a single step');
+    assert.equal(rect.left, 0, 'a single set call is a single step');
+    canvas.redo();
+    assert.equal(rect.fill, 'blue');
+    assert.equal(rect.left, 20);
+  });
+
+  QUnit.test('transaction', function(assert) {
+    var rect = makeRect({ fill: 'red' }), rect2 = makeRect();
+    canvas.add(rect);
+    var returned = canvas.historyManager.transaction(function() {
+      rect.set('fill', 'blue');
+      rect.set('fill', 'yellow');
+      canvas.add(rect2);
+      return 'done';
+    });
+    assert.equal(returned, 'done', 'should return the callback result');
+    canvas.undo();
+    assert.equal(rect.fill, 'red', 'fill restored');
+    assert.deepEqual(canvas.getObjects(), [rect], 'add undone');
+    canvas.redo();
+    assert.equal(rect.fill, 'yellow', 'fill merged');
+    assert.deepEqual(canvas.getObjects(), [rect, rect2], 'add redone');
+  });
+
+  QUnit.test('amend', function(assert) {
+    var rect = makeRect({ fill: 'red' });
+    canvas.add(rect);
+    var returned = canvas.historyManager.amend(function() {
+      rect.set('fill', 'blue');
+      return 'done';
+    });
+    assert.equal(returned, 'done', 'should return the callback result');
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'merged with the last step');
+    assert.notOk(canvas.historyManager.canUndo());
+    canvas.redo();
+    assert.equal(rect.fill, 'blue', 'redone at once');
+    var recorded = 0, onRecorded = function() {
+      recorded++;
+    };
+    canvas.on('history:recorded', onRecorded);
+    canvas.historyManager.amend(function() {});
+    canvas.off('history:recorded', onRecorded);
+    assert.equal(recorded, 0, 'nothing recorded');
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'the last step is kept');
+  });
+
+  QUnit.test('pause', function(assert) {
+    canvas.historyManager.pause(function() {
+      canvas.add(makeRect());
+    });
+    assert.notOk(canvas.historyManager.canUndo(), 'nothing recorded');
+  });
+
+  QUnit.test('transform is recorded when finalized', function(assert) {
+    var rect = makeRect({ left: 0, top: 0 });
+    canvas.add(rect);
+    var transform = { target: rect, action: 'drag', actionPerformed: true };
+    canvas._currentTransform = transform;
+    canvas._beforeTransform({});
+    rect.set({ left: 10, top: 10 });
+    rect.set({ left: 50, top: 60 });
+    canvas._finalizeCurrentTransform({});
+    canvas._currentTransform = null;
+    canvas.undo();
+    assert.equal(rect.left, 0, 'left restored');
+    assert.equal(rect.top, 0, 'top restored');
+    assert.equal(canvas.getActiveObject(), rect, 'target is selected');
+    canvas.redo();
+    assert.equal(rect.left, 50, 'left redone');
+    assert.equal(rect.top, 60, 'top redone');
+    canvas.undo();
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'transform is a single step');
+  });
+
+  QUnit.test('polyline vertex drag', function(assert) {
+    var polyline = new fabric.Polyline([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }], { strokeWidth: 0 });
+    polyline.controls = fabric.controlsUtils.createPolyControls(polyline);
+    canvas.add(polyline);
+    var before = polyline.toObject(),
+        transform = { target: polyline, action: 'modifyPoly', corner: 'p1', actionPerformed: true };
+    canvas._currentTransform = transform;
+    canvas._beforeTransform({});
+    polyline.controls.p1.actionHandler({}, transform, 80, 20);
+    polyline.controls.p1.actionHandler({}, transform, 90, 30);
+    canvas._finalizeCurrentTransform({});
+    canvas._currentTransform = null;
+    var after = polyline.toObject();
+    assert.notDeepEqual(after.points, before.points, 'vertex moved');
+    canvas.undo();
+    assert.deepEqual(polyline.toObject(), before, 'points and dimensions restored');
+    assert.deepEqual(polyline.pathOffset, new fabric.Point(25, 25), 'path offset restored');
+    canvas.redo();
+    assert.deepEqual(polyline.toObject(), after, 'vertex drag redone');
+    canvas.undo();
+    assert.deepEqual(polyline.toObject(), before, 'undone again');
+  });
+
+  QUnit.test('active selection transform', function(assert) {
+    var rect1 = makeRect({ left: 0, top: 0 }), rect2 = makeRect({ left: 20, top: 0 });
+    canvas.add(rect1, rect2);
+    var activeSelection = canvas.getActiveSelection();
+    activeSelection.add(rect1, rect2);
+    canvas.setActiveObject(activeSelection);
+    var transform = { target: activeSelection, action: 'drag', actionPerformed: true };
+    canvas._currentTransform = transform;
+    canvas._beforeTransform({});
+    activeSelection.set({ left: activeSelection.left + 100 });
+    canvas._finalizeCurrentTransform({});
+    canvas._currentTransform = null;
+    canvas.discardActiveObject();
+    assert.equal(rect1.left, 100, 'moved by selection');
+    assert.equal(rect2.left, 120, 'moved by selection');
+    canvas.undo();
+    assert.deepEqual(canvas.getActiveObjects(), [rect1, rect2], 'selection restored');
+    canvas.discardActiveObject();
+    assert.equal(Math.round(rect1.left), 0, 'left restored');
+    assert.equal(Math.round(rect2.left), 20, 'left restored');
+    canvas.redo();
+    canvas.discardActiveObject();
+    assert.equal(Math.round(rect1.left), 100, 'left redone');
+    canvas.undo();
+    canvas.discardActiveObject();
+    canvas.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'selection changes are not recorded');
+  });
+
+  QUnit.test('text editing', function(assert) {
+    var text = new fabric.IText('test');
+    canvas.add(text);
+    canvas.fire('text:editing:entered', { target: text });
+    text.insertChars('ed', undefined, 4);
+    canvas.fire('text:editing:exited', { target: text });
+    assert.equal(text.text, 'tested');
+    canvas.undo();
+    assert.equal(text.text, 'test', 'text restored');
+    canvas.redo();
+    assert.equal(text.text, 'tested', 'text redone');
+  });
+
+  QUnit.test('limit', function(assert) {
+    canvas.historyManager.limit = 2;
+    var rect1 = makeRect(), rect2 = makeRect(), rect3 = makeRect();
+    canvas.add(rect1);
+    canvas.add(rect2);
+    canvas.add(rect3);
+    canvas.undo();
+    canvas.undo();
+    assert.notOk(canvas.undo(), 'oldest command was dropped');
+    assert.deepEqual(canvas.getObjects(), [rect1]);
+  });
+
+  QUnit.test('events', function(assert) {
+    var fired = [], disposers = [];
+    ['history:recorded', 'history:undo', 'history:redo', 'history:cleared'].forEach(function(eventName) {
+      disposers.push(canvas.on(eventName, function(opt) {
+        fired.push([eventName, opt && opt.command && opt.command.type]);
+      }));
+    });
+    canvas.add(makeRect());
+    canvas.undo();
+    canvas.redo();
+    canvas.clear();
+    assert.deepEqual(fired, [
+      ['history:recorded', 'add'],
+      ['history:undo', 'add'],
+      ['history:redo', 'add'],
+      ['history:cleared', undefined],
+    ]);
+    disposers.forEach(function(dispose) { dispose(); });
+  });
+
+  QUnit.test('clear', function(assert) {
+    canvas.add(makeRect());
+    canvas.clear();
+    assert.notOk(canvas.historyManager.canUndo(), 'history cleared');
+    assert.notOk(canvas.historyManager.canRedo(), 'history cleared');
+  });
+
+  QUnit.test('custom command', function(assert) {
+    var value = 0;
+    canvas.historyManager.record({
+      type: 'custom',
+      undo: function() { value--; },
+      redo: function() { value++; },
+    });
+    canvas.undo();
+    assert.equal(value, -1);
+    canvas.redo();
+    assert.equal(value, 0);
+  });
+})();
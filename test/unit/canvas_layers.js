@@ -0,0 +1,178 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, strokeWidth: 0, ...options });
+  }
+
+  function trackRender(object, name, calls) {
+    object.render = function() {
+      calls.push(name);
+    };
+    return object;
+  }
+
+  var canvas = new fabric.Canvas(null, { renderOnAddRemove: false, width: 200, height: 200 });
+
+  QUnit.module('fabric.Layer', {
+    afterEach: function() {
+      canvas.clear();
+      canvas.layers = [];
+    }
+  });
+
+  QUnit.test('constructor', function(assert) {
+    var layer = new fabric.Layer('sketch');
+    assert.equal(layer.name, 'sketch');
+    assert.equal(layer.visible, true);
+    assert.equal(layer.locked, false);
+    assert.equal(layer.opacity, 1);
+    assert.equal(layer.globalCompositeOperation, 'source-over');
+    assert.notOk(layer.needsComposition());
+    layer = new fabric.Layer('sketch', { opacity: 0.5 });
+    assert.ok(layer.needsComposition(), 'opacity');
+    layer = new fabric.Layer('sketch', { globalCompositeOperation: 'multiply' });
+    assert.ok(layer.needsComposition(), 'blend mode');
+  });
+
+  QUnit.test('toObject and fromObject', function(assert) {
+    var layer = new fabric.Layer('sketch', { locked: true, opacity: 0.5 });
+    var serialized = layer.toObject();
+    assert.deepEqual(serialized, {
+      name: 'sketch',
+      visible: true,
+      locked: true,
+      opacity: 0.5,
+      globalCompositeOperation: 'source-over'
+    });
+    var restored = fabric.Layer.fromObject(serialized);
+    assert.ok(restored instanceof fabric.Layer);
+    assert.deepEqual(restored.toObject(), serialized);
+  });
+
+  QUnit.test('addLayer, getLayer, moveLayer, removeLayer', function(assert) {
+    assert.deepEqual(canvas.layers, [], 'no layers by default');
+    var a = canvas.addLayer('a'), b = canvas.addLayer('b', { locked: true });
+    assert.ok(a instanceof fabric.Layer);
+    assert.equal(b.locked, true);
+    assert.deepEqual(canvas.layers, [a, b], 'added on top');
+    assert.equal(canvas.getLayer('b'), b);
+    assert.equal(canvas.getLayer('c'), undefined);
+    assert.throws(function() {
+      canvas.addLayer('a');
+    }, 'names are unique');
+    assert.ok(canvas.moveLayer('b', 0));
+    assert.deepEqual(canvas.layers, [b, a]);
+    assert.notOk(canvas.moveLayer('c', 0));
+    assert.ok(canvas.removeLayer('b'));
+    assert.deepEqual(canvas.layers, [a]);
+    assert.notOk(canvas.removeLayer('b'));
+  });
+
+  QUnit.test('getObjectLayer and getLayerObjects', function(assert) {
+    var layer = canvas.addLayer('a'),
+        rect = makeRect({ layer: 'a' }),
+        nested = makeRect(),
+        group = new fabric.Group([nested], { layer: 'a' }),
+        other = makeRect({ layer: 'unknown' });
+    canvas.add(rect, group, other, makeRect());
+    assert.equal(canvas.getObjectLayer(rect), layer);
+    assert.equal(canvas.getObjectLayer(nested), layer, 'nested objects belong to the layer of their top level ancestor');
+    assert.equal(canvas.getObjectLayer(other), undefined, 'unknown layer');
+    assert.deepEqual(canvas.getLayerObjects('a'), [rect, group]);
+  });
+
+  QUnit.test('render order', function(assert) {
+    var calls = [];
+    canvas.addLayer('a');
+    canvas.addLayer('b');
+    canvas.add(
+      trackRender(makeRect({ layer: 'b' }), 'b1', calls),
+      trackRender(makeRect({ layer: 'a' }), 'a1', calls),
+      trackRender(makeRect(), 'none', calls),
+      trackRender(makeRect({ layer: 'b' }), 'b2', calls),
+      trackRender(makeRect({ layer: 'a' }), 'a2', calls)
+    );
+    canvas.renderAll();
+    assert.deepEqual(calls, ['none', 'a1', 'a2', 'b1', 'b2'], 'layers render in order, objects in stack order');
+    calls.length = 0;
+    canvas.moveLayer('b', 0);
+    canvas.getLayer('a').visible = false;
+    canvas.renderAll();
+    assert.deepEqual(calls, ['none', 'b1', 'b2'], 'hidden layers are not rendered');
+  });
+
+  QUnit.test('composition', function(assert) {
+    var calls = [], composed = [];
+    canvas.addLayer('a', { opacity: 0.5 });
+    canvas.addLayer('b');
+    canvas.add(
+      trackRender(makeRect({ layer: 'a' }), 'a', calls),
+      trackRender(makeRect({ layer: 'b' }), 'b', calls)
+    );
+    var renderLayer = canvas._renderLayer;
+    canvas._renderLayer = function(ctx, layer, objects) {
+      composed.push(layer.name);
+      return renderLayer.call(this, ctx, layer, objects);
+    };
+    canvas.renderAll();
+    delete canvas._renderLayer;
+    assert.deepEqual(composed, ['a'], 'only layers with opacity or blend mode are composed');
+    assert.deepEqual(calls, ['a', 'b']);
+  });
+
+  QUnit.test('serialization', function(assert) {
+    var done = assert.async();
+    canvas.addLayer('a', { opacity: 0.5 });
+    canvas.addLayer('b', { locked: true });
+    canvas.add(makeRect({ layer: 'b' }), makeRect());
+    var json = canvas.toJSON();
+    assert.deepEqual(json.layers, [
+      { name: 'a', visible: true, locked: false, opacity: 0.5, globalCompositeOperation: 'source-over' },
+      { name: 'b', visible: true, locked: true, opacity: 1, globalCompositeOperation: 'source-over' }
+    ]);
+    assert.equal(json.objects[0].layer, 'b');
+    assert.notOk('layer' in json.objects[1], 'objects without layer');
+    var other = new fabric.StaticCanvas(null);
+    assert.notOk('layers' in other.toJSON(), 'canvas without layers');
+    other.addLayer('c');
+    other.loadFromJSON(json).then(function() {
+      assert.deepEqual(other.layers.map(function(layer) { return layer.name; }), ['a', 'b'], 'layers are restored');
+      assert.ok(other.layers[0] instanceof fabric.Layer);
+      assert.equal(other.layers[0].opacity, 0.5);
+      assert.equal(other.item(0).layer, 'b');
+      assert.equal(other.getObjectLayer(other.item(0)), other.layers[1]);
+      done();
+    });
+  });
+
+  QUnit.test('toSVG', function(assert) {
+    canvas.addLayer('a', { opacity: 0.5, globalCompositeOperation: 'multiply' });
+    canvas.addLayer('b', { visible: false });
+    canvas.add(makeRect({ layer: 'a', id: 'first' }), makeRect({ layer: 'b', id: 'hidden' }), makeRect({ id: 'none' }));
+    var svg = canvas.toSVG();
+    assert.ok(svg.indexOf('<g id="a" opacity="0.5" style="mix-blend-mode: multiply;">') > -1, 'layers are exported as groups');
+    assert.ok(svg.indexOf('none') < svg.indexOf('first'), 'objects without layer are exported first');
+    assert.equal(svg.indexOf('hidden'), -1, 'hidden layers are not exported');
+  });
+
+  QUnit.test('hit testing and selection skip locked and hidden layers', function(assert) {
+    var layer = canvas.addLayer('top'),
+        below = makeRect({ width: 50, height: 50 }),
+        above = makeRect({ width: 50, height: 50, layer: 'top' });
+    canvas.add(above, below);
+    var e = { clientX: 10, clientY: 10, target: canvas.upperCanvasEl };
+    assert.equal(canvas.findTarget(e), above, 'layers are above objects without layer');
+    layer.locked = true;
+    assert.equal(canvas.findTarget(e), below, 'locked layers are skipped');
+    assert.notOk(canvas.isLayerInteractive(above));
+    assert.ok(canvas.isLayerInteractive(below));
+    layer.locked = false;
+    layer.visible = false;
+    assert.equal(canvas.findTarget(e), below, 'hidden layers are skipped');
+    layer.visible = true;
+    layer.locked = true;
+    canvas._groupSelector = { x: -5, y: -5, deltaX: 70, deltaY: 70 };
+    canvas.handleSelection({});
+    assert.equal(canvas.getActiveObject(), below, 'locked objects are not selected');
+    canvas.discardActiveObject();
+  });
+})();
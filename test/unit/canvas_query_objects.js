@@ -0,0 +1,135 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, strokeWidth: 0, fill: 'red', ...options });
+  }
+
+  var canvas = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+
+  QUnit.module('fabric.Collection queryObjects', {
+    afterEach: function() {
+      canvas.clear();
+      canvas.enableSpatialIndex = false;
+    }
+  });
+
+  QUnit.test('rect', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect({ left: 20 }), rect3 = makeRect({ left: 50 });
+    canvas.add(rect1, rect2, rect3);
+    assert.ok(typeof canvas.queryObjects === 'function');
+    var rect = { left: 5, top: 0, width: 20, height: 10 };
+    assert.deepEqual(canvas.queryObjects({ rect: rect }), [rect1, rect2], 'intersecting, bottom to top');
+    assert.deepEqual(canvas.queryObjects({ rect: rect, mode: 'contain' }), [], 'no object lies in the rect');
+    rect.width = 30;
+    assert.deepEqual(canvas.queryObjects({ rect: rect, mode: 'contain' }), [rect2], 'contained');
+    assert.deepEqual(
+      canvas.queryObjects({ rect: { left: -10, top: -10, width: 100, height: 100 } }),
+      [rect1, rect2, rect3],
+      'enclosing rect intersects'
+    );
+    canvas.enableSpatialIndex = true;
+    assert.deepEqual(canvas.queryObjects({ rect: rect }), [rect1, rect2], 'same result with the spatial index');
+  });
+
+  QUnit.test('polygon', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect({ left: 20 });
+    canvas.add(rect1, rect2);
+    // U shaped lasso around rect1 and rect2 whose notch reaches in rect2
+    var polygon = [
+      { x: -5, y: -5 }, { x: 22, y: -5 }, { x: 22, y: 5 }, { x: 24, y: 5 },
+      { x: 24, y: -5 }, { x: 35, y: -5 }, { x: 35, y: 15 }, { x: -5, y: 15 }
+    ];
+    assert.deepEqual(canvas.queryObjects({ polygon: polygon }), [rect1, rect2], 'intersecting');
+    assert.deepEqual(canvas.queryObjects({ polygon: polygon, mode: 'contain' }), [rect1], 'concave area is respected');
+    assert.deepEqual(
+      canvas.queryObjects({ polygon: [{ x: 12, y: 0 }, { x: 18, y: 0 }, { x: 15, y: 10 }] }),
+      [],
+      'in between objects'
+    );
+  });
+
+  QUnit.test('point', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect({ left: 5, angle: 45 });
+    canvas.add(rect1, rect2);
+    assert.deepEqual(canvas.queryObjects({ point: { x: 5, y: 5 } }), [rect1, rect2]);
+    assert.deepEqual(canvas.queryObjects({ point: { x: 1, y: 1 } }), [rect1], 'rotated object is missed');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 1, y: 1 }, mode: 'contain' }), [rect1], 'mode has no effect');
+  });
+
+  QUnit.test('deep', function(assert) {
+    var rect1 = makeRect(), rect2 = makeRect({ left: 20 }),
+        nested = makeRect({ left: 40 }),
+        inner = new fabric.Group([nested]),
+        group = new fabric.Group([rect1, rect2, inner]);
+    canvas.add(group);
+    var rect = { left: 15, top: -5, width: 40, height: 20 };
+    assert.deepEqual(canvas.queryObjects({ rect: rect }), [group], 'groups are matched as a whole');
+    assert.deepEqual(canvas.queryObjects({ rect: rect, deep: true }), [rect2, nested], 'descendants are matched');
+    assert.deepEqual(
+      canvas.queryObjects({ rect: rect, deep: true, mode: 'contain' }),
+      [rect2, nested],
+      'descendants of a group crossing the area are contained'
+    );
+    assert.deepEqual(
+      canvas.queryObjects({ rect: rect, deep: true, filter: function(object) { return object !== inner; } }),
+      [rect2],
+      'filtered groups are not traversed'
+    );
+    assert.deepEqual(group.queryObjects({ rect: rect }), [rect2, inner], 'groups can be queried');
+    rect2.visible = false;
+    assert.deepEqual(canvas.queryObjects({ rect: rect, deep: true }), [nested], 'invisible objects are skipped');
+  });
+
+  QUnit.test('clip path', function(assert) {
+    var rect = makeRect({ width: 100, height: 100, clipPath: new fabric.Rect({ width: 20, height: 20, left: -50, top: -50 }) }),
+        absolute = makeRect({
+          left: 200,
+          width: 100,
+          height: 100,
+          clipPath: new fabric.Rect({ width: 20, height: 20, left: 200, top: 0, absolutePositioned: true })
+        }),
+        nested = makeRect({ left: 400, width: 100, height: 100 }),
+        group = new fabric.Group([nested], { clipPath: new fabric.Rect({ width: 20, height: 20, left: -50, top: -50 }) });
+    canvas.add(rect, absolute, group);
+    assert.deepEqual(canvas.queryObjects({ point: { x: 10, y: 10 } }), [rect], 'visible area');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 50, y: 50 } }), [], 'clipped area');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 210, y: 10 } }), [absolute], 'absolute positioned clip path');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 250, y: 50 } }), [], 'absolute positioned clip path');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 450, y: 50 }, deep: true }), [], 'ancestor clip path');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 410, y: 10 }, deep: true }), [nested], 'ancestor clip path');
+    assert.deepEqual(
+      canvas.queryObjects({ rect: { left: -5, top: -5, width: 30, height: 30 }, mode: 'contain' }),
+      [rect],
+      'visible area is contained'
+    );
+    rect.clipPath.inverted = true;
+    assert.deepEqual(canvas.queryObjects({ point: { x: 50, y: 50 } }), [rect], 'inverted clip path is ignored');
+  });
+
+  QUnit.test('perPixel', function(assert) {
+    var circle = new fabric.Circle({ radius: 50, strokeWidth: 0, fill: 'red' });
+    canvas.add(circle);
+    assert.deepEqual(canvas.queryObjects({ point: { x: 5, y: 5 } }), [circle], 'bounding box is hit');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 5, y: 5 }, perPixel: true }), [], 'transparent corner');
+    assert.deepEqual(canvas.queryObjects({ point: { x: 50, y: 50 }, perPixel: true }), [circle], 'filled center');
+    var triangle = [{ x: -10, y: -10 }, { x: 20, y: -10 }, { x: -10, y: 20 }];
+    assert.deepEqual(canvas.queryObjects({ polygon: triangle, perPixel: true }), [], 'transparent area');
+    var rect = { left: -1, top: -1, width: 102, height: 102 };
+    assert.deepEqual(canvas.queryObjects({ rect: rect, mode: 'contain', perPixel: true }), [circle], 'contained');
+    var octagon = [
+      { x: 25, y: -1 }, { x: 75, y: -1 }, { x: 101, y: 25 }, { x: 101, y: 75 },
+      { x: 75, y: 101 }, { x: 25, y: 101 }, { x: -1, y: 75 }, { x: -1, y: 25 }
+    ];
+    assert.deepEqual(canvas.queryObjects({ polygon: octagon, mode: 'contain' }), [], 'corners are outside');
+    assert.deepEqual(
+      canvas.queryObjects({ polygon: octagon, mode: 'contain', perPixel: true }),
+      [circle],
+      'rendered pixels are inside'
+    );
+  });
+
+  QUnit.test('invalid query', function(assert) {
+    assert.throws(function() {
+      canvas.queryObjects({});
+    });
+  });
+})();
@@ -0,0 +1,184 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, strokeWidth: 0, ...options });
+  }
+
+  var canvas = new fabric.Canvas(null, { enableSnapping: true, renderOnAddRemove: false, width: 400, height: 200 });
+
+  function transformControl(target, corner, from, to, e) {
+    target.__corner = corner;
+    canvas._setupCurrentTransform({ clientX: from.x, clientY: from.y, target: canvas.upperCanvasEl }, target, true);
+    var transform = canvas._currentTransform;
+    canvas._currentTransform = null;
+    canvas._performTransformAction(e || {}, transform, new fabric.Point(to.x, to.y));
+    return transform;
+  }
+
+  QUnit.module('fabric.SnappingManager', {
+    afterEach: function() {
+      canvas.clear();
+      canvas.setZoom(1);
+      canvas.enableSnapping = true;
+      canvas.snappingManager.clearGuides();
+    }
+  });
+
+  QUnit.test('disabled by default', function(assert) {
+    var otherCanvas = new fabric.Canvas(null, { renderOnAddRemove: false }),
+        target = makeRect({ left: 100, top: 100 });
+    assert.equal(otherCanvas.enableSnapping, false, 'snapping is opt in');
+    assert.ok(otherCanvas.snappingManager instanceof fabric.SnappingManager);
+    otherCanvas.add(makeRect(), target);
+    var transform = { target: target, action: 'drag', actionHandler: fabric.controlsUtils.dragHandler, offsetX: 0, offsetY: 0 };
+    otherCanvas._performTransformAction({}, transform, new fabric.Point(13, 50));
+    assert.equal(target.left, 13, 'not snapped');
+    assert.notOk(otherCanvas.snappingManager.hasGuides());
+    otherCanvas.dispose();
+  });
+
+  QUnit.test('drag snaps to edges', function(assert) {
+    var reference = makeRect(), target = makeRect({ left: 100, top: 100 });
+    canvas.add(reference, target);
+    dragObject(target, 13, 50);
+    assert.equal(target.left, 10, 'left edge snapped to the right edge of the reference');
+    assert.equal(target.top, 50, 'out of tolerance');
+    assert.deepEqual(canvas.snappingManager.getGuides(), [{ x1: 10, y1: 0, x2: 10, y2: 60 }], 'guide');
+    dragObject(target, 30, 50);
+    assert.equal(target.left, 30, 'out of tolerance');
+    assert.notOk(canvas.snappingManager.hasGuides(), 'guides are cleared');
+    dragObject(target, 50, 1);
+    assert.equal(target.top, 0, 'top edges aligned');
+    assert.equal(canvas.snappingManager.getGuides().length, 3, 'top, center and bottom lines are aligned');
+  });
+
+  QUnit.test('drag snaps to centers', function(assert) {
+    var reference = makeRect({ width: 40, height: 40 }), target = makeRect({ left: 100, top: 100 });
+    canvas.add(reference, target);
+    dragObject(target, 17, 100);
+    assert.equal(target.left, 15, 'center snapped to the center of the reference');
+    dragObject(target, 193, 97);
+    assert.equal(target.left, 195, 'center snapped to the center of the canvas');
+    assert.equal(target.top, 95, 'center snapped to the center of the canvas');
+    canvas.snappingManager.snapToCanvasCenter = false;
+    dragObject(target, 193, 97);
+    assert.equal(target.left, 193, 'canvas center is disabled');
+    canvas.snappingManager.snapToCanvasCenter = true;
+  });
+
+  QUnit.test('drag snaps to equal spacing', function(assert) {
+    var a = makeRect(), b = makeRect({ left: 100 }), c = makeRect({ left: 130 }), target = makeRect({ left: 300 });
+    canvas.add(a, b, c, target);
+    dragObject(target, 53, 0);
+    assert.equal(target.left, 50, 'centered between its neighbors');
+    assert.ok(canvas.snappingManager.getGuides().some(function(guide) {
+      return guide.x1 === 10 && guide.x2 === 50;
+    }), 'gap guide');
+    dragObject(target, 158, 0);
+    assert.equal(target.left, 160, 'spaced as its neighbors');
+    canvas.snappingManager.snapToEqualSpacing = false;
+    dragObject(target, 158, 0);
+    assert.equal(target.left, 158, 'equal spacing is disabled');
+    canvas.snappingManager.snapToEqualSpacing = true;
+  });
+
+  QUnit.test('tolerance is in screen pixels', function(assert) {
+    var reference = makeRect(), target = makeRect({ left: 100, top: 100 });
+    canvas.add(reference, target);
+    dragObject(target, 15, 50);
+    assert.equal(target.left, 10, 'snapped');
+    canvas.setZoom(2);
+    dragObject(target, 15, 50);
+    assert.equal(target.left, 15, 'tolerance is 3 at zoom 2');
+    dragObject(target, 12, 50);
+    assert.equal(target.left, 10, 'snapped');
+  });
+
+  QUnit.test('bypass key and locks', function(assert) {
+    var reference = makeRect(), target = makeRect({ left: 100, top: 100 });
+    canvas.add(reference, target);
+    dragObject(target, 13, 50, { ctrlKey: true });
+    assert.equal(target.left, 13, 'bypassed');
+    target.lockMovementY = true;
+    dragObject(target, 11, 50);
+    assert.equal(target.left, 10, 'snapped');
+    assert.equal(target.top, 50, 'locked');
+    canvas.enableSnapping = false;
+    dragObject(target, 13, 50);
+    assert.equal(target.left, 13, 'disabled');
+  });
+
+  QUnit.test('scale snaps moving edges', function(assert) {
+    var reference = makeRect({ left: 200 }), target = makeRect({ width: 100, height: 100 });
+    canvas.add(reference, target);
+    transformControl(target, 'mr', { x: 100, y: 50 }, { x: 197, y: 50 });
+    assert.equal(Math.round(target.scaleX * 1000) / 1000, 2, 'right edge snapped');
+    assert.equal(target.scaleY, 1, 'not scaled');
+    assert.equal(target.left, 0, 'anchor is preserved');
+    assert.ok(canvas.snappingManager.hasGuides());
+    target.set({ scaleX: 1, scaleY: 1 });
+    transformControl(target, 'br', { x: 100, y: 100 }, { x: 197, y: 197 });
+    assert.equal(Math.round(target.scaleX * 1000) / 1000, 2, 'right edge snapped');
+    assert.equal(target.scaleY, target.scaleX, 'scaled equally');
+    target.set({ scaleX: 1, scaleY: 1, angle: 10 });
+    transformControl(target, 'mr', { x: 100, y: 50 }, { x: 197, y: 50 });
+    assert.notOk(canvas.snappingManager.hasGuides(), 'rotated objects do not snap');
+  });
+
+  QUnit.test('rotation snaps to angle steps', function(assert) {
+    var target = makeRect({ width: 100, height: 100 });
+    canvas.add(target);
+    var rotateTo = function(angle) {
+      var radians = fabric.util.degreesToRadians(angle - 90);
+      return transformControl(
+        target,
+        'mtr',
+        { x: 50, y: 0 },
+        { x: 50 + 100 * Math.cos(radians), y: 50 + 100 * Math.sin(radians) }
+      );
+    };
+    rotateTo(44);
+    assert.equal(target.angle, 45, 'snapped');
+    var center = target.getCenterPoint();
+    assert.equal(Math.round(center.x), 50, 'rotated around the center');
+    assert.equal(Math.round(center.y), 50, 'rotated around the center');
+    target.rotate(0);
+    rotateTo(40);
+    assert.equal(Math.round(target.angle), 40, 'out of tolerance');
+    target.rotate(0);
+    canvas.snappingManager.angleStep = 0;
+    rotateTo(44);
+    assert.equal(Math.round(target.angle), 44, 'angle snapping disabled');
+    canvas.snappingManager.angleStep = 15;
+  });
+
+  QUnit.test('snapped rotation updates coords and is set', function(assert) {
+    var target = makeRect({ width: 100, height: 100 }), changes = [];
+    canvas.add(target);
+    var set = target._set;
+    target._set = function(key, value) {
+      key === 'angle' && changes.push(value);
+      return set.call(this, key, value);
+    };
+    var radians = fabric.util.degreesToRadians(44 - 90);
+    transformControl(target, 'mtr', { x: 50, y: 0 }, { x: 50 + 100 * Math.cos(radians), y: 50 + 100 * Math.sin(radians) });
+    delete target._set;
+    assert.equal(target.angle, 45, 'snapped');
+    assert.equal(changes[changes.length - 1], 45, 'angle is set');
+    var expected = target.calcACoords();
+    assert.deepEqual(target.aCoords.tl, expected.tl, 'coords are updated');
+    assert.deepEqual(target.aCoords.br, expected.br, 'coords are updated');
+  });
+
+  QUnit.test('guides are cleared when the transform ends', function(assert) {
+    var reference = makeRect(), target = makeRect({ left: 100, top: 100 });
+    canvas.add(reference, target);
+    var transform = dragObject(target, 13, 50);
+    assert.ok(canvas.snappingManager.hasGuides());
+    canvas.renderAll();
+    assert.ok(canvas.contextTopDirty, 'guides are rendered on the top context');
+    canvas._currentTransform = transform;
+    canvas._finalizeCurrentTransform({});
+    canvas._currentTransform = null;
+    assert.notOk(canvas.snappingManager.hasGuides(), 'guides are cleared');
+  });
+})();
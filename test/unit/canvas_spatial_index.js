@@ -0,0 +1,68 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, strokeWidth: 0, ...options });
+  }
+
+  var canvas = new fabric.Canvas(null, { enableSpatialIndex: true, renderOnAddRemove: false });
+
+  QUnit.module('fabric.StaticCanvas spatial index', {
+    afterEach: function() {
+      canvas.clear();
+      canvas.enableSpatialIndex = true;
+      canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+    }
+  });
+
+  QUnit.test('disabled by default', function(assert) {
+    var staticCanvas = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+    assert.equal(staticCanvas.enableSpatialIndex, false);
+    assert.equal(staticCanvas.getSpatialIndex(), undefined);
+  });
+
+  QUnit.test('index is maintained', function(assert) {
+    var rect = makeRect(), rect2 = makeRect({ left: 100 });
+    canvas.add(rect, rect2);
+    var index = canvas.getSpatialIndex();
+    assert.ok(index instanceof fabric.SpatialIndex);
+    assert.equal(index.size(), 2, 'objects indexed');
+    assert.deepEqual(index.searchPoint({ x: 5, y: 5 }), [rect]);
+    rect.set({ left: 200 });
+    assert.deepEqual(index.searchPoint({ x: 205, y: 5 }), [], 'index is updated on setCoords');
+    rect.setCoords();
+    assert.deepEqual(index.searchPoint({ x: 205, y: 5 }), [rect], 'index is updated on setCoords');
+    canvas.remove(rect);
+    assert.equal(index.size(), 1, 'object removed');
+    canvas.enableSpatialIndex = false;
+    assert.equal(canvas.getSpatialIndex(), undefined, 'index dropped');
+    canvas.enableSpatialIndex = true;
+    assert.equal(canvas.getSpatialIndex().size(), 1, 'index rebuilt');
+  });
+
+  QUnit.test('findTarget', function(assert) {
+    var rect = makeRect(), rect2 = makeRect({ left: 5, top: 5 }), rect3 = makeRect({ left: 100 });
+    canvas.add(rect, rect2, rect3);
+    canvas.setViewportTransform([2, 0, 0, 2, 10, 10]);
+    assert.equal(canvas.findTarget({ clientX: 12, clientY: 12, target: canvas.upperCanvasEl }), rect, 'pointer is in the viewport plane');
+    assert.equal(canvas.findTarget({ clientX: 25, clientY: 25, target: canvas.upperCanvasEl }), rect2, 'top most target');
+    assert.equal(canvas.findTarget({ clientX: 215, clientY: 15, target: canvas.upperCanvasEl }), rect3);
+    assert.equal(canvas.findTarget({ clientX: 100, clientY: 100, target: canvas.upperCanvasEl }), undefined);
+  });
+
+  QUnit.test('collectObjects', function(assert) {
+    var rect = makeRect(), rect2 = makeRect({ left: 5, top: 5 }), rect3 = makeRect({ left: 100 });
+    canvas.add(rect, rect2, rect3);
+    assert.deepEqual(canvas.collectObjects({ left: 0, top: 0, width: 20, height: 20 }), [rect2, rect], 'ordered from top to bottom');
+    assert.deepEqual(canvas.collectObjects({ left: 0, top: 0, width: 12, height: 12 }, { includeIntersecting: false }), [rect]);
+  });
+
+  QUnit.test('render culling', function(assert) {
+    var rect = makeRect(), rect2 = makeRect({ left: 1000 }), excluded = makeRect({ left: 2000 });
+    canvas.add(rect, rect2);
+    var rendered = [];
+    [rect, rect2, excluded].forEach(function(object) {
+      object.render = function() { rendered.push(object); };
+    });
+    canvas.renderCanvas(canvas.getContext(), [rect, rect2, excluded]);
+    assert.deepEqual(rendered, [rect, excluded], 'offscreen objects are skipped, objects not in the index are kept');
+  });
+})();
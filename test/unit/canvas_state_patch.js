@@ -0,0 +1,121 @@
+(function() {
+  function makeRect(options = {}) {
+    return new fabric.Rect({ width: 10, height: 10, ...options });
+  }
+
+  var canvas = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+  var remote = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+
+  QUnit.module('fabric.StaticCanvas state patch', {
+    afterEach: function() {
+      canvas.clear();
+      remote.clear();
+      canvas.layers = [];
+      remote.layers = [];
+    }
+  });
+
+  QUnit.test('toState assigns ids', function(assert) {
+    var rect = makeRect();
+    canvas.add(rect);
+    assert.notOk(rect.id, 'no id by default');
+    var state = canvas.toState();
+    assert.ok(rect.id, 'id assigned');
+    assert.equal(state.objects[0].id, rect.id, 'id is serialized');
+    var id = rect.id;
+    canvas.toState();
+    assert.equal(rect.id, id, 'id is stable');
+    assert.notOk('id' in rect.toObject(), 'id is not exported by default');
+  });
+
+  QUnit.test('diff is empty when nothing changes', function(assert) {
+    canvas.add(makeRect(), makeRect());
+    var state = canvas.toState();
+    assert.deepEqual(canvas.diff(state), []);
+  });
+
+  QUnit.test('applyPatch syncs another canvas', function(assert) {
+    var done = assert.async();
+    var rect1 = makeRect({ id: 'rect1' }), rect2 = makeRect({ id: 'rect2' }), rect3 = makeRect({ id: 'rect3' });
+    canvas.add(rect1, rect2, rect3);
+    var state = canvas.toState();
+    remote.loadFromJSON(state).then(function() {
+      canvas.remove(rect2);
+      canvas.bringObjectToFront(rect1);
+      canvas.add(makeRect({ id: 'rect4', fill: 'blue' }));
+      rect3.set({ left: 50, fill: 'green' });
+      canvas.backgroundColor = 'red';
+      var patch = canvas.diff(state);
+      return remote.applyPatch(patch);
+    }).then(function(returned) {
+      assert.equal(returned, remote, 'should return the canvas');
+      assert.deepEqual(remote.getObjects().map(function(object) { return object.id; }), ['rect3', 'rect1', 'rect4']);
+      assert.equal(remote.item(0).left, 50, 'left changed');
+      assert.equal(remote.item(0).fill, 'green', 'fill changed');
+      assert.equal(remote.item(2).fill, 'blue', 'object added');
+      assert.equal(remote.backgroundColor, 'red', 'canvas property changed');
+      assert.deepEqual(remote.toState().objects, canvas.toState().objects, 'states match');
+      done();
+    });
+  });
+
+  QUnit.test('applyPatch skips objects excluded from export', function(assert) {
+    var done = assert.async();
+    var rect1 = makeRect({ id: 'rect1' }), rect2 = makeRect({ id: 'rect2' });
+    canvas.add(rect1, rect2);
+    var state = canvas.toState();
+    var excluded = makeRect({ excludeFromExport: true });
+    remote.loadFromJSON(state).then(function() {
+      remote.insertAt(0, excluded);
+      canvas.insertAt(1, makeRect({ id: 'rect3' }));
+      return remote.applyPatch(canvas.diff(state));
+    }).then(function() {
+      assert.deepEqual(remote.getObjects().map(function(object) { return object.id; }), [undefined, 'rect1', 'rect3', 'rect2']);
+      done();
+    });
+  });
+
+  QUnit.test('applyPatch restores text styles', function(assert) {
+    var done = assert.async();
+    var text = new fabric.Text('abc', { id: 'text' });
+    canvas.add(text);
+    var state = canvas.toState();
+    remote.loadFromJSON(state).then(function() {
+      text.setSelectionStyles({ fill: 'red' }, 0, 1);
+      return remote.applyPatch(canvas.diff(state));
+    }).then(function() {
+      assert.deepEqual(remote.item(0).styles, { 0: { 0: { fill: 'red' } } });
+      done();
+    });
+  });
+
+  QUnit.test('applyPatch syncs layers', function(assert) {
+    var done = assert.async();
+    canvas.add(makeRect({ id: 'rect', layer: 'sketch' }));
+    var state = canvas.toState();
+    remote.loadFromJSON(state).then(function() {
+      canvas.addLayer('sketch');
+      var patch = canvas.diff(state);
+      state = canvas.toState();
+      return remote.applyPatch(patch);
+    }).then(function() {
+      assert.ok(remote.getLayer('sketch') instanceof fabric.Layer, 'layer added');
+      remote.renderAll();
+      canvas.getLayer('sketch').opacity = 0.5;
+      var patch = canvas.diff(state);
+      state = canvas.toState();
+      return remote.applyPatch(patch);
+    }).then(function() {
+      assert.ok(remote.getLayer('sketch') instanceof fabric.Layer);
+      assert.equal(remote.getLayer('sketch').opacity, 0.5, 'layer changed');
+      remote.renderAll();
+      canvas.removeLayer('sketch');
+      return remote.applyPatch(canvas.diff(state));
+    }).then(function() {
+      assert.deepEqual(remote.layers, [], 'layer removed');
+      remote.renderAll();
+      assert.ok(true, 'renders');
+      done();
+    });
+  });
+})();
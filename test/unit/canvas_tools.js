@@ -0,0 +1,147 @@
+(function() {
+  function event(canvas, x, y, options) {
+    return Object.assign({ clientX: x, clientY: y, which: 1, target: canvas.upperCanvasEl }, options);
+  }
+
+  function drag(canvas, x1, y1, x2, y2, options) {
+    canvas.__onMouseDown(event(canvas, x1, y1, options));
+    canvas.__onMouseMove(event(canvas, x2, y2, options));
+    canvas.__onMouseUp(event(canvas, x2, y2, options));
+  }
+
+  function click(canvas, x, y, options) {
+    canvas.__onMouseDown(event(canvas, x, y, options));
+    canvas.__onMouseUp(event(canvas, x, y, options));
+  }
+
+  function round(point) {
+    return new fabric.Point(Math.round(point.x * 1e6) / 1e6, Math.round(point.y * 1e6) / 1e6);
+  }
+
+  QUnit.module('fabric.Canvas tools', {
+    beforeEach: function() {
+      this.canvas = new fabric.Canvas(null, { enableRetinaScaling: false, width: 300, height: 300 });
+      var drawn = this.drawn = [];
+      this.canvas.on('object:drawn', function(opt) {
+        drawn.push(opt.target);
+      });
+    },
+    afterEach: function() {
+      return this.canvas.dispose();
+    }
+  });
+
+  QUnit.test('RectTool', function(assert) {
+    var canvas = this.canvas, rect = new fabric.Rect({ width: 10, height: 10 });
+    canvas.add(rect);
+    canvas.setActiveObject(rect);
+    canvas.activeTool = new fabric.RectTool(canvas);
+    canvas.activeTool.objectOptions = { fill: 'red', strokeWidth: 0 };
+    drag(canvas, 110, 120, 50, 20);
+    assert.equal(this.drawn.length, 1, 'object:drawn is fired');
+    var drawn = this.drawn[0];
+    assert.ok(drawn instanceof fabric.Rect);
+    assert.equal(canvas.getObjects()[1], drawn, 'added to the canvas');
+    assert.equal(canvas.getActiveObject(), undefined, 'the selection is discarded');
+    assert.equal(drawn.fill, 'red', 'object options');
+    assert.equal(drawn.left, 50);
+    assert.equal(drawn.top, 20);
+    assert.equal(drawn.width, 60);
+    assert.equal(drawn.height, 100);
+    drag(canvas, 100, 100, 150, 120, { shiftKey: true });
+    assert.equal(this.drawn[1].width, 50, 'constrained to a square');
+    assert.equal(this.drawn[1].height, 50);
+    drag(canvas, 100, 100, 150, 120, { altKey: true });
+    assert.deepEqual(this.drawn[2].getCenterPoint(), new fabric.Point(100, 100), 'drawn from the center');
+    assert.equal(this.drawn[2].width, 100);
+    assert.equal(this.drawn[2].height, 40);
+    click(canvas, 10, 10);
+    assert.equal(this.drawn.length, 3, 'a click draws nothing');
+    assert.notOk(canvas._isCurrentlyDrawing, 'pointer is released');
+  });
+
+  QUnit.test('EllipseTool', function(assert) {
+    var canvas = this.canvas;
+    canvas.activeTool = new fabric.EllipseTool(canvas);
+    drag(canvas, 10, 10, 110, 60);
+    var drawn = this.drawn[0];
+    assert.ok(drawn instanceof fabric.Ellipse);
+    assert.equal(drawn.rx, 50);
+    assert.equal(drawn.ry, 25);
+    assert.deepEqual(drawn.getCenterPoint(), new fabric.Point(60, 35));
+    drag(canvas, 100, 100, 110, 140, { shiftKey: true, altKey: true });
+    assert.equal(this.drawn[1].rx, 40, 'circle');
+    assert.equal(this.drawn[1].ry, 40);
+    assert.deepEqual(this.drawn[1].getCenterPoint(), new fabric.Point(100, 100));
+  });
+
+  QUnit.test('LineTool and ArrowTool', function(assert) {
+    var canvas = this.canvas;
+    canvas.activeTool = new fabric.LineTool(canvas);
+    drag(canvas, 10, 10, 110, 60);
+    var line = this.drawn[0];
+    assert.ok(line instanceof fabric.Line);
+    assert.deepEqual(line.calcLinePoints(), { x1: -50, y1: -25, x2: 50, y2: 25 });
+    assert.deepEqual(line.getCenterPoint(), new fabric.Point(60, 35));
+    drag(canvas, 10, 10, 110, 20, { shiftKey: true });
+    var points = this.drawn[1].calcLinePoints();
+    assert.ok(points.y1 === points.y2, 'constrained to a multiple of 45°');
+    drag(canvas, 10, 10, 100, 95, { shiftKey: true });
+    points = this.drawn[2].calcLinePoints();
+    assert.ok(Math.abs(points.x2 - points.y2) < 1e-9, 'diagonal');
+    canvas.activeTool = new fabric.ArrowTool(canvas);
+    drag(canvas, 10, 10, 110, 10, { altKey: true });
+    var arrow = this.drawn[3];
+    assert.ok(arrow instanceof fabric.Path);
+    assert.equal(arrow.fill, null);
+    assert.equal(arrow.stroke, 'rgb(0, 0, 0)');
+    assert.deepEqual(arrow.path.slice(0, 2), [['M', -90, 10], ['L', 110, 10]], 'from the center');
+    var head = new fabric.Point(110 - 10 * Math.cos(Math.PI / 6), 10 - 10 * Math.sin(Math.PI / 6));
+    assert.deepEqual(round(new fabric.Point(arrow.path[2][1], arrow.path[2][2])), round(head), 'head');
+  });
+
+  QUnit.test('PolygonTool', function(assert) {
+    var canvas = this.canvas;
+    canvas.activeTool = new fabric.PolygonTool(canvas);
+    click(canvas, 10, 10);
+    assert.ok(canvas._isCurrentlyDrawing, 'pointer is captured');
+    canvas.__onMouseMove(event(canvas, 50, 50));
+    assert.deepEqual(canvas.activeTool._pointer, new fabric.Point(50, 50));
+    click(canvas, 100, 10);
+    click(canvas, 100, 100, { shiftKey: true });
+    click(canvas, 12, 11);
+    assert.equal(this.drawn.length, 1, 'clicking the first vertex ends the polygon');
+    var polygon = this.drawn[0];
+    assert.ok(polygon instanceof fabric.Polygon);
+    assert.deepEqual(polygon.points.map(round), [new fabric.Point(10, 10), new fabric.Point(100, 10), new fabric.Point(100, 100)]);
+    assert.notOk(canvas._isCurrentlyDrawing, 'pointer is released');
+    click(canvas, 10, 10);
+    click(canvas, 100, 10);
+    click(canvas, 100, 100);
+    canvas.activeTool.onKeyDown({ key: 'Escape' });
+    assert.deepEqual(canvas.activeTool._points, [], 'escape cancels the polygon');
+    click(canvas, 10, 10);
+    click(canvas, 100, 10);
+    click(canvas, 100, 100);
+    canvas.activeTool.onKeyDown({ key: 'Enter' });
+    assert.equal(this.drawn.length, 2, 'enter ends the polygon');
+    click(canvas, 10, 10);
+    click(canvas, 100, 10);
+    click(canvas, 100, 10);
+    assert.equal(this.drawn.length, 2, 'a polygon with less than 3 vertices is discarded');
+    assert.equal(canvas.getObjects().length, 2);
+  });
+
+  QUnit.test('isDrawingMode takes precedence', function(assert) {
+    var canvas = this.canvas, created = 0;
+    canvas.on('path:created', function() {
+      created++;
+    });
+    canvas.activeTool = new fabric.RectTool(canvas);
+    canvas.isDrawingMode = true;
+    canvas.freeDrawingBrush = new fabric.PencilBrush(canvas);
+    drag(canvas, 10, 10, 50, 50);
+    assert.equal(created, 1);
+    assert.equal(this.drawn.length, 0);
+  });
+})();
@@ -0,0 +1,169 @@
+(function() {
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // the commands of a connector in the canvas plane
+  function getRoute(connector) {
+    var matrix = connector.calcTransformMatrix(), offset = connector.pathOffset;
+    return connector.path.map(function(command) {
+      var transformed = [command[0]];
+      for (var i = 1; i < command.length; i += 2) {
+        var point = fabric.util.transformPoint(new fabric.Point(command[i], command[i + 1]).subtract(offset), matrix);
+        transformed.push(round(point.x), round(point.y));
+      }
+      return transformed;
+    });
+  }
+
+  QUnit.module('fabric.Connector', {
+    beforeEach: function() {
+      this.canvas = new fabric.Canvas(null, { enableRetinaScaling: false, width: 400, height: 400 });
+      this.source = new fabric.Rect({ left: 0, top: 0, width: 100, height: 50, strokeWidth: 0 });
+      this.target = new fabric.Rect({ left: 200, top: 100, width: 100, height: 50, strokeWidth: 0 });
+    },
+    afterEach: function() {
+      return this.canvas.dispose();
+    }
+  });
+
+  QUnit.test('constructor', function(assert) {
+    assert.ok(fabric.Connector);
+    var connector = new fabric.Connector({ source: this.source, target: this.target });
+    assert.ok(connector instanceof fabric.Path, 'should inherit from fabric.Path');
+    assert.equal(connector.constructor.type, 'Connector');
+    assert.equal(connector.routing, 'straight');
+    assert.equal(connector.sourcePort, 'auto');
+    assert.equal(connector.endMarker, 'arrow');
+    assert.equal(connector.hasControls, false);
+  });
+
+  QUnit.test('straight route and ports', function(assert) {
+    var connector = new fabric.Connector({ source: this.source, target: this.target, endMarker: 'none' });
+    assert.deepEqual(getRoute(connector), [['M', 100, 25], ['L', 200, 125]], 'auto ports are the closest sides');
+    connector.set({ sourcePort: 'bottom', targetPort: 'center' });
+    assert.deepEqual(getRoute(connector), [['M', 50, 50], ['L', 250, 125]], 'route is updated by set');
+    assert.deepEqual(connector.sourcePoint, new fabric.Point(50, 50), 'ends are kept');
+    assert.deepEqual(connector.targetPoint, new fabric.Point(250, 125));
+    this.source.set({ angle: 90, left: 100 });
+    connector.set({ sourcePort: 'right' });
+    assert.deepEqual(getRoute(connector)[0], ['M', 75, 100], 'ports follow the transformations of the object');
+    var free = new fabric.Connector({ sourcePoint: { x: 10, y: 20 }, target: this.target, targetPort: 'left', endMarker: 'none' });
+    assert.deepEqual(getRoute(free), [['M', 10, 20], ['L', 200, 125]], 'free end');
+  });
+
+  QUnit.test('orthogonal and curved routes', function(assert) {
+    var connector = new fabric.Connector({ source: this.source, target: this.target, routing: 'orthogonal', endMarker: 'none' });
+    assert.deepEqual(getRoute(connector), [['M', 100, 25], ['L', 150, 25], ['L', 150, 125], ['L', 200, 125]], 'elbows in the middle');
+    connector.set({ sourcePort: 'bottom', targetPort: 'left' });
+    assert.deepEqual(getRoute(connector), [['M', 50, 50], ['L', 50, 125], ['L', 200, 125]], 'single elbow');
+    connector.set({ sourcePort: 'right', targetPort: 'right' });
+    assert.deepEqual(getRoute(connector), [['M', 100, 25], ['L', 120, 25], ['L', 120, 75], ['L', 320, 75], ['L', 320, 125], ['L', 300, 125]], 'leaves and enters sides perpendicularly');
+    connector.set({ routing: 'curved', sourcePort: 'right', targetPort: 'left' });
+    var route = getRoute(connector);
+    assert.equal(route[1][0], 'C');
+    assert.deepEqual(route[0], ['M', 100, 25]);
+    assert.equal(route[1][2], 25, 'leaves the side perpendicularly');
+    assert.equal(route[1][4], 125, 'enters the side perpendicularly');
+    assert.ok(route[1][1] > 100 && route[1][3] < 200);
+    assert.deepEqual(route[1].slice(5), [200, 125]);
+  });
+
+  QUnit.test('markers', function(assert) {
+    var connector = new fabric.Connector({ sourcePoint: { x: 0, y: 0 }, targetPoint: { x: 100, y: 0 }, markerSize: 10 });
+    var route = getRoute(connector);
+    assert.equal(route.length, 5, 'the arrow is a subpath');
+    assert.deepEqual(route.slice(2), [['M', 91.34, -5], ['L', 100, 0], ['L', 91.34, 5]], 'arrow at the end');
+    connector.set({ startMarker: 'triangle', endMarker: 'none' });
+    route = getRoute(connector);
+    assert.deepEqual(route.slice(2), [['M', 8.66, 5], ['L', 0, 0], ['L', 8.66, -5], ['Z']], 'triangle at the start');
+    connector.set({ startMarker: 'none' });
+    assert.equal(connector.path.length, 2, 'no markers');
+  });
+
+  QUnit.test('follows its objects', function(assert) {
+    var canvas = this.canvas,
+        connector = new fabric.Connector({ source: this.source, target: this.target, endMarker: 'none' });
+    canvas.add(this.source, this.target, connector);
+    this.target.set({ left: 300 });
+    canvas.fire('object:moving', { target: this.target });
+    assert.deepEqual(getRoute(connector), [['M', 100, 25], ['L', 300, 125]], 'updated on object:moving');
+    var selection = new fabric.ActiveSelection([this.source], { canvas: canvas });
+    selection.set({ top: 100 });
+    selection.setCoords();
+    canvas.fire('object:modified', { target: selection });
+    assert.deepEqual(getRoute(connector)[0], ['M', 100, 125], 'updated when a group containing the object is modified');
+    canvas.remove(connector);
+    this.target.set({ left: 200 });
+    canvas.fire('object:moving', { target: this.target });
+    assert.deepEqual(getRoute(connector)[1], ['L', 300, 125], 'not updated once removed');
+  });
+
+  QUnit.test('toObject', function(assert) {
+    var connector = new fabric.Connector({ source: this.source, target: this.target, routing: 'orthogonal', targetPort: 'top' }),
+        object = connector.toObject();
+    assert.equal(object.type, 'Connector');
+    assert.ok(this.source.id, 'an id is assigned to the objects');
+    assert.equal(object.source, this.source.id, 'objects are referenced by id');
+    assert.equal(object.target, this.target.id);
+    assert.equal(object.routing, 'orthogonal');
+    assert.equal(object.targetPort, 'top');
+    assert.equal(object.sourcePort, 'auto');
+    assert.deepEqual(object.sourcePoint, { x: 100, y: 25 });
+    assert.notOk('id' in this.source.toObject(), 'id is not exported by default');
+    assert.equal(this.source.toObject(['id']).id, this.source.id, 'id is exported on request');
+  });
+
+  QUnit.test('loadFromJSON', function(assert) {
+    var done = assert.async(),
+        canvas = this.canvas,
+        connector = new fabric.Connector({ source: this.source, target: this.target, routing: 'curved' });
+    canvas.add(this.source, this.target, connector);
+    var json = JSON.stringify(canvas.toObject(['id'])),
+        route = getRoute(connector);
+    canvas.clear();
+    canvas.loadFromJSON(json).then(function() {
+      var objects = canvas.getObjects(),
+          loaded = objects[2];
+      assert.ok(loaded instanceof fabric.Connector);
+      assert.equal(loaded.source, objects[0], 'source is resolved');
+      assert.equal(loaded.target, objects[1], 'target is resolved');
+      assert.deepEqual(getRoute(loaded), route, 'same route');
+      objects[1].set({ top: 200 });
+      canvas.fire('object:modified', { target: objects[1] });
+      assert.deepEqual(loaded.targetPoint, new fabric.Point(200, 225), 'follows the loaded objects');
+      done();
+    });
+  });
+
+  QUnit.test('ids are assigned with set', function(assert) {
+    var keys = [], set = this.source.set;
+    this.source.set = function(key) {
+      keys.push(key);
+      return set.apply(this, arguments);
+    };
+    new fabric.Connector({ source: this.source, target: this.target });
+    delete this.source.set;
+    assert.ok(this.source.id, 'an id is assigned');
+    assert.deepEqual(keys, ['id'], 'assigned with set');
+  });
+
+  QUnit.test('loadFromJSON with objects in a group', function(assert) {
+    var done = assert.async(),
+        canvas = this.canvas,
+        group = new fabric.Group([this.target]),
+        connector = new fabric.Connector({ source: this.source, target: this.target });
+    canvas.add(this.source, group, connector);
+    var json = JSON.stringify(canvas.toObject(['id'])),
+        route = getRoute(connector);
+    canvas.clear();
+    canvas.loadFromJSON(json).then(function() {
+      var objects = canvas.getObjects(),
+          loaded = objects[2];
+      assert.equal(loaded.source, objects[0], 'source is resolved');
+      assert.equal(loaded.target, objects[1].item(0), 'target in a group is resolved');
+      assert.deepEqual(getRoute(loaded), route, 'same route');
+      done();
+    });
+  });
+})();
@@ -0,0 +1,183 @@
+(function() {
+  // a row of pixels from a list of [r, g, b, a] colors
+  function createPixels(colors) {
+    var data = new Uint8ClampedArray(colors.length * 4);
+    colors.forEach(function(color, i) {
+      data.set(color, i * 4);
+    });
+    return { data: data, width: colors.length, height: 1 };
+  }
+
+  function getColors(pixels) {
+    var colors = [];
+    for (var i = 0; i < pixels.data.length; i += 4) {
+      colors.push(Array.from(pixels.data.slice(i, i + 4)));
+    }
+    return colors;
+  }
+
+  var RED = [255, 0, 0, 255], BLACK = [0, 0, 0, 255], NONE = [0, 0, 0, 0];
+
+  QUnit.module('fabric.FilterEffect');
+
+  QUnit.test('constructor', function(assert) {
+    assert.ok(fabric.FilterEffect);
+    var effect = new fabric.FilterEffect();
+    assert.deepEqual(effect.primitives, []);
+    assert.equal(effect.colorInterpolation, 'linearRGB', 'the default of SVG filters');
+    assert.ok(typeof effect.id === 'number');
+    var primitives = [{ type: 'offset', dx: 1, dy: 2 }];
+    effect = new fabric.FilterEffect({ primitives: primitives, colorInterpolation: 'sRGB' });
+    assert.equal(effect.primitives, primitives);
+    assert.equal(effect.colorInterpolation, 'sRGB');
+  });
+
+  QUnit.test('getPadding', function(assert) {
+    var effect = new fabric.FilterEffect({
+      primitives: [
+        { type: 'gaussianBlur', stdDeviation: [1, 2] },
+        { type: 'offset', dx: -3, dy: 1 },
+        { type: 'colorMatrix', matrix: [] },
+      ]
+    });
+    assert.equal(effect.getPadding(), 9, 'blurs and offsets extend the rendering');
+    effect.primitives = [{ type: 'dropShadow', dx: 2, dy: 2, stdDeviation: 1, color: 'black' }];
+    assert.equal(effect.getPadding(), 5);
+  });
+
+  QUnit.test('apply offset and blur', function(assert) {
+    var effect = new fabric.FilterEffect({ primitives: [{ type: 'offset', dx: 0.5, dy: 0 }] }),
+        pixels = createPixels([RED, NONE, NONE]);
+    effect.apply(pixels, 2, 2);
+    assert.deepEqual(getColors(pixels), [NONE, RED, NONE], 'lengths are scaled');
+    effect.primitives = [{ type: 'gaussianBlur', stdDeviation: [1, 0] }];
+    pixels = createPixels([NONE, NONE, NONE, NONE, BLACK, NONE, NONE, NONE, NONE]);
+    effect.apply(pixels);
+    var alphas = getColors(pixels).map(function(color) {
+      return color[3];
+    });
+    assert.ok(alphas[4] < 255 && alphas[3] > 0 && alphas[2] > 0, 'the pixel is spread');
+    assert.deepEqual(alphas.slice(0, 4), alphas.slice(5).reverse(), 'symmetric');
+    assert.ok(alphas[3] < alphas[4] && alphas[2] < alphas[3]);
+  });
+
+  QUnit.test('apply color matrix', function(assert) {
+    var effect = new fabric.FilterEffect({
+          colorInterpolation: 'sRGB',
+          primitives: [{ type: 'colorMatrix', matrix: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0.5, 0] }]
+        }),
+        pixels = createPixels([RED, NONE]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [[0, 0, 255, 128], NONE], 'red is moved to blue, opacity is halved');
+    effect.colorInterpolation = 'linearRGB';
+    effect.primitives = [];
+    pixels = createPixels([[10, 100, 200, 255], [128, 64, 32, 128]]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [[10, 100, 200, 255], [128, 64, 32, 128]], 'colors are kept through the linear color space');
+  });
+
+  QUnit.test('apply flood, composite and merge', function(assert) {
+    var effect = new fabric.FilterEffect({
+          colorInterpolation: 'sRGB',
+          primitives: [
+            { type: 'flood', color: 'rgb(0,255,0)' },
+            { type: 'composite', in2: 'SourceAlpha', operator: 'in', result: 'green' },
+            { type: 'offset', in: 'SourceGraphic', dx: 1, dy: 0 },
+            { type: 'merge', inputs: ['green', undefined] },
+          ]
+        }),
+        pixels = createPixels([RED, NONE, NONE]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [[0, 255, 0, 255], RED, NONE]);
+    effect.primitives = [{ type: 'composite', in2: 'SourceGraphic', operator: 'arithmetic', k1: 0, k2: 0, k3: 0.5, k4: 0 }];
+    pixels = createPixels([RED]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [[255, 0, 0, 128]], 'arithmetic');
+  });
+
+  QUnit.test('apply blend and drop shadow', function(assert) {
+    var effect = new fabric.FilterEffect({
+          colorInterpolation: 'sRGB',
+          primitives: [
+            { type: 'flood', color: 'rgb(128,255,255)' },
+            { type: 'blend', in2: 'SourceGraphic', mode: 'multiply' },
+          ]
+        }),
+        pixels = createPixels([RED, NONE]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [[128, 0, 0, 255], [128, 255, 255, 255]]);
+    effect.primitives = [{ type: 'dropShadow', dx: 2, dy: 0, stdDeviation: 0, color: 'rgba(0,0,255,0.5)' }];
+    pixels = createPixels([RED, NONE, NONE, NONE]);
+    effect.apply(pixels);
+    assert.deepEqual(getColors(pixels), [RED, NONE, [0, 0, 255, 128], NONE], 'the shadow is under the object');
+  });
+
+  QUnit.test('toObject', function(assert) {
+    var effect = new fabric.FilterEffect({ primitives: [{ type: 'offset', dx: 1, dy: 2 }] }),
+        object = effect.toObject();
+    assert.deepEqual(object, { primitives: [{ type: 'offset', dx: 1, dy: 2 }], colorInterpolation: 'linearRGB' });
+    assert.notEqual(object.primitives, effect.primitives, 'primitives are copied');
+    effect.includeDefaultValues = false;
+    assert.deepEqual(effect.toObject(), { primitives: [{ type: 'offset', dx: 1, dy: 2 }] });
+  });
+
+  QUnit.module('fabric.Object - effect');
+
+  QUnit.test('effect property', function(assert) {
+    var rect = new fabric.Rect({ width: 10, height: 10, strokeWidth: 0 });
+    assert.equal(rect.effect, undefined);
+    assert.equal(rect.needsItsOwnCache(), false);
+    var dims = rect._getCacheCanvasDimensions();
+    rect.set('effect', { primitives: [{ type: 'gaussianBlur', stdDeviation: 2 }] });
+    assert.ok(rect.effect instanceof fabric.FilterEffect, 'plain objects are converted');
+    assert.equal(rect.needsItsOwnCache(), true, 'an effect is applied on the cache');
+    assert.equal(rect._getCacheCanvasDimensions().width, dims.width + 12, 'the cache has room for the effect');
+    assert.equal(rect.toObject().effect.primitives[0].stdDeviation, 2);
+    assert.equal(new fabric.Rect().toObject().effect, undefined);
+  });
+
+  QUnit.test('fromObject', function(assert) {
+    var done = assert.async(),
+        rect = new fabric.Rect({ width: 10, height: 10, effect: { primitives: [{ type: 'offset', dx: 1, dy: 2 }] } });
+    fabric.Rect.fromObject(rect.toObject()).then(function(enlived) {
+      assert.ok(enlived.effect instanceof fabric.FilterEffect);
+      assert.deepEqual(enlived.effect.primitives, [{ type: 'offset', dx: 1, dy: 2 }]);
+      done();
+    });
+  });
+
+  QUnit.test('toSVG', function(assert) {
+    var rect = new fabric.Rect({
+          width: 100,
+          height: 100,
+          strokeWidth: 0,
+          effect: { primitives: [{ type: 'gaussianBlur', in: 'SourceAlpha', stdDeviation: 2, result: 'blur' }, { type: 'blend', in2: 'blur', mode: 'screen' }] }
+        }),
+        svg = rect.toSVG(),
+        id = rect.effect.id;
+    assert.ok(svg.indexOf('filter="url(#FILTER_' + id + ')"') > -1, 'the object references the filter');
+    assert.ok(svg.indexOf('<filter id="FILTER_' + id + '" filterUnits="userSpaceOnUse" x="-56" y="-56" width="112" height="112" >') > -1, 'the filter covers the object and the effect');
+    assert.ok(svg.indexOf('<feGaussianBlur in="SourceAlpha" result="blur" stdDeviation="2" />') > -1);
+    assert.ok(svg.indexOf('<feBlend in2="blur" mode="screen" />') > -1);
+  });
+
+  QUnit.test('effect is parsed back from SVG', function(assert) {
+    var done = assert.async(),
+        primitives = [
+          { type: 'dropShadow', dx: 2, dy: 3, stdDeviation: [1, 2], color: 'rgba(255,0,0,0.5)' },
+          { type: 'colorMatrix', matrix: [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0] },
+          { type: 'composite', in: 'SourceGraphic', operator: 'arithmetic', k1: 0, k2: 1, k3: 0.5, k4: 0, result: 'c' },
+          { type: 'merge', inputs: [undefined, 'c'] },
+        ],
+        rect = new fabric.Rect({ left: 10, top: 10, width: 100, height: 100, effect: { primitives: primitives, colorInterpolation: 'sRGB' } }),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' + rect.toSVG() + '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var effect = res.objects[0].effect;
+      assert.equal(res.objects.length, 1);
+      assert.ok(effect instanceof fabric.FilterEffect);
+      assert.equal(effect.colorInterpolation, 'sRGB');
+      assert.deepEqual(effect.primitives, primitives, 'same primitives');
+      done();
+    });
+  });
+})();
@@ -610,4 +610,24 @@
     assert.equal(intersection.points.length, points.length - 1, 'all points intersect accept the last');
     assert.deepEqual(intersection.points, points.slice(0, -1), 'result should equal points accept the last');
   });
+  QUnit.test('isPointInPolygon', function (assert) {
+    // concave polygon shaped as a U
+    var points = [
+      new fabric.Point(0, 0),
+      new fabric.Point(10, 0),
+      new fabric.Point(10, 30),
+      new fabric.Point(20, 30),
+      new fabric.Point(20, 0),
+      new fabric.Point(30, 0),
+      new fabric.Point(30, 40),
+      new fabric.Point(0, 40),
+    ];
+    assert.ok(typeof fabric.Intersection.isPointInPolygon === 'function', 'has isPointInPolygon function');
+    assert.ok(fabric.Intersection.isPointInPolygon(new fabric.Point(5, 5), points), 'inside');
+    assert.ok(fabric.Intersection.isPointInPolygon(new fabric.Point(25, 35), points), 'inside');
+    assert.notOk(fabric.Intersection.isPointInPolygon(new fabric.Point(15, 5), points), 'in the concavity');
+    assert.notOk(fabric.Intersection.isPointInPolygon(new fabric.Point(-5, 5), points), 'outside');
+    assert.ok(fabric.Intersection.isPointInPolygon(new fabric.Point(10, 10), points), 'on an edge');
+    assert.ok(fabric.Intersection.isPointInPolygon(new fabric.Point(30, 40), points), 'on a vertex');
+  });
 })();
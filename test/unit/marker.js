@@ -0,0 +1,189 @@
+(function() {
+  function createArrow() {
+    return new fabric.Marker({
+      objects: [new fabric.Path('M 0 0 L 10 5 L 0 10 z', { fill: 'red', strokeWidth: 0 })],
+      viewBox: [0, 0, 10, 10],
+      refX: 5,
+      refY: 5,
+      orient: 'auto',
+    });
+  }
+
+  function roundValues(values) {
+    return values.map(function(value) {
+      return Math.round(value * 1000) / 1000 || 0;
+    });
+  }
+
+  QUnit.module('fabric.Marker');
+
+  QUnit.test('constructor', function(assert) {
+    assert.ok(fabric.Marker);
+    var marker = new fabric.Marker();
+    assert.deepEqual(marker.objects, []);
+    assert.equal(marker.markerWidth, 3, 'the defaults of SVG markers');
+    assert.equal(marker.markerHeight, 3);
+    assert.equal(marker.orient, 0);
+    assert.equal(marker.markerUnits, 'strokeWidth');
+    assert.equal(marker.overflow, 'hidden');
+    assert.ok(typeof marker.id === 'number');
+  });
+
+  QUnit.test('getContentTransform', function(assert) {
+    var marker = new fabric.Marker({ markerWidth: 4, markerHeight: 2 });
+    assert.deepEqual(marker.getContentTransform(), fabric.iMatrix, 'no viewBox');
+    marker.viewBox = [-5, 0, 10, 10];
+    assert.deepEqual(marker.getContentTransform(), [0.2, 0, 0, 0.2, 2, 0], 'the viewBox is fitted and centered');
+    marker.preserveAspectRatio = 'none';
+    assert.deepEqual(marker.getContentTransform(), [0.4, 0, 0, 0.2, 2, 0]);
+  });
+
+  QUnit.test('getTransform', function(assert) {
+    var marker = createArrow(),
+        vertex = { x: 10, y: 20, angle: Math.PI / 2 };
+    assert.deepEqual(roundValues(marker.getTransform(vertex, 2)), [0, 2, -2, 0, 13, 17], 'the reference point is on the vertex, along the path');
+    assert.deepEqual(roundValues(marker.getTransform(vertex, 2, true)), [0, 2, -2, 0, 13, 17]);
+    marker.orient = 'auto-start-reverse';
+    assert.deepEqual(roundValues(marker.getTransform(vertex, 2, true)), [0, -2, 2, 0, 7, 23], 'the start marker is reversed');
+    marker.orient = 0;
+    marker.markerUnits = 'userSpaceOnUse';
+    assert.deepEqual(roundValues(marker.getTransform(vertex, 2)), [1, 0, 0, 1, 8.5, 18.5], 'a fixed orientation, not scaled with the stroke');
+  });
+
+  QUnit.test('getPadding', function(assert) {
+    var marker = new fabric.Marker({ markerWidth: 3, markerHeight: 4 });
+    assert.equal(marker.getPadding(2), 10, 'the farthest corner of the viewport from the reference point');
+    marker.overflow = 'visible';
+    marker.objects = [new fabric.Rect({ left: -10, top: 0, width: 10, height: 4, strokeWidth: 0 })];
+    assert.equal(marker.getPadding(1), Math.sqrt(116), 'the content can overflow the viewport');
+  });
+
+  QUnit.test('getMarkerVertices', function(assert) {
+    var vertices = fabric.getMarkerVertices([['M', 0, 0], ['L', 10, 0], ['L', 10, 10], ['M', 20, 20], ['Q', 30, 20, 30, 30]]);
+    assert.deepEqual(vertices.map(function(vertex) {
+      return [vertex.x, vertex.y, Math.round(vertex.angle * 1000) / 1000];
+    }), [
+      [0, 0, 0],
+      [10, 0, Math.round(Math.PI / 4 * 1000) / 1000],
+      [10, 10, Math.round(Math.PI / 2 * 1000) / 1000],
+      [20, 20, 0],
+      [30, 30, Math.round(Math.PI / 2 * 1000) / 1000],
+    ], 'the angles bisect the directions between segments, subpaths start along their first segment');
+  });
+
+  QUnit.test('toObject and fromObject', function(assert) {
+    var done = assert.async(),
+        marker = createArrow(),
+        object = marker.toObject();
+    assert.equal(object.type, 'Marker');
+    assert.equal(object.objects.length, 1);
+    assert.equal(object.objects[0].type, 'Path');
+    assert.deepEqual(object.viewBox, [0, 0, 10, 10]);
+    assert.equal(object.orient, 'auto');
+    marker.includeDefaultValues = false;
+    assert.deepEqual(Object.keys(marker.toObject()), ['type', 'objects', 'refX', 'refY', 'orient', 'viewBox']);
+    fabric.Marker.fromObject(object).then(function(enlived) {
+      assert.ok(enlived instanceof fabric.Marker);
+      assert.ok(enlived.objects[0] instanceof fabric.Path);
+      assert.deepEqual(enlived.viewBox, [0, 0, 10, 10]);
+      assert.equal(enlived.refX, 5);
+      done();
+    });
+  });
+
+  QUnit.module('fabric.Object - markers');
+
+  QUnit.test('markers are rendered at the vertices', function(assert) {
+    var start = createArrow(), mid = createArrow(), end = createArrow(),
+        rendered = [],
+        polyline = new fabric.Polyline([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 10 }], {
+          strokeWidth: 2,
+          stroke: 'black',
+          markerStart: start,
+          markerMid: mid,
+          markerEnd: end,
+        }),
+        canvas = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+    [start, mid, end].forEach(function(marker) {
+      marker.render = function(ctx, vertex, strokeWidth, isStart) {
+        rendered.push([marker, vertex.x, vertex.y, strokeWidth, !!isStart]);
+      };
+    });
+    canvas.add(polyline);
+    canvas.renderAll();
+    assert.deepEqual(rendered, [
+      [start, -10, -5, 2, true],
+      [mid, 0, -5, 2, false],
+      [mid, 0, 5, 2, false],
+      [end, 10, 5, 2, false],
+    ], 'in the plane of the object');
+    rendered = [];
+    var rect = new fabric.Rect({ width: 10, height: 10, markerStart: start });
+    rect.render(canvas.getContext());
+    assert.deepEqual(rendered, [], 'only paths, lines and polylines render markers');
+  });
+
+  QUnit.test('markers properties', function(assert) {
+    var line = new fabric.Line([0, 0, 10, 0], { stroke: 'black', strokeWidth: 2 }),
+        dims = line._getCacheCanvasDimensions();
+    line.dirty = false;
+    line.set('markerEnd', createArrow());
+    assert.ok(line.dirty, 'markers are cache properties');
+    assert.ok(line._getCacheCanvasDimensions().width > dims.width, 'the cache has room for the markers');
+    var object = line.toObject();
+    assert.equal(object.markerEnd.type, 'Marker');
+    assert.equal(object.markerStart, undefined);
+  });
+
+  QUnit.test('fromObject', function(assert) {
+    var done = assert.async(),
+        path = new fabric.Path('M 0 0 L 10 10', { stroke: 'black', markerStart: createArrow() });
+    fabric.Path.fromObject(path.toObject()).then(function(enlived) {
+      assert.ok(enlived.markerStart instanceof fabric.Marker);
+      assert.ok(enlived.markerStart.objects[0] instanceof fabric.Path);
+      assert.equal(enlived.markerEnd, undefined);
+      done();
+    });
+  });
+
+  QUnit.test('toSVG', function(assert) {
+    var marker = createArrow(),
+        path = new fabric.Path('M 0 0 L 10 10 L 20 0', { stroke: 'black', markerStart: marker, markerEnd: marker }),
+        svg = path.toSVG(),
+        id = marker.id;
+    assert.ok(svg.indexOf('marker-start="url(#MARKER_' + id + ')" marker-end="url(#MARKER_' + id + ')"') > -1, 'the object references the markers');
+    assert.equal(svg.split('<marker ').length, 2, 'a marker is defined once');
+    assert.ok(svg.indexOf('<marker id="MARKER_' + id + '" markerWidth="3" markerHeight="3" refX="5" refY="5" orient="auto" markerUnits="strokeWidth" viewBox="0 0 10 10" preserveAspectRatio="xMidYMid meet" >') > -1);
+  });
+
+  QUnit.test('markers are parsed from SVG', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                '<marker id="arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse" style="overflow: visible">' +
+                  '<path d="M 0 0 L 10 5 L 0 10 z" />' +
+                '</marker>' +
+                '<marker id="dot" markerUnits="userSpaceOnUse" orient="45"><circle cx="1" cy="1" r="1" /></marker>' +
+                '<polyline points="0,0 10,10 20,0" stroke="black" marker-start="url(#arrow)" marker-mid="url(#dot)" marker-end="url(#missing)" />' +
+                '<g marker-end="url(#arrow)"><line x1="0" y1="0" x2="10" y2="0" stroke="black" /></g>' +
+                '<rect width="10" height="10" marker-start="url(#arrow)" />' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var polyline = res.objects[0], line = res.objects[1];
+      assert.equal(res.objects.length, 3, 'the content of markers is not parsed as objects');
+      assert.ok(polyline.markerStart instanceof fabric.Marker);
+      assert.deepEqual(polyline.markerStart.viewBox, [0, 0, 10, 10]);
+      assert.equal(polyline.markerStart.markerWidth, 6);
+      assert.equal(polyline.markerStart.refX, 5);
+      assert.equal(polyline.markerStart.orient, 'auto-start-reverse');
+      assert.equal(polyline.markerStart.overflow, 'visible');
+      assert.ok(polyline.markerStart.objects[0] instanceof fabric.Path);
+      assert.equal(polyline.markerMid.markerUnits, 'userSpaceOnUse');
+      assert.equal(polyline.markerMid.orient, 45);
+      assert.ok(polyline.markerMid.objects[0] instanceof fabric.Circle);
+      assert.equal(polyline.markerEnd, undefined, 'a missing marker is ignored');
+      assert.ok(line.markerEnd instanceof fabric.Marker, 'markers are inherited');
+      assert.equal(res.objects[2].markerStart, undefined, 'rects do not render markers');
+      done();
+    });
+  });
+})();
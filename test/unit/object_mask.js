@@ -0,0 +1,69 @@
+(function(){
+
+  QUnit.module('fabric.Object - mask');
+
+  QUnit.test('constructor & properties', function(assert) {
+    var cObj = new fabric.Object();
+    assert.equal(cObj.mask, undefined, 'mask should not be defined out of the box');
+    assert.equal(cObj.needsItsOwnCache(), false);
+    cObj.mask = new fabric.Rect({ width: 10, height: 10 });
+    assert.equal(cObj.needsItsOwnCache(), true, 'a mask is applied on the cache');
+  });
+
+  QUnit.test('toObject with mask', function(assert) {
+    var cObj = new fabric.Object();
+    assert.equal(cObj.toObject().mask, undefined);
+    assert.equal(cObj.toObject().maskType, undefined);
+    cObj.mask = new fabric.Rect({ width: 10, height: 10, fill: 'white' });
+    cObj.maskType = 'alpha';
+    var object = cObj.toObject();
+    assert.deepEqual(object.mask, cObj.mask.toObject());
+    assert.equal(object.maskType, 'alpha');
+    cObj.mask.excludeFromExport = true;
+    assert.ok(cObj.toObject().mask === undefined);
+  });
+
+  QUnit.test('from object with mask', function(assert) {
+    var done = assert.async();
+    var rect = new fabric.Rect({ width: 100, height: 100 });
+    rect.mask = new fabric.Circle({ radius: 50, fill: 'white' });
+    rect.maskType = 'alpha';
+    fabric.Rect.fromObject(rect.toObject()).then(function(enlived) {
+      assert.ok(enlived.mask instanceof fabric.Circle);
+      assert.equal(enlived.mask.radius, 50);
+      assert.equal(enlived.maskType, 'alpha');
+      done();
+    });
+  });
+
+  QUnit.test('toSVG with mask', function(assert) {
+    var rect = new fabric.Rect({ width: 100, height: 100, strokeWidth: 0 });
+    rect.mask = new fabric.Rect({ width: 50, height: 50, fill: 'white', strokeWidth: 0 });
+    var svg = rect.toSVG();
+    var maskId = rect.mask.maskId;
+    assert.ok(/^MASK_\d+$/.test(maskId), 'the mask has an id');
+    assert.ok(svg.indexOf('mask="url(#' + maskId + ')"') > -1, 'the object references the mask');
+    assert.ok(svg.indexOf('<mask id="' + maskId + '" maskUnits="userSpaceOnUse" x="-50" y="-50" width="100" height="100" >') > -1, 'the mask covers the object');
+    assert.ok(svg.indexOf('fill: rgb(255,255,255)') > -1, 'the mask is exported with its colors');
+    assert.equal(svg.indexOf('mask-type'), -1, 'luminance is the default');
+    rect.maskType = 'alpha';
+    assert.ok(rect.toSVG().indexOf('mask-type="alpha"') > -1);
+  });
+
+  QUnit.test('mask is parsed back from SVG', function(assert) {
+    var done = assert.async();
+    var rect = new fabric.Rect({ left: 10, top: 10, width: 100, height: 100, strokeWidth: 0 });
+    rect.mask = new fabric.Rect({ left: -50, top: -50, width: 50, height: 50, fill: 'white', strokeWidth: 0 });
+    rect.maskType = 'alpha';
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg">' + rect.toSVG() + '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var parsed = res.objects[0];
+      assert.equal(res.objects.length, 1);
+      assert.equal(parsed.maskType, 'alpha');
+      assert.ok(parsed.mask instanceof fabric.Rect);
+      var center = parsed.mask.getCenterPoint();
+      assert.deepEqual([Math.round(center.x), Math.round(center.y)], [-25, -25], 'same position');
+      done();
+    });
+  });
+})();
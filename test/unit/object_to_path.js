@@ -0,0 +1,187 @@
+(function() {
+  // a font outlining every glyph as a box of fontSize / 2 by fontSize sitting on the baseline
+  var boxFont = {
+    getPath: function(text, x, y, fontSize) {
+      var commands = [];
+      text.split('').forEach(function(char, index) {
+        if (char === ' ') {
+          return;
+        }
+        var left = x + index * fontSize / 2, right = left + fontSize / 2, top = y - fontSize;
+        commands.push(
+          { type: 'M', x: left, y: top },
+          { type: 'L', x: right, y: top },
+          { type: 'Q', x1: right, y1: y, x: right, y: y },
+          { type: 'C', x1: right, y1: y, x2: left, y2: y, x: left, y: y },
+          { type: 'Z' }
+        );
+      });
+      return { commands: commands };
+    }
+  };
+
+  function countSubpaths(pathData) {
+    return pathData.filter(function(command) {
+      return command[0] === 'M';
+    }).length;
+  }
+
+  function roundPoint(point) {
+    return new fabric.Point(Math.round(point.x * 1000) / 1000, Math.round(point.y * 1000) / 1000);
+  }
+
+  // position in the parent plane of the first point of the outline
+  function getStartPoint(object) {
+    var command = object.getPathData()[0];
+    return roundPoint(new fabric.Point(command[1], command[2]).transform(object.calcOwnMatrix()));
+  }
+
+  QUnit.module('fabric.Object.toPath', {
+    afterEach: function() {
+      fabric.fontOutlineRegistry.unregister({ fontFamily: 'Box' });
+      fabric.fontOutlineRegistry.unregister({ fontFamily: 'Box', fontWeight: 'bold' });
+    }
+  });
+
+  QUnit.test('getPathData', function(assert) {
+    assert.deepEqual(new fabric.Rect({ width: 20, height: 10 }).getPathData(), [
+      ['M', -10, -5], ['L', 10, -5], ['L', 10, 5], ['L', -10, 5], ['Z']
+    ], 'rect');
+    var rounded = new fabric.Rect({ width: 20, height: 10, rx: 2, ry: 2 }).getPathData();
+    assert.equal(rounded.length, 10, 'rounded rect');
+    assert.equal(rounded.filter(function(command) { return command[0] === 'C'; }).length, 4, 'rounded corners');
+    assert.deepEqual(new fabric.Triangle({ width: 20, height: 10 }).getPathData(), [
+      ['M', -10, 5], ['L', 0, -5], ['L', 10, 5], ['Z']
+    ], 'triangle');
+    assert.deepEqual(new fabric.Line([0, 0, 10, 20]).getPathData(), [['M', -5, -10], ['L', 5, 10]], 'line');
+    var points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }];
+    assert.deepEqual(new fabric.Polyline(points).getPathData(), [['M', -5, -5], ['L', 5, -5], ['L', 5, 5]], 'polyline is open');
+    assert.deepEqual(new fabric.Polygon(points).getPathData(), [['M', -5, -5], ['L', 5, -5], ['L', 5, 5], ['Z']], 'polygon is closed');
+    assert.deepEqual(new fabric.Path('M 10 10 L 20 10 L 20 30').getPathData(), [['M', -5, -10], ['L', 5, -10], ['L', 5, 10]], 'path');
+    var circle = new fabric.Circle({ radius: 10 }).getPathData();
+    assert.deepEqual(circle[0], ['M', 10, 0], 'circle');
+    assert.deepEqual(circle[circle.length - 1], ['Z'], 'full circle is closed');
+    var arc = new fabric.Circle({ radius: 10, startAngle: 90, endAngle: 180 }).getPathData();
+    assert.deepEqual(roundPoint(new fabric.Point(arc[0][1], arc[0][2])), new fabric.Point(0, 10), 'arc start');
+    var end = arc[arc.length - 1];
+    assert.deepEqual(roundPoint(new fabric.Point(end[5], end[6])), new fabric.Point(-10, 0), 'arc end');
+    assert.notEqual(end[0], 'Z', 'arcs are open');
+    var ellipse = new fabric.Ellipse({ rx: 10, ry: 5 }).getPathData();
+    assert.deepEqual(ellipse[0], ['M', 10, 0], 'ellipse');
+    assert.throws(function() {
+      new fabric.Group([]).getPathData();
+    }, 'not convertible');
+  });
+
+  QUnit.test('toPath preserves the outline and the transform', function(assert) {
+    var transform = {
+      left: 50, top: 20, scaleX: 2, scaleY: 0.5, angle: 30, skewX: 10, flipY: true, originX: 'center', originY: 'bottom'
+    };
+    [
+      new fabric.Rect(Object.assign({ width: 20, height: 10, strokeWidth: 3 }, transform)),
+      new fabric.Circle(Object.assign({ radius: 10, startAngle: 30, endAngle: 120 }, transform)),
+      new fabric.Ellipse(Object.assign({ rx: 10, ry: 5 }, transform)),
+      new fabric.Triangle(Object.assign({ width: 20, height: 10 }, transform)),
+      new fabric.Polyline([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 3, y: 20 }], Object.assign({}, transform)),
+      new fabric.Line([0, 0, 10, 20], Object.assign({}, transform)),
+      new fabric.Path('M 10 10 Q 30 0 20 30', Object.assign({}, transform))
+    ].forEach(function(object) {
+      var path = object.toPath();
+      assert.ok(path instanceof fabric.Path, object.type);
+      assert.equal(path.angle, 30, object.type + ' angle');
+      assert.equal(path.flipY, true, object.type + ' flip');
+      assert.equal(path.originY, 'bottom', object.type + ' origin');
+      assert.deepEqual(getStartPoint(path), getStartPoint(object), object.type + ' outline is in place');
+    });
+    var rect = new fabric.Rect(Object.assign({ width: 20, height: 10, strokeWidth: 3 }, transform)),
+        path = rect.toPath();
+    assert.deepEqual(path.getCoords().map(roundPoint), rect.getCoords().map(roundPoint), 'same bounding box');
+  });
+
+  QUnit.test('toPath preserves paint properties', function(assert) {
+    var rect = new fabric.Rect({
+      width: 20,
+      height: 10,
+      fill: 'red',
+      stroke: 'blue',
+      strokeWidth: 4,
+      strokeDashArray: [2, 2],
+      strokeLineJoin: 'round',
+      paintFirst: 'stroke',
+      fillRule: 'evenodd',
+      opacity: 0.5,
+      shadow: new fabric.Shadow({ color: 'black', blur: 5 })
+    });
+    var path = rect.toPath();
+    assert.equal(path.fill, 'red');
+    assert.equal(path.stroke, 'blue');
+    assert.equal(path.strokeWidth, 4);
+    assert.deepEqual(path.strokeDashArray, [2, 2]);
+    assert.equal(path.strokeLineJoin, 'round');
+    assert.equal(path.paintFirst, 'stroke');
+    assert.equal(path.fillRule, 'evenodd');
+    assert.equal(path.opacity, 0.5);
+    assert.ok(path.shadow instanceof fabric.Shadow);
+    assert.notEqual(path.shadow, rect.shadow, 'shadow is cloned');
+    assert.equal(path.shadow.blur, 5);
+    assert.equal(new fabric.Rect().toPath().shadow, null);
+  });
+
+  QUnit.test('fontOutlineRegistry', function(assert) {
+    var registry = new fabric.FontOutlineRegistry(), bold = { getPath: function() {} };
+    registry.register(boxFont, { fontFamily: 'Box' });
+    registry.register(bold, { fontFamily: 'box', fontWeight: 700 });
+    assert.equal(registry.get({ fontFamily: 'Box' }), boxFont);
+    assert.equal(registry.get({ fontFamily: 'Box', fontWeight: 'normal', fontStyle: 'normal' }), boxFont);
+    assert.equal(registry.get({ fontFamily: 'Box', fontWeight: 'bold' }), bold, 'weights are normalized');
+    assert.equal(registry.get({ fontFamily: 'Box', fontStyle: 'italic' }), boxFont, 'falls back to the regular font');
+    assert.equal(registry.get({ fontFamily: 'Other' }), undefined);
+    assert.ok(registry.unregister({ fontFamily: 'Box', fontWeight: '700' }));
+    assert.equal(registry.get({ fontFamily: 'Box', fontWeight: 'bold' }), boxFont);
+  });
+
+  QUnit.test('text', function(assert) {
+    var text = new fabric.Text('ab c\nd', { fontFamily: 'Box', fontSize: 20 });
+    assert.throws(function() {
+      text.getPathData();
+    }, 'font is not registered');
+    fabric.fontOutlineRegistry.register(boxFont, { fontFamily: 'Box' });
+    var pathData = text.getPathData();
+    assert.equal(countSubpaths(pathData), 4, 'a glyph per character');
+    assert.equal(pathData[0][1], -text.width / 2, 'first glyph is at the left of the text');
+    var baseline = -text.height / 2 + text.getHeightOfLine(0) / text.lineHeight * (1 - text._fontSizeFraction);
+    assert.equal(pathData[2][4], baseline, 'glyphs sit on the baseline');
+    assert.equal(pathData[5][1], -text.width / 2 + text.__charBounds[0][1].left, 'second glyph');
+    var path = text.toPath();
+    assert.ok(path instanceof fabric.Path);
+    assert.equal(path.fill, text.fill);
+    text.set({ underline: true, linethrough: true });
+    assert.equal(countSubpaths(text.getPathData()), 4 + 2 * 5, 'text decorations');
+    text.setSelectionStyles({ deltaY: 5 }, 0, 1);
+    assert.equal(text.getPathData()[0][2], pathData[0][2] + 5, 'deltaY');
+  });
+
+  QUnit.test('text styles', function(assert) {
+    var bold = {
+      getPath: function() {
+        return { commands: [{ type: 'M', x: 0, y: 0 }, { type: 'L', x: 1, y: 0 }, { type: 'L', x: 1, y: 1 }, { type: 'Z' }] };
+      }
+    };
+    fabric.fontOutlineRegistry.register(boxFont, { fontFamily: 'Box' });
+    fabric.fontOutlineRegistry.register(bold, { fontFamily: 'Box', fontWeight: 'bold' });
+    var text = new fabric.Text('abc', { fontFamily: 'Box', fontSize: 20, styles: { 0: { 1: { fontWeight: 'bold' } } } });
+    var pathData = text.getPathData();
+    assert.equal(pathData.length, 5 + 4 + 5, 'the outline of each character comes from its font');
+    text = new fabric.Text('abc', { fontFamily: 'Box', fontSize: 20, direction: 'rtl' });
+    pathData = text.getPathData();
+    var charBounds = text.__charBounds[0];
+    assert.equal(pathData[0][1], text.width / 2 - charBounds[0].width, 'first glyph is at the right of the text');
+    assert.equal(pathData[5][1], text.width / 2 - charBounds[1].left - charBounds[1].width, 'right to left');
+    text = new fabric.Text('abc', {
+      fontFamily: 'Box',
+      fontSize: 20,
+      path: new fabric.Path('M 0 0 L 200 0')
+    });
+    assert.equal(countSubpaths(text.getPathData()), 3, 'text on path');
+  });
+})();
@@ -777,6 +777,137 @@
     });
   });
 
+  QUnit.test('parseSVGFromString with mask', function(assert) {
+    var done = assert.async();
+    var string = '<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg">' +
+                   '<defs>' +
+                     '<mask id="m">' +
+                       '<rect x="0" y="0" width="50" height="50" fill="white"/>' +
+                     '</mask>' +
+                   '</defs>' +
+                   '<g transform="translate(0, 30)">' +
+                     '<rect transform="translate(100, 0)" width="100" height="100" mask="url(#m)"/>' +
+                   '</g>' +
+                 '</svg>';
+
+    fabric.loadSVGFromString(string).then(({ objects }) => {
+      assert.equal(objects.length, 1, 'the content of the mask is not parsed as objects');
+      var mask = objects[0].mask;
+      assert.equal(mask.constructor.type, 'Rect');
+      assert.equal(mask.fill, 'white');
+      assert.equal(objects[0].maskType, 'luminance', 'luminance is the default');
+      var center = mask.getCenterPoint();
+      assert.deepEqual([Math.round(center.x), Math.round(center.y)], [-25, -25], 'the mask is in the user space of the masked element');
+      done();
+    });
+  });
+
+  QUnit.test('parseSVGFromString with alpha mask', function(assert) {
+    var done = assert.async();
+    var string = '<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg">' +
+                   '<linearGradient id="fade"><stop offset="0" stop-color="black"/><stop offset="1" stop-color="white"/></linearGradient>' +
+                   '<mask id="m" style="mask-type: alpha">' +
+                     '<rect width="50" height="100" fill="url(#fade)"/>' +
+                     '<g><circle cx="75" cy="50" r="25" fill="red"/></g>' +
+                   '</mask>' +
+                   '<rect width="100" height="100" style="mask: url(#m)"/>' +
+                   '<rect width="100" height="100" mask="url(#missing)"/>' +
+                 '</svg>';
+
+    fabric.loadSVGFromString(string).then(({ objects }) => {
+      var mask = objects[0].mask;
+      assert.equal(objects[0].maskType, 'alpha');
+      assert.ok(mask instanceof fabric.Group, 'the content of the mask is grouped');
+      assert.ok(mask.item(0).fill instanceof fabric.Gradient, 'gradients are resolved');
+      assert.equal(mask.item(1).constructor.type, 'Circle');
+      assert.equal(objects[1].mask, undefined, 'a missing mask is ignored');
+      done();
+    });
+  });
+
+  QUnit.test('parseSVGFromString with filter', function(assert) {
+    var done = assert.async();
+    var string = '<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg">' +
+                   '<defs>' +
+                     '<filter id="f" color-interpolation-filters="sRGB">' +
+                       '<feGaussianBlur in="SourceAlpha" stdDeviation="2 3" result="blur"/>' +
+                       '<feOffset dx="4" dy="-2"/>' +
+                       '<feFlood style="flood-color: red; flood-opacity: 0.5"/>' +
+                       '<feComposite in2="blur" operator="in"/>' +
+                       '<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>' +
+                       '<feColorMatrix type="saturate" values="0"/>' +
+                       '<feBlend in2="SourceGraphic" mode="multiply"/>' +
+                       '<feTurbulence baseFrequency="0.05"/>' +
+                     '</filter>' +
+                   '</defs>' +
+                   '<rect width="100" height="100" filter="url(#f)"/>' +
+                   '<g style="filter: url(#f)"><circle r="10"/></g>' +
+                   '<rect width="100" height="100" filter="url(#missing)"/>' +
+                 '</svg>';
+
+    fabric.loadSVGFromString(string).then(({ objects }) => {
+      var effect = objects[0].effect;
+      assert.ok(effect instanceof fabric.FilterEffect);
+      assert.equal(effect.colorInterpolation, 'sRGB');
+      assert.deepEqual(effect.primitives.map(function(primitive) {
+        return primitive.type;
+      }), ['gaussianBlur', 'offset', 'flood', 'composite', 'merge', 'colorMatrix', 'blend'], 'unsupported primitives are skipped');
+      assert.deepEqual(effect.primitives[0], { type: 'gaussianBlur', in: 'SourceAlpha', result: 'blur', stdDeviation: [2, 3] });
+      assert.deepEqual(effect.primitives[1], { type: 'offset', dx: 4, dy: -2 });
+      assert.equal(effect.primitives[2].color, 'rgba(255,0,0,0.5)', 'flood opacity is part of the color');
+      assert.deepEqual(effect.primitives[3], { type: 'composite', in2: 'blur', operator: 'in' });
+      assert.deepEqual(effect.primitives[4].inputs, [undefined, 'SourceGraphic']);
+      assert.deepEqual(effect.primitives[5].matrix.slice(0, 3).map(function(value) {
+        return Math.round(value * 1000) / 1000;
+      }), [0.213, 0.715, 0.072], 'saturate is converted to a matrix');
+      assert.equal(effect.primitives[6].mode, 'multiply');
+      assert.ok(objects[1].effect instanceof fabric.FilterEffect, 'the filter of a group is applied to its children');
+      assert.equal(objects[2].effect, undefined, 'a missing filter is ignored');
+      done();
+    });
+  });
+
+  QUnit.test('parseSVGFromString with pattern', function(assert) {
+    var done = assert.async();
+    var string = '<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+                   '<defs>' +
+                     '<pattern id="dots" width="10" height="20" patternUnits="userSpaceOnUse" patternTransform="scale(2)">' +
+                       '<circle cx="5" cy="5" r="4" fill="red"/>' +
+                     '</pattern>' +
+                     '<pattern id="checker" width="0.25" height="50%" xlink:href="#base"/>' +
+                     '<pattern id="base" patternContentUnits="objectBoundingBox"><rect width="0.125" height="0.25"/></pattern>' +
+                     '<pattern id="empty" width="0" height="10"><rect width="10" height="10"/></pattern>' +
+                   '</defs>' +
+                   '<rect x="10" y="20" width="100" height="50" fill="url(#dots)"/>' +
+                   '<rect x="10" y="20" width="100" height="40" stroke="url(#checker)" transform="scale(3)"/>' +
+                   '<rect width="10" height="10" fill="url(#empty)"/>' +
+                 '</svg>';
+    var parsedInPatterns = [];
+
+    fabric.loadSVGFromString(string, function(el, obj) {
+      el.parentNode.nodeName === 'pattern' && parsedInPatterns.push(obj);
+    }).then(({ objects }) => {
+      var dpr = Math.max(fabric.config.devicePixelRatio, 1),
+          dots = objects[0].fill,
+          checker = objects[1].stroke;
+      assert.equal(objects.length, 3, 'the content of patterns is not parsed as objects');
+      assert.equal(parsedInPatterns.length, 3, 'the content of patterns is parsed to render their tile');
+      assert.ok(dots instanceof fabric.Pattern);
+      assert.equal(dots.repeat, 'repeat');
+      assert.equal(dots.source.width, 20 * dpr, 'the tile is rendered at the resolution it is displayed at');
+      assert.equal(dots.source.height, 40 * dpr);
+      assert.deepEqual(dots.patternTransform, [1 / dpr, 0, 0, 1 / dpr, 0, 0], 'patternTransform is applied');
+      assert.equal(dots.offsetX, -10, 'user space units are relative to the origin of the SVG');
+      assert.equal(dots.offsetY, -20);
+      assert.ok(checker instanceof fabric.Pattern, 'pattern attributes and content are inherited through href');
+      assert.equal(checker.source.width, 75 * dpr, 'the transform of the object is taken into account');
+      assert.equal(checker.source.height, 60 * dpr);
+      assert.deepEqual(checker.patternTransform, [1 / (3 * dpr), 0, 0, 1 / (3 * dpr), 10, 20], 'the tile is positioned in the bounding box');
+      assert.equal(objects[2].fill, '', 'an empty tile disables the paint');
+      done();
+    });
+  });
+
   QUnit.test('parseSVGFromString with empty <style/>', function(assert) {
     var done = assert.async();
     var string = '<svg viewBox="0 0 128 128" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
@@ -0,0 +1,134 @@
+(function() {
+  function countContours(path) {
+    return path.filter(function(command) {
+      return command[0] === 'M';
+    }).length;
+  }
+
+  function makeRect(options) {
+    return new fabric.Rect(Object.assign({ width: 100, height: 100, strokeWidth: 0 }, options));
+  }
+
+  QUnit.module('fabric.Path boolean operations');
+
+  QUnit.test('union', function(assert) {
+    assert.ok(typeof fabric.Path.union === 'function');
+    var result = fabric.Path.union(makeRect(), makeRect({ left: 50, top: 50 }));
+    assert.ok(result instanceof fabric.Path);
+    assert.equal(getPathArea(result.path), 17500);
+    assert.equal(countContours(result.path), 1);
+    assert.equal(result.path.length, 9, 'octagon without collinear points');
+    assert.equal(result.left, 0, 'positioned in the canvas plane');
+    assert.equal(result.top, 0, 'positioned in the canvas plane');
+    assert.equal(result.width, 150);
+    assert.equal(result.height, 150);
+  });
+
+  QUnit.test('intersect, subtract, exclude', function(assert) {
+    var a = makeRect(), b = makeRect({ left: 50, top: 50 });
+    var intersection = fabric.Path.intersect(a, b);
+    assert.equal(getPathArea(intersection.path), 2500);
+    assert.equal(intersection.left, 50);
+    assert.equal(intersection.width, 50);
+    assert.equal(getPathArea(fabric.Path.subtract(a, b).path), 7500);
+    assert.equal(getPathArea(fabric.Path.subtract(b, a).path), 7500);
+    var exclusion = fabric.Path.exclude(a, b);
+    assert.equal(getPathArea(exclusion.path), 15000);
+  });
+
+  QUnit.test('disjoint and nested shapes', function(assert) {
+    var a = makeRect(), b = makeRect({ left: 200 }), inner = makeRect({ left: 25, top: 25, width: 50, height: 50 });
+    assert.deepEqual(fabric.Path.intersect(a, b).path, [], 'empty result');
+    assert.equal(getPathArea(fabric.Path.union(a, b).path), 20000);
+    assert.equal(countContours(fabric.Path.union(a, b).path), 2);
+    var donut = fabric.Path.subtract(a, inner);
+    assert.equal(countContours(donut.path), 2, 'outer contour and hole');
+    assert.equal(getPathArea(donut.path), 7500);
+    assert.equal(getPathArea(fabric.Path.intersect(a, inner).path), 2500);
+  });
+
+  QUnit.test('shared edges', function(assert) {
+    var result = fabric.Path.union(makeRect(), makeRect({ left: 100 }));
+    assert.equal(countContours(result.path), 1);
+    assert.equal(getPathArea(result.path), 20000);
+    assert.equal(result.path.length, 5, 'merged in a single rectangle');
+    assert.deepEqual(fabric.Path.intersect(makeRect(), makeRect({ left: 100 })).path, [], 'touching shapes do not intersect');
+  });
+
+  QUnit.test('curves and arcs', function(assert) {
+    var circle = new fabric.Circle({ radius: 50, strokeWidth: 0 }),
+        result = fabric.Path.intersect(circle, makeRect({ left: 50 }));
+    assert.ok(Math.abs(getPathArea(result.path) - Math.PI * 2500 / 2) < 10, 'half circle');
+    result = fabric.Path.union(circle, makeRect({ left: 50 }), { tolerance: 0.01 });
+    assert.ok(Math.abs(getPathArea(result.path) - (Math.PI * 2500 / 2 + 10000)) < 0.5, 'tolerance');
+    var path = new fabric.Path('M 0 0 A 50 50 0 0 1 100 0 Z', { strokeWidth: 0 });
+    result = fabric.Path.union(path, makeRect({ left: 200 }));
+    assert.ok(Math.abs(getPathArea(result.path) - (Math.PI * 2500 / 2 + 10000)) < 10, 'arc commands');
+  });
+
+  QUnit.test('transformations', function(assert) {
+    var a = makeRect({ scaleX: 2, angle: 90, originX: 'center', originY: 'center' }),
+        b = makeRect({ left: -50, top: -150, width: 10 });
+    var result = fabric.Path.intersect(a, b);
+    assert.ok(Math.abs(getPathArea(result.path) - 500) < 1e-6);
+    assert.ok(Math.abs(result.top + 100) < 1e-6, 'in the canvas plane');
+    var group = new fabric.Group([makeRect()], { left: 300, top: 300 });
+    result = fabric.Path.intersect(group.item(0), makeRect({ left: 250, top: 250 }));
+    assert.equal(getPathArea(result.path), 2500, 'objects nested in groups');
+    assert.equal(result.left, 300);
+  });
+
+  QUnit.test('fillRule', function(assert) {
+    var donut = new fabric.Path('M 0 0 L 100 0 L 100 100 L 0 100 Z M 25 25 L 75 25 L 75 75 L 25 75 Z', {
+      strokeWidth: 0,
+      fillRule: 'evenodd'
+    });
+    var result = fabric.Path.union(donut, makeRect({ left: 300 }));
+    assert.equal(getPathArea(result.path), 17500, 'evenodd');
+    donut.fillRule = 'nonzero';
+    result = fabric.Path.union(donut, makeRect({ left: 300 }));
+    assert.equal(getPathArea(result.path), 20000, 'nonzero');
+    var star = new fabric.Polygon([{ x: 50, y: 0 }, { x: 80, y: 100 }, { x: 0, y: 35 }, { x: 100, y: 35 }, { x: 20, y: 100 }], {
+      strokeWidth: 0,
+      fillRule: 'evenodd'
+    });
+    var nonzeroStar = fabric.Path.union(star, makeRect({ left: 300 }));
+    star.fillRule = 'nonzero';
+    assert.ok(getPathArea(fabric.Path.union(star, makeRect({ left: 300 })).path) > getPathArea(nonzeroStar.path), 'self intersecting polygon');
+  });
+
+  QUnit.test('style of the first operand', function(assert) {
+    var result = fabric.Path.union(
+      makeRect({ fill: 'red', stroke: 'blue', strokeWidth: 3, opacity: 0.5 }),
+      makeRect({ fill: 'green', left: 50 })
+    );
+    assert.equal(result.fill, 'red');
+    assert.equal(result.stroke, 'blue');
+    assert.equal(result.strokeWidth, 3);
+    assert.equal(result.opacity, 0.5);
+  });
+
+  QUnit.test('shapes', function(assert) {
+    var a = makeRect();
+    [
+      [new fabric.Rect({ width: 100, height: 100, rx: 10, ry: 10, strokeWidth: 0 }), 10000 - (4 - Math.PI) * 100],
+      [new fabric.Ellipse({ rx: 50, ry: 25, strokeWidth: 0 }), Math.PI * 1250],
+      [new fabric.Triangle({ width: 100, height: 100, strokeWidth: 0 }), 5000],
+      [new fabric.Polyline([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }], { strokeWidth: 0 }), 5000],
+      [new fabric.Line([0, 0, 100, 100]), 0]
+    ].forEach(function(entry) {
+      var area = getPathArea(fabric.Path.intersect(a, entry[0]).path);
+      assert.ok(Math.abs(area - entry[1]) < 10, entry[0].type + ' ' + area);
+    });
+    assert.throws(function() {
+      fabric.Path.union(a, new fabric.Text('text'));
+    }, 'not convertible to path');
+  });
+
+  QUnit.test('fabric.util.flattenPath', function(assert) {
+    var contours = fabric.util.flattenPath(fabric.util.makePathSimpler(fabric.util.parsePath('M 0 0 L 10 0 L 10 10 Z M 20 20 Q 30 30 40 20 L 20 20')));
+    assert.equal(contours.length, 2);
+    assert.deepEqual(contours[0], [new fabric.Point(0, 0), new fabric.Point(10, 0), new fabric.Point(10, 10)]);
+    assert.ok(contours[1].length > 3, 'curve is split in segments');
+  });
+})();
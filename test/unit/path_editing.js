@@ -0,0 +1,214 @@
+(function() {
+  function parse(d) {
+    return fabric.util.makePathSimpler(fabric.util.parsePath(d));
+  }
+
+  function roundPoint(point) {
+    return new fabric.Point(Math.round(point.x * 1e6) / 1e6, Math.round(point.y * 1e6) / 1e6);
+  }
+
+  // position of the node of the command at `index` in the canvas plane
+  function getNodePosition(path, index) {
+    var command = path.path[index];
+    return roundPoint(
+      new fabric.Point(command[command.length - 2], command[command.length - 1])
+        .subtract(path.pathOffset)
+        .transform(path.calcTransformMatrix())
+    );
+  }
+
+  QUnit.module('fabric.util path editing');
+
+  QUnit.test('splitPathSegment', function(assert) {
+    var path = parse('M 0 0 L 100 0 Q 100 100 0 100 C -50 100 -50 50 0 0 Z');
+    var points = [1, 2, 3].map(function(index) {
+      return fabric.util.getPointOnPathSegment(path, index, 0.25);
+    });
+    assert.equal(fabric.util.splitPathSegment(path, 3, 0.5), 3);
+    assert.equal(path.length, 6);
+    assert.deepEqual(roundPoint(fabric.util.getPointOnPathSegment(path, 3, 0.5)), roundPoint(points[2]), 'cubic keeps its shape');
+    fabric.util.splitPathSegment(path, 2, 0.5);
+    assert.deepEqual(roundPoint(fabric.util.getPointOnPathSegment(path, 2, 0.5)), roundPoint(points[1]), 'quadratic keeps its shape');
+    fabric.util.splitPathSegment(path, 1, 0.25);
+    assert.deepEqual(path[1], ['L', 25, 0]);
+    assert.deepEqual(path[2], ['L', 100, 0]);
+    path = parse('M 0 0 L 100 0 Z');
+    fabric.util.splitPathSegment(path, 2);
+    assert.deepEqual(path, [['M', 0, 0], ['L', 100, 0], ['L', 50, 0], ['Z']], 'closing segment');
+    assert.throws(function() {
+      fabric.util.splitPathSegment(path, 0);
+    }, 'M does not draw a segment');
+  });
+
+  QUnit.test('removePathNode', function(assert) {
+    var path = parse('M 0 0 L 50 0 L 100 0');
+    fabric.util.removePathNode(path, 1);
+    assert.deepEqual(path, [['M', 0, 0], ['L', 100, 0]], 'lines');
+    path = parse('M 0 0 C 0 10 40 10 50 10 Q 100 10 100 0');
+    fabric.util.removePathNode(path, 1);
+    assert.equal(path.length, 2);
+    assert.equal(path[1][0], 'C', 'merged in a curve');
+    assert.deepEqual(path[1].slice(1, 3), [0, 10], 'keeps the outer handles');
+    assert.deepEqual(path[1].slice(5), [100, 0]);
+    path = parse('M 0 0 L 50 0 L 100 0');
+    fabric.util.removePathNode(path, 0);
+    assert.deepEqual(path, [['M', 50, 0], ['L', 100, 0]], 'the next node starts the subpath');
+    path = parse('M 0 0 L 50 0 L 50 50 L 0 0 Z');
+    fabric.util.removePathNode(path, 0);
+    assert.deepEqual(path, [['M', 50, 0], ['L', 50, 50], ['Z']], 'twin nodes are removed together');
+    path = parse('M 0 0 M 10 10 L 20 20');
+    fabric.util.removePathNode(path, 0);
+    assert.deepEqual(path, [['M', 10, 10], ['L', 20, 20]], 'empty subpath');
+  });
+
+  QUnit.test('setPathNodeSmooth', function(assert) {
+    var path = parse('M 0 0 L 100 0 L 100 100');
+    assert.notOk(fabric.util.isPathNodeSmooth(path, 1));
+    fabric.util.setPathNodeSmooth(path, 1, true);
+    assert.equal(path[1][0], 'C', 'lines are converted to curves');
+    assert.equal(path[2][0], 'C');
+    assert.deepEqual(path[1].slice(5), [100, 0], 'the node does not move');
+    assert.ok(fabric.util.isPathNodeSmooth(path, 1));
+    var handles = fabric.util.getPathNodeHandles(path, 1);
+    assert.deepEqual(handles, { incoming: [1, 3], outgoing: [2, 1] });
+    fabric.util.setPathNodeSmooth(path, 1, false);
+    assert.notOk(fabric.util.isPathNodeSmooth(path, 1));
+    assert.deepEqual(path, parse('M 0 0 L 100 0 L 100 100'), 'handles are retracted, curves turn back into lines');
+    fabric.util.setPathNodeSmooth(path, 0, true);
+    assert.notOk(fabric.util.isPathNodeSmooth(path, 0), 'the end of an open subpath has a single handle');
+    path = parse('M 0 0 L 100 0 L 100 100 Z');
+    fabric.util.setPathNodeSmooth(path, 0, true);
+    assert.ok(fabric.util.isPathNodeSmooth(path, 0), 'first node of a closed subpath');
+    assert.equal(path.length, 5, 'the closing segment is curved');
+    assert.deepEqual(path[3].slice(5), [0, 0]);
+    fabric.util.setPathNodeSmooth(path, 0, false);
+    assert.deepEqual(path[1], ['L', 100, 0], 'curves with retracted handles are lines');
+  });
+
+  QUnit.test('movePathNode and movePathHandle', function(assert) {
+    var path = parse('M 0 0 C 0 50 50 100 100 100 C 150 100 200 50 200 0');
+    assert.ok(fabric.util.isPathNodeSmooth(path, 1));
+    fabric.util.movePathNode(path, 1, new fabric.Point(110, 90));
+    assert.deepEqual(path[1].slice(3), [60, 90, 110, 90], 'handles follow the node');
+    assert.deepEqual(path[2].slice(1, 3), [160, 90]);
+    fabric.util.movePathHandle(path, [1, 3], new fabric.Point(110, 50));
+    assert.deepEqual(path[1].slice(3, 5), [110, 50]);
+    assert.deepEqual(roundPoint(new fabric.Point(path[2][1], path[2][2])), new fabric.Point(110, 140), 'the opposite handle keeps the node smooth');
+    path = parse('M 0 0 L 100 0 L 100 100 L 0 0 Z');
+    fabric.util.movePathNode(path, 0, new fabric.Point(-10, -10));
+    assert.deepEqual(path[3], ['L', -10, -10], 'twin node');
+  });
+
+  QUnit.module('fabric.Path node editing', {
+    beforeEach: function() {
+      this.canvas = new fabric.Canvas(null, { enableRetinaScaling: false });
+    },
+    afterEach: function() {
+      return this.canvas.dispose();
+    }
+  });
+
+  QUnit.test('nodes stay in place', function(assert) {
+    var path = new fabric.Path('M 0 0 L 100 0 L 100 100', { left: 50, top: 20, angle: 30, scaleX: 2, flipY: true });
+    var before = [0, 1, 2].map(function(index) {
+      return getNodePosition(path, index);
+    });
+    assert.equal(path.addNode(2, 0.5), 2);
+    assert.deepEqual([0, 1, 3].map(function(index) {
+      return getNodePosition(path, index);
+    }), before, 'adding a node');
+    path.removeNode(3);
+    assert.equal(path.height, 50);
+    assert.deepEqual(getNodePosition(path, 0), before[0], 'removing a node');
+    assert.deepEqual(getNodePosition(path, 1), before[1]);
+    assert.deepEqual(path.pathOffset, new fabric.Point(50, 25), 'path offset');
+    path.setNodeSmooth(1, true);
+    assert.ok(path.isNodeSmooth(1));
+    assert.deepEqual(getNodePosition(path, 1), before[1]);
+  });
+
+  QUnit.test('node edits are recorded and streamed', function(assert) {
+    var done = assert.async(),
+        canvas = this.canvas,
+        remote = new fabric.Canvas(null, { enableRetinaScaling: false }),
+        channel = new fabric.InMemoryChannel(),
+        path = new fabric.Path('M 0 0 L 100 0 L 100 100', { left: 50, top: 20, angle: 30 });
+    canvas.enableHistory = true;
+    canvas.collaborationManager.connect(channel.createTransport());
+    remote.collaborationManager.connect(channel.createTransport());
+    canvas.add(path);
+    var before = path.toObject(), commands = path.path;
+    channel.flush().then(function() {
+      path.addNode(2, 0.5);
+      assert.equal(commands.length, 3, 'commands are not changed in place');
+      var added = path.toObject();
+      assert.equal(channel.size(), 1, 'a single operation');
+      return channel.flush().then(function() {
+        assert.deepEqual(remote.item(0).toObject(), added, 'node added by the peer');
+        canvas.undo();
+        assert.deepEqual(path.toObject(), before, 'adding a node is undone in a single step');
+        canvas.redo();
+        assert.deepEqual(path.toObject(), added, 'redone');
+        path.removeNode(1);
+        var removed = path.toObject();
+        return channel.flush().then(function() {
+          assert.deepEqual(remote.item(0).toObject(), removed, 'node removed by the peer');
+          canvas.undo();
+          assert.deepEqual(path.toObject(), added, 'removing a node is undone');
+          remote.dispose();
+          done();
+        });
+      });
+    });
+  });
+
+  QUnit.test('createPathControls', function(assert) {
+    var path = new fabric.Path('M 0 0 Q 50 -50 100 0 C 100 50 50 100 0 0 Z', { left: 10, top: 10, scaleX: 2 });
+    var controls = fabric.controlsUtils.createPathControls(path);
+    assert.deepEqual(Object.keys(controls), ['p0', 'p1', 'c1_1', 'c2_1', 'c2_2'], 'the last node is the twin of the first one');
+    this.canvas.add(path);
+    path.controls = controls;
+    path.setCoords();
+    assert.deepEqual(roundPoint(new fabric.Point(path.oCoords.p1.x, path.oCoords.p1.y)), getNodePosition(path, 1), 'positioned on the node');
+    var p0 = getNodePosition(path, 0);
+    controls.p1.actionHandler({}, { target: path }, 250, 20);
+    assert.deepEqual(getNodePosition(path, 1), new fabric.Point(250, 20), 'moves the node');
+    assert.deepEqual(getNodePosition(path, 0), p0, 'other nodes stay in place');
+    assert.ok(controls.c2_2.getVisibility(path, 'c2_2'));
+    path.setNodeSmooth(0, false);
+    assert.notOk(controls.c2_2.getVisibility(path, 'c2_2'), 'retracted handles are hidden');
+  });
+
+  QUnit.test('enterNodeEditing', function(assert) {
+    var path = new fabric.Path('M 0 0 L 100 0 L 100 100', { strokeWidth: 4 }),
+        controls = path.controls;
+    this.canvas.add(path);
+    this.canvas.setActiveObject(path);
+    path.enterNodeEditing();
+    assert.ok(path.isEditingNodes);
+    assert.notOk(path.hasBorders);
+    assert.deepEqual(Object.keys(path.controls), ['p0', 'p1', 'p2']);
+    var fired = 0;
+    this.canvas.on('object:modified', function() {
+      fired++;
+    });
+    path.fire('mousedblclick', { e: {}, absolutePointer: new fabric.Point(102, 50) });
+    assert.equal(path.path.length, 4, 'double clicking the path adds a node');
+    assert.deepEqual(Object.keys(path.controls), ['p0', 'p1', 'p2', 'p3'], 'controls are updated');
+    assert.equal(fired, 1);
+    path.fire('mousedblclick', { e: {}, absolutePointer: new fabric.Point(200, 200) });
+    assert.equal(path.path.length, 4, 'far from the path');
+    path.setCoords();
+    var p1 = path.oCoords.p1;
+    path.fire('mousedblclick', { e: {}, absolutePointer: new fabric.Point(p1.x, p1.y) });
+    assert.ok(path.isNodeSmooth(1), 'double clicking a node makes it smooth');
+    path.controls.p3.mouseUpHandler({ altKey: true }, { target: path, actionPerformed: false });
+    assert.equal(path.path.length, 3, 'alt click removes a node');
+    path.exitNodeEditing();
+    assert.notOk(path.isEditingNodes);
+    assert.ok(path.hasBorders);
+    assert.equal(path.controls, controls, 'controls are restored');
+    path.fire('mousedblclick', { e: {}, absolutePointer: new fabric.Point(50, 2) });
+    assert.equal(path.path.length, 3, 'not editing');
+  });
+})();
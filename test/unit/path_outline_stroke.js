@@ -0,0 +1,115 @@
+(function() {
+  function countContours(path) {
+    return path.filter(function(command) {
+      return command[0] === 'M';
+    }).length;
+  }
+
+  function outline(path, options) {
+    return fabric.util.outlineStroke(fabric.util.makePathSimpler(fabric.util.parsePath(path)), Object.assign({
+      strokeWidth: 10,
+      strokeLineCap: 'butt',
+      strokeLineJoin: 'miter',
+      strokeMiterLimit: 4
+    }, options));
+  }
+
+  QUnit.module('fabric.util.outlineStroke');
+
+  QUnit.test('line caps', function(assert) {
+    assert.ok(typeof fabric.util.outlineStroke === 'function');
+    var butt = outline('M 0 0 L 100 0');
+    assert.equal(getPathArea(butt), 1000, 'butt');
+    assert.equal(butt.length, 5, 'a rectangle');
+    assert.equal(getPathArea(outline('M 0 0 L 100 0', { strokeLineCap: 'square' })), 1100, 'square');
+    var round = getPathArea(outline('M 0 0 L 100 0', { strokeLineCap: 'round', tolerance: 0.01 }));
+    assert.ok(Math.abs(round - (1000 + Math.PI * 25)) < 1, 'round');
+    assert.equal(getPathArea(outline('M 0 0 L 100 0 Z', { strokeLineCap: 'square' })), 1000, 'no caps on closed subpaths');
+  });
+
+  QUnit.test('line joins', function(assert) {
+    var square = 'M 0 0 L 100 0 L 100 100 L 0 100 Z';
+    var miter = outline(square);
+    assert.equal(getPathArea(miter), 4000, 'miter');
+    assert.equal(countContours(miter), 2, 'outer and inner contours');
+    assert.equal(getPathArea(outline(square, { strokeLineJoin: 'bevel' })), 4000 - 4 * 12.5, 'bevel');
+    var round = getPathArea(outline(square, { strokeLineJoin: 'round', tolerance: 0.01 }));
+    assert.ok(Math.abs(round - (4000 - 4 * (25 - Math.PI * 25 / 4))) < 1, 'round');
+    var sharp = 'M 0 0 L 100 10 L 0 20';
+    assert.ok(getPathArea(outline(sharp, { strokeMiterLimit: 100 })) > getPathArea(outline(sharp)), 'miter limit');
+    assert.equal(getPathArea(outline(sharp)), getPathArea(outline(sharp, { strokeLineJoin: 'bevel' })), 'beyond the miter limit joins are beveled');
+  });
+
+  QUnit.test('dashes', function(assert) {
+    var dashed = outline('M 0 0 L 100 0', { strokeDashArray: [10, 10] });
+    assert.equal(countContours(dashed), 5);
+    assert.equal(getPathArea(dashed), 500);
+    var offset = outline('M 0 0 L 100 0', { strokeDashArray: [10, 10], strokeDashOffset: 5 });
+    assert.equal(countContours(offset), 6, 'dashes are offset');
+    assert.ok(Math.abs(getPathArea(offset) - 500) < 1e-6);
+    var odd = outline('M 0 0 L 100 0', { strokeDashArray: [10] });
+    assert.equal(countContours(odd), 5, 'odd dash arrays are repeated');
+    var square = outline('M 0 0 L 100 0 L 100 100 L 0 100 Z', { strokeDashArray: [50, 50] });
+    assert.equal(countContours(square), 4, 'dashes follow the path');
+    assert.ok(Math.abs(getPathArea(square) - 2000) < 1e-6);
+    var caps = outline('M 0 0 L 100 0', { strokeDashArray: [10, 10], strokeLineCap: 'square' });
+    assert.equal(getPathArea(caps), 1000, 'each dash has caps');
+    assert.equal(countContours(caps), 1);
+  });
+
+  QUnit.test('curves and self intersections', function(assert) {
+    var ring = outline('M 50 0 A 50 50 0 0 1 50 100 A 50 50 0 0 1 50 0 Z');
+    assert.equal(countContours(ring), 2);
+    assert.ok(Math.abs(getPathArea(ring) - Math.PI * (55 * 55 - 45 * 45)) < 10, 'ring');
+    var cross = outline('M 0 0 L 100 100 M 0 100 L 100 0');
+    assert.equal(countContours(cross), 1, 'overlapping strokes are merged');
+    assert.ok(getPathArea(cross) < 2 * getPathArea(outline('M 0 0 L 100 100')));
+    assert.deepEqual(outline('M 0 0 L 100 0', { strokeWidth: 0 }), [], 'no stroke');
+    assert.deepEqual(outline('M 0 0 L 0 0'), [], 'zero length');
+  });
+
+  QUnit.module('fabric.Object.strokeToPath');
+
+  QUnit.test('getStrokePathData', function(assert) {
+    var rect = new fabric.Rect({ width: 100, height: 100, stroke: 'red', strokeWidth: 10 });
+    var pathData = rect.getStrokePathData();
+    assert.equal(getPathArea(pathData), 4000);
+    assert.deepEqual(pathData[0], ['M', 55, -55], 'relative to the center of the object');
+    rect.stroke = null;
+    assert.deepEqual(rect.getStrokePathData(), [], 'no stroke');
+    var uniform = new fabric.Rect({ width: 100, height: 100, stroke: 'red', strokeWidth: 10, scaleX: 2, strokeUniform: true });
+    pathData = uniform.getStrokePathData();
+    assert.equal(getPathArea(pathData), 110 * 105 - 90 * 95, 'the stroke is uniform once scaled');
+  });
+
+  QUnit.test('strokeToPath', function(assert) {
+    var rect = new fabric.Rect({
+      left: 10,
+      top: 20,
+      width: 100,
+      height: 100,
+      fill: 'green',
+      stroke: 'red',
+      strokeWidth: 10,
+      scaleX: 2,
+      angle: 30,
+      opacity: 0.5,
+      shadow: new fabric.Shadow({ color: 'black', blur: 5 })
+    });
+    var path = rect.strokeToPath();
+    assert.ok(path instanceof fabric.Path);
+    assert.equal(path.fill, 'red', 'filled with the stroke');
+    assert.equal(path.stroke, null);
+    assert.equal(path.strokeWidth, 0);
+    assert.equal(path.opacity, 0.5);
+    assert.equal(path.shadow, null, 'shadow does not affect the stroke');
+    assert.equal(path.angle, 30);
+    assert.equal(path.scaleX, 2);
+    var round = function(point) {
+      return new fabric.Point(Math.round(point.x * 1e6) / 1e6, Math.round(point.y * 1e6) / 1e6);
+    };
+    assert.deepEqual(path.getCoords().map(round), rect.getCoords().map(round), 'same bounding box');
+    rect.shadow.affectStroke = true;
+    assert.ok(rect.strokeToPath().shadow instanceof fabric.Shadow);
+  });
+})();
@@ -0,0 +1,141 @@
+(function() {
+  function segmentDistance(point, a, b) {
+    var dx = b.x - a.x, dy = b.y - a.y, lengthSquared = dx * dx + dy * dy,
+        t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(point.x - a.x - t * dx, point.y - a.y - t * dy);
+  }
+
+  // distance of `point` from the polyline approximating `path`
+  function pathDistance(path, point) {
+    var min = Infinity;
+    fabric.util.flattenPath(path.concat([['Z']]), 0.01).forEach(function(contour) {
+      contour.forEach(function(vertex, i) {
+        min = Math.min(min, segmentDistance(point, contour[(i || contour.length) - 1], vertex));
+      });
+    });
+    return min;
+  }
+
+  function maxDistance(path, points) {
+    return Math.max.apply(null, points.map(function(point) {
+      return pathDistance(path, point);
+    }));
+  }
+
+  function countCommands(path, type) {
+    return path.filter(function(command) {
+      return command[0] === type;
+    }).length;
+  }
+
+  // a noisy arc, as drawn freehand
+  function getArcPoints() {
+    var points = [];
+    for (var i = 0; i <= 100; i++) {
+      var angle = Math.PI * i / 100, radius = 100 + (i % 2 ? 0.3 : -0.3);
+      points.push(new fabric.Point(radius * Math.cos(angle), radius * Math.sin(angle)));
+    }
+    return points;
+  }
+
+  QUnit.module('fabric.util.simplifyPath');
+
+  QUnit.test('simplifyPoints', function(assert) {
+    assert.ok(typeof fabric.util.simplifyPoints === 'function');
+    var points = [{ x: 0, y: 0 }, { x: 10, y: 0.5 }, { x: 20, y: -0.5 }, { x: 30, y: 0 }, { x: 30, y: 10 }, { x: 30.2, y: 20 }, { x: 30, y: 30 }];
+    assert.deepEqual(fabric.util.simplifyPoints(points, 1), [new fabric.Point(0, 0), new fabric.Point(30, 0), new fabric.Point(30, 30)]);
+    assert.equal(fabric.util.simplifyPoints(points, 0.1).length, 6, 'points farther than tolerance are kept');
+    assert.deepEqual(fabric.util.simplifyPoints([{ x: 1, y: 2 }]), [new fabric.Point(1, 2)]);
+  });
+
+  QUnit.test('fitCurve', function(assert) {
+    var points = getArcPoints(), pathData = fabric.util.fitCurve(points, 1);
+    assert.deepEqual(pathData[0], ['M', 99.7, 0], 'starts at the first point');
+    assert.ok(pathData.slice(1).every(function(command) {
+      return command[0] === 'C';
+    }), 'cubic curves');
+    assert.ok(pathData.length <= 5, 'a few curves fit an arc');
+    var last = pathData[pathData.length - 1];
+    assert.deepEqual(new fabric.Point(last[5], last[6]), points[100], 'ends at the last point');
+    assert.ok(maxDistance(pathData, points) <= 1, 'points are within tolerance');
+    var precise = fabric.util.fitCurve(points, 0.1);
+    assert.ok(precise.length > pathData.length, 'a lower tolerance needs more curves');
+    assert.ok(maxDistance(precise, points) <= 0.1);
+    assert.deepEqual(fabric.util.fitCurve([{ x: 1, y: 1 }, { x: 1, y: 1 }]), [['M', 1, 1]], 'duplicate points are removed');
+    assert.deepEqual(fabric.util.fitCurve([]), []);
+  });
+
+  QUnit.test('simplifyPath keeps corners', function(assert) {
+    var pathData = [['M', 0, 0]];
+    // a square drawn with many points
+    [[100, 0], [100, 100], [0, 100], [0, 0]].reduce(function(from, to) {
+      for (var i = 1; i <= 20; i++) {
+        pathData.push(['L', from[0] + (to[0] - from[0]) * i / 20, from[1] + (to[1] - from[1]) * i / 20]);
+      }
+      return to;
+    }, [0, 0]);
+    pathData.push(['Z']);
+    var lines = fabric.util.simplifyPath(pathData, { fit: false });
+    assert.deepEqual(lines, [['M', 0, 0], ['L', 100, 0], ['L', 100, 100], ['L', 0, 100], ['L', 0, 0], ['Z']], 'segments');
+    var curves = fabric.util.simplifyPath(pathData);
+    assert.equal(countCommands(curves, 'C'), 4, 'a curve between corners');
+    assert.equal(curves[curves.length - 1][0], 'Z', 'closed');
+    var squarePoints = pathData.slice(0, -1).map(function(command) {
+      return new fabric.Point(command[1], command[2]);
+    });
+    assert.ok(maxDistance(curves, squarePoints) <= 1, 'within tolerance');
+    var smooth = fabric.util.simplifyPath(pathData, { cornerAngle: 180 });
+    assert.ok(countCommands(smooth, 'C') > 0, 'corners are smoothed when cornerAngle is 180');
+  });
+
+  QUnit.test('simplifyPath subpaths and curves', function(assert) {
+    var pathData = fabric.util.makePathSimpler(fabric.util.parsePath(
+      'M 0 0 Q 50 100 100 0 Q 150 -100 200 0 M 300 0 L 400 0'
+    ));
+    var simplified = fabric.util.simplifyPath(pathData, { tolerance: 0.5 });
+    assert.equal(countCommands(simplified, 'M'), 2, 'subpaths are kept');
+    assert.equal(countCommands(simplified, 'Z'), 0, 'open subpaths');
+    var points = [];
+    for (var i = 0; i <= 40; i++) {
+      points.push(fabric.util.getPointOnPath(pathData, (i / 40) * fabric.util.getPathSegmentsInfo(pathData)[2].length * 0.999));
+    }
+    assert.ok(maxDistance(simplified, points) <= 0.5, 'within tolerance');
+  });
+
+  function getStart(path) {
+    var start = path.getPathData()[0];
+    return fabric.util.transformPoint(new fabric.Point(start[1], start[2]), path.calcTransformMatrix());
+  }
+
+  QUnit.test('Path#simplify', function(assert) {
+    var points = getArcPoints(), pathData = [['M', points[0].x, points[0].y]];
+    points.slice(1).forEach(function(point) {
+      pathData.push(['L', point.x, point.y]);
+    });
+    var path = new fabric.Path(pathData, { left: 20, top: 30, fill: '', stroke: 'red' }),
+        start = getStart(path);
+    assert.equal(path.complexity(), 101);
+    path.simplify({ tolerance: 1 });
+    assert.ok(path.complexity() < 10, 'fewer commands');
+    assert.ok(getStart(path).distanceFrom(start) < 1e-9, 'path keeps its position');
+    assert.ok(Math.abs(path.height - 100) < 1, 'dimensions are updated');
+  });
+
+  QUnit.test('PencilBrush simplifyTolerance', function(assert) {
+    var canvas = new fabric.Canvas(null, { enableRetinaScaling: false, width: 300, height: 300 }),
+        brush = new fabric.PencilBrush(canvas),
+        points = getArcPoints().map(function(point) {
+          return point.add(new fabric.Point(150, 0));
+        });
+    assert.equal(brush.simplifyTolerance, 0, 'disabled by default');
+    var smooth = brush.convertPointsToSVGPath(points);
+    assert.equal(countCommands(smooth, 'Q'), 100, 'quadratic curves by default');
+    brush.simplifyTolerance = 1;
+    var fitted = brush.convertPointsToSVGPath(points);
+    assert.ok(fitted.length <= 5, 'fitted with few curves');
+    assert.ok(maxDistance(fitted, points) <= 1);
+    var dot = [points[0], points[0]];
+    assert.deepEqual(brush.convertPointsToSVGPath(dot), fabric.util.getSmoothPathFromPoints(dot, brush.width / 1000), 'a dot is kept');
+    canvas.dispose();
+  });
+})();
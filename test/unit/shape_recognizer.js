@@ -0,0 +1,131 @@
+(function() {
+  // deterministic noise, as drawn freehand
+  function jitter(points, amount) {
+    return points.map(function(point, i) {
+      return new fabric.Point(point.x + Math.sin(i * 1.7) * amount, point.y + Math.cos(i * 2.3) * amount);
+    });
+  }
+
+  // points evenly spaced along the polyline joining `vertices`
+  function polyline(vertices, steps) {
+    var points = [vertices[0]];
+    for (var i = 1; i < vertices.length; i++) {
+      for (var j = 1; j <= steps; j++) {
+        points.push(vertices[i - 1].lerp(vertices[i], j / steps));
+      }
+    }
+    return points;
+  }
+
+  function circle(center, radius, count) {
+    var points = [];
+    for (var i = 0; i <= count; i++) {
+      var angle = 2 * Math.PI * i / count;
+      points.push(new fabric.Point(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+    }
+    return points;
+  }
+
+  function p(x, y) {
+    return new fabric.Point(x, y);
+  }
+
+  QUnit.module('fabric.ShapeRecognizer', {
+    beforeEach: function() {
+      this.recognizer = new fabric.ShapeRecognizer();
+    }
+  });
+
+  QUnit.test('defaults', function(assert) {
+    assert.ok(typeof fabric.ShapeRecognizer === 'function');
+    assert.equal(this.recognizer.threshold, 0.8);
+    assert.deepEqual(this.recognizer.shapes, ['line', 'arrow', 'circle', 'rect', 'polygon']);
+    assert.equal(new fabric.ShapeRecognizer({ threshold: 0.5 }).threshold, 0.5, 'options');
+  });
+
+  QUnit.test('recognize line and arrow', function(assert) {
+    var line = this.recognizer.recognize(jitter(polyline([p(10, 10), p(210, 110)], 50), 1.5));
+    assert.equal(line.type, 'line');
+    assert.ok(line.confidence > 0.9, 'confident');
+    assert.ok(line.start.distanceFrom(p(10, 10)) < 2 && line.end.distanceFrom(p(210, 110)) < 2, 'ends');
+    var arrow = this.recognizer.recognize(jitter(polyline([p(10, 100), p(210, 100), p(190, 88), p(210, 100), p(190, 112)], 20), 1));
+    assert.equal(arrow.type, 'arrow');
+    assert.ok(arrow.confidence > 0.8, 'confident');
+    assert.ok(arrow.end.distanceFrom(p(210, 100)) < 3, 'tip');
+    assert.ok(Math.abs(arrow.headLength - 23.3) < 3, 'head length');
+  });
+
+  QUnit.test('recognize closed shapes', function(assert) {
+    var shape = this.recognizer.recognize(jitter(circle(p(100, 100), 50, 60), 2));
+    assert.equal(shape.type, 'circle');
+    assert.ok(shape.confidence > 0.8, 'confident');
+    assert.ok(shape.center.distanceFrom(p(100, 100)) < 2, 'center');
+    assert.ok(Math.abs(shape.radius - 50) < 2, 'radius');
+    shape = this.recognizer.recognize(jitter(polyline([p(10, 10), p(110, 10), p(110, 60), p(10, 60), p(12, 14)], 20), 1.5));
+    assert.equal(shape.type, 'rect');
+    assert.ok(shape.confidence > 0.8, 'confident');
+    assert.ok(Math.abs(shape.width - 100) < 4 && Math.abs(shape.height - 50) < 4, 'size');
+    shape = this.recognizer.recognize(jitter(polyline([p(10, 110), p(60, 10), p(110, 110), p(12, 108)], 20), 1.5));
+    assert.equal(shape.type, 'polygon', 'triangle');
+    assert.equal(shape.points.length, 3);
+    assert.ok(shape.confidence > 0.8, 'confident');
+  });
+
+  QUnit.test('scribbles are not confident', function(assert) {
+    var points = [];
+    for (var i = 0; i < 100; i++) {
+      points.push(p(100 + 80 * Math.sin(i * 0.37) * Math.cos(i * 0.11), 100 + 80 * Math.sin(i * 0.23)));
+    }
+    var shape = this.recognizer.recognize(points);
+    assert.ok(!shape || shape.confidence < 0.8, 'below threshold');
+    assert.equal(this.recognizer.recognize([p(1, 1), p(1, 1)]), undefined, 'a dot is not a shape');
+  });
+
+  QUnit.test('attach', function(assert) {
+    var canvas = new fabric.Canvas(null, { enableRetinaScaling: false, width: 300, height: 300, enableHistory: true }),
+        brush = new fabric.PencilBrush(canvas),
+        recognized = [],
+        e = { target: canvas.upperCanvasEl },
+        detach = this.recognizer.attach(canvas);
+    canvas.on('shape:recognized', function(opt) {
+      recognized.push(opt);
+    });
+    brush.width = 4;
+    brush.color = 'red';
+    function draw(points) {
+      brush.onMouseDown(points[0], { e });
+      points.slice(1).forEach(function(point) {
+        brush.onMouseMove(point, { e });
+      });
+      brush.onMouseUp({ e });
+    }
+    draw(jitter(circle(p(150, 150), 60, 60), 1.5));
+    assert.equal(recognized.length, 1, 'shape:recognized is fired');
+    var target = recognized[0].target;
+    assert.ok(target instanceof fabric.Circle);
+    assert.equal(recognized[0].shape.type, 'circle');
+    assert.ok(recognized[0].path instanceof fabric.Path);
+    assert.deepEqual(canvas.getObjects(), [target], 'the path is replaced');
+    assert.equal(target.stroke, 'red', 'stroke style is kept');
+    assert.equal(target.strokeWidth, 4);
+    assert.ok(target.getCenterPoint().distanceFrom(p(150, 150)) < 2, 'position');
+    canvas.historyManager.undo();
+    assert.deepEqual(canvas.getObjects(), [], 'drawing the shape is undone in a single step');
+    canvas.historyManager.redo();
+    assert.deepEqual(canvas.getObjects(), [target], 'redo restores the shape');
+    var scribble = [];
+    for (var i = 0; i < 100; i++) {
+      scribble.push(p(150 + 80 * Math.sin(i * 0.37) * Math.cos(i * 0.11), 150 + 80 * Math.sin(i * 0.23)));
+    }
+    draw(scribble);
+    assert.equal(recognized.length, 1, 'not recognized');
+    assert.ok(canvas.item(1) instanceof fabric.Path, 'the path is kept');
+    canvas.historyManager.undo();
+    assert.deepEqual(canvas.getObjects(), [target], 'the path is undone in a single step');
+    canvas.historyManager.redo();
+    detach();
+    draw(jitter(polyline([p(10, 10), p(210, 110)], 50), 1));
+    assert.equal(recognized.length, 1, 'detached');
+    canvas.dispose();
+  });
+})();
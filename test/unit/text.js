@@ -279,6 +279,125 @@
     });
   });
 
+  QUnit.test('fabric.Text.fromElement with tspans', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                '<text x="10" y="20" font-size="20" fill="red">\n' +
+                '  <tspan x="10" y="20">Hello <tspan fill="blue" font-weight="bold">big</tspan></tspan>\n' +
+                '  <tspan x="10" y="45">world<tspan dy="-5">2</tspan></tspan>\n' +
+                '</text>' +
+                '<text x="10" y="20" font-size="20">x</text>' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var text = res.objects[0];
+      assert.ok(text instanceof fabric.IText, 'texts are parsed as editable texts');
+      assert.equal(text.text, 'Hello big\nworld2', 'tspans on a new baseline make new lines');
+      assert.equal(text.fill, 'red');
+      assert.deepEqual(text.styles, {
+        0: {
+          6: { fill: 'blue', fontWeight: 'bold' },
+          7: { fill: 'blue', fontWeight: 'bold' },
+          8: { fill: 'blue', fontWeight: 'bold' },
+        },
+        1: {
+          5: { deltaY: -5 },
+        },
+      }, 'the styles of tspans are the styles of their characters');
+      assert.equal(text.lineHeight.toFixed(3), (25 / (20 * text._fontSizeMult)).toFixed(3), 'the line height is the distance between the lines');
+      assert.equal(text.textAlign, 'left');
+      assert.equal(text.left, res.objects[1].left, 'the lines start at the x position');
+      done();
+    });
+  });
+
+  QUnit.test('fabric.Text.fromElement with xml:space', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                '<text>  a  <tspan>  b</tspan>  </text>' +
+                '<text xml:space="preserve">  a  <tspan>  b</tspan>\n</text>' +
+                '<text style="white-space: pre">  a</text>' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      assert.equal(res.objects[0].text, 'a b', 'spaces are collapsed and trimmed');
+      assert.equal(res.objects[1].text, '  a    b ', 'spaces are preserved');
+      assert.equal(res.objects[2].text, '  a', 'spaces are preserved by white-space');
+      done();
+    });
+  });
+
+  QUnit.test('fabric.Text.fromElement with text-anchor', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                '<text y="50" text-anchor="middle"><tspan x="0" y="50">a</tspan><tspan x="0" y="70">bc</tspan></text>' +
+                '<text y="50">a</text>' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var anchored = res.objects[0], reference = res.objects[1];
+      assert.equal(anchored.textAlign, 'center', 'the lines are aligned by text-anchor');
+      assert.equal((anchored.left + anchored.width / 2).toFixed(2), reference.left.toFixed(2), 'the lines are centered on the x position');
+      done();
+    });
+  });
+
+  QUnit.test('fabric.Text.fromElement with dominant-baseline', function(assert) {
+    var namespace = 'http://www.w3.org/2000/svg';
+    function createText(dominantBaseline) {
+      var el = fabric.getFabricDocument().createElementNS(namespace, 'text');
+      el.textContent = 'x';
+      el.setAttributeNS(namespace, 'y', 50);
+      dominantBaseline && el.setAttributeNS(namespace, 'dominant-baseline', dominantBaseline);
+      return fabric.Text.fromElement(el);
+    }
+    return Promise.all([createText(), createText('middle'), createText('hanging'), createText('text-after-edge')]).then(function(texts) {
+      var alphabetic = texts[0], middle = texts[1], hanging = texts[2], bottom = texts[3];
+      assert.equal(hanging.top.toFixed(2), '50.00', 'the top of the text is on the y position');
+      assert.equal((bottom.top + bottom.height).toFixed(2), '50.00', 'the bottom of the text is on the y position');
+      assert.equal((middle.top + middle.height / 2).toFixed(2), '50.00', 'the middle of the text is on the y position');
+      assert.ok(alphabetic.top < middle.top);
+    });
+  });
+
+  QUnit.test('fabric.Text.fromElement with inline-size', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                '<text x="100" y="20" text-anchor="end" style="inline-size: 80px">a long text wrapping</text>' +
+                '<text x="100" y="20">x</text>' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var textbox = res.objects[0];
+      assert.ok(textbox instanceof fabric.Textbox, 'a text with an inline size is a textbox');
+      assert.equal(textbox.width, 80);
+      assert.equal(textbox.textAlign, 'right');
+      assert.equal(textbox.left + textbox.width, res.objects[1].left, 'the textbox ends on the x position');
+      done();
+    });
+  });
+
+  QUnit.test('fabric.Text.fromElement with textPath', function(assert) {
+    var done = assert.async(),
+        svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+                '<defs><path id="curve" d="M 10 50 L 60 25 L 110 50" /></defs>' +
+                '<text font-size="10" text-anchor="middle" dominant-baseline="central">' +
+                  '<textPath xlink:href="#curve" startOffset="60%" side="right">along the curve</textPath>' +
+                '</text>' +
+              '</svg>';
+    fabric.loadSVGFromString(svg).then(function(res) {
+      var text = res.objects[0], pathLength = text.path.segmentsInfo[text.path.segmentsInfo.length - 1].length,
+          center = text.getCenterPoint();
+      assert.equal(res.objects.length, 1);
+      assert.equal(text.text, 'along the curve');
+      assert.ok(text.path instanceof fabric.Path, 'the referenced path is the path of the text');
+      assert.deepEqual(text.path.path[0], ['M', 0, 0], 'the path starts at the origin of the text');
+      assert.equal(text.path.visible, false);
+      assert.equal(text.textAlign, 'center');
+      assert.equal(text.pathStartOffset.toFixed(2), (pathLength * 0.1).toFixed(2), 'startOffset is relative to the center of the path');
+      assert.equal(text.pathSide, 'right');
+      assert.equal(text.pathAlign, 'center');
+      assert.deepEqual([center.x.toFixed(2), center.y.toFixed(2)], ['60.00', '37.50'], 'the text is positioned on the path');
+      done();
+    });
+  });
+
   QUnit.test('dimensions after text change', function(assert) {
     var text = new fabric.Text('x');
     assert.equal(text.width, CHAR_WIDTH);
@@ -0,0 +1,190 @@
+(function() {
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function roundPath(path) {
+    return path.map(function(command) {
+      return command.map(function(value) {
+        return typeof value === 'number' ? round(value) : value;
+      });
+    });
+  }
+
+  // the ends of a piece in the canvas plane
+  function getEnds(object) {
+    var matrix = object.calcTransformMatrix(), offset = object.pathOffset,
+        points = object.path
+          ? object.path.map(function(command) {
+            return new fabric.Point(command[command.length - 2], command[command.length - 1]);
+          })
+          : object.points;
+    return [points[0], points[points.length - 1]].map(function(point) {
+      var end = fabric.util.transformPoint(new fabric.Point(point).subtract(offset), matrix);
+      return new fabric.Point(round(end.x), round(end.y));
+    });
+  }
+
+  function isInCircle(center, radius) {
+    return function(point) {
+      return point.distanceFrom(center) <= radius;
+    };
+  }
+
+  QUnit.module('fabric.util.erasePath');
+
+  QUnit.test('lines', function(assert) {
+    assert.ok(typeof fabric.util.erasePath === 'function');
+    var path = [['M', 0, 0], ['L', 100, 0]];
+    assert.equal(fabric.util.erasePath(path, isInCircle(new fabric.Point(50, 20), 10), 5), undefined, 'not erased');
+    var pieces = fabric.util.erasePath(path, isInCircle(new fabric.Point(50, 0), 10), 5);
+    assert.deepEqual(pieces.map(roundPath), [[['M', 0, 0], ['L', 40, 0]], [['M', 60, 0], ['L', 100, 0]]], 'cut in 2 pieces');
+    assert.deepEqual(fabric.util.erasePath(path, isInCircle(new fabric.Point(50, 0), 60), 5), [], 'erased entirely');
+    pieces = fabric.util.erasePath([['M', 0, 0], ['L', 100, 0], ['L', 100, 100], ['M', 0, 50], ['L', 50, 50]], isInCircle(new fabric.Point(0, 0), 20), 5);
+    assert.deepEqual(pieces.map(roundPath), [[['M', 20, 0], ['L', 100, 0], ['L', 100, 100]], [['M', 0, 50], ['L', 50, 50]]], 'a piece for each subpath');
+  });
+
+  QUnit.test('curves', function(assert) {
+    var path = [['M', 0, 0], ['C', 0, 100, 100, 100, 100, 0]],
+        pieces = fabric.util.erasePath(path, isInCircle(new fabric.Point(50, 75), 10), 5);
+    assert.equal(pieces.length, 2);
+    assert.equal(pieces[0][1][0], 'C', 'curves are kept');
+    assert.equal(pieces[1][1][0], 'C');
+    var end = pieces[0][1], start = pieces[1][0];
+    assert.ok(Math.abs(new fabric.Point(end[5], end[6]).distanceFrom(new fabric.Point(50, 75)) - 10) < 0.1, 'cut at the edge of the erased area');
+    assert.ok(Math.abs(new fabric.Point(start[1], start[2]).distanceFrom(new fabric.Point(50, 75)) - 10) < 0.1);
+    assert.deepEqual(roundPath([pieces[1][1].slice(-2)])[0], [100, 0], 'ends are kept');
+  });
+
+  QUnit.test('closed subpaths', function(assert) {
+    var square = [['M', 0, 0], ['L', 100, 0], ['L', 100, 100], ['L', 0, 100], ['Z']];
+    assert.equal(fabric.util.erasePath(square, isInCircle(new fabric.Point(50, 50), 10), 5), undefined);
+    var pieces = fabric.util.erasePath(square, isInCircle(new fabric.Point(100, 50), 10), 5);
+    assert.deepEqual(pieces.map(roundPath), [[['M', 100, 60], ['L', 100, 100], ['L', 0, 100], ['L', 0, 0], ['L', 100, 0], ['L', 100, 40]]], 'the pieces meeting at the start are joined');
+    pieces = fabric.util.erasePath(square, isInCircle(new fabric.Point(0, 0), 10), 5);
+    assert.deepEqual(pieces.map(roundPath), [[['M', 10, 0], ['L', 100, 0], ['L', 100, 100], ['L', 0, 100], ['L', 0, 10]]], 'erased at the start');
+  });
+
+  QUnit.module('fabric.VectorEraserBrush', {
+    beforeEach: function() {
+      var canvas = this.canvas = new fabric.Canvas(null, { enableRetinaScaling: false, width: 300, height: 300, enableHistory: true });
+      this.brush = new fabric.VectorEraserBrush(canvas);
+      var erased = this.erased = [];
+      canvas.on('object:erased', function(opt) {
+        erased.push(opt);
+      });
+      this.erase = function(points) {
+        var e = { target: canvas.upperCanvasEl }, brush = this.brush;
+        brush.onMouseDown(points[0], { e: e });
+        points.slice(1).forEach(function(point) {
+          brush.onMouseMove(point, { e: e });
+        });
+        brush.onMouseUp({ e: e });
+      };
+    },
+    afterEach: function() {
+      return this.canvas.dispose();
+    }
+  });
+
+  QUnit.test('defaults', function(assert) {
+    assert.ok(fabric.VectorEraserBrush);
+    assert.equal(this.brush.mode, 'split');
+    assert.equal(this.brush.width, 10);
+  });
+
+  QUnit.test('split a path', function(assert) {
+    var canvas = this.canvas,
+        rect = new fabric.Rect({ left: 200, top: 200, width: 10, height: 10 }),
+        path = new fabric.Path('M 10 50 L 190 50', { stroke: 'red', strokeWidth: 4, fill: '', angle: 90, scaleX: 0.5, scaleY: 0.5, layer: 'ink' });
+    canvas.add(path, rect);
+    var center = path.getCenterPoint();
+    this.erase([new fabric.Point(center.x - 20, center.y), new fabric.Point(center.x + 20, center.y)]);
+    assert.equal(this.erased.length, 1, 'object:erased is fired');
+    assert.equal(this.erased[0].target, path);
+    var pieces = this.erased[0].pieces;
+    assert.equal(pieces.length, 2);
+    assert.deepEqual(canvas.getObjects(), pieces.concat(rect), 'the path is replaced by its pieces');
+    pieces.forEach(function(piece) {
+      assert.ok(piece instanceof fabric.Path);
+      assert.equal(piece.stroke, 'red', 'style is kept');
+      assert.equal(piece.strokeWidth, 4);
+      assert.equal(piece.angle, 90, 'transform is kept');
+      assert.equal(piece.scaleX, 0.5);
+      assert.equal(piece.layer, 'ink');
+    });
+    assert.deepEqual(getEnds(pieces[0]), [new fabric.Point(center.x, center.y - 45), new fabric.Point(center.x, center.y - 5)], 'cut where the eraser passes');
+    assert.deepEqual(getEnds(pieces[1]), [new fabric.Point(center.x, center.y + 5), new fabric.Point(center.x, center.y + 45)]);
+    canvas.historyManager.undo();
+    assert.deepEqual(canvas.getObjects(), [path, rect], 'erasing is undone in a single step');
+  });
+
+  QUnit.test('split polylines', function(assert) {
+    var canvas = this.canvas,
+        polyline = new fabric.Polyline([{ x: 10, y: 10 }, { x: 110, y: 10 }, { x: 110, y: 110 }], { stroke: 'blue', fill: '' }),
+        polygon = new fabric.Polygon([{ x: 150, y: 150 }, { x: 250, y: 150 }, { x: 250, y: 250 }, { x: 150, y: 250 }], { stroke: 'blue', fill: '' });
+    canvas.add(polyline, polygon);
+    this.erase([new fabric.Point(60, 0), new fabric.Point(60, 20)]);
+    var pieces = canvas.getObjects().slice(0, 2);
+    assert.ok(pieces[0] instanceof fabric.Polyline && pieces[1] instanceof fabric.Polyline);
+    assert.deepEqual(getEnds(pieces[0]), [new fabric.Point(10, 10), new fabric.Point(55, 10)]);
+    assert.deepEqual(getEnds(pieces[1]), [new fabric.Point(65, 10), new fabric.Point(110, 110)]);
+    assert.deepEqual(pieces[1].points.length, 3, 'vertices are kept');
+    this.erase([new fabric.Point(250, 200)]);
+    var piece = canvas.item(2);
+    assert.equal(canvas.size(), 3);
+    assert.ok(piece.constructor === fabric.Polyline, 'an erased polygon is opened');
+    assert.equal(piece.points.length, 6);
+    assert.deepEqual(getEnds(piece), [new fabric.Point(250, 205), new fabric.Point(250, 195)]);
+  });
+
+  QUnit.test('whole mode', function(assert) {
+    var canvas = this.canvas,
+        path1 = new fabric.Path('M 10 50 L 190 50', { stroke: 'red', strokeWidth: 10, fill: '' }),
+        path2 = new fabric.Path('M 10 150 L 190 150', { stroke: 'red', fill: '' }),
+        image = new fabric.Rect({ left: 0, top: 0, width: 300, height: 300 });
+    canvas.add(image, path1, path2);
+    this.brush.mode = 'whole';
+    this.erase([new fabric.Point(100, 0), new fabric.Point(100, 41)]);
+    assert.deepEqual(this.erased[0].pieces, [], 'no pieces');
+    assert.deepEqual(canvas.getObjects(), [image, path2], 'a stroke is removed when its outline is touched');
+    this.erase([new fabric.Point(100, 100), new fabric.Point(100, 140)]);
+    assert.deepEqual(canvas.getObjects(), [image, path2], 'not touched');
+    assert.equal(this.erased.length, 1, 'other objects are not erased');
+  });
+
+  QUnit.test('a stroke ends on the next mouse up of the canvas', function(assert) {
+    var canvas = this.canvas,
+        path = new fabric.Path('M 10 50 L 190 50', { stroke: 'red', fill: '' }),
+        rect = new fabric.Rect({ width: 10, height: 10 }),
+        e = { target: canvas.upperCanvasEl };
+    canvas.add(path);
+    this.brush.onMouseDown(new fabric.Point(100, 40), { e: e });
+    this.brush.onMouseMove(new fabric.Point(100, 60), { e: e });
+    // the brush is swapped, the mouse up is not handled by the brush
+    canvas.fire('mouse:up', { e: e });
+    canvas.add(rect);
+    canvas.historyManager.undo();
+    assert.equal(canvas.getObjects().indexOf(rect), -1, 'a change after the stroke is a step of its own');
+    assert.equal(canvas.size(), 2, 'erasing is not undone');
+    canvas.historyManager.undo();
+    assert.deepEqual(canvas.getObjects(), [path], 'erasing is undone in a single step');
+  });
+
+  QUnit.test('a stroke ends if erasing fails', function(assert) {
+    var canvas = this.canvas,
+        path = new fabric.Path('M 10 50 L 190 50', { stroke: 'red', fill: '' }),
+        rect = new fabric.Rect({ width: 10, height: 10 }),
+        e = { target: canvas.upperCanvasEl };
+    canvas.add(path);
+    this.brush.isErasable = function() {
+      throw new Error('not erasable');
+    };
+    assert.throws(function() {
+      this.brush.onMouseDown(new fabric.Point(100, 50), { e: e });
+    }.bind(this), /not erasable/);
+    canvas.add(rect);
+    canvas.historyManager.undo();
+    assert.deepEqual(canvas.getObjects(), [path], 'a change after the failure is recorded');
+  });
+})();